@@ -0,0 +1,149 @@
+/**
+ * Database export benchmark
+ *
+ * Seeds a throwaway SQLite database with reviews, serves the export router
+ * on a local port and downloads GET /api/export in every format, with and
+ * without compression, and as an XLSX workbook. Reports throughput and the peak resident memory
+ * (RSS) growth of the process during each download, which should stay flat
+ * regardless of --rows because rows are streamed from a cursor.
+ *
+ * Usage: node src/benchmarks/exportBenchmark.js [--rows=1000000]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+
+// Parse --name=value arguments
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+const ROWS = parseInt(args.rows || '1000000');
+const MB = 1024 * 1024;
+
+// Point the database module at a temporary file before it is loaded
+const dbFile = path.join(os.tmpdir(), `export-benchmark-${process.pid}.db`);
+process.env.DB_FILE = dbFile;
+
+const { getDatabase, closeDatabase } = await import('../data/database.js');
+const { default: exportRoutes } = await import('../routes/export.js');
+
+const db = getDatabase();
+
+/**
+ * Seed reviews into the default workspace
+ */
+function seed() {
+  const insertReview = db.prepare(`
+    INSERT INTO reviews (id, customerId, customerName, rating, title, comment, status, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const statuses = ['pending', 'approved', 'rejected'];
+  const batchSize = 50000;
+
+  const insertBatch = db.transaction((from, to) => {
+    for (let i = from; i < to; i++) {
+      const createdAt = new Date(Date.UTC(2024, 0, 1) + i * 1000).toISOString();
+      insertReview.run(
+        `bench_${i}`,
+        `cust_${i % 5000}`,
+        `Customer ${i % 5000}`,
+        (i % 5) + 1,
+        'Benchmark review',
+        'Generated for the "export" benchmark & friends.',
+        statuses[i % 3],
+        createdAt,
+        createdAt
+      );
+    }
+  });
+
+  for (let from = 0; from < ROWS; from += batchSize) {
+    insertBatch(from, Math.min(from + batchSize, ROWS));
+  }
+}
+
+/**
+ * Download an export and measure its duration, size and peak RSS growth
+ *
+ * @param {string} baseUrl - Base URL of the benchmark server
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Measurement
+ */
+async function download(baseUrl, headers) {
+  global.gc?.();
+  const baseline = process.memoryUsage().rss;
+  let peak = baseline;
+  const sampler = setInterval(() => {
+    peak = Math.max(peak, process.memoryUsage().rss);
+  }, 20);
+
+  const started = process.hrtime.bigint();
+  // Plain http client: counts the bytes on the wire, compressed or not
+  const response = await new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/api/export`, { headers }, resolve).on('error', reject);
+  });
+  let bytes = 0;
+  for await (const chunk of response) {
+    bytes += chunk.length;
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  clearInterval(sampler);
+  peak = Math.max(peak, process.memoryUsage().rss);
+
+  return {
+    encoding: response.headers['content-encoding'] || 'identity',
+    sizeMB: Math.round((bytes / MB) * 10) / 10,
+    seconds: Math.round(elapsedMs / 100) / 10,
+    rowsPerSecond: Math.round(ROWS / (elapsedMs / 1000)),
+    rssGrowthMB: Math.round(((peak - baseline) / MB) * 10) / 10
+  };
+}
+
+async function main() {
+  const app = express();
+  app.use('/api/export', (req, res, next) => {
+    req.workspaceId = 'default';
+    next();
+  }, exportRoutes);
+
+  const server = app.listen(0);
+
+  try {
+    console.log(`Seeding ${ROWS} reviews into ${dbFile}...`);
+    seed();
+
+    const baseUrl = `http://localhost:${server.address().port}`;
+    const cases = [
+      { format: 'json', accept: 'application/json', encoding: 'identity' },
+      { format: 'csv', accept: 'text/csv', encoding: 'identity' },
+      { format: 'xml', accept: 'application/xml', encoding: 'identity' },
+      { format: 'csv', accept: 'text/csv', encoding: 'gzip' },
+      { format: 'csv', accept: 'text/csv', encoding: 'br' },
+      { format: 'xlsx', accept: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', encoding: 'identity' }
+    ];
+
+    const results = [];
+    for (const testCase of cases) {
+      const result = await download(baseUrl, { 'Accept': testCase.accept, 'Accept-Encoding': testCase.encoding });
+      results.push({ format: testCase.format, ...result });
+    }
+
+    console.log(`\nExports of ${ROWS} reviews:`);
+    console.table(results);
+  } finally {
+    server.close();
+    closeDatabase();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbFile + suffix, { force: true });
+    }
+  }
+}
+
+main();
\ No newline at end of file
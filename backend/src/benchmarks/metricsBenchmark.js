@@ -0,0 +1,173 @@
+/**
+ * Metrics generation benchmark
+ *
+ * Seeds a throwaway SQLite database with a large number of reviews and
+ * activity events, then compares the latency of the previous per-day
+ * implementation of generateMetrics (two prepared statements per day,
+ * including a cumulative DATE(createdAt) <= ? scan) with the current
+ * single grouped query.
+ *
+ * Usage: node src/benchmarks/metricsBenchmark.js [--rows=1000000] [--days=365] [--legacy-days=30]
+ *
+ * The legacy implementation scans the whole table twice per day, so it is
+ * only run over --legacy-days and its per-day cost is reported alongside.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Parse --name=value arguments
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+const ROWS = parseInt(args.rows || '1000000');
+const DAYS = parseInt(args.days || '365');
+const LEGACY_DAYS = parseInt(args['legacy-days'] || '30');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Point the database module at a temporary file before it is loaded
+const dbFile = path.join(os.tmpdir(), `metrics-benchmark-${process.pid}.db`);
+process.env.DB_FILE = dbFile;
+
+const { getDatabase, closeDatabase } = await import('../data/database.js');
+const { generateMetrics } = await import('../services/metricsService.js');
+
+const db = getDatabase();
+
+/**
+ * Seed reviews and activity events spread evenly over the benchmark range
+ *
+ * @param {Date} end - Last day of the range
+ */
+function seed(end) {
+  const insertReview = db.prepare(`
+    INSERT INTO reviews (id, customerId, customerName, rating, title, comment, status, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertActivity = db.prepare(`
+    INSERT INTO activity_events (type, count, source, clientId, occurredAt)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const statuses = ['pending', 'approved', 'rejected'];
+  const rangeMs = DAYS * DAY_MS;
+  const startMs = end.getTime() - rangeMs;
+  const batchSize = 50000;
+
+  const insertBatch = db.transaction((from, to) => {
+    for (let i = from; i < to; i++) {
+      const createdAt = new Date(startMs + Math.floor((i / ROWS) * rangeMs)).toISOString();
+      insertReview.run(
+        `bench_${i}`,
+        `cust_${i % 5000}`,
+        `Customer ${i % 5000}`,
+        (i % 5) + 1,
+        'Benchmark review',
+        'Generated for the metrics benchmark.',
+        statuses[i % 3],
+        createdAt,
+        createdAt
+      );
+
+      if (i % 10 === 0) {
+        insertActivity.run(i % 20 === 0 ? 'query' : 'read', 10, 'benchmark', `client_${i % 100}`, createdAt);
+      }
+    }
+  });
+
+  for (let from = 0; from < ROWS; from += batchSize) {
+    insertBatch(from, Math.min(from + batchSize, ROWS));
+  }
+}
+
+/**
+ * Previous implementation: two statements prepared and run for every day
+ *
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {number} Number of days computed
+ */
+function legacyGenerateMetrics(start, end) {
+  let days = 0;
+  const currentDate = new Date(start);
+
+  while (currentDate <= end) {
+    const dateStr = currentDate.toISOString().split('T')[0];
+
+    db.prepare(`
+      SELECT
+        COUNT(*) as count,
+        COUNT(DISTINCT customerId) as uniqueCustomers,
+        AVG(rating) as avgRating,
+        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending
+      FROM reviews
+      WHERE DATE(createdAt) = ?
+    `).get(dateStr);
+
+    db.prepare(`
+      SELECT COUNT(*) as count FROM reviews
+      WHERE DATE(createdAt) <= ?
+    `).get(dateStr);
+
+    days++;
+    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+  }
+
+  return days;
+}
+
+/**
+ * Time a function and return elapsed milliseconds
+ *
+ * @param {Function} fn - Function to time
+ * @returns {number} Elapsed time in milliseconds
+ */
+function time(fn) {
+  const started = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - started) / 1e6;
+}
+
+function main() {
+  try {
+    const end = new Date(new Date().toISOString().split('T')[0] + 'T00:00:00.000Z');
+
+    console.log(`Seeding ${ROWS} reviews over ${DAYS} days into ${dbFile}...`);
+    const seedMs = time(() => seed(end));
+    console.log(`Seeded in ${(seedMs / 1000).toFixed(1)}s\n`);
+
+    const legacyStart = new Date(end.getTime() - (LEGACY_DAYS - 1) * DAY_MS);
+    const fullStart = new Date(end.getTime() - (DAYS - 1) * DAY_MS);
+
+    // Warm up the page cache so both implementations read from memory
+    generateMetrics('default', fullStart.toISOString(), end.toISOString());
+
+    const legacyMs = time(() => legacyGenerateMetrics(legacyStart, end));
+    const groupedShortMs = time(() => generateMetrics('default', legacyStart.toISOString(), end.toISOString()));
+    const groupedFullMs = time(() => generateMetrics('default', fullStart.toISOString(), end.toISOString()));
+
+    const results = [
+      { implementation: 'per-day statements', days: LEGACY_DAYS, totalMs: legacyMs },
+      { implementation: 'grouped query', days: LEGACY_DAYS, totalMs: groupedShortMs },
+      { implementation: 'grouped query', days: DAYS, totalMs: groupedFullMs }
+    ].map(result => ({
+      ...result,
+      totalMs: Math.round(result.totalMs * 10) / 10,
+      msPerDay: Math.round((result.totalMs / result.days) * 100) / 100
+    }));
+
+    console.table(results);
+    console.log(`Estimated per-day statements over ${DAYS} days: ${Math.round((legacyMs / LEGACY_DAYS) * DAYS)}ms`);
+    console.log(`Speedup over ${LEGACY_DAYS} days: ${(legacyMs / groupedShortMs).toFixed(1)}x`);
+
+  } finally {
+    closeDatabase();
+    fs.rmSync(dbFile, { force: true });
+  }
+}
+
+main();
\ No newline at end of file
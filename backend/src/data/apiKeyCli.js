@@ -0,0 +1,61 @@
+/**
+ * API key command line interface
+ * 
+ * Usage:
+ *   node src/data/apiKeyCli.js create <name> <role> [workspaceId]   Create a key (role: viewer, exporter,
+ *                                                                   moderator, admin), optionally bound to a workspace
+ *   node src/data/apiKeyCli.js list                                 List keys
+ *   node src/data/apiKeyCli.js revoke <id>                          Revoke a key
+ * 
+ * Also available as npm run apikey -- <command>.
+ */
+
+import { closeDatabase } from './database.js';
+import { createApiKey, listApiKeys, revokeApiKey, ROLES } from '../services/apiKeyService.js';
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  
+  try {
+    switch (command) {
+      case 'create': {
+        const [name, role, workspaceId] = args;
+        if (!name || !role) {
+          throw new Error(`Usage: create <name> <role> [workspaceId] (role: ${ROLES.join(', ')})`);
+        }
+        const key = createApiKey({ name, role, workspaceId });
+        console.log(`✅ Created ${key.role} key "${key.name}" (${key.id})${key.workspaceId ? ` for workspace ${key.workspaceId}` : ''}`);
+        console.log('Store this key now, it cannot be shown again:');
+        console.log(key.apiKey);
+        break;
+      }
+      
+      case 'list': {
+        console.table(listApiKeys());
+        break;
+      }
+      
+      case 'revoke': {
+        const [id] = args;
+        if (!id) {
+          throw new Error('Usage: revoke <id>');
+        }
+        if (!revokeApiKey(id)) {
+          throw new Error(`API key ${id} not found or already revoked`);
+        }
+        console.log(`✅ Revoked API key ${id}`);
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown command "${command || ''}". Use create, list or revoke.`);
+    }
+  } catch (error) {
+    console.error('❌ API key command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+main();
\ No newline at end of file
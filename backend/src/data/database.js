@@ -8,50 +8,38 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { runMigrations } from './migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Database file path - stored in the data directory
-const DB_FILE = path.join(__dirname, 'reviews.db');
+// Database file path - stored in the data directory unless DB_FILE is set
+// (used by benchmarks and scripts that must not touch the real database)
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'reviews.db');
 
 // Create database connection with proper settings
 const db = new Database(DB_FILE, {
   verbose: process.env.NODE_ENV === 'development' ? console.log : null
 });
 
+// Write-ahead logging lets long-running readers (streaming exports) read
+// a consistent snapshot without blocking writers
+db.pragma('journal_mode = WAL');
+
 // Enable foreign key constraints
 db.pragma('foreign_keys = ON');
 
+// Fire delete triggers for rows removed by INSERT OR REPLACE so the
+// trigger-maintained search index stays in sync
+db.pragma('recursive_triggers = ON');
+
 /**
  * Initialize database schema
- * Creates the reviews table if it doesn't exist
+ * Applies all pending migrations (see migrations/index.js)
  */
 function initializeSchema() {
-  const createReviewsTable = `
-    CREATE TABLE IF NOT EXISTS reviews (
-      id TEXT PRIMARY KEY,
-      customerId TEXT NOT NULL,
-      customerName TEXT NOT NULL,
-      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
-      title TEXT NOT NULL,
-      comment TEXT NOT NULL,
-      status TEXT NOT NULL CHECK (status IN ('pending', 'approved', 'rejected')),
-      createdAt TEXT NOT NULL,
-      updatedAt TEXT NOT NULL
-    )
-  `;
-
-  const createIndexes = `
-    CREATE INDEX IF NOT EXISTS idx_reviews_customerId ON reviews(customerId);
-    CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
-    CREATE INDEX IF NOT EXISTS idx_reviews_rating ON reviews(rating);
-    CREATE INDEX IF NOT EXISTS idx_reviews_createdAt ON reviews(createdAt);
-  `;
-
   try {
-    db.exec(createReviewsTable);
-    db.exec(createIndexes);
+    runMigrations(db);
     console.log('Database schema initialized successfully');
   } catch (error) {
     console.error('Failed to initialize database schema:', error);
@@ -59,6 +47,16 @@ function initializeSchema() {
   }
 }
 
+/**
+ * Rebuild the full-text search index from the reviews table
+ * 
+ * Needed after operations that change reviews rowids (e.g. VACUUM or
+ * rebuilding the table), since the index is keyed by rowid.
+ */
+export function rebuildSearchIndex() {
+  db.prepare(`INSERT INTO reviews_fts (reviews_fts) VALUES ('rebuild')`).run();
+}
+
 /**
  * Get database instance
  * 
@@ -68,9 +66,22 @@ export function getDatabase() {
   return db;
 }
 
+/**
+ * Open an additional read-only connection
+ * 
+ * better-sqlite3 cannot run other statements on a connection while one of
+ * its iterators is open, so long-running iterations (streaming exports) use
+ * their own connection instead of blocking the shared one.
+ * 
+ * @returns {Database} Read-only SQLite database instance; close it when done
+ */
+export function openReadOnlyConnection() {
+  return new Database(DB_FILE, { readonly: true, fileMustExist: true });
+}
+
 /**
  * Initialize the database
- * Sets up schema and returns database instance
+ * Applies pending migrations and returns database instance
  * 
  * @returns {Database} SQLite database instance
  */
@@ -107,8 +118,11 @@ export function isDatabaseHealthy() {
   }
 }
 
-// Initialize schema on module load
-initializeSchema();
+// Initialize schema on module load. The migration CLI sets SKIP_AUTO_MIGRATE
+// so it can report status or roll back without applying migrations first.
+if (process.env.SKIP_AUTO_MIGRATE !== 'true') {
+  initializeSchema();
+}
 
 // Test this database module
 export function testDatabase() {
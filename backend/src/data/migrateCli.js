@@ -0,0 +1,65 @@
+/**
+ * Schema migration command line interface
+ * 
+ * Usage:
+ *   node src/data/migrateCli.js up                 Apply all pending migrations
+ *   node src/data/migrateCli.js status             List applied and pending migrations
+ *   node src/data/migrateCli.js rollback [steps]   Roll back the latest migration(s)
+ * 
+ * Also available as npm run migrate, migrate:status and migrate:rollback.
+ */
+
+// Open the database without applying migrations on load
+process.env.SKIP_AUTO_MIGRATE = 'true';
+
+const { getDatabase, closeDatabase } = await import('./database.js');
+const {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  getSchemaVersion
+} = await import('./migrator.js');
+
+function main() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const db = getDatabase();
+  
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = runMigrations(db);
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : '✅ Database is up to date');
+        break;
+      }
+      
+      case 'status': {
+        console.table(getMigrationStatus(db));
+        break;
+      }
+      
+      case 'rollback': {
+        const steps = stepsArg ? parseInt(stepsArg) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('steps must be a positive integer');
+        }
+        const rolledBack = rollbackMigrations(db, steps);
+        console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown command "${command}". Use up, status or rollback.`);
+    }
+    
+    console.log(`Schema version: ${getSchemaVersion(db)}`);
+  } catch (error) {
+    console.error('❌ Migration command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+main();
\ No newline at end of file
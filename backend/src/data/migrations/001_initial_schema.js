@@ -0,0 +1,114 @@
+/**
+ * Migration 001: Initial schema
+ * 
+ * Creates the reviews table and its indexes, then imports the legacy
+ * reviews.json file (formerly the one-off migrate.js script) into a
+ * freshly created table. Databases that already hold reviews are left as-is.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Path to the legacy JSON storage file
+const JSON_FILE = path.join(__dirname, '..', 'reviews.json');
+
+export const name = 'initial_schema';
+
+/**
+ * Imports reviews from the legacy JSON file
+ * 
+ * @param {Database} db - SQLite database instance
+ * @returns {Object} Import result with migrated and skipped counts
+ */
+function importLegacyJson(db) {
+  if (!fs.existsSync(JSON_FILE)) {
+    return { migrated: 0, skipped: 0 };
+  }
+  
+  const reviews = JSON.parse(fs.readFileSync(JSON_FILE, 'utf8'));
+  
+  if (!Array.isArray(reviews)) {
+    throw new Error('JSON file does not contain an array of reviews');
+  }
+  
+  const insertReview = db.prepare(`
+    INSERT OR IGNORE INTO reviews (id, customerId, customerName, rating, title, comment, status, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  let migrated = 0;
+  let skipped = 0;
+  
+  for (const review of reviews) {
+    // Validate required fields
+    if (!review.id || !review.customerId || !review.customerName ||
+        !review.rating || !review.title || !review.comment) {
+      console.error(`Skipping legacy review ${review.id || 'unknown'}: missing required fields`);
+      skipped++;
+      continue;
+    }
+    
+    const now = new Date().toISOString();
+    const result = insertReview.run(
+      review.id,
+      review.customerId,
+      review.customerName,
+      review.rating,
+      review.title,
+      review.comment,
+      review.status || 'pending',
+      review.createdAt || now,
+      review.updatedAt || review.createdAt || now
+    );
+    migrated += result.changes;
+  }
+  
+  return { migrated, skipped };
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  const hadReviewsTable = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'reviews'
+  `).get();
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id TEXT PRIMARY KEY,
+      customerId TEXT NOT NULL,
+      customerName TEXT NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+      title TEXT NOT NULL,
+      comment TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'approved', 'rejected')),
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_reviews_customerId ON reviews(customerId);
+    CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
+    CREATE INDEX IF NOT EXISTS idx_reviews_rating ON reviews(rating);
+    CREATE INDEX IF NOT EXISTS idx_reviews_createdAt ON reviews(createdAt);
+  `);
+  
+  // Databases created before migrations existed already hold their reviews
+  if (!hadReviewsTable) {
+    const result = importLegacyJson(db);
+    if (result.migrated > 0 || result.skipped > 0) {
+      console.log(`Imported ${result.migrated} legacy reviews from JSON (${result.skipped} skipped)`);
+    }
+  }
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS reviews');
+}
\ No newline at end of file
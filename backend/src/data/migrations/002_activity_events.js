@@ -0,0 +1,32 @@
+/**
+ * Migration 002: Activity events
+ * 
+ * Tracked API activity (rows read, queries, sessions) for dashboard metrics.
+ */
+
+export const name = 'activity_events';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS activity_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK (type IN ('read', 'query', 'session')),
+      count INTEGER NOT NULL DEFAULT 1 CHECK (count >= 0),
+      source TEXT NOT NULL,
+      clientId TEXT,
+      occurredAt TEXT NOT NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_activity_events_occurredAt ON activity_events(occurredAt, type);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS activity_events');
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Migration 003: Full-text search index
+ * 
+ * External-content FTS5 index over review title and comment, keyed by the
+ * reviews rowid and kept in sync by triggers.
+ */
+
+export const name = 'reviews_fts';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS reviews_fts USING fts5(
+      title,
+      comment,
+      content='reviews',
+      content_rowid='rowid',
+      tokenize='unicode61 remove_diacritics 2',
+      prefix='2 3'
+    );
+    
+    CREATE TRIGGER IF NOT EXISTS reviews_fts_after_insert AFTER INSERT ON reviews BEGIN
+      INSERT INTO reviews_fts (rowid, title, comment) VALUES (new.rowid, new.title, new.comment);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS reviews_fts_after_delete AFTER DELETE ON reviews BEGIN
+      INSERT INTO reviews_fts (reviews_fts, rowid, title, comment) VALUES ('delete', old.rowid, old.title, old.comment);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS reviews_fts_after_update AFTER UPDATE OF title, comment ON reviews BEGIN
+      INSERT INTO reviews_fts (reviews_fts, rowid, title, comment) VALUES ('delete', old.rowid, old.title, old.comment);
+      INSERT INTO reviews_fts (rowid, title, comment) VALUES (new.rowid, new.title, new.comment);
+    END;
+  `);
+  
+  // Index reviews that existed before the search index was created
+  db.exec(`INSERT INTO reviews_fts (reviews_fts) VALUES ('rebuild')`);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS reviews_fts_after_insert;
+    DROP TRIGGER IF EXISTS reviews_fts_after_delete;
+    DROP TRIGGER IF EXISTS reviews_fts_after_update;
+    DROP TABLE IF EXISTS reviews_fts;
+  `);
+}
\ No newline at end of file
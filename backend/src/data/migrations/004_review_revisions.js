@@ -0,0 +1,36 @@
+/**
+ * Migration 004: Review revisions
+ * 
+ * Audit trail of every create, update, status change, delete and revert of a
+ * review. Revisions are kept after the review itself is deleted, so there is
+ * deliberately no foreign key to the reviews table.
+ */
+
+export const name = 'review_revisions';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reviewId TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('create', 'update', 'status_change', 'delete', 'revert')),
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      revertedRevisionId INTEGER,
+      actor TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_review_revisions_reviewId ON review_revisions(reviewId, id);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS review_revisions');
+}
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Migration 005: Soft delete
+ * 
+ * Adds a deletedAt tombstone to reviews so deleted reviews go to a trash
+ * and can be restored until they are purged. Rebuilds review_revisions to
+ * allow the 'restore' and 'purge' actions.
+ */
+
+export const name = 'soft_delete';
+
+/**
+ * Rebuild review_revisions with the given list of allowed actions
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {Array} actions - Allowed values of the action column
+ */
+function rebuildRevisionsTable(db, actions) {
+  const allowedActions = actions.map(action => `'${action}'`).join(', ');
+  
+  db.exec(`
+    CREATE TABLE review_revisions_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reviewId TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN (${allowedActions})),
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      revertedRevisionId INTEGER,
+      actor TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    
+    INSERT INTO review_revisions_new (id, reviewId, action, changes, snapshot, revertedRevisionId, actor, createdAt)
+    SELECT id, reviewId, action, changes, snapshot, revertedRevisionId, actor, createdAt
+    FROM review_revisions
+    WHERE action IN (${allowedActions});
+    
+    DROP TABLE review_revisions;
+    ALTER TABLE review_revisions_new RENAME TO review_revisions;
+    CREATE INDEX idx_review_revisions_reviewId ON review_revisions(reviewId, id);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE reviews ADD COLUMN deletedAt TEXT;
+    CREATE INDEX idx_reviews_deletedAt ON reviews(deletedAt);
+  `);
+  
+  rebuildRevisionsTable(db, ['create', 'update', 'status_change', 'delete', 'restore', 'purge', 'revert']);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  rebuildRevisionsTable(db, ['create', 'update', 'status_change', 'delete', 'revert']);
+  
+  // Without a tombstone column, trashed reviews can only be removed for good
+  db.exec(`
+    DELETE FROM reviews WHERE deletedAt IS NOT NULL;
+    DROP INDEX IF EXISTS idx_reviews_deletedAt;
+    ALTER TABLE reviews DROP COLUMN deletedAt;
+  `);
+}
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Migration 006: Moderation workflow
+ *
+ * Widens the reviews status CHECK constraint with the 'flagged' and 'spam'
+ * moderation states and adds the moderation reason, moderator and time.
+ * SQLite cannot alter a CHECK constraint, so the reviews table is rebuilt;
+ * rowids are kept and the full-text triggers and index are recreated.
+ */
+
+export const name = 'moderation';
+
+// Columns shared by both versions of the reviews table
+const BASE_COLUMNS = 'id, customerId, customerName, rating, title, comment, status, createdAt, updatedAt, deletedAt';
+
+/**
+ * Rebuild the reviews table
+ *
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Rebuild options
+ * @param {Array} options.statuses - Allowed values of the status column
+ * @param {string} options.extraColumns - Additional column definitions
+ */
+function rebuildReviewsTable(db, { statuses, extraColumns }) {
+  const allowedStatuses = statuses.map(status => `'${status}'`).join(', ');
+
+  db.exec(`
+    DROP TRIGGER IF EXISTS reviews_fts_after_insert;
+    DROP TRIGGER IF EXISTS reviews_fts_after_delete;
+    DROP TRIGGER IF EXISTS reviews_fts_after_update;
+
+    CREATE TABLE reviews_new (
+      id TEXT PRIMARY KEY,
+      customerId TEXT NOT NULL,
+      customerName TEXT NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+      title TEXT NOT NULL,
+      comment TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN (${allowedStatuses})),
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL,
+      deletedAt TEXT${extraColumns}
+    );
+
+    INSERT INTO reviews_new (rowid, ${BASE_COLUMNS})
+    SELECT rowid, ${BASE_COLUMNS} FROM reviews;
+
+    DROP TABLE reviews;
+    ALTER TABLE reviews_new RENAME TO reviews;
+
+    CREATE INDEX idx_reviews_customerId ON reviews(customerId);
+    CREATE INDEX idx_reviews_status ON reviews(status);
+    CREATE INDEX idx_reviews_rating ON reviews(rating);
+    CREATE INDEX idx_reviews_createdAt ON reviews(createdAt);
+    CREATE INDEX idx_reviews_deletedAt ON reviews(deletedAt);
+
+    CREATE TRIGGER reviews_fts_after_insert AFTER INSERT ON reviews BEGIN
+      INSERT INTO reviews_fts (rowid, title, comment) VALUES (new.rowid, new.title, new.comment);
+    END;
+
+    CREATE TRIGGER reviews_fts_after_delete AFTER DELETE ON reviews BEGIN
+      INSERT INTO reviews_fts (reviews_fts, rowid, title, comment) VALUES ('delete', old.rowid, old.title, old.comment);
+    END;
+
+    CREATE TRIGGER reviews_fts_after_update AFTER UPDATE OF title, comment ON reviews BEGIN
+      INSERT INTO reviews_fts (reviews_fts, rowid, title, comment) VALUES ('delete', old.rowid, old.title, old.comment);
+      INSERT INTO reviews_fts (rowid, title, comment) VALUES (new.rowid, new.title, new.comment);
+    END;
+  `);
+
+  db.exec(`INSERT INTO reviews_fts (reviews_fts) VALUES ('rebuild')`);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  rebuildReviewsTable(db, {
+    statuses: ['pending', 'approved', 'rejected', 'flagged', 'spam'],
+    extraColumns: `,
+      moderationReason TEXT,
+      moderatedBy TEXT,
+      moderatedAt TEXT`
+  });
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  // Map the new states onto the closest previous ones
+  db.exec(`
+    UPDATE reviews SET status = 'pending' WHERE status = 'flagged';
+    UPDATE reviews SET status = 'rejected' WHERE status = 'spam';
+  `);
+
+  rebuildReviewsTable(db, {
+    statuses: ['pending', 'approved', 'rejected'],
+    extraColumns: ''
+  });
+}
\ No newline at end of file
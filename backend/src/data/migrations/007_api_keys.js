@@ -0,0 +1,33 @@
+/**
+ * Migration 007: API keys
+ * 
+ * API keys for authenticating requests. Only the SHA-256 hash of a key is
+ * stored; the plaintext key is shown once when it is created.
+ */
+
+export const name = 'api_keys';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'moderator', 'admin', 'exporter')),
+      keyHash TEXT NOT NULL UNIQUE,
+      keyPrefix TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT,
+      revokedAt TEXT
+    );
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS api_keys');
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Migration 008: Workspaces
+ * 
+ * Adds the workspaces table and scopes reviews, their revisions and the
+ * tracked activity to a workspace. Existing data moves to the 'default'
+ * workspace. API keys get an optional workspace; keys without one can
+ * access every workspace.
+ */
+
+export const name = 'workspaces';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workspaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    
+    ALTER TABLE reviews ADD COLUMN workspaceId TEXT NOT NULL DEFAULT 'default';
+    CREATE INDEX idx_reviews_workspaceId ON reviews(workspaceId, createdAt);
+    
+    ALTER TABLE review_revisions ADD COLUMN workspaceId TEXT NOT NULL DEFAULT 'default';
+    
+    ALTER TABLE activity_events ADD COLUMN workspaceId TEXT NOT NULL DEFAULT 'default';
+    DROP INDEX IF EXISTS idx_activity_events_occurredAt;
+    CREATE INDEX idx_activity_events_workspaceId ON activity_events(workspaceId, occurredAt, type);
+    
+    ALTER TABLE api_keys ADD COLUMN workspaceId TEXT;
+  `);
+  
+  db.prepare('INSERT OR IGNORE INTO workspaces (id, name, createdAt) VALUES (?, ?, ?)')
+    .run('default', 'Default', new Date().toISOString());
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  // Rows of all workspaces are kept and become global again
+  db.exec(`
+    ALTER TABLE api_keys DROP COLUMN workspaceId;
+    
+    DROP INDEX IF EXISTS idx_activity_events_workspaceId;
+    ALTER TABLE activity_events DROP COLUMN workspaceId;
+    CREATE INDEX idx_activity_events_occurredAt ON activity_events(occurredAt, type);
+    
+    ALTER TABLE review_revisions DROP COLUMN workspaceId;
+    
+    DROP INDEX IF EXISTS idx_reviews_workspaceId;
+    ALTER TABLE reviews DROP COLUMN workspaceId;
+    
+    DROP TABLE IF EXISTS workspaces;
+  `);
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * Migration 009: Webhooks
+ * 
+ * Webhook subscriptions of a workspace and the persistent queue and log of
+ * their deliveries. A delivery stays 'pending' until the receiver answers
+ * with a 2xx status or the retries are used up ('failed').
+ */
+
+export const name = 'webhooks';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhooks_workspaceId ON webhooks(workspaceId);
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhookId TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'delivered', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt TEXT,
+      lastAttemptAt TEXT,
+      responseStatus INTEGER,
+      lastError TEXT,
+      createdAt TEXT NOT NULL,
+      deliveredAt TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhookId ON webhook_deliveries(webhookId, id);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhooks;
+  `);
+}
\ No newline at end of file
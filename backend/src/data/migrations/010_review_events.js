@@ -0,0 +1,35 @@
+/**
+ * Migration 010: Review event log
+ * 
+ * Persistent log of review lifecycle events. Its autoincrement IDs are the
+ * SSE event IDs of GET /api/reviews/stream, so clients can resume with
+ * Last-Event-ID. Old events are pruned after the retention period.
+ */
+
+export const name = 'review_events';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workspaceId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      reviewId TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      occurredAt TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_review_events_workspaceId ON review_events(workspaceId, id);
+    CREATE INDEX IF NOT EXISTS idx_review_events_occurredAt ON review_events(occurredAt);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS review_events');
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Migration 011: Review change log
+ * 
+ * Change-data-capture log for incremental exports. Triggers on reviews keep
+ * one row per review holding its latest change: an 'upsert' for inserts,
+ * updates and restores, a 'delete' for soft deletes and purges. Each change
+ * takes a new autoincrement seq, so seq orders changes strictly even when
+ * rows share the same updatedAt timestamp, and is the watermark behind the
+ * cursor of GET /api/export/changes.
+ */
+
+export const name = 'review_changes';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_changes (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      workspaceId TEXT NOT NULL,
+      reviewId TEXT NOT NULL,
+      operation TEXT NOT NULL CHECK (operation IN ('upsert', 'delete')),
+      changedAt TEXT NOT NULL
+    );
+    
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_review_changes_reviewId ON review_changes(workspaceId, reviewId);
+    CREATE INDEX IF NOT EXISTS idx_review_changes_seq ON review_changes(workspaceId, seq);
+    
+    -- Log the current state of existing reviews, oldest change first
+    INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+    SELECT workspaceId, id, CASE WHEN deletedAt IS NULL THEN 'upsert' ELSE 'delete' END, updatedAt
+    FROM reviews
+    ORDER BY updatedAt, rowid;
+    
+    CREATE TRIGGER IF NOT EXISTS review_changes_after_insert AFTER INSERT ON reviews BEGIN
+      DELETE FROM review_changes WHERE workspaceId = new.workspaceId AND reviewId = new.id;
+      INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+      VALUES (new.workspaceId, new.id, CASE WHEN new.deletedAt IS NULL THEN 'upsert' ELSE 'delete' END,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS review_changes_after_update AFTER UPDATE ON reviews BEGIN
+      DELETE FROM review_changes WHERE workspaceId = old.workspaceId AND reviewId = old.id;
+      INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+      VALUES (new.workspaceId, new.id, CASE WHEN new.deletedAt IS NULL THEN 'upsert' ELSE 'delete' END,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS review_changes_after_delete AFTER DELETE ON reviews BEGIN
+      DELETE FROM review_changes WHERE workspaceId = old.workspaceId AND reviewId = old.id;
+      INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+      VALUES (old.workspaceId, old.id, 'delete', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS review_changes_after_insert;
+    DROP TRIGGER IF EXISTS review_changes_after_update;
+    DROP TRIGGER IF EXISTS review_changes_after_delete;
+    DROP TABLE IF EXISTS review_changes;
+  `);
+}
\ No newline at end of file
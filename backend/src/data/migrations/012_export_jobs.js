@@ -0,0 +1,58 @@
+/**
+ * Migration 012: Scheduled export jobs
+ *
+ * Export jobs of a workspace, run on a cron schedule, and the history of
+ * their runs. A run stays 'running' while its file is written and ends as
+ * 'succeeded' or 'failed'.
+ */
+
+export const name = 'export_jobs';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS export_jobs (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      name TEXT NOT NULL,
+      schedule TEXT NOT NULL,
+      format TEXT NOT NULL,
+      filters TEXT NOT NULL DEFAULT '{}',
+      retention INTEGER NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      nextRunAt TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_export_jobs_workspaceId ON export_jobs(workspaceId);
+    CREATE INDEX IF NOT EXISTS idx_export_jobs_due ON export_jobs(active, nextRunAt);
+
+    CREATE TABLE IF NOT EXISTS export_job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      jobId TEXT NOT NULL,
+      trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+      status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+      file TEXT,
+      rows INTEGER,
+      bytes INTEGER,
+      error TEXT,
+      startedAt TEXT NOT NULL,
+      finishedAt TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_export_job_runs_jobId ON export_job_runs(jobId, id);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS export_job_runs;
+    DROP TABLE IF EXISTS export_jobs;
+  `);
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Migration 013: Export manifests
+ *
+ * Integrity manifests of streamed exports (checksum, row count, schema
+ * version, updatedAt range, filters), kept for a while so loaders can
+ * verify a download, and the checksum of every scheduled export file.
+ */
+
+export const name = 'export_manifests';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS export_manifests (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      manifest TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_export_manifests_createdAt ON export_manifests(createdAt);
+
+    ALTER TABLE export_job_runs ADD COLUMN sha256 TEXT;
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec(`
+    ALTER TABLE export_job_runs DROP COLUMN sha256;
+    DROP TABLE IF EXISTS export_manifests;
+  `);
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Migration 014: Survey types
+ *
+ * Adds the survey type of a review: 'csat' (satisfaction, rating 1-5),
+ * 'nps' (Net Promoter Score, 0-10) or 'ces' (Customer Effort Score, 1-7).
+ * Existing reviews are star ratings and become 'csat'. The rating range
+ * now depends on the type, so the reviews table is rebuilt with a new
+ * CHECK constraint; rowids are kept and the indexes and the full-text and
+ * change log triggers are recreated.
+ */
+
+export const name = 'survey_types';
+
+// Columns of the reviews table before this migration
+const BASE_COLUMNS = `id, workspaceId, customerId, customerName, rating, title, comment, status, createdAt, updatedAt,
+  deletedAt, moderationReason, moderatedBy, moderatedAt`;
+
+/**
+ * Rebuild the reviews table
+ *
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Rebuild options
+ * @param {string} options.surveyColumn - Definition of the surveyType column, '' for none
+ * @param {string} options.ratingCheck - CHECK constraint of the rating column
+ */
+function rebuildReviewsTable(db, { surveyColumn, ratingCheck }) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS reviews_fts_after_insert;
+    DROP TRIGGER IF EXISTS reviews_fts_after_delete;
+    DROP TRIGGER IF EXISTS reviews_fts_after_update;
+    DROP TRIGGER IF EXISTS review_changes_after_insert;
+    DROP TRIGGER IF EXISTS review_changes_after_update;
+    DROP TRIGGER IF EXISTS review_changes_after_delete;
+
+    CREATE TABLE reviews_new (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      customerId TEXT NOT NULL,
+      customerName TEXT NOT NULL,${surveyColumn}
+      rating INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      comment TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'approved', 'rejected', 'flagged', 'spam')),
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL,
+      deletedAt TEXT,
+      moderationReason TEXT,
+      moderatedBy TEXT,
+      moderatedAt TEXT,
+      CHECK (${ratingCheck})
+    );
+
+    INSERT INTO reviews_new (rowid, ${BASE_COLUMNS})
+    SELECT rowid, ${BASE_COLUMNS} FROM reviews;
+
+    DROP TABLE reviews;
+    ALTER TABLE reviews_new RENAME TO reviews;
+
+    CREATE INDEX idx_reviews_customerId ON reviews(customerId);
+    CREATE INDEX idx_reviews_status ON reviews(status);
+    CREATE INDEX idx_reviews_rating ON reviews(rating);
+    CREATE INDEX idx_reviews_createdAt ON reviews(createdAt);
+    CREATE INDEX idx_reviews_deletedAt ON reviews(deletedAt);
+    CREATE INDEX idx_reviews_workspaceId ON reviews(workspaceId, createdAt);
+
+    CREATE TRIGGER reviews_fts_after_insert AFTER INSERT ON reviews BEGIN
+      INSERT INTO reviews_fts (rowid, title, comment) VALUES (new.rowid, new.title, new.comment);
+    END;
+
+    CREATE TRIGGER reviews_fts_after_delete AFTER DELETE ON reviews BEGIN
+      INSERT INTO reviews_fts (reviews_fts, rowid, title, comment) VALUES ('delete', old.rowid, old.title, old.comment);
+    END;
+
+    CREATE TRIGGER reviews_fts_after_update AFTER UPDATE OF title, comment ON reviews BEGIN
+      INSERT INTO reviews_fts (reviews_fts, rowid, title, comment) VALUES ('delete', old.rowid, old.title, old.comment);
+      INSERT INTO reviews_fts (rowid, title, comment) VALUES (new.rowid, new.title, new.comment);
+    END;
+
+    CREATE TRIGGER review_changes_after_insert AFTER INSERT ON reviews BEGIN
+      DELETE FROM review_changes WHERE workspaceId = new.workspaceId AND reviewId = new.id;
+      INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+      VALUES (new.workspaceId, new.id, CASE WHEN new.deletedAt IS NULL THEN 'upsert' ELSE 'delete' END,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+
+    CREATE TRIGGER review_changes_after_update AFTER UPDATE ON reviews BEGIN
+      DELETE FROM review_changes WHERE workspaceId = old.workspaceId AND reviewId = old.id;
+      INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+      VALUES (new.workspaceId, new.id, CASE WHEN new.deletedAt IS NULL THEN 'upsert' ELSE 'delete' END,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+
+    CREATE TRIGGER review_changes_after_delete AFTER DELETE ON reviews BEGIN
+      DELETE FROM review_changes WHERE workspaceId = old.workspaceId AND reviewId = old.id;
+      INSERT INTO review_changes (workspaceId, reviewId, operation, changedAt)
+      VALUES (old.workspaceId, old.id, 'delete', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+  `);
+
+  db.exec(`INSERT INTO reviews_fts (reviews_fts) VALUES ('rebuild')`);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  rebuildReviewsTable(db, {
+    surveyColumn: `
+      surveyType TEXT NOT NULL DEFAULT 'csat' CHECK (surveyType IN ('csat', 'nps', 'ces')),`,
+    ratingCheck: `(surveyType = 'csat' AND rating BETWEEN 1 AND 5)
+        OR (surveyType = 'nps' AND rating BETWEEN 0 AND 10)
+        OR (surveyType = 'ces' AND rating BETWEEN 1 AND 7)`
+  });
+
+  db.exec('CREATE INDEX idx_reviews_surveyType ON reviews(workspaceId, surveyType, createdAt)');
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  // NPS and CES ratings have no 1-5 equivalent; refuse rather than guess
+  const { surveys } = db.prepare("SELECT COUNT(*) as surveys FROM reviews WHERE surveyType != 'csat'").get();
+  if (surveys > 0) {
+    throw new Error(`Cannot roll back survey types: ${surveys} NPS or CES reviews exist; delete or purge them first`);
+  }
+
+  rebuildReviewsTable(db, {
+    surveyColumn: '',
+    ratingCheck: 'rating >= 1 AND rating <= 5'
+  });
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Migration 015: Alert rules and alerts
+ *
+ * Alert rules of a workspace watch a satisfaction metric (threshold,
+ * rolling z-score or percent change over a window of time buckets) and are
+ * evaluated on a schedule. lastBucketStart is the latest bucket a rule was
+ * evaluated for, so every complete bucket is evaluated once. Triggered
+ * alerts stay 'open' until acknowledged and then 'resolved'; while a rule
+ * has an unresolved alert, further triggers are counted on it.
+ */
+
+export const name = 'alerts';
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      name TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('threshold', 'zscore', 'percent_change')),
+      operator TEXT NOT NULL CHECK (operator IN ('above', 'below')),
+      threshold REAL NOT NULL,
+      windowSize INTEGER NOT NULL,
+      granularity TEXT NOT NULL,
+      timeZone TEXT NOT NULL DEFAULT 'UTC',
+      minReviews INTEGER NOT NULL DEFAULT 1,
+      channels TEXT NOT NULL DEFAULT '["log"]',
+      active INTEGER NOT NULL DEFAULT 1,
+      lastBucketStart TEXT,
+      lastEvaluatedAt TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_workspaceId ON alert_rules(workspaceId);
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_active ON alert_rules(active);
+
+    CREATE TABLE IF NOT EXISTS alerts (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      ruleId TEXT NOT NULL,
+      ruleName TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+      value REAL,
+      baseline REAL,
+      score REAL,
+      threshold REAL NOT NULL,
+      bucketStart TEXT NOT NULL,
+      bucketEnd TEXT NOT NULL,
+      message TEXT NOT NULL,
+      occurrences INTEGER NOT NULL DEFAULT 1,
+      triggeredAt TEXT NOT NULL,
+      lastTriggeredAt TEXT NOT NULL,
+      acknowledgedAt TEXT,
+      acknowledgedBy TEXT,
+      resolvedAt TEXT,
+      resolvedBy TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alerts_workspace_status ON alerts(workspaceId, status, triggeredAt);
+    CREATE INDEX IF NOT EXISTS idx_alerts_ruleId ON alerts(ruleId, status);
+  `);
+}
+
+/**
+ * @param {Database} db - SQLite database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS alerts;
+    DROP TABLE IF EXISTS alert_rules;
+  `);
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Registry of schema migrations
+ * 
+ * Migrations are applied in ascending version order. To change the schema,
+ * add a new numbered file exporting `name`, `up(db)` and `down(db)` and
+ * register it here; never edit a migration that has already been released.
+ */
+
+import * as initialSchema from './001_initial_schema.js';
+import * as activityEvents from './002_activity_events.js';
+import * as reviewsFts from './003_reviews_fts.js';
+import * as reviewRevisions from './004_review_revisions.js';
+import * as softDelete from './005_soft_delete.js';
+import * as moderation from './006_moderation.js';
+import * as apiKeys from './007_api_keys.js';
+import * as workspaces from './008_workspaces.js';
+import * as webhooks from './009_webhooks.js';
+import * as reviewEvents from './010_review_events.js';
+import * as reviewChanges from './011_review_changes.js';
+import * as exportJobs from './012_export_jobs.js';
+import * as exportManifests from './013_export_manifests.js';
+import * as surveyTypes from './014_survey_types.js';
+import * as alerts from './015_alerts.js';
+
+export const migrations = [
+  { version: 1, ...initialSchema },
+  { version: 2, ...activityEvents },
+  { version: 3, ...reviewsFts },
+  { version: 4, ...reviewRevisions },
+  { version: 5, ...softDelete },
+  { version: 6, ...moderation },
+  { version: 7, ...apiKeys },
+  { version: 8, ...workspaces },
+  { version: 9, ...webhooks },
+  { version: 10, ...reviewEvents },
+  { version: 11, ...reviewChanges },
+  { version: 12, ...exportJobs },
+  { version: 13, ...exportManifests },
+  { version: 14, ...surveyTypes },
+  { version: 15, ...alerts }
+];
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Schema migration runner
+ *
+ * Applies the numbered migrations registered in ./migrations/index.js and
+ * records each applied version in the schema_migrations table. Every
+ * migration runs in its own transaction together with its bookkeeping row,
+ * so a failing migration leaves the database at the previous version.
+ */
+
+import Database from 'better-sqlite3';
+import { migrations } from './migrations/index.js';
+
+/**
+ * Create the schema_migrations bookkeeping table if needed
+ *
+ * @param {Database} db - SQLite database instance
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Get applied migrations ordered by version
+ *
+ * @param {Database} db - SQLite database instance
+ * @returns {Array} Array of { version, name, appliedAt } rows
+ */
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Format a migration as its file-style label, e.g. 001_initial_schema
+ *
+ * @param {Object} migration - Migration with version and name
+ * @returns {string} Migration label
+ */
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Get the current schema version (highest applied migration)
+ *
+ * @param {Database} db - SQLite database instance
+ * @returns {number} Current schema version, 0 if no migration was applied
+ */
+export function getSchemaVersion(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_migrations').get().version;
+}
+
+/**
+ * Apply all pending migrations in version order
+ *
+ * @param {Database} db - SQLite database instance
+ * @returns {Array} Labels of the migrations that were applied
+ */
+export function runMigrations(db) {
+  const appliedVersions = new Set(getAppliedMigrations(db).map(migration => migration.version));
+  const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)');
+  const applied = [];
+
+  for (const migration of pending) {
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        recordMigration.run(migration.version, migration.name, new Date().toISOString());
+      })();
+
+      applied.push(formatMigration(migration));
+      console.log(`Applied migration ${formatMigration(migration)}`);
+    } catch (error) {
+      console.error(`Migration ${formatMigration(migration)} failed:`, error);
+      throw error;
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ *
+ * @param {Database} db - SQLite database instance
+ * @param {number} [steps=1] - Number of migrations to roll back
+ * @returns {Array} Labels of the migrations that were rolled back
+ */
+export function rollbackMigrations(db, steps = 1) {
+  const toRollback = getAppliedMigrations(db).reverse().slice(0, steps);
+  const removeMigration = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  const rolledBack = [];
+
+  for (const applied of toRollback) {
+    const migration = migrations.find(candidate => candidate.version === applied.version);
+
+    if (!migration) {
+      throw new Error(`Cannot roll back ${formatMigration(applied)}: migration file not found`);
+    }
+
+    try {
+      db.transaction(() => {
+        migration.down(db);
+        removeMigration.run(migration.version);
+      })();
+
+      rolledBack.push(formatMigration(migration));
+      console.log(`Rolled back migration ${formatMigration(migration)}`);
+    } catch (error) {
+      console.error(`Rollback of ${formatMigration(migration)} failed:`, error);
+      throw error;
+    }
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Get the status of every known and applied migration
+ *
+ * @param {Database} db - SQLite database instance
+ * @returns {Array} Array of { version, name, status, appliedAt } objects where
+ *   status is 'applied', 'pending' or 'missing' (applied but no longer registered)
+ */
+export function getMigrationStatus(db) {
+  const applied = getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(migration => [migration.version, migration]));
+
+  const known = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    status: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+    appliedAt: appliedByVersion.get(migration.version)?.appliedAt || null
+  }));
+
+  const missing = applied
+    .filter(migration => !migrations.some(candidate => candidate.version === migration.version))
+    .map(migration => ({ ...migration, status: 'missing' }));
+
+  return [...known, ...missing].sort((a, b) => a.version - b.version);
+}
+
+// Test the migration runner against an in-memory database
+export function testMigrations() {
+  try {
+    const db = new Database(':memory:');
+    const latestVersion = migrations[migrations.length - 1].version;
+
+    runMigrations(db);
+    console.assert(getSchemaVersion(db) === latestVersion, 'All migrations should be applied');
+    console.assert(getMigrationStatus(db).every(migration => migration.status === 'applied'),
+      'Status should report every migration as applied');
+    console.assert(runMigrations(db).length === 0, 'Running migrations twice should be a no-op');
+
+    rollbackMigrations(db, 1);
+    console.assert(getSchemaVersion(db) === latestVersion - 1, 'Rollback should undo the latest migration');
+
+    rollbackMigrations(db, migrations.length);
+    const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'schema_migrations' AND name NOT LIKE 'sqlite_%'`).all();
+    console.assert(tables.length === 0, 'Rolling back everything should drop all tables');
+
+    runMigrations(db);
+    console.assert(getSchemaVersion(db) === latestVersion, 'Migrations should re-apply after a full rollback');
+
+    db.close();
+    console.log('Migration tests passed');
+    return true;
+  } catch (error) {
+    console.error('Migration test failed:', error);
+    return false;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Purge trash script
+ * 
+ * Permanently removes reviews that have been in the trash longer than the
+ * retention period.
+ * 
+ * Usage: node src/data/purgeTrash.js [retentionDays]
+ * (defaults to TRASH_RETENTION_DAYS or 30 days)
+ */
+
+import { closeDatabase } from './database.js';
+import { getTrashRetentionDays, purgeExpiredTrash } from '../services/trashPurgeService.js';
+
+function main() {
+  try {
+    const retentionDays = process.argv[2] !== undefined ? parseFloat(process.argv[2]) : getTrashRetentionDays();
+    
+    if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+      throw new Error('retentionDays must be a non-negative number');
+    }
+    
+    const purged = purgeExpiredTrash(retentionDays);
+    console.log(`✅ Purged ${purged} reviews from the trash (retention: ${retentionDays} days)`);
+  } catch (error) {
+    console.error('❌ Error purging trash:', error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+main();
\ No newline at end of file
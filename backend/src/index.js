@@ -2,43 +2,92 @@ import express from "express";
 import cors from "cors";
 import reviewsRouter from "./routes/reviews.js";
 import exportRouter from "./routes/export.js";
+import exportJobsRouter from "./routes/exportJobs.js";
 import metricsRouter from "./routes/metrics.js";
 import usageRouter from "./routes/usage.js";
+import apiKeysRouter from "./routes/apiKeys.js";
+import workspacesRouter from "./routes/workspaces.js";
+import webhooksRouter from "./routes/webhooks.js";
+import importRouter from "./routes/import.js";
+import alertsRouter from "./routes/alerts.js";
+import { trackSession } from "./services/activityService.js";
+import { startTrashPurgeSchedule } from "./services/trashPurgeService.js";
+import { startWebhookDeliveryWorker } from "./services/webhookService.js";
+import { startReviewEventPruning } from "./services/reviewEventService.js";
+import { startExportJobScheduler } from "./services/exportJobService.js";
+import { startExportManifestPruning } from "./services/exportManifestService.js";
+import { startAlertEvaluator } from "./services/alertService.js";
+import { authenticate, requirePermission, isAuthDisabled } from "./services/apiKeyService.js";
+import { resolveWorkspace } from "./services/workspaceService.js";
 
 const app = express();
 const port = 2509;
 
 // Middleware
+// CORS_ORIGINS restricts browser access to a comma-separated list of origins
 app.use(
   cors({
-    origin: "*",
+    origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim()) : "*",
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Actor", "X-Workspace-Id", "Last-Event-ID"],
+    // Export manifest headers, readable by browser-based loaders
+    exposedHeaders: ["X-Export-Id", "X-Export-Schema-Version", "X-Export-Rows", "X-Export-Min-Updated-At", "X-Export-Max-Updated-At", "Link"],
   }),
 );
 
+// Every API request needs an API key; its role decides what it may do.
+// Runs before the body parsers so unauthenticated uploads are not read
+app.use("/api", authenticate);
+
+// Import uploads are read raw (up to IMPORT_MAX_SIZE, default 20mb) and
+// parsed by the import route; the JSON parser below skips them
+const workspacePaths = (name) => [`/api/${name}`, `/api/workspaces/:workspaceId/${name}`];
+app.use(workspacePaths("import"), express.raw({ type: () => true, limit: process.env.IMPORT_MAX_SIZE || "20mb" }));
+
 // Parse JSON bodies
 app.use(express.json());
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
 
+// Workspace-scoped routes, available at /api/<name> (workspace from the
+// X-Workspace-Id header or the default workspace) and at
+// /api/workspaces/:workspaceId/<name> (session tracking feeds the activity metrics)
+app.use(workspacePaths("reviews"), resolveWorkspace, trackSession, reviewsRouter);
+app.use(workspacePaths("export/jobs"), resolveWorkspace, requirePermission("export"), exportJobsRouter);
+app.use(workspacePaths("export"), resolveWorkspace, requirePermission("export"), trackSession, exportRouter);
+app.use(workspacePaths("metrics"), resolveWorkspace, requirePermission("read"), metricsRouter);
+app.use(workspacePaths("usage"), resolveWorkspace, requirePermission("read"), trackSession, usageRouter);
+app.use(workspacePaths("alerts"), resolveWorkspace, requirePermission("read"), alertsRouter);
+app.use(workspacePaths("webhooks"), resolveWorkspace, requirePermission("webhooks"), webhooksRouter);
+app.use(workspacePaths("import"), resolveWorkspace, trackSession, importRouter);
+
 // Routes
-app.use("/api/reviews", reviewsRouter);
-app.use("/api/export", exportRouter);
-app.use("/api/metrics", metricsRouter);
-app.use("/api/usage", usageRouter);
+app.use("/api/workspaces", workspacesRouter);
+app.use("/api/keys", requirePermission("admin"), apiKeysRouter);
 
 // Root endpoint
 app.get("/", (req, res) => {
   res.send(`
     <h1>Customer Satisfaction System API</h1>
     <h2>Available Endpoints:</h2>
+    <p>All /api endpoints require an API key in the <code>X-API-Key</code> header.</p>
+    <p>Reviews, export, metrics, usage and webhook endpoints use the workspace in the <code>X-Workspace-Id</code> header
+    (default: <code>default</code>) and are also available under <code>/api/workspaces/:workspaceId</code>,
+    e.g. <code>/api/workspaces/acme/reviews</code>.</p>
     <h3>Reviews</h3>
     <ul>
       <li><strong>GET /api/reviews</strong> - Get all reviews</li>
       <li><strong>GET /api/reviews/:id</strong> - Get review by ID</li>
       <li><strong>POST /api/reviews</strong> - Create new review</li>
       <li><strong>PUT /api/reviews/:id</strong> - Update review</li>
-      <li><strong>DELETE /api/reviews/:id</strong> - Delete review</li>
+      <li><strong>DELETE /api/reviews/:id</strong> - Move review to the trash</li>
+      <li><strong>GET /api/reviews/trash</strong> - Get reviews in the trash</li>
+      <li><strong>POST /api/reviews/:id/restore</strong> - Restore review from the trash</li>
+      <li><strong>GET /api/reviews/queue</strong> - Get the moderation queue</li>
+      <li><strong>GET /api/reviews/stream</strong> - Server-Sent Events stream of review changes and live KPIs</li>
+      <li><strong>POST /api/reviews/:id/approve|reject|flag|spam</strong> - Moderate review</li>
+      <li><strong>GET /api/reviews/:id/history</strong> - Get review revision history</li>
+      <li><strong>POST /api/reviews/:id/revert/:revisionId</strong> - Revert review to a revision</li>
     </ul>
     <h3>Database Export (Data Warehouse)</h3>
     <ul>
@@ -46,12 +95,27 @@ app.get("/", (req, res) => {
       <li>- Accept: application/json → JSON format</li>
       <li>- Accept: text/csv → CSV format</li>
       <li>- Accept: application/xml → XML format</li>
+      <li>- Accept: application/x-ndjson → NDJSON (JSON Lines) format, with the filters of /api/export/json</li>
+      <li><strong>GET /api/export/changes?since=cursor</strong> - Reviews changed since a cursor, with tombstones for deletes</li>
     </ul>
     <h3>Legacy Export Endpoints</h3>
     <ul>
       <li><strong>GET /api/export/csv</strong> - Export reviews as CSV</li>
       <li><strong>GET /api/export/json</strong> - Export reviews as JSON</li>
+      <li><strong>GET /api/export/xlsx</strong> - Export reviews as an Excel workbook (Reviews and Summary sheets)</li>
       <li><strong>GET /api/export/summary</strong> - Get summary statistics</li>
+      <li><strong>GET /api/export/manifest/:exportId</strong> - Integrity manifest of an export (SHA-256, rows, schema version, updatedAt range, filters)</li>
+    </ul>
+    <h3>Scheduled Exports</h3>
+    <ul>
+      <li><strong>GET /api/export/jobs</strong> - List export jobs with their status and recent runs</li>
+      <li><strong>POST /api/export/jobs</strong> - Create a cron-scheduled export job</li>
+      <li><strong>GET /api/export/jobs/:id/runs</strong> - Get the run history of an export job</li>
+      <li><strong>POST /api/export/jobs/:id/run</strong> - Run an export job now</li>
+    </ul>
+    <h3>Bulk Import</h3>
+    <ul>
+      <li><strong>POST /api/import?dryRun=true&amp;onDuplicate=skip|upsert</strong> - Import reviews from a CSV or JSON file</li>
     </ul>
     <h3>Dashboard Metrics</h3>
     <ul>
@@ -63,6 +127,34 @@ app.get("/", (req, res) => {
       <li><strong>GET /api/usage/details</strong> - Get detailed records for data table</li>
       <li><strong>GET /api/usage/summary</strong> - Get usage summary statistics</li>
     </ul>
+    <h3>Alerts</h3>
+    <ul>
+      <li><strong>GET /api/alerts</strong> - List triggered alerts</li>
+      <li><strong>POST /api/alerts/:id/acknowledge|resolve</strong> - Acknowledge or resolve alert (moderator)</li>
+      <li><strong>GET /api/alerts/rules</strong> - List alert rules</li>
+      <li><strong>POST /api/alerts/rules</strong> - Create threshold, z-score or percent change alert rule (moderator)</li>
+      <li><strong>POST /api/alerts/rules/:id/evaluate</strong> - Evaluate alert rule now (moderator)</li>
+    </ul>
+    <h3>Workspaces</h3>
+    <ul>
+      <li><strong>GET /api/workspaces</strong> - List workspaces</li>
+      <li><strong>POST /api/workspaces</strong> - Create workspace (admin)</li>
+    </ul>
+    <h3>Webhooks (admin)</h3>
+    <ul>
+      <li><strong>GET /api/webhooks</strong> - List webhooks</li>
+      <li><strong>POST /api/webhooks</strong> - Create webhook</li>
+      <li><strong>GET /api/webhooks/:id</strong> - Get webhook</li>
+      <li><strong>PUT /api/webhooks/:id</strong> - Update webhook</li>
+      <li><strong>DELETE /api/webhooks/:id</strong> - Delete webhook</li>
+      <li><strong>GET /api/webhooks/:id/deliveries</strong> - Get webhook delivery log</li>
+    </ul>
+    <h3>API Keys (admin)</h3>
+    <ul>
+      <li><strong>GET /api/keys</strong> - List API keys</li>
+      <li><strong>POST /api/keys</strong> - Create API key</li>
+      <li><strong>DELETE /api/keys/:id</strong> - Revoke API key</li>
+    </ul>
   `);
 });
 
@@ -86,4 +178,26 @@ app.use((req, res) => {
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
   console.log('API Documentation available at http://localhost:' + port);
+
+  if (isAuthDisabled()) {
+    console.warn('WARNING: API key authentication is disabled (AUTH_DISABLED=true)');
+  }
+
+  // Permanently remove reviews that stayed in the trash past the retention period
+  startTrashPurgeSchedule();
+
+  // Send queued webhook deliveries and retry failed ones
+  startWebhookDeliveryWorker();
+
+  // Keep the review event log (used to resume event streams) bounded
+  startReviewEventPruning();
+
+  // Write scheduled export files
+  startExportJobScheduler();
+
+  // Expire the manifests of streamed exports
+  startExportManifestPruning();
+
+  // Evaluate alert rules against the metrics series and deliver triggered alerts
+  startAlertEvaluator();
 });
@@ -5,26 +5,142 @@
  * - id: unique identifier (string, PRIMARY KEY)
  * - customerId: customer identifier (string, NOT NULL)
  * - customerName: customer's name (string, NOT NULL)
- * - rating: review rating from 1-5 (number, CHECK constraint)
+ * - surveyType: 'csat', 'nps' or 'ces' (string, CHECK constraint, default 'csat')
+ * - rating: review rating, in the range of the survey type (number, CHECK constraint)
  * - title: review title (string, NOT NULL)
  * - comment: review text (string, NOT NULL)
  * - createdAt: creation timestamp (ISO string, NOT NULL)
  * - updatedAt: last update timestamp (ISO string, NOT NULL)
- * - status: review status - 'pending', 'approved', 'rejected' (string, CHECK constraint)
+ * - status: review status - 'pending', 'approved', 'rejected', 'flagged', 'spam' (string, CHECK constraint)
+ * - moderationReason: why the review was rejected, flagged or marked as spam (string, nullable)
+ * - moderatedBy: who last changed the status (string, nullable)
+ * - moderatedAt: when the status was last changed (ISO string, nullable)
+ * - deletedAt: when the review was moved to the trash (ISO string, nullable)
  */
 
 import { v4 as uuidv4 } from 'uuid';
 
+// Valid review statuses (see services/moderationService.js for allowed transitions)
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged', 'spam'];
+
+// Statuses that can only be set together with a moderationReason
+export const STATUSES_REQUIRING_REASON = ['rejected', 'spam'];
+
+// Fields clients may change in an update; the ID, timestamps and moderator
+// are set by the server
+export const UPDATE_FIELDS = ['customerId', 'customerName', 'surveyType', 'rating', 'title', 'comment', 'status', 'moderationReason'];
+
+// Survey types: customer satisfaction (star rating), Net Promoter Score
+// ("how likely are you to recommend us") and Customer Effort Score ("how
+// easy was it to get your issue resolved")
+export const SURVEY_TYPES = ['csat', 'nps', 'ces'];
+
+// Survey type of reviews that do not give one
+export const DEFAULT_SURVEY_TYPE = 'csat';
+
+// Allowed ratings of each survey type (also enforced by the database)
+export const RATING_RANGES = {
+  csat: { min: 1, max: 5 },
+  nps: { min: 0, max: 10 },
+  ces: { min: 1, max: 7 }
+};
+
+// Lowest positive and highest negative rating of each survey type; ratings
+// in between are neutral. For NPS these are promoters (9-10), passives (7-8)
+// and detractors (0-6); CES asks how easy it was, so high is positive.
+export const RATING_SENTIMENT = {
+  csat: { positive: 4, negative: 2 },
+  nps: { positive: 9, negative: 6 },
+  ces: { positive: 5, negative: 3 }
+};
+
+/**
+ * Gets the sentiment of a rating
+ * 
+ * @param {string} surveyType - Survey type (csat if missing)
+ * @param {number} rating - Rating
+ * @returns {string} 'positive', 'neutral' or 'negative'
+ */
+export function getRatingSentiment(surveyType, rating) {
+  const { positive, negative } = RATING_SENTIMENT[surveyType || DEFAULT_SURVEY_TYPE];
+  if (rating >= positive) return 'positive';
+  if (rating <= negative) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Validates the survey type and the rating of review data
+ * 
+ * The rating must be in the range of the survey type. An update that
+ * changes only one of them is checked against the other's current value.
+ * 
+ * @param {Object} data - Review or update data
+ * @param {Array} errors - Errors array to append to
+ * @param {Object} [current] - Current review, for updates
+ */
+function validateRatingFields(data, errors, current = {}) {
+  if (data.surveyType !== undefined && !SURVEY_TYPES.includes(data.surveyType)) {
+    errors.push(`surveyType must be one of: ${SURVEY_TYPES.join(', ')}`);
+    return;
+  }
+  
+  const surveyType = data.surveyType ?? current.surveyType ?? DEFAULT_SURVEY_TYPE;
+  const rating = data.rating ?? current.rating;
+  const { min, max } = RATING_RANGES[surveyType];
+  
+  if (rating === undefined || (data.rating === undefined && data.surveyType === undefined)) {
+    return;
+  }
+  
+  if (typeof rating !== 'number' || rating < min || rating > max) {
+    errors.push(surveyType === DEFAULT_SURVEY_TYPE
+      ? `rating must be a number between ${min} and ${max}`
+      : `rating must be a number between ${min} and ${max} for ${surveyType} surveys`);
+  }
+}
+
+/**
+ * Validates the status and moderation reason of review data
+ * 
+ * The reason is checked against the resulting review: an update that keeps
+ * a rejected or spam status must keep its reason, and a status change
+ * clears the reason unless the update gives one.
+ * 
+ * @param {Object} data - Review or update data
+ * @param {Array} errors - Errors array to append to
+ * @param {Object} [existingReview] - Review being updated
+ */
+function validateModerationFields(data, errors, existingReview = {}) {
+  if (data.status !== undefined && !REVIEW_STATUSES.includes(data.status)) {
+    errors.push(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+  
+  if (data.moderationReason !== undefined && data.moderationReason !== null &&
+      typeof data.moderationReason !== 'string') {
+    errors.push('moderationReason must be a string');
+  }
+  
+  const status = data.status ?? existingReview.status;
+  const reason = data.moderationReason !== undefined || status !== existingReview.status
+    ? data.moderationReason
+    : existingReview.moderationReason;
+  if (STATUSES_REQUIRING_REASON.includes(status) && (typeof reason !== 'string' || !reason.trim())) {
+    errors.push(`moderationReason is required when status is ${status}`);
+  }
+}
+
 /**
  * Creates a new review object with default values
  * 
  * @param {Object} reviewData - Review data
  * @param {string} reviewData.customerId - Customer identifier
  * @param {string} reviewData.customerName - Customer's name
- * @param {number} reviewData.rating - Rating from 1-5
+ * @param {string} [reviewData.surveyType='csat'] - Survey type (csat, nps, ces)
+ * @param {number} reviewData.rating - Rating in the range of the survey type
  * @param {string} reviewData.title - Review title
  * @param {string} reviewData.comment - Review text
  * @param {string} [reviewData.status='pending'] - Review status
+ * @param {string} [reviewData.moderationReason] - Reason for the status
  * @returns {Object} New review object with generated id and timestamps
  */
 export function createReview(reviewData) {
@@ -34,10 +150,12 @@ export function createReview(reviewData) {
     id: uuidv4(),
     customerId: reviewData.customerId,
     customerName: reviewData.customerName,
+    surveyType: reviewData.surveyType || DEFAULT_SURVEY_TYPE,
     rating: reviewData.rating,
     title: reviewData.title,
     comment: reviewData.comment,
     status: reviewData.status || 'pending',
+    moderationReason: reviewData.moderationReason || null,
     createdAt: now,
     updatedAt: now
   };
@@ -84,17 +202,14 @@ export function validateReviewData(reviewData) {
     errors.push('comment is required and must be a string');
   }
   
-  // Rating validation
+  // Rating validation, in the range of the survey type
   if (reviewData.rating === undefined || reviewData.rating === null) {
     errors.push('rating is required');
-  } else if (typeof reviewData.rating !== 'number' || reviewData.rating < 1 || reviewData.rating > 5) {
-    errors.push('rating must be a number between 1 and 5');
   }
+  validateRatingFields(reviewData, errors);
   
-  // Status validation (if provided)
-  if (reviewData.status && !['pending', 'approved', 'rejected'].includes(reviewData.status)) {
-    errors.push('status must be one of: pending, approved, rejected');
-  }
+  // Status and moderation reason validation (if provided)
+  validateModerationFields(reviewData, errors);
   
   return {
     isValid: errors.length === 0,
@@ -106,9 +221,11 @@ export function validateReviewData(reviewData) {
  * Validates review data for updates (all fields optional)
  * 
  * @param {Object} updateData - Update data to validate
+ * @param {Object} [existingReview] - Review being updated, whose survey type,
+ *   rating, status and reason apply when the update leaves them out
  * @returns {Object} Validation result with isValid boolean and errors array
  */
-export function validateUpdateData(updateData) {
+export function validateUpdateData(updateData, existingReview = {}) {
   const errors = [];
   
   // Optional field validations
@@ -128,15 +245,9 @@ export function validateUpdateData(updateData) {
     errors.push('comment must be a string');
   }
   
-  if (updateData.rating !== undefined && 
-      (typeof updateData.rating !== 'number' || updateData.rating < 1 || updateData.rating > 5)) {
-    errors.push('rating must be a number between 1 and 5');
-  }
+  validateRatingFields(updateData, errors, existingReview);
   
-  if (updateData.status !== undefined && 
-      !['pending', 'approved', 'rejected'].includes(updateData.status)) {
-    errors.push('status must be one of: pending, approved, rejected');
-  }
+  validateModerationFields(updateData, errors, existingReview);
   
   return {
     isValid: errors.length === 0,
@@ -170,5 +281,35 @@ export function testReviewModel() {
   console.assert(invalidValidation.isValid === false, 'Invalid review should fail validation');
   console.assert(invalidValidation.errors.length > 0, 'Invalid review should have errors');
   
+  // Test moderation reason requirement
+  const rejectedValidation = validateUpdateData({ status: 'rejected' });
+  console.assert(rejectedValidation.isValid === false, 'Rejecting without a reason should fail validation');
+  const reasonValidation = validateUpdateData({ status: 'rejected', moderationReason: 'Off-topic' });
+  console.assert(reasonValidation.isValid === true, 'Rejecting with a reason should pass validation');
+  console.assert(validateUpdateData({ status: 'flagged' }).isValid === true, 'Flagged should be a valid status');
+  const rejectedReview = { status: 'rejected', moderationReason: 'Off-topic' };
+  console.assert(validateUpdateData({ title: 'New title' }, rejectedReview).isValid, 'Updates should keep the current reason');
+  console.assert(!validateUpdateData({ moderationReason: null }, rejectedReview).isValid,
+    'Updates should not clear the reason of a rejected review');
+  
+  // Test survey types and their rating ranges
+  console.assert(review.surveyType === 'csat', 'Review should default to the csat survey type');
+  console.assert(validateReviewData({ ...validReview, surveyType: 'nps', rating: 0 }).isValid, 'NPS should accept 0');
+  console.assert(validateReviewData({ ...validReview, surveyType: 'nps', rating: 10 }).isValid, 'NPS should accept 10');
+  console.assert(!validateReviewData({ ...validReview, surveyType: 'nps', rating: 11 }).isValid, 'NPS should reject 11');
+  console.assert(validateReviewData({ ...validReview, surveyType: 'ces', rating: 7 }).isValid, 'CES should accept 7');
+  console.assert(!validateReviewData({ ...validReview, rating: 0 }).isValid, 'CSAT should reject 0');
+  console.assert(!validateReviewData({ ...validReview, surveyType: 'stars' }).isValid, 'Unknown survey types should be rejected');
+  const npsReview = { surveyType: 'nps', rating: 9 };
+  console.assert(validateUpdateData({ rating: 10 }, npsReview).isValid, 'Updates should use the current survey type');
+  console.assert(!validateUpdateData({ surveyType: 'csat' }, npsReview).isValid,
+    'Changing the survey type should check the current rating');
+  console.assert(validateUpdateData({ surveyType: 'csat', rating: 4 }, npsReview).isValid,
+    'Changing the survey type with a rating in range should pass');
+  console.assert(getRatingSentiment('nps', 9) === 'positive' && getRatingSentiment('nps', 7) === 'neutral' &&
+    getRatingSentiment('nps', 6) === 'negative', 'NPS sentiment should follow promoters, passives and detractors');
+  console.assert(getRatingSentiment(undefined, 3) === 'neutral' && getRatingSentiment('ces', 2) === 'negative',
+    'Sentiment should depend on the survey type');
+  
   console.log('Review model tests passed!');
 }
\ No newline at end of file
@@ -0,0 +1,364 @@
+/**
+ * Alert routes
+ *
+ * Provides REST API endpoints for the alert rules of a workspace and the
+ * alerts they trigger (see services/alertService.js). Reading needs the
+ * read permission; acknowledging and resolving alerts and creating,
+ * changing, deleting and evaluating rules needs the moderate permission, so
+ * workspace-bound keys can manage the alerts of their own workspace:
+ * - GET /api/alerts - List alerts
+ * - GET /api/alerts/:id - Get an alert
+ * - POST /api/alerts/:id/acknowledge - Acknowledge an open alert
+ * - POST /api/alerts/:id/resolve - Resolve an alert
+ * - GET /api/alerts/rules - List alert rules
+ * - POST /api/alerts/rules - Create an alert rule
+ * - GET /api/alerts/rules/:id - Get an alert rule
+ * - PUT /api/alerts/rules/:id - Update an alert rule
+ * - DELETE /api/alerts/rules/:id - Delete an alert rule and its alerts
+ * - POST /api/alerts/rules/:id/evaluate - Evaluate an alert rule now
+ */
+
+import express from 'express';
+import { requirePermission, getActor } from '../services/apiKeyService.js';
+import {
+  getAlerts,
+  getAlertById,
+  setAlertStatus,
+  getAlertRules,
+  getAlertRuleById,
+  createAlertRule,
+  updateAlertRuleById,
+  deleteAlertRuleById,
+  evaluateAlertRule,
+  validateAlertRuleData,
+  ALERT_STATUSES,
+  ALERT_TRANSITIONS
+} from '../services/alertService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/alerts/rules
+ * List the alert rules of the workspace
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await getAlertRules(req.workspaceId);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error listing alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule
+ *
+ * Required body fields:
+ * - name: string
+ * - metric: string - averageRating, lowRatingShare, fiveStarShare or reviewsSubmitted
+ * - type: string - threshold, zscore or percent_change
+ * - operator: string - above or below
+ * - threshold: number - metric value (threshold), standard deviations
+ *   (zscore) or percent (percent_change)
+ *
+ * Optional body fields:
+ * - window: number - buckets before the evaluated one that zscore and
+ *   percent_change rules compare with (default 7)
+ * - granularity: string - hour, day, week, month or quarter (default day)
+ * - timeZone: string - IANA time zone of the buckets (default UTC)
+ * - minReviews: number - CSAT reviews a bucket needs for rating metrics (default 1)
+ * - channels: array - webhook and/or log (default ['log'])
+ * - active: boolean - defaults to true
+ */
+router.post('/rules', requirePermission('moderate'), async (req, res) => {
+  try {
+    const validation = validateAlertRuleData(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const rule = await createAlertRule(req.workspaceId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/rules/:id
+ * Get an alert rule
+ */
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const rule = await getAlertRuleById(req.workspaceId, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error getting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Update an alert rule
+ *
+ * Optional body fields (any combination): name, metric, type, operator,
+ * threshold, window, granularity, timeZone, minReviews, channels, active
+ */
+router.put('/rules/:id', requirePermission('moderate'), async (req, res) => {
+  try {
+    const existingRule = await getAlertRuleById(req.workspaceId, req.params.id);
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    const validation = validateAlertRuleData(req.body || {}, existingRule);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const rule = await updateAlertRuleById(req.workspaceId, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule and its alerts
+ */
+router.delete('/rules/:id', requirePermission('moderate'), async (req, res) => {
+  try {
+    const deleted = await deleteAlertRuleById(req.workspaceId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/rules/:id/evaluate
+ * Evaluate an alert rule for its latest complete bucket now, even if the
+ * scheduler has evaluated that bucket already
+ *
+ * Responds with the evaluation: the bucket, the value, baseline and score,
+ * whether the rule triggered and the alert it opened or updated.
+ */
+router.post('/rules/:id/evaluate', requirePermission('moderate'), async (req, res) => {
+  try {
+    const rule = await getAlertRuleById(req.workspaceId, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    const evaluation = await evaluateAlertRule(rule, { force: true });
+
+    res.json({
+      success: true,
+      data: evaluation
+    });
+  } catch (error) {
+    console.error('Error evaluating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/alerts
+ * List the alerts of the workspace, newest first
+ *
+ * Query parameters:
+ * - status: Filter by status (open, acknowledged, resolved)
+ * - ruleId: Filter by alert rule
+ * - limit: Limit number of results
+ * - offset: Offset for pagination
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.status && !ALERT_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`status must be one of: ${ALERT_STATUSES.join(', ')}`]
+      });
+    }
+
+    const result = await getAlerts(req.workspaceId, {
+      status: req.query.status,
+      ruleId: req.query.ruleId,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error listing alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get an alert
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await getAlertById(req.workspaceId, req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    console.error('Error getting alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Create the handler of an alert status action
+ *
+ * The actor is recorded as acknowledgedBy or resolvedBy. Responds with 409
+ * if the alert cannot move to the status (e.g. it is already resolved).
+ *
+ * @param {string} status - Status the action moves the alert to
+ * @returns {Function} Express route handler
+ */
+function alertStatusHandler(status) {
+  return async (req, res) => {
+    try {
+      const alert = await getAlertById(req.workspaceId, req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          error: 'Alert not found'
+        });
+      }
+
+      if (!ALERT_TRANSITIONS[alert.status].includes(status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Alert is already ${alert.status}`
+        });
+      }
+
+      const updated = await setAlertStatus(req.workspaceId, alert.id, status, getActor(req));
+
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error(`Error setting alert status to ${status}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Acknowledge an open alert
+ */
+router.post('/:id/acknowledge', requirePermission('moderate'), alertStatusHandler('acknowledged'));
+
+/**
+ * POST /api/alerts/:id/resolve
+ * Resolve an open or acknowledged alert
+ */
+router.post('/:id/resolve', requirePermission('moderate'), alertStatusHandler('resolved'));
+
+export default router;
\ No newline at end of file
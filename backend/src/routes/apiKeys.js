@@ -0,0 +1,112 @@
+/**
+ * API key management routes (admin role only)
+ * 
+ * Provides REST API endpoints for managing API keys:
+ * - GET /api/keys - List API keys (without the keys themselves)
+ * - POST /api/keys - Create an API key; the plaintext key is only returned here
+ * - DELETE /api/keys/:id - Revoke an API key
+ * 
+ * Keys can also be managed offline with npm run apikey.
+ */
+
+import express from 'express';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  validateApiKeyData
+} from '../services/apiKeyService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/keys
+ * List all API keys
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await listApiKeys();
+    
+    res.json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Create an API key
+ * 
+ * Required body fields:
+ * - name: string - owner or integration using the key
+ * - role: string (viewer, exporter, moderator, admin)
+ * 
+ * Optional body fields:
+ * - workspaceId: string - bind the key to this workspace
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateApiKeyData(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    const apiKey = await createApiKey({
+      name: req.body.name,
+      role: req.body.role,
+      workspaceId: req.body.workspaceId ?? null
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke an API key
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
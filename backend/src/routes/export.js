@@ -4,223 +4,532 @@
  * Acts as a database export wrapper that respects Accept headers.
  * Main endpoint: GET /api/export - Returns entire database in requested format
  * Legacy endpoints maintained for backwards compatibility
+ * 
+ * Exports are streamed: rows are read from a database cursor and written to
+ * the response (chunked) as they are serialized, so memory use does not
+ * grow with the size of the table. Responses are compressed with br or gzip
+ * when the client's Accept-Encoding allows it.
+ * 
+ * Every export has an integrity manifest (see exportManifestService). Its
+ * ID, schema version, row count and updatedAt range are sent as response
+ * headers; the SHA-256 checksum follows as a trailer and, once the export
+ * is complete, in the manifest served by GET /api/export/manifest/:exportId.
  */
 
 import express from 'express';
-import { getAllReviews, getReviewsWithFilters } from '../services/dataService.js';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { openReviewCursor } from '../services/dataService.js';
+import { trackQuery } from '../services/activityService.js';
+import { getReviewChanges, MAX_CHANGES_LIMIT } from '../services/reviewChangeService.js';
+import { writeReviewWorkbook } from '../services/xlsxExportService.js';
+import {
+  createChecksumStream,
+  buildExportManifest,
+  saveExportManifest,
+  getExportManifest
+} from '../services/exportManifestService.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  EXPORT_COLUMNS,
+  EXPORT_SCHEMA_VERSION,
+  csvFormat,
+  xmlFormat,
+  jsonFormat,
+  ndjsonFormat,
+  serializeRows,
+  parseExportOptions,
+  getExportSummary
+} from '../services/exportService.js';
 
 const router = express.Router();
 
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Media types of newline-delimited JSON (JSON Lines)
+const NDJSON_TYPES = ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'];
+
+// Formats of GET /api/export and their media types, in order of preference
+// when the client accepts several equally (e.g. */*)
+const EXPORT_MEDIA_TYPES = [
+  { format: 'json', types: ['application/json'] },
+  { format: 'csv', types: ['text/csv', 'application/csv'] },
+  { format: 'xml', types: ['application/xml', 'text/xml'] },
+  { format: 'ndjson', types: NDJSON_TYPES },
+  { format: 'xlsx', types: [XLSX_TYPE] }
+];
+
 /**
- * GET /api/export
- * Main database export endpoint for Data Warehouse Systems
+ * Parses a header with quality values (Accept, Accept-Encoding)
  * 
- * Respects Accept header to determine output format:
- * - application/json -> JSON format
- * - text/csv or application/csv -> CSV format  
- * - application/xml or text/xml -> XML format
- * - Default: JSON format
+ * Elements with a malformed q parameter are left out. Other parameters,
+ * such as charset, are ignored.
  * 
- * Returns the entire reviews database in the requested format
+ * @param {string} header - Header value, e.g. 'text/csv;q=0.9, *\/*;q=0.1'
+ * @returns {Array} Elements as { value, q }, in header order
  */
-router.get('/', async (req, res) => {
-  try {
-    const allReviews = await getAllReviews();
-    const acceptHeader = req.get('Accept');
-    const format = parseAcceptHeader(acceptHeader);
+function parseQualityList(header) {
+  const elements = [];
+  
+  for (const part of header.toLowerCase().split(',')) {
+    const [value, ...params] = part.split(';').map(item => item.trim());
+    if (!value) continue;
     
-    switch (format) {
-      case 'csv':
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', 'attachment; filename=database_export.csv');
-        res.send(convertToCSV(allReviews));
-        break;
-        
-      case 'xml':
-        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
-        res.setHeader('Content-Disposition', 'attachment; filename=database_export.xml');
-        res.send(convertToXML(allReviews));
-        break;
-        
-      case 'json':
-      default:
-        res.setHeader('Content-Type', 'application/json; charset=utf-8');
-        res.json({
-          metadata: {
-            exportDate: new Date().toISOString(),
-            totalRecords: allReviews.length,
-            format: 'json',
-            source: 'customer_satisfaction_database'
-          },
-          data: allReviews
-        });
-        break;
-    }
-  } catch (error) {
-    console.error('Database export error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database export failed',
-      details: error.message
-    });
+    const qParam = params.find(param => /^q\s*=/.test(param));
+    const qValue = qParam ? qParam.slice(qParam.indexOf('=') + 1).trim() : '1';
+    // RFC 9110: a number from 0 to 1 with at most three decimals
+    if (!/^(0(\.\d{0,3})?|1(\.0{0,3})?)$/.test(qValue)) continue;
+    
+    elements.push({ value, q: parseFloat(qValue) });
   }
-});
+  
+  return elements;
+}
 
 /**
- * Converts reviews array to CSV format
+ * Picks the response compression from an Accept-Encoding header
  * 
- * @param {Array} reviews - Array of review objects
- * @returns {string} CSV formatted string
+ * @param {string} acceptEncoding - Accept-Encoding header from request
+ * @returns {string|null} 'br', 'gzip' or null (no compression)
  */
-function convertToCSV(reviews) {
-  if (reviews.length === 0) {
-    return 'id,customerId,customerName,rating,title,comment,status,createdAt,updatedAt\n';
-  }
+function negotiateEncoding(acceptEncoding) {
+  if (!acceptEncoding) return null;
   
-  // CSV headers
-  const headers = [
-    'id',
-    'customerId',
-    'customerName', 
-    'rating',
-    'title',
-    'comment',
-    'status',
-    'createdAt',
-    'updatedAt'
-  ];
+  const weights = {};
+  for (const { value, q } of parseQualityList(acceptEncoding)) {
+    weights[value] = q;
+  }
   
-  // Create CSV content
-  const csvContent = [
-    headers.join(','),
-    ...reviews.map(review => [
-      `"${review.id}"`,
-      `"${review.customerId}"`,
-      `"${review.customerName}"`,
-      review.rating,
-      `"${review.title.replace(/"/g, '""')}"`, // Escape quotes in title
-      `"${review.comment.replace(/"/g, '""')}"`, // Escape quotes in comment
-      `"${review.status}"`,
-      `"${review.createdAt}"`,
-      `"${review.updatedAt}"`
-    ].join(','))
-  ].join('\n');
+  // Prefer br over gzip when both are equally acceptable
+  let best = null;
+  for (const coding of ['br', 'gzip']) {
+    const weight = weights[coding] ?? weights['*'] ?? 0;
+    if (weight > 0 && (!best || weight > best.weight)) {
+      best = { coding, weight };
+    }
+  }
   
-  return csvContent;
+  return best ? best.coding : null;
+}
+
+/**
+ * Creates the compression stream for an encoding
+ * 
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Transform} Compression stream
+ */
+function createCompressor(encoding) {
+  if (encoding === 'br') {
+    // Quality 4 keeps brotli fast enough to compress a stream on the fly
+    return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } });
+  }
+  return zlib.createGzip();
+}
+
+/**
+ * Sets the manifest headers of an export, which are known before its body
+ * 
+ * The SHA-256 checksum of the payload is announced as a trailer, sent after
+ * the body. Trailers need a chunked response, so HEAD and HTTP/1.0
+ * requests only get the manifest endpoint.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} cursor - Cursor from openReviewCursor
+ * @param {string} exportId - Export ID
+ */
+function setManifestHeaders(req, res, cursor, exportId) {
+  res.setHeader('X-Export-Id', exportId);
+  res.setHeader('X-Export-Schema-Version', EXPORT_SCHEMA_VERSION);
+  res.setHeader('X-Export-Rows', cursor.rowCount);
+  if (cursor.rowCount > 0) {
+    res.setHeader('X-Export-Min-Updated-At', cursor.minUpdatedAt);
+    res.setHeader('X-Export-Max-Updated-At', cursor.maxUpdatedAt);
+  }
+  res.setHeader('Link', `<${req.baseUrl}/manifest/${exportId}>; rel="describedby"`);
+  if (req.method !== 'HEAD' && (req.httpVersionMajor > 1 || req.httpVersionMinor >= 1)) {
+    res.setHeader('Trailer', 'X-Export-SHA256');
+  }
 }
 
 /**
- * Converts reviews array to XML format for Data Warehouse Systems
+ * Sends the checksum trailer announced by setManifestHeaders
  * 
- * @param {Array} reviews - Array of review objects
- * @returns {string} XML formatted string
+ * @param {Object} res - Express response
+ * @param {string} sha256 - Checksum of the payload
  */
-function convertToXML(reviews) {
-  const xmlHeader = '<?xml version="1.0" encoding="UTF-8"?>\n';
-  const rootStart = '<reviews>\n';
-  const rootEnd = '</reviews>';
+function addChecksumTrailer(res, sha256) {
+  if (res.hasHeader('Trailer')) {
+    res.addTrailers({ 'X-Export-SHA256': sha256 });
+  }
+}
+
+/**
+ * Stores the manifest of a completed export
+ * 
+ * A failure is only logged: the export itself was delivered.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} manifest - Export manifest
+ */
+function storeManifest(req, manifest) {
+  try {
+    saveExportManifest(req.workspaceId, manifest);
+  } catch (error) {
+    console.error('Error storing export manifest:', error);
+  }
+}
+
+/**
+ * Streams the reviews of a cursor to the response
+ * 
+ * Always closes the cursor, also when the client disconnects early. The
+ * checksum is computed over the uncompressed payload, and the manifest is
+ * stored only when the whole export was sent.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} cursor - Cursor from openReviewCursor
+ * @param {Object} options - Export options
+ * @param {Object} options.format - Export format
+ * @param {string} options.contentType - Content-Type of the response
+ * @param {string} [options.filename] - Download file name (sent as attachment)
+ * @param {string} options.source - Activity source, e.g. 'export.csv'
+ * @param {Function} options.manifest - Builds the export manifest from the payload checksum
+ */
+async function streamExport(req, res, cursor, { format, contentType, filename, source, manifest }) {
+  try {
+    trackQuery(req, source, cursor.total);
+    
+    const encoding = negotiateEncoding(req.get('Accept-Encoding'));
+    res.setHeader('Content-Type', contentType);
+    if (filename) {
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    }
+    res.setHeader('Vary', 'Accept, Accept-Encoding');
+    if (encoding) {
+      res.setHeader('Content-Encoding', encoding);
+    }
+    
+    const body = Readable.from(serializeRows(cursor.rows, format), { objectMode: false });
+    const checksum = createChecksumStream(({ sha256 }) => addChecksumTrailer(res, sha256));
+    await pipeline(body, checksum, ...(encoding ? [createCompressor(encoding)] : []), res);
+    
+    storeManifest(req, manifest(checksum.checksum()));
+  } catch (error) {
+    // A client that disconnects early is not an error
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Error streaming export:', error);
+    }
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Database export failed'
+      });
+    } else {
+      res.destroy();
+    }
+  } finally {
+    cursor.close();
+  }
+}
+
+/**
+ * Sends the reviews matching the export query parameters in a format
+ * 
+ * Shared by GET /api/export and the format endpoints, so filters, fields
+ * and sort work the same way in every format.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} format - 'json', 'csv', 'xml', 'ndjson' or 'xlsx'
+ * @param {Object} [overrides] - Options of the format endpoints
+ * @param {string} [overrides.filename] - Download file name
+ * @param {Function} [overrides.jsonFields] - Builds the fields written before the data array of a
+ *   JSON export from the cursor, filters and export ({ exportId, generatedAt })
+ */
+async function sendExport(req, res, format, { filename, jsonFields } = {}) {
+  const { isValid, errors, options, filters } = parseExportOptions(req.query);
+  if (!isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
   
-  if (reviews.length === 0) {
-    return xmlHeader + rootStart + rootEnd;
+  let cursor;
+  try {
+    cursor = openReviewCursor(req.workspaceId, options);
+  } catch (error) {
+    console.error('Database export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Database export failed',
+      details: error.message
+    });
   }
   
-  const xmlContent = reviews.map(review => {
-    return `  <review>
-    <id>${escapeXML(review.id)}</id>
-    <customerId>${escapeXML(review.customerId)}</customerId>
-    <customerName>${escapeXML(review.customerName)}</customerName>
-    <rating>${review.rating}</rating>
-    <title>${escapeXML(review.title)}</title>
-    <comment>${escapeXML(review.comment)}</comment>
-    <status>${escapeXML(review.status)}</status>
-    <createdAt>${escapeXML(review.createdAt)}</createdAt>
-    <updatedAt>${escapeXML(review.updatedAt)}</updatedAt>
-  </review>`;
-  }).join('\n');
+  const columns = options.fields || EXPORT_COLUMNS;
+  const exportId = uuidv4();
+  const generatedAt = new Date().toISOString();
+  const manifest = checksum => buildExportManifest(
+    { format, cursor, fields: columns, filters, sort: req.query.sort, checksum, generatedAt },
+    { exportId }
+  );
+  
+  setManifestHeaders(req, res, cursor, exportId);
   
-  return xmlHeader + rootStart + xmlContent + '\n' + rootEnd;
+  switch (format) {
+    case 'csv':
+      return streamExport(req, res, cursor, {
+        format: csvFormat(columns),
+        contentType: 'text/csv; charset=utf-8',
+        filename: filename || 'database_export.csv',
+        source: 'export.csv',
+        manifest
+      });
+      
+    case 'xml':
+      return streamExport(req, res, cursor, {
+        format: xmlFormat(columns),
+        contentType: 'application/xml; charset=utf-8',
+        filename: filename || 'database_export.xml',
+        source: 'export.xml',
+        manifest
+      });
+      
+    case 'xlsx':
+      return streamWorkbook(req, res, cursor, filename || 'database_export.xlsx', columns, manifest);
+      
+    case 'ndjson':
+      return streamExport(req, res, cursor, {
+        format: ndjsonFormat(req.query.header === 'true' ? {
+          metadata: {
+            exportId,
+            exportDate: generatedAt,
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            totalRecords: cursor.total,
+            format: 'ndjson',
+            source: 'customer_satisfaction_database',
+            filters
+          }
+        } : null),
+        contentType: 'application/x-ndjson; charset=utf-8',
+        filename: filename || 'database_export.ndjson',
+        source: 'export.ndjson',
+        manifest
+      });
+      
+    case 'json':
+    default:
+      return streamExport(req, res, cursor, {
+        format: jsonFormat(jsonFields ? jsonFields(cursor, filters, { exportId, generatedAt }) : {
+          metadata: {
+            exportId,
+            exportDate: generatedAt,
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            totalRecords: cursor.total,
+            format: 'json',
+            source: 'customer_satisfaction_database',
+            filters
+          }
+        }),
+        contentType: 'application/json; charset=utf-8',
+        filename,
+        source: 'export.json',
+        manifest
+      });
+  }
 }
 
 /**
- * Escapes XML special characters
+ * GET /api/export
+ * Main database export endpoint for Data Warehouse Systems
  * 
- * @param {string} str - String to escape
- * @returns {string} XML-safe string
+ * Respects Accept header to determine output format:
+ * - application/json -> JSON format
+ * - text/csv or application/csv -> CSV format  
+ * - application/xml or text/xml -> XML format
+ * - application/x-ndjson, application/jsonl or application/x-jsonlines -> NDJSON format
+ * - application/vnd.openxmlformats-officedocument.spreadsheetml.sheet -> XLSX workbook
+ * - No Accept header or *\/* -> JSON format
+ * 
+ * Quality values, text/* and *\/* are honored (see parseAcceptHeader). The
+ * format query parameter (json, csv, xml, ndjson, xlsx) overrides the
+ * header. Responds 406 with the supported media types when the client
+ * accepts none of them.
+ * 
+ * Returns the reviews matching the query parameters in the requested format, streamed
+ * and compressed according to Accept-Encoding (br, gzip)
+ * 
+ * Query parameters (every format):
+ * - status: Filter by status, or a comma-separated list of statuses
+ * - rating, minRating, maxRating: Filter by exact rating or rating range (1-5)
+ * - customerId: Filter by customer ID
+ * - startDate, endDate: Created within a date range (ISO dates or timestamps)
+ * - tz: IANA time zone of the dates (default: UTC)
+ * - search: Free text in title and comment, customer name or ID
+ * - fields: Comma-separated columns to export (default: all)
+ * - sort: Comma-separated sort fields, prefix - for descending (default: -createdAt)
+ * - limit, offset: Pagination
+ * 
+ * With header=true the first line of an NDJSON export is
+ * {"metadata": {...}} instead of a review.
  */
-function escapeXML(str) {
-  if (typeof str !== 'string') return str;
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
+router.get('/', async (req, res) => {
+  res.setHeader('Vary', 'Accept');
+  
+  if (req.query.format !== undefined && !EXPORT_FORMATS.includes(req.query.format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [`format must be one of: ${EXPORT_FORMATS.join(', ')}`]
+    });
+  }
+  
+  const format = req.query.format || parseAcceptHeader(req.get('Accept'));
+  if (!format) {
+    const supportedTypes = EXPORT_MEDIA_TYPES.flatMap(({ types }) => types);
+    return res.status(406).json({
+      success: false,
+      error: 'Not Acceptable',
+      details: [`Accept one of: ${supportedTypes.join(', ')}, or set format to one of: ${EXPORT_FORMATS.join(', ')}`],
+      supportedTypes
+    });
+  }
+  
+  return sendExport(req, res, format);
+});
 
 /**
- * Parse Accept header to determine preferred format
+ * Parse Accept header to determine preferred format (RFC 9110 content
+ * negotiation)
+ * 
+ * Each media type takes the quality of the most specific range that matches
+ * it (type/subtype over type/* over *\/*). The format with the highest
+ * quality wins; ties go to the more specific match, then to the range listed
+ * first, then to the order of EXPORT_MEDIA_TYPES. A missing or empty header
+ * accepts everything.
  * 
  * @param {string} acceptHeader - Accept header from request
- * @returns {string} Format: 'json', 'csv', 'xml', or 'json' (default)
+ * @returns {string|null} Format: 'json', 'csv', 'xml', 'ndjson' or 'xlsx', or null if none is acceptable
  */
 function parseAcceptHeader(acceptHeader) {
-  if (!acceptHeader) return 'json';
+  const ranges = parseQualityList(acceptHeader || '*/*')
+    .map(({ value, q }, index) => {
+      const [type, subtype] = value.split('/');
+      return { type, subtype, q, index };
+    })
+    .filter(range => range.subtype);
   
-  const accepts = acceptHeader.toLowerCase().split(',').map(type => type.trim());
+  const isBetter = (a, b) => !b
+    || a.q > b.q
+    || (a.q === b.q && a.specificity > b.specificity)
+    || (a.q === b.q && a.specificity === b.specificity && a.index < b.index);
   
-  // Check for specific formats in order of preference
-  if (accepts.some(type => type.includes('text/csv') || type.includes('application/csv'))) {
-    return 'csv';
-  }
-  if (accepts.some(type => type.includes('application/xml') || type.includes('text/xml'))) {
-    return 'xml';
-  }
-  if (accepts.some(type => type.includes('application/json'))) {
-    return 'json';
+  let best = null;
+  for (const { format, types } of EXPORT_MEDIA_TYPES) {
+    for (const mediaType of types) {
+      const [type, subtype] = mediaType.split('/');
+      
+      let match = null;
+      for (const range of ranges) {
+        const specificity = range.type === type && range.subtype === subtype ? 2
+          : range.type === type && range.subtype === '*' ? 1
+          : range.type === '*' && range.subtype === '*' ? 0
+          : -1;
+        if (specificity >= 0 && (!match || specificity > match.specificity)) {
+          match = { q: range.q, specificity, index: range.index };
+        }
+      }
+      
+      // q=0 means "not acceptable"
+      if (match && match.q > 0 && isBetter(match, best)) {
+        best = { ...match, format };
+      }
+    }
   }
   
-  // Default to JSON for any other case
-  return 'json';
+  return best ? best.format : null;
 }
 
 /**
  * GET /api/export/csv
- * Export reviews as CSV file
+ * Export reviews as CSV file (streamed)
  * 
- * Query parameters (same as reviews endpoint):
- * - status: Filter by status
- * - rating: Filter by rating
- * - customerId: Filter by customer ID
- * - limit: Limit number of results
- * - offset: Offset for pagination
+ * Takes the query parameters of GET /api/export.
  */
 router.get('/csv', async (req, res) => {
-  try {
-    const options = {
-      status: req.query.status,
-      rating: req.query.rating ? parseInt(req.query.rating) : undefined,
-      customerId: req.query.customerId,
-      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
-      offset: req.query.offset ? parseInt(req.query.offset) : undefined
-    };
+  await sendExport(req, res, 'csv', { filename: 'reviews.csv' });
+});
 
-    // Remove undefined values
-    Object.keys(options).forEach(key => {
-      if (options[key] === undefined) {
-        delete options[key];
-      }
-    });
+/**
+ * GET /api/export/json
+ * Export reviews as JSON file (streamed)
+ * 
+ * Takes the query parameters of GET /api/export. The export metadata is
+ * written at the top level instead of under `metadata`.
+ */
+router.get('/json', async (req, res) => {
+  await sendExport(req, res, 'json', {
+    filename: 'reviews.json',
+    jsonFields: (cursor, filters, { exportId, generatedAt }) => ({
+      exportId,
+      exportDate: generatedAt,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      totalRecords: cursor.total,
+      filters
+    })
+  });
+});
 
-    const result = await getReviewsWithFilters(options);
-    const csvContent = convertToCSV(result.reviews);
+/**
+ * GET /api/export/changes
+ * Incremental (change-data-capture) export for Data Warehouse Systems
+ * 
+ * Returns the reviews created, updated, restored or deleted since a cursor,
+ * oldest change first, each once with its current state. Deleted and
+ * purged reviews are tombstones with operation 'delete' and review null.
+ * Store the returned cursor and pass it as `since` next time; while hasMore
+ * is true, request again right away.
+ * 
+ * Query parameters:
+ * - since: Cursor from the previous response (omit for a full initial load)
+ * - limit: Maximum number of changes (default 1000, max 10000)
+ */
+router.get('/changes', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHANGES_LIMIT)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`limit must be an integer between 1 and ${MAX_CHANGES_LIMIT}`]
+      });
+    }
+    
+    const result = getReviewChanges(req.workspaceId, { since: req.query.since, limit });
+    
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['since must be a cursor returned by a previous request']
+      });
+    }
     
-    // Set headers for file download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=reviews.csv');
+    trackQuery(req, 'export.changes', result.changes.length);
     
-    res.send(csvContent);
+    res.json({
+      success: true,
+      data: result
+    });
   } catch (error) {
-    console.error('Error exporting CSV:', error);
+    console.error('Error exporting changes:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -229,47 +538,92 @@ router.get('/csv', async (req, res) => {
 });
 
 /**
- * GET /api/export/json
- * Export reviews as JSON file
+ * Streams the reviews of a cursor to the response as an XLSX workbook
  * 
- * Query parameters (same as reviews endpoint):
- * - status: Filter by status
- * - rating: Filter by rating
- * - customerId: Filter by customer ID
- * - limit: Limit number of results
- * - offset: Offset for pagination
+ * XLSX files are zip archives already, so they are never compressed again.
+ * Always closes the cursor, also when the client disconnects early, and
+ * stores the manifest only when the whole workbook was sent.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} cursor - Cursor from openReviewCursor
+ * @param {string} filename - Download file name
+ * @param {Array} columns - Columns of the Reviews sheet
+ * @param {Function} manifest - Builds the export manifest from the payload checksum
  */
-router.get('/json', async (req, res) => {
+async function streamWorkbook(req, res, cursor, filename, columns, manifest) {
   try {
-    const options = {
-      status: req.query.status,
-      rating: req.query.rating ? parseInt(req.query.rating) : undefined,
-      customerId: req.query.customerId,
-      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
-      offset: req.query.offset ? parseInt(req.query.offset) : undefined
-    };
+    trackQuery(req, 'export.xlsx', cursor.total);
+    const summary = getExportSummary(req.workspaceId);
+    
+    res.setHeader('Content-Type', XLSX_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.setHeader('Vary', 'Accept');
+    
+    const checksum = createChecksumStream(({ sha256 }) => addChecksumTrailer(res, sha256));
+    await Promise.all([writeReviewWorkbook(checksum, cursor.rows, summary, columns), pipeline(checksum, res)]);
+    
+    storeManifest(req, manifest(checksum.checksum()));
+  } catch (error) {
+    console.error('Error streaming XLSX export:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Database export failed'
+      });
+    } else {
+      res.destroy();
+    }
+  } finally {
+    cursor.close();
+  }
+}
 
-    // Remove undefined values
-    Object.keys(options).forEach(key => {
-      if (options[key] === undefined) {
-        delete options[key];
-      }
-    });
+/**
+ * GET /api/export/xlsx
+ * Export reviews as an Excel workbook (streamed)
+ * 
+ * Takes the query parameters of GET /api/export; they select the rows and
+ * columns of the Reviews sheet. The Summary sheet covers every review.
+ * 
+ * Sheets:
+ * - Reviews: typed columns (dates as dates, rating as a number)
+ * - Summary: the statistics of /api/export/summary with the rating
+ *   distribution and status breakdown as tables
+ */
+router.get('/xlsx', async (req, res) => {
+  await sendExport(req, res, 'xlsx', { filename: 'reviews.xlsx' });
+});
 
-    const result = await getReviewsWithFilters(options);
+/**
+ * GET /api/export/manifest/:exportId
+ * Get the integrity manifest of an export
+ * 
+ * The export ID is sent in the X-Export-Id header (and the Link header) of
+ * every export. The manifest is available once the export has been sent
+ * completely, for EXPORT_MANIFEST_RETENTION_DAYS days. It contains the
+ * SHA-256 checksum and size of the uncompressed payload, the row count,
+ * the schema version, the range of updatedAt of the exported reviews and
+ * the applied filters, fields and sort.
+ */
+router.get('/manifest/:exportId', async (req, res) => {
+  try {
+    const manifest = getExportManifest(req.workspaceId, req.params.exportId);
     
-    // Set headers for file download
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename=reviews.json');
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export manifest not found',
+        details: ['The export is unknown, was not sent completely, or its manifest has expired']
+      });
+    }
     
     res.json({
-      exportDate: new Date().toISOString(),
-      totalRecords: result.total,
-      filters: options,
-      data: result.reviews
+      success: true,
+      data: manifest
     });
   } catch (error) {
-    console.error('Error exporting JSON:', error);
+    console.error('Error getting export manifest:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -280,38 +634,38 @@ router.get('/json', async (req, res) => {
 /**
  * GET /api/export/summary
  * Export summary statistics as JSON
+ * 
+ * Query parameters:
+ * - startDate, endDate: Created within a date range (ISO dates or timestamps;
+ *   a date-only endDate includes the whole day)
+ * - tz: IANA time zone of the dates (default: UTC)
  */
 router.get('/summary', async (req, res) => {
   try {
-    const allReviews = await getAllReviews();
-    
-    // Calculate statistics
-    const totalReviews = allReviews.length;
-    const averageRating = totalReviews > 0 
-      ? (allReviews.reduce((sum, review) => sum + review.rating, 0) / totalReviews).toFixed(2)
-      : 0;
-    
-    const statusBreakdown = allReviews.reduce((acc, review) => {
-      acc[review.status] = (acc[review.status] || 0) + 1;
-      return acc;
-    }, {});
-    
-    const ratingBreakdown = allReviews.reduce((acc, review) => {
-      acc[review.rating] = (acc[review.rating] || 0) + 1;
-      return acc;
-    }, {});
+    const { isValid, errors, options } = parseExportOptions({
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      tz: req.query.tz
+    });
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
     
-    const summary = {
-      totalReviews,
-      averageRating: parseFloat(averageRating),
-      statusBreakdown,
-      ratingBreakdown,
-      generatedAt: new Date().toISOString()
-    };
+    const summary = getExportSummary(req.workspaceId, options);
+    trackQuery(req, 'export.summary', summary.totalReviews);
     
     res.json({
       success: true,
-      data: summary
+      data: summary,
+      meta: {
+        startDate: options.startDate || null,
+        endDate: options.endDate || null,
+        timeZone: req.query.tz || 'UTC'
+      }
     });
   } catch (error) {
     console.error('Error generating summary:', error);
@@ -338,7 +692,7 @@ export function testCSVConversion() {
     }
   ];
   
-  const csv = convertToCSV(testReviews);
+  const csv = Array.from(serializeRows(testReviews, csvFormat(EXPORT_COLUMNS))).join('');
   console.assert(csv.includes('John Doe'), 'CSV should contain customer name');
   console.assert(csv.includes('Great service'), 'CSV should contain review title');
   console.assert(csv.startsWith('id,customerId'), 'CSV should start with headers');
@@ -360,7 +714,7 @@ export function testXMLConversion() {
     }
   ];
   
-  const xml = convertToXML(testReviews);
+  const xml = Array.from(serializeRows(testReviews, xmlFormat(EXPORT_COLUMNS))).join('');
   console.assert(xml.includes('<?xml version="1.0"'), 'XML should have proper header');
   console.assert(xml.includes('<reviews>'), 'XML should have root element');
   console.assert(xml.includes('John &amp; Jane'), 'XML should escape ampersands');
@@ -381,18 +735,125 @@ export function testAcceptHeaderParsing() {
   console.assert(parseAcceptHeader('application/xml') === 'xml', 'XML accept header');
   console.assert(parseAcceptHeader('text/xml') === 'xml', 'Alternative XML accept header');
   
+  // Test NDJSON
+  console.assert(parseAcceptHeader('application/x-ndjson') === 'ndjson', 'NDJSON accept header');
+  console.assert(parseAcceptHeader('application/jsonl') === 'ndjson', 'JSON Lines accept header');
+  console.assert(parseAcceptHeader('application/json, application/x-ndjson;q=0.9') === 'json', 'Higher quality JSON should win over NDJSON');
+  console.assert(parseAcceptHeader('application/json;q=0.5, application/x-ndjson') === 'ndjson', 'Higher quality NDJSON should win over JSON');
+  
+  // Test XLSX
+  console.assert(parseAcceptHeader('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') === 'xlsx', 'XLSX accept header');
+  
   // Test complex accept headers
   console.assert(parseAcceptHeader('text/html,application/xml;q=0.9,*/*;q=0.8') === 'xml', 'Complex accept header with XML');
   console.assert(parseAcceptHeader('text/html,text/csv;q=0.9,*/*;q=0.8') === 'csv', 'Complex accept header with CSV');
   
+  // Test quality values and wildcards
+  console.assert(parseAcceptHeader('text/csv;q=0.1, application/json;q=1') === 'json', 'Quality values should rank formats');
+  console.assert(parseAcceptHeader('text/csv, application/json') === 'csv', 'Equal quality should go to the type listed first');
+  console.assert(parseAcceptHeader('*/*') === 'json', 'Wildcard should default to JSON');
+  console.assert(parseAcceptHeader('text/*') === 'csv', 'text/* should match CSV');
+  console.assert(parseAcceptHeader('text/*, text/csv;q=0') === 'xml', 'q=0 on a specific type should override its wildcard');
+  console.assert(parseAcceptHeader('*/*;q=0.1, text/xml;q=0.5') === 'xml', 'Specific types should beat a lower wildcard');
+  console.assert(parseAcceptHeader('Text/CSV; charset=utf-8') === 'csv', 'Media types should be case-insensitive and ignore parameters');
+  console.assert(parseAcceptHeader('text/csv;q=2, application/xml') === 'xml', 'Malformed quality values should be ignored');
+  
+  // Test unsupported types
+  console.assert(parseAcceptHeader('text/html') === null, 'Unsupported types should not fall back to JSON');
+  console.assert(parseAcceptHeader('application/json;q=0') === null, 'q=0 should exclude a type');
+  console.assert(parseAcceptHeader('image/*, text/html') === null, 'Unmatched wildcards should not be acceptable');
+  
   console.log('Accept header parsing tests passed!');
 }
 
+export function testStreamedSerialization() {
+  const reviews = Array.from({ length: EXPORT_BATCH_SIZE + 1 }, (_, i) => ({ id: `r${i}`, rating: 4 }));
+  const chunks = Array.from(serializeRows(reviews, jsonFormat({ metadata: { totalRecords: reviews.length } })));
+  console.assert(chunks.length === 2, 'Rows should be serialized in batches');
+  
+  const parsed = JSON.parse(chunks.join(''));
+  console.assert(parsed.metadata.totalRecords === reviews.length, 'JSON export should start with its metadata');
+  console.assert(parsed.data.length === reviews.length && parsed.data[0].id === 'r0', 'JSON export should contain every row');
+  console.assert(JSON.parse(Array.from(serializeRows([], jsonFormat({}))).join('')).data.length === 0,
+    'Empty JSON export should be valid JSON');
+  
+  const ndjson = Array.from(serializeRows(reviews.slice(0, 2), ndjsonFormat({ metadata: { totalRecords: 2 } }))).join('');
+  const lines = ndjson.split('\n');
+  console.assert(lines.length === 4 && lines[3] === '', 'NDJSON should end every line with a newline');
+  console.assert(JSON.parse(lines[0]).metadata.totalRecords === 2 && JSON.parse(lines[1]).id === 'r0',
+    'NDJSON should start with the header line, then one review per line');
+  console.assert(Array.from(serializeRows([], ndjsonFormat(null))).join('') === '', 'Empty NDJSON export should be empty');
+  
+  console.assert(Array.from(serializeRows([{ id: '1', rating: 5, customerName: 'Ann "A"' }], csvFormat(EXPORT_COLUMNS))).join('').includes('"Ann ""A"""'),
+    'CSV should escape quotes in every column');
+  console.log('Streamed serialization tests passed!');
+}
+
+export function testEncodingNegotiation() {
+  console.assert(negotiateEncoding(undefined) === null, 'Missing Accept-Encoding should not compress');
+  console.assert(negotiateEncoding('gzip, deflate, br') === 'br', 'Brotli should be preferred');
+  console.assert(negotiateEncoding('gzip, deflate') === 'gzip', 'Gzip should be used without brotli');
+  console.assert(negotiateEncoding('br;q=0.5, gzip') === 'gzip', 'Quality values should be honoured');
+  console.assert(negotiateEncoding('br;q=0, gzip;q=0') === null, 'q=0 should exclude an encoding');
+  console.assert(negotiateEncoding('*') === 'br', 'Wildcard should allow brotli');
+  console.assert(negotiateEncoding('identity') === null, 'Identity should not compress');
+  console.log('Encoding negotiation tests passed!');
+}
+
+export function testExportOptions() {
+  const { isValid, options, filters } = parseExportOptions({
+    status: 'approved, flagged',
+    minRating: '2',
+    maxRating: '4',
+    startDate: '2025-10-01',
+    endDate: '2025-10-31',
+    search: ' great ',
+    fields: 'id,rating,id',
+    sort: '-rating,createdAt'
+  });
+  console.assert(isValid, 'Valid export options should pass');
+  console.assert(options.status.join() === 'approved,flagged', 'Status should accept a comma-separated list');
+  console.assert(options.minRating === 2 && options.maxRating === 4, 'Rating range should be parsed as numbers');
+  console.assert(options.startDate === '2025-10-01T00:00:00.000Z', 'startDate should start the day');
+  console.assert(options.endDate === '2025-10-31T23:59:59.999Z', 'Date-only endDate should include the whole day');
+  console.assert(options.search === 'great', 'Search should be trimmed');
+  console.assert(options.fields.join() === 'id,rating', 'Fields should be deduplicated in order');
+  console.assert(options.sort[0].field === 'rating' && options.sort[0].descending && !options.sort[1].descending,
+    'Sort should read - as descending');
+  console.assert(filters.status === 'approved, flagged' && !('fields' in filters), 'Filters should echo the filter parameters');
+  
+  const invalid = parseExportOptions({ status: 'archived', surveyType: 'stars', rating: '11', fields: 'id,secret', sort: '-nope', startDate: 'yesterday-ish', limit: '0' });
+  console.assert(!invalid.isValid && invalid.errors.length === 7, 'Each invalid parameter should report an error');
+  console.assert(!parseExportOptions({ minRating: '4', maxRating: '2' }).isValid, 'Inverted rating range should be invalid');
+  console.assert(!parseExportOptions({ minRating: '4', maxRating: '0' }).isValid, 'NPS rating 0 should bound the range');
+  const nps = parseExportOptions({ surveyType: 'nps', minRating: '9' });
+  console.assert(nps.options.surveyType === 'nps' && nps.options.minRating === 9 && nps.filters.surveyType === 'nps',
+    'Survey type and NPS ratings should be accepted');
+  console.assert(!parseExportOptions({ startDate: '2025-11-01', endDate: '2025-10-01' }).isValid, 'Inverted date range should be invalid');
+  
+  // Dates are local days in the time zone, whatever its offset that day
+  const berlin = parseExportOptions({ startDate: '2025-10-01', endDate: '2025-10-31', tz: 'Europe/Berlin' });
+  console.assert(berlin.options.startDate === '2025-09-30T22:00:00.000Z', 'startDate should start the local day');
+  console.assert(berlin.options.endDate === '2025-10-31T22:59:59.999Z', 'endDate should end the local day after the DST change');
+  console.assert(berlin.filters.tz === 'Europe/Berlin', 'Filters should echo the time zone');
+  console.assert(parseExportOptions({ startDate: '2025-10-01T08:00:00Z', tz: 'Europe/Berlin' }).options.startDate === '2025-10-01T08:00:00.000Z',
+    'Timestamps with Z should not be shifted');
+  console.assert(!parseExportOptions({ startDate: '2025-10-01', tz: 'Europe/Berlln' }).isValid, 'Unknown time zones should be invalid');
+  
+  const review = { id: 'r1', rating: 5, title: 'A & B' };
+  console.assert(Array.from(serializeRows([review], csvFormat(['rating', 'id']))).join('') === 'rating,id\n5,"r1"',
+    'CSV should write the selected columns in order');
+  const xml = Array.from(serializeRows([review], xmlFormat(['title']))).join('');
+  console.assert(xml.includes('<title>A &amp; B</title>') && !xml.includes('<id>'), 'XML should write only the selected columns');
+  console.log('Export options tests passed!');
+}
+
 export function testXMLEscaping() {
-  console.assert(escapeXML('John & Jane') === 'John &amp; Jane', 'Should escape ampersands');
-  console.assert(escapeXML('<script>') === '&lt;script&gt;', 'Should escape angle brackets');
-  console.assert(escapeXML('"quoted"') === '&quot;quoted&quot;', 'Should escape quotes');
-  console.assert(escapeXML("'single'") === '&#39;single&#39;', 'Should escape single quotes');
+  const escape = title => Array.from(serializeRows([{ title }], xmlFormat(['title']))).join('');
+  console.assert(escape('John & Jane').includes('<title>John &amp; Jane</title>'), 'Should escape ampersands');
+  console.assert(escape('<script>').includes('<title>&lt;script&gt;</title>'), 'Should escape angle brackets');
+  console.assert(escape('"quoted"').includes('<title>&quot;quoted&quot;</title>'), 'Should escape quotes');
+  console.assert(escape("'single'").includes('<title>&#39;single&#39;</title>'), 'Should escape single quotes');
   console.log('XML escaping tests passed!');
 }
 
@@ -403,6 +864,9 @@ export function runAllExportTests() {
     testXMLConversion();
     testAcceptHeaderParsing();
     testXMLEscaping();
+    testStreamedSerialization();
+    testEncodingNegotiation();
+    testExportOptions();
     console.log('All export functionality tests passed!');
   } catch (error) {
     console.error('Export tests failed:', error);
@@ -0,0 +1,284 @@
+/**
+ * Scheduled export job routes
+ *
+ * Provides REST API endpoints for the scheduled export jobs of a workspace
+ * (see services/exportJobService.js). Everything needs the export
+ * permission, so workspace-bound keys can schedule the exports of their
+ * own workspace:
+ * - GET /api/export/jobs - List jobs with their status and latest runs
+ * - POST /api/export/jobs - Create a job
+ * - GET /api/export/jobs/:id - Get a job
+ * - PUT /api/export/jobs/:id - Update a job
+ * - DELETE /api/export/jobs/:id - Delete a job and its run history
+ * - GET /api/export/jobs/:id/runs - Get the run history of a job
+ * - POST /api/export/jobs/:id/run - Run a job now
+ */
+
+import express from 'express';
+import {
+  getExportJobs,
+  getExportJobById,
+  createExportJob,
+  updateExportJobById,
+  deleteExportJobById,
+  getExportJobRuns,
+  runExportJob,
+  validateExportJobData,
+  EXPORT_RUN_STATUSES
+} from '../services/exportJobService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/export/jobs
+ * List the export jobs of the workspace
+ *
+ * Every job includes its next run time, its status (the status of its
+ * latest run, or 'scheduled' if it has not run yet), its last run and its
+ * five most recent runs.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await getExportJobs(req.workspaceId);
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error listing export jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/export/jobs
+ * Create an export job
+ *
+ * Required body fields:
+ * - name: string
+ * - schedule: string - cron expression (UTC), e.g. '0 2 * * *' or '@daily'
+ * - format: string - json, csv, xml, ndjson or xlsx
+ *
+ * Optional body fields:
+ * - filters: object - query parameters of GET /api/export (status, rating,
+ *   minRating, maxRating, customerId, startDate, endDate, tz, search, fields,
+ *   sort, limit, offset)
+ * - retention: number - export files kept (default 7)
+ * - active: boolean - defaults to true
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateExportJobData(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const job = await createExportJob(req.workspaceId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error creating export job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/export/jobs/:id
+ * Get an export job
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getExportJobById(req.workspaceId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error getting export job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/export/jobs/:id
+ * Update an export job
+ *
+ * Optional body fields (any combination): name, schedule, format, filters,
+ * retention, active
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const validation = validateExportJobData(req.body || {}, { partial: true });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const job = await updateExportJobById(req.workspaceId, req.params.id, req.body);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error updating export job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/export/jobs/:id
+ * Delete an export job and its run history; written files are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteExportJobById(req.workspaceId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Export job deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting export job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/export/jobs/:id/runs
+ * Get the run history of an export job, newest first
+ *
+ * Every run includes its trigger (schedule, manual), status (running,
+ * succeeded, failed), file (relative to the export directory), number of
+ * rows, size in bytes, error and start and finish times.
+ *
+ * Query parameters:
+ * - status: Filter by run status
+ * - limit: Limit number of results
+ * - offset: Offset for pagination
+ */
+router.get('/:id/runs', async (req, res) => {
+  try {
+    if (req.query.status && !EXPORT_RUN_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`status must be one of: ${EXPORT_RUN_STATUSES.join(', ')}`]
+      });
+    }
+
+    const result = await getExportJobRuns(req.workspaceId, req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset) : undefined
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting export job runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/export/jobs/:id/run
+ * Run an export job now, outside its schedule
+ *
+ * Responds with the finished run when the file is written (or the run
+ * failed), or 409 if the job is already running.
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const job = await getExportJobById(req.workspaceId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    const run = await runExportJob(job, 'manual');
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'Export job is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error running export job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
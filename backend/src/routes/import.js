@@ -0,0 +1,139 @@
+/**
+ * Bulk import routes
+ *
+ * Provides REST API endpoints for importing reviews:
+ * - POST /api/import - Import reviews from a CSV or JSON upload
+ *
+ * The file is the raw request body (e.g. curl --data-binary @reviews.csv).
+ * Its format comes from the Content-Type header (text/csv or
+ * application/json) or the `format` query parameter.
+ */
+
+import express from 'express';
+import { requirePermission, getActor } from '../services/apiKeyService.js';
+import {
+  parseImportFile,
+  importReviews,
+  reportToCSV,
+  IMPORT_FORMATS,
+  DUPLICATE_MODES
+} from '../services/importService.js';
+
+const router = express.Router();
+
+/**
+ * Gets the format of an import upload
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} 'csv', 'json' or null if unknown
+ */
+function getImportFormat(req) {
+  if (req.query.format) {
+    return IMPORT_FORMATS.includes(req.query.format) ? req.query.format : null;
+  }
+  if (req.is('text/csv') || req.is('application/csv')) {
+    return 'csv';
+  }
+  if (req.is('application/json')) {
+    return 'json';
+  }
+  return null;
+}
+
+/**
+ * Sends an import report as JSON, or as a downloadable CSV file when the
+ * client accepts text/csv
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} report - Import report
+ * @param {Object} [error] - Error fields of a failed import
+ */
+function sendReport(req, res, status, report, error) {
+  if ((req.get('Accept') || '').includes('text/csv')) {
+    res.status(status);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename=import-report.csv');
+    return res.send(reportToCSV(report));
+  }
+
+  res.status(status).json(error
+    ? { success: false, ...error, report }
+    : { success: true, data: report });
+}
+
+/**
+ * POST /api/import
+ * Import reviews from a CSV or JSON file
+ *
+ * Every row is validated with the rules of POST /api/reviews. If any row is
+ * invalid nothing is imported; otherwise all rows are imported in one
+ * transaction. CSV files use the columns of the CSV export (id, customerId,
+ * customerName, rating, title, comment, status, createdAt; extra columns
+ * are ignored).
+ *
+ * Query parameters:
+ * - dryRun: 'true' to validate and report without importing
+ * - onDuplicate: 'skip' (default) or 'upsert' rows whose id already exists
+ * - format: 'csv' or 'json' (default: from the Content-Type header)
+ *
+ * Responds with the import report; send Accept: text/csv to download it
+ * as a CSV file.
+ */
+router.post('/', requirePermission('write'), async (req, res) => {
+  try {
+    const format = getImportFormat(req);
+    const onDuplicate = req.query.onDuplicate || 'skip';
+
+    const errors = [];
+    if (!format) {
+      errors.push(`Send the file as text/csv or application/json, or set format to one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      errors.push(`onDuplicate must be one of: ${DUPLICATE_MODES.join(', ')}`);
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      errors.push('Request body must contain the file to import');
+    }
+
+    const parsed = errors.length === 0 ? parseImportFile(req.body.toString('utf8'), format) : null;
+    if (parsed && !parsed.isValid) {
+      errors.push(...parsed.errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const report = importReviews(req.workspaceId, parsed.rows, {
+      format,
+      onDuplicate,
+      dryRun: req.query.dryRun === 'true',
+      actor: getActor(req)
+    });
+
+    if (!report.dryRun && !report.committed) {
+      return sendReport(req, res, 400, report, {
+        error: 'Import failed validation; no reviews were imported',
+        details: report.rows
+          .filter(row => row.result === 'invalid')
+          .map(row => `Row ${row.row}: ${row.errors.join('; ')}`)
+      });
+    }
+
+    sendReport(req, res, 200, report);
+  } catch (error) {
+    console.error('Error importing reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -5,15 +5,45 @@
  * - GET /api/metrics - Get dashboard-compatible OverviewData metrics
  * - GET /api/metrics/timeseries - Get time-series metrics data
  * - GET /api/metrics/summary - Get KPI summary with period comparisons
+ * - GET /api/metrics/nps - Get the Net Promoter Score with period comparisons
+ * - GET /api/metrics/csat - Get the Customer Satisfaction score with period comparisons
+ * - GET /api/metrics/ces - Get the Customer Effort Score with period comparisons
  * - GET /api/usage/details - Get detailed usage/review records
  */
 
 import express from 'express';
 import { getAllReviews, getReviewsWithFilters } from '../services/dataService.js';
-import { generateMetrics, getMetricsSummary } from '../services/metricsService.js';
+import { generateMetrics, getMetricsSummary, getBucketMetrics } from '../services/metricsService.js';
+import { getSurveyMetrics } from '../services/surveyMetricsService.js';
+import { compareCounts, compareMeans, compareProportions, CONFIDENCE_LEVEL } from '../services/statisticsService.js';
+import { getRatingSentiment } from '../models/review.js';
+import {
+  resolveTimeBuckets,
+  resolveTimeRange,
+  startOfBucket,
+  addBuckets,
+  addYears,
+  getTimeBuckets,
+  formatZonedTime,
+  isValidTimeZone
+} from '../services/timeBucketService.js';
 
 const router = express.Router();
 
+// Periods a report can be compared to
+const COMPARISONS = ['previous_period', 'last_year', 'none'];
+
+/**
+ * Gets the date a number of days before today in a time zone
+ * 
+ * @param {number} days - Number of days
+ * @param {string} [timeZone] - IANA time zone (UTC if missing or unknown)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function daysAgo(days, timeZone) {
+  return formatZonedTime(new Date(Date.now() - days * 24 * 60 * 60 * 1000), isValidTimeZone(timeZone) ? timeZone : 'UTC').split('T')[0];
+}
+
 /**
  * GET /api/metrics
  * Get dashboard-compatible OverviewData metrics for the main dashboard
@@ -21,8 +51,13 @@ const router = express.Router();
  * Query parameters:
  * - startDate: Start date (ISO format, defaults to 365 days ago)
  * - endDate: End date (ISO format, defaults to today)
+ * - granularity: Bucket size: hour, day (default), week (ISO), month or quarter
+ * - tz: IANA time zone of the dates and bucket boundaries (default: UTC)
  * 
- * Returns data in OverviewData format expected by the dashboard components
+ * Returns data in OverviewData format expected by the dashboard components,
+ * one entry per bucket. Each entry has the bucket start (date), its label
+ * (period) and whether the bucket is only partly covered by the range or
+ * has not ended yet (partial).
  */
 router.get('/', async (req, res) => {
   try {
@@ -30,8 +65,20 @@ router.get('/', async (req, res) => {
     const endDate = req.query.endDate || new Date().toISOString();
     const startDate = req.query.startDate || new Date('2025-10-01').toISOString(); // Start from October 2025 where reviews exist
     
+    const validation = resolveTimeBuckets(req.query, { startDate, endDate });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
     // Generate dashboard metrics using our service
-    const overviewData = generateMetrics(startDate, endDate);
+    const overviewData = generateMetrics(req.workspaceId, startDate, endDate, {
+      granularity: validation.granularity,
+      timeZone: validation.timeZone
+    });
     
     res.json({
       success: true,
@@ -39,7 +86,11 @@ router.get('/', async (req, res) => {
       meta: {
         startDate,
         endDate,
+        granularity: validation.granularity,
+        timeZone: validation.timeZone,
         totalDays: overviewData.length,
+        totalBuckets: overviewData.length,
+        partialBuckets: overviewData.filter(bucket => bucket.partial).length,
         generatedAt: new Date().toISOString(),
         dataSource: 'customer_satisfaction_reviews'
       }
@@ -55,49 +106,30 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Calculate daily metrics from review data
+ * Calculate review metrics per time bucket
+ * 
+ * The counts are aggregated in SQL (see getBucketMetrics).
  * 
- * @param {Array} reviews - Array of review objects
- * @param {string} startDate - Start date in ISO format
- * @param {string} endDate - End date in ISO format
- * @returns {Array} Array of daily metrics objects
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array} buckets - Buckets from resolveTimeBuckets
+ * @param {string} granularity - Bucket granularity
+ * @returns {Array} Array of metrics objects, one per bucket
  */
-function calculateDailyMetrics(reviews, startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const dailyMetrics = [];
-  
-  // Generate all dates in range
-  const currentDate = new Date(start);
-  while (currentDate <= end) {
-    const dateStr = currentDate.toISOString().split('T')[0];
-    
-    // Filter reviews for this date
-    const dayReviews = reviews.filter(review => {
-      const reviewDate = new Date(review.createdAt).toISOString().split('T')[0];
-      return reviewDate === dateStr;
-    });
-    
-    // Calculate metrics for this day
-    const dayMetrics = {
-      date: dateStr,
-      "Reviews submitted": dayReviews.length,
-      "Reviews approved": dayReviews.filter(r => r.status === 'approved').length,
-      "Reviews pending": dayReviews.filter(r => r.status === 'pending').length,
-      "Reviews rejected": dayReviews.filter(r => r.status === 'rejected').length,
-      "Average rating": dayReviews.length > 0 
-        ? Math.round((dayReviews.reduce((sum, r) => sum + r.rating, 0) / dayReviews.length) * 100) / 100
-        : 0,
-      "5-star reviews": dayReviews.filter(r => r.rating === 5).length,
-      "Customer interactions": dayReviews.length, // Same as reviews submitted for now
-      "Support escalations": dayReviews.filter(r => r.rating <= 2).length // Low ratings might need support
-    };
-    
-    dailyMetrics.push(dayMetrics);
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-  
-  return dailyMetrics;
+function calculateTimeseriesMetrics(workspaceId, buckets, granularity) {
+  return getBucketMetrics(workspaceId, buckets).map(bucket => ({
+    // Start of the bucket: a local date, or a timestamp for hours
+    date: granularity === 'hour' ? bucket.start : bucket.start.split('T')[0],
+    period: bucket.label,
+    partial: bucket.partial,
+    "Reviews submitted": bucket.reviewsSubmitted,
+    "Reviews approved": bucket.approved,
+    "Reviews pending": bucket.pending,
+    "Reviews rejected": bucket.rejected,
+    "Average rating": Math.round(bucket.avgRating * 100) / 100,
+    "5-star reviews": bucket.fiveStar,
+    "Customer interactions": bucket.reviewsSubmitted, // Same as reviews submitted for now
+    "Support escalations": bucket.lowRating // Low ratings might need support
+  }));
 }
 
 /**
@@ -107,28 +139,40 @@ function calculateDailyMetrics(reviews, startDate, endDate) {
  * Query parameters:
  * - startDate: Start date (ISO format, defaults to 30 days ago)
  * - endDate: End date (ISO format, defaults to today)
+ * - granularity: Bucket size: hour, day (default), week (ISO), month or quarter
+ * - tz: IANA time zone of the dates and bucket boundaries (default: UTC)
  * - metrics: Comma-separated list of metrics to include (optional)
+ * 
+ * Buckets are aligned to calendar boundaries in the time zone, following
+ * its daylight saving time changes. The first and last
+ * bucket only count the part inside the range and, like a bucket that has
+ * not ended yet, are flagged with partial: true.
  */
 router.get('/timeseries', async (req, res) => {
   try {
     // Default to last 30 days if no dates provided
-    const endDate = req.query.endDate || new Date().toISOString().split('T')[0];
-    const startDate = req.query.startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const endDate = req.query.endDate || daysAgo(0, req.query.tz);
+    const startDate = req.query.startDate || daysAgo(30, req.query.tz);
     
-    // Get all reviews
-    const allReviews = await getAllReviews();
+    const { isValid, errors, granularity, timeZone, buckets } = resolveTimeBuckets(req.query, { startDate, endDate });
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
     
-    // Calculate daily metrics
-    const dailyMetrics = calculateDailyMetrics(allReviews, startDate, endDate);
+    const bucketMetrics = calculateTimeseriesMetrics(req.workspaceId, buckets, granularity);
     
     // Filter metrics if specific ones were requested
     if (req.query.metrics) {
       const requestedMetrics = req.query.metrics.split(',').map(m => m.trim());
-      const filteredMetrics = dailyMetrics.map(day => {
-        const filtered = { date: day.date };
+      const filteredMetrics = bucketMetrics.map(bucket => {
+        const filtered = { date: bucket.date, period: bucket.period, partial: bucket.partial };
         requestedMetrics.forEach(metric => {
-          if (day[metric] !== undefined) {
-            filtered[metric] = day[metric];
+          if (bucket[metric] !== undefined) {
+            filtered[metric] = bucket[metric];
           }
         });
         return filtered;
@@ -140,6 +184,8 @@ router.get('/timeseries', async (req, res) => {
         meta: {
           startDate,
           endDate,
+          granularity,
+          timeZone,
           requestedMetrics
         }
       });
@@ -147,11 +193,14 @@ router.get('/timeseries', async (req, res) => {
     
     res.json({
       success: true,
-      data: dailyMetrics,
+      data: bucketMetrics,
       meta: {
         startDate,
         endDate,
-        totalDays: dailyMetrics.length
+        granularity,
+        timeZone,
+        totalDays: bucketMetrics.length,
+        totalBuckets: bucketMetrics.length
       }
     });
   } catch (error) {
@@ -166,39 +215,61 @@ router.get('/timeseries', async (req, res) => {
 /**
  * Calculate period comparison statistics
  * 
+ * Rating statistics cover CSAT reviews, whose ratings are stars (1-5).
+ * 
+ * Besides the raw percent changes, statistics has a significance test of
+ * every KPI with the sample sizes and confidence intervals of both periods
+ * (see services/statisticsService.js): the total as a count, the average
+ * rating as a mean (t-interval), and the status and rating counts as
+ * proportions of the reviews they are drawn from (Wilson interval).
+ * 
+ * A percent change from 0 is undefined, so it is null. Without reviews in
+ * the previous period there is nothing to compare with: every change is
+ * null and no KPI is tested.
+ * 
  * @param {Array} currentPeriod - Reviews from current period
  * @param {Array} previousPeriod - Reviews from previous period
  * @returns {Object} Comparison statistics
  */
 function calculatePeriodComparison(currentPeriod, previousPeriod) {
+  const currentCsat = currentPeriod.filter(r => r.surveyType === 'csat');
   const current = {
     totalReviews: currentPeriod.length,
-    averageRating: currentPeriod.length > 0 
-      ? currentPeriod.reduce((sum, r) => sum + r.rating, 0) / currentPeriod.length
+    averageRating: currentCsat.length > 0 
+      ? currentCsat.reduce((sum, r) => sum + r.rating, 0) / currentCsat.length
       : 0,
     approvedReviews: currentPeriod.filter(r => r.status === 'approved').length,
     pendingReviews: currentPeriod.filter(r => r.status === 'pending').length,
-    fiveStarReviews: currentPeriod.filter(r => r.rating === 5).length,
-    lowRatingReviews: currentPeriod.filter(r => r.rating <= 2).length
+    fiveStarReviews: currentCsat.filter(r => r.rating === 5).length,
+    lowRatingReviews: currentCsat.filter(r => r.rating <= 2).length
   };
   
+  const previousCsat = previousPeriod.filter(r => r.surveyType === 'csat');
   const previous = {
     totalReviews: previousPeriod.length,
-    averageRating: previousPeriod.length > 0 
-      ? previousPeriod.reduce((sum, r) => sum + r.rating, 0) / previousPeriod.length
+    averageRating: previousCsat.length > 0 
+      ? previousCsat.reduce((sum, r) => sum + r.rating, 0) / previousCsat.length
       : 0,
     approvedReviews: previousPeriod.filter(r => r.status === 'approved').length,
     pendingReviews: previousPeriod.filter(r => r.status === 'pending').length,
-    fiveStarReviews: previousPeriod.filter(r => r.rating === 5).length,
-    lowRatingReviews: previousPeriod.filter(r => r.rating <= 2).length
+    fiveStarReviews: previousCsat.filter(r => r.rating === 5).length,
+    lowRatingReviews: previousCsat.filter(r => r.rating <= 2).length
   };
   
   // Calculate percentage changes
   const calculateChange = (curr, prev) => {
-    if (prev === 0) return curr > 0 ? 100 : 0;
+    if (prev === 0) return null;
     return Math.round(((curr - prev) / prev) * 100 * 100) / 100;
   };
   
+  const ratings = reviews => reviews.map(r => r.rating);
+  
+  // The count test would compare with an empty period; the other tests skip empty samples themselves
+  const totalReviews = compareCounts(current.totalReviews, previous.totalReviews);
+  if (previousPeriod.length === 0) {
+    Object.assign(totalReviews, { difference: null, pValue: null, significant: false });
+  }
+  
   return {
     current,
     previous,
@@ -209,10 +280,85 @@ function calculatePeriodComparison(currentPeriod, previousPeriod) {
       pendingReviews: calculateChange(current.pendingReviews, previous.pendingReviews),
       fiveStarReviews: calculateChange(current.fiveStarReviews, previous.fiveStarReviews),
       lowRatingReviews: calculateChange(current.lowRatingReviews, previous.lowRatingReviews)
+    },
+    confidenceLevel: CONFIDENCE_LEVEL,
+    statistics: {
+      totalReviews,
+      averageRating: compareMeans(ratings(currentCsat), ratings(previousCsat)),
+      approvedReviews: compareProportions(current.approvedReviews, currentPeriod.length, previous.approvedReviews, previousPeriod.length),
+      pendingReviews: compareProportions(current.pendingReviews, currentPeriod.length, previous.pendingReviews, previousPeriod.length),
+      fiveStarReviews: compareProportions(current.fiveStarReviews, currentCsat.length, previous.fiveStarReviews, previousCsat.length),
+      lowRatingReviews: compareProportions(current.lowRatingReviews, currentCsat.length, previous.lowRatingReviews, previousCsat.length)
     }
   };
 }
 
+/**
+ * Resolves the period of a report and the period it is compared to
+ * 
+ * The period covers whole days in the time zone (query.tz, default UTC),
+ * from the start of query.startDate to the end of query.endDate, and
+ * defaults to the last 7 days. query.comparison selects the comparison
+ * period: previous_period (default; the same number of days before),
+ * last_year (the same days a year earlier) or none.
+ * 
+ * @param {Object} query - Request query
+ * @returns {Object} { isValid, errors, timeZone, comparison, period, comparisonPeriod }
+ *   with periods as { start, end } (end exclusive) and comparisonPeriod null for none
+ */
+function resolveReportPeriods(query) {
+  const range = resolveTimeRange(query, {
+    startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+    endDate: new Date().toISOString()
+  });
+  const comparison = query.comparison || 'previous_period';
+  const errors = [...range.errors];
+  if (!COMPARISONS.includes(comparison)) {
+    errors.push(`comparison must be one of: ${COMPARISONS.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+  const { timeZone } = range;
+  
+  // Extend the range to whole days in the time zone (end inclusive)
+  const start = startOfBucket(range.start, 'day', timeZone);
+  const end = addBuckets(startOfBucket(new Date(range.end.getTime() - 1), 'day', timeZone), 'day', 1, timeZone);
+  
+  let comparisonPeriod = null;
+  if (comparison === 'previous_period') {
+    // The same number of days, which may differ in hours across DST changes
+    const periodDays = getTimeBuckets(start, end, 'day', { timeZone }).length;
+    comparisonPeriod = { start: addBuckets(start, 'day', -periodDays, timeZone), end: start };
+  } else if (comparison === 'last_year') {
+    comparisonPeriod = { start: addYears(start, -1, timeZone), end: addYears(end, -1, timeZone) };
+  }
+  
+  return {
+    isValid: true,
+    errors,
+    timeZone,
+    comparison,
+    period: { start, end },
+    comparisonPeriod
+  };
+}
+
+/**
+ * Formats a period for a response, with an inclusive end
+ * 
+ * @param {Object} period - Period with start and end (exclusive) dates
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Period with startDate, endDate and timeZone
+ */
+function formatPeriod(period, timeZone) {
+  return {
+    startDate: period.start.toISOString(),
+    endDate: new Date(period.end.getTime() - 1).toISOString(),
+    timeZone
+  };
+}
+
 /**
  * GET /api/metrics/summary
  * Get KPI summary with period comparisons
@@ -221,56 +367,45 @@ function calculatePeriodComparison(currentPeriod, previousPeriod) {
  * - startDate: Current period start date
  * - endDate: Current period end date
  * - comparison: Type of comparison (previous_period, last_year, none)
+ * - tz: IANA time zone of the days (default: UTC)
+ * 
+ * The period covers whole days in the time zone, from the start of the
+ * start date to the end of the end date. The average rating, rating
+ * breakdown and satisfaction score cover CSAT reviews; the customer
+ * sentiment covers every survey type (see GET /api/metrics/nps, /csat and
+ * /ces for the scores of each type).
  */
 router.get('/summary', async (req, res) => {
   try {
-     // Default to last 7 days if no dates provided
-    const endDate = new Date(req.query.endDate || Date.now());
-    const startDate = new Date(req.query.startDate || Date.now() - 7 * 24 * 60 * 60 * 1000);
-    const comparison = req.query.comparison || 'previous_period';
-    
-    // Set end date to end of day for inclusive comparison
-    endDate.setHours(23, 59, 59, 999);
-    // Set start date to beginning of day
-    startDate.setHours(0, 0, 0, 0);
+    const periods = resolveReportPeriods(req.query);
+    if (!periods.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: periods.errors
+      });
+    }
+    const { timeZone, period, comparisonPeriod } = periods;
     
     // Get all reviews
-    const allReviews = await getAllReviews();
-    
-    // Filter reviews for current period
-    const currentPeriodReviews = allReviews.filter(review => {
+    const allReviews = await getAllReviews(req.workspaceId);
+    const inPeriod = ({ start, end }) => allReviews.filter(review => {
       const reviewDate = new Date(review.createdAt);
-      return reviewDate >= startDate && reviewDate <= endDate;
+      return reviewDate >= start && reviewDate < end;
     });
     
-    let comparisonData = null;
+    // Filter reviews for current period
+    const currentPeriodReviews = inPeriod(period);
     
-    if (comparison !== 'none') {
-      let comparisonStartDate, comparisonEndDate;
-      const periodLength = endDate.getTime() - startDate.getTime();
-      
-      if (comparison === 'previous_period') {
-        comparisonEndDate = new Date(startDate.getTime() - 1);
-        comparisonStartDate = new Date(comparisonEndDate.getTime() - periodLength);
-      } else if (comparison === 'last_year') {
-        comparisonStartDate = new Date(startDate);
-        comparisonStartDate.setFullYear(startDate.getFullYear() - 1);
-        comparisonEndDate = new Date(endDate);
-        comparisonEndDate.setFullYear(endDate.getFullYear() - 1);
-      }
-      
-      const comparisonPeriodReviews = allReviews.filter(review => {
-        const reviewDate = new Date(review.createdAt);
-        return reviewDate >= comparisonStartDate && reviewDate <= comparisonEndDate;
-      });
-      
-      comparisonData = calculatePeriodComparison(currentPeriodReviews, comparisonPeriodReviews);
-    }
+    const comparisonData = comparisonPeriod
+      ? calculatePeriodComparison(currentPeriodReviews, inPeriod(comparisonPeriod))
+      : null;
     
     // Calculate current period statistics
     const totalReviews = currentPeriodReviews.length;
-    const averageRating = totalReviews > 0 
-      ? Math.round((currentPeriodReviews.reduce((sum, r) => sum + r.rating, 0) / totalReviews) * 100) / 100
+    const csatReviews = currentPeriodReviews.filter(r => r.surveyType === 'csat');
+    const averageRating = csatReviews.length > 0 
+      ? Math.round((csatReviews.reduce((sum, r) => sum + r.rating, 0) / csatReviews.length) * 100) / 100
       : 0;
     
     const statusBreakdown = currentPeriodReviews.reduce((acc, review) => {
@@ -278,32 +413,36 @@ router.get('/summary', async (req, res) => {
       return acc;
     }, {});
     
-    const ratingBreakdown = currentPeriodReviews.reduce((acc, review) => {
+    const ratingBreakdown = csatReviews.reduce((acc, review) => {
       acc[review.rating] = (acc[review.rating] || 0) + 1;
       return acc;
     }, {});
     
-    // Calculate satisfaction score (4-5 star reviews / total reviews)
-    const satisfactionScore = totalReviews > 0 
-      ? Math.round(((currentPeriodReviews.filter(r => r.rating >= 4).length / totalReviews) * 100) * 100) / 100
+    const surveyTypeBreakdown = currentPeriodReviews.reduce((acc, review) => {
+      acc[review.surveyType] = (acc[review.surveyType] || 0) + 1;
+      return acc;
+    }, {});
+    
+    // Calculate satisfaction score (4-5 star reviews / CSAT reviews)
+    const satisfactionScore = csatReviews.length > 0 
+      ? Math.round(((csatReviews.filter(r => r.rating >= 4).length / csatReviews.length) * 100) * 100) / 100
       : 0;
     
+    const customerSentiment = { positive: 0, neutral: 0, negative: 0 };
+    for (const review of currentPeriodReviews) {
+      customerSentiment[getRatingSentiment(review.surveyType, review.rating)]++;
+    }
+    
     const summary = {
-      period: {
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString()
-      },
+      period: formatPeriod(period, timeZone),
       metrics: {
         totalReviews,
         averageRating,
         satisfactionScore,
         statusBreakdown,
         ratingBreakdown,
-        customerSentiment: {
-          positive: currentPeriodReviews.filter(r => r.rating >= 4).length,
-          neutral: currentPeriodReviews.filter(r => r.rating === 3).length,
-          negative: currentPeriodReviews.filter(r => r.rating <= 2).length
-        }
+        surveyTypeBreakdown,
+        customerSentiment
       },
       comparison: comparisonData,
       generatedAt: new Date().toISOString()
@@ -322,38 +461,146 @@ router.get('/summary', async (req, res) => {
   }
 });
 
+/**
+ * Creates the handler of a survey score endpoint
+ * 
+ * @param {string} surveyType - Survey type (nps, csat, ces)
+ * @returns {Function} Express route handler
+ */
+function surveyMetricsHandler(surveyType) {
+  return async (req, res) => {
+    try {
+      const periods = resolveReportPeriods(req.query);
+      if (!periods.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: periods.errors
+        });
+      }
+      const { timeZone, period, comparisonPeriod } = periods;
+      
+      const { metrics, comparison } = getSurveyMetrics(req.workspaceId, surveyType, period, comparisonPeriod);
+      
+      res.json({
+        success: true,
+        data: {
+          period: formatPeriod(period, timeZone),
+          metrics,
+          comparison: comparison && {
+            ...comparison,
+            period: formatPeriod(comparisonPeriod, timeZone)
+          },
+          generatedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error(`Error getting ${surveyType} metrics:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  };
+}
+
+/**
+ * GET /api/metrics/nps
+ * Get the Net Promoter Score: promoters (9-10), passives (7-8) and
+ * detractors (0-6) of the NPS reviews, and the percentage of promoters
+ * minus that of detractors
+ * 
+ * GET /api/metrics/csat
+ * Get the Customer Satisfaction score: the percentage of CSAT reviews
+ * rated 4-5, with the average rating
+ * 
+ * GET /api/metrics/ces
+ * Get the Customer Effort Score: the average answer (1-7, higher is
+ * easier) of the CES reviews, with the easy (5-7), neutral (4) and
+ * difficult (1-3) answers
+ * 
+ * Query parameters (as GET /api/metrics/summary):
+ * - startDate: Current period start date
+ * - endDate: Current period end date
+ * - comparison: Type of comparison (previous_period, last_year, none)
+ * - tz: IANA time zone of the days (default: UTC)
+ * 
+ * The comparison holds the current and previous metrics and their changes:
+ * responses in percent, score, average rating and group percentages in
+ * points.
+ */
+router.get('/nps', surveyMetricsHandler('nps'));
+router.get('/csat', surveyMetricsHandler('csat'));
+router.get('/ces', surveyMetricsHandler('ces'));
+
 // Test daily metrics calculation
 export function testDailyMetricsCalculation() {
-  const testReviews = [
-    {
-      id: '1',
-      customerId: 'cust_1',
-      customerName: 'Test User',
-      rating: 5,
-      title: 'Great',
-      comment: 'Excellent',
-      status: 'approved',
-      createdAt: '2023-01-01T10:00:00Z',
-      updatedAt: '2023-01-01T10:00:00Z'
-    },
-    {
-      id: '2',
-      customerId: 'cust_2',
-      customerName: 'Test User 2',
-      rating: 2,
-      title: 'Poor',
-      comment: 'Not good',
-      status: 'pending',
-      createdAt: '2023-01-01T15:00:00Z',
-      updatedAt: '2023-01-01T15:00:00Z'
-    }
-  ];
+  const bucketsFor = (startDate, endDate, granularity, tz) =>
+    resolveTimeBuckets({ granularity, tz }, { startDate, endDate }).buckets;
+  const sum = (series, metric) => series.reduce((total, bucket) => total + bucket[metric], 0);
+  
+  const daily = calculateTimeseriesMetrics('default', bucketsFor('2025-11-01', '2025-11-07', 'day'), 'day');
+  console.assert(daily.length === 7, 'Should have 7 days of metrics');
+  console.assert(daily[0].date === '2025-11-01' && daily[0].period === '2025-11-01', 'Days should be labelled by date');
+  console.assert(daily.every(day => day['Reviews submitted'] === day['Reviews approved'] + day['Reviews pending'] + day['Reviews rejected']),
+    'Submitted reviews should be split by status');
+  console.assert(daily.every(day => day['Average rating'] >= 0 && day['Average rating'] <= 5), 'Average rating should be a rating');
+  
+  // Every granularity should count the same reviews
+  const hourly = calculateTimeseriesMetrics('default', bucketsFor('2025-11-07', '2025-11-07', 'hour'), 'hour');
+  console.assert(hourly.length === 24 && hourly[0].date === '2025-11-07T00:00:00.000Z', 'Should have 24 hours of metrics');
+  console.assert(sum(hourly, 'Reviews submitted') === daily[6]['Reviews submitted'], 'Hours should add up to the day');
+  
+  const weekly = calculateTimeseriesMetrics('default', bucketsFor('2025-11-01', '2025-11-07', 'week'), 'week');
+  console.assert(weekly.map(week => week.period).join() === '2025-W44,2025-W45', 'Weeks should be ISO weeks');
+  console.assert(weekly[0].date === '2025-10-27' && weekly.every(week => week.partial), 'Weeks cut by the range should be partial');
+  console.assert(sum(weekly, 'Reviews submitted') === sum(daily, 'Reviews submitted'), 'Weeks should add up to the days');
+  
+  const monthly = calculateTimeseriesMetrics('default', bucketsFor('2025-10-01', '2025-10-31', 'month'), 'month');
+  console.assert(monthly.length === 1 && monthly[0].period === '2025-10' && !monthly[0].partial,
+    'A whole month should not be partial');
   
-  const metrics = calculateDailyMetrics(testReviews, '2023-01-01', '2023-01-01');
-  console.assert(metrics.length === 1, 'Should have 1 day of metrics');
-  console.assert(metrics[0]['Reviews submitted'] === 2, 'Should have 2 reviews submitted');
-  console.assert(metrics[0]['Average rating'] === 3.5, 'Average rating should be 3.5');
+  // A local day is made of the UTC hours between its midnights
+  const [berlinDay] = calculateTimeseriesMetrics('default', bucketsFor('2025-11-07', '2025-11-07', 'day', 'Europe/Berlin'), 'day');
+  const utcHours = calculateTimeseriesMetrics('default', bucketsFor('2025-11-06T23:00:00Z', '2025-11-07T22:59:59.999Z', 'hour'), 'hour');
+  console.assert(berlinDay.date === '2025-11-07' && utcHours.length === 24, 'Berlin days should be dated locally');
+  console.assert(berlinDay['Reviews submitted'] === sum(utcHours, 'Reviews submitted'), 'Berlin days should start at 23:00 UTC in winter');
   console.log('Daily metrics calculation test passed!');
 }
 
+// Test period comparison statistics
+export function testPeriodComparison() {
+  const reviews = (count, rating, status = 'approved') =>
+    Array.from({ length: count }, () => ({ surveyType: 'csat', rating, status }));
+  
+  // Nothing to compare with: no change and no test, not a 100% change
+  const swing = calculatePeriodComparison(reviews(1, 5), []);
+  console.assert(Object.values(swing.changes).every(change => change === null),
+    'Changes from an empty previous period should be null');
+  console.assert(Object.values(swing.statistics).every(statistic => statistic.pValue === null && !statistic.significant),
+    'An empty previous period should not be tested');
+  console.assert(swing.statistics.totalReviews.current.n === 1 && swing.statistics.fiveStarReviews.previous.n === 0,
+    'Samples should still be described');
+  
+  const fromZero = calculatePeriodComparison(reviews(2, 1), reviews(4, 5));
+  console.assert(fromZero.changes.lowRatingReviews === null && fromZero.changes.totalReviews === -50,
+    'Changes from 0 should be null');
+  console.assert(fromZero.statistics.totalReviews.pValue !== null, 'Periods with reviews should be tested');
+  
+  const shift = calculatePeriodComparison([...reviews(40, 5), ...reviews(10, 4)], [...reviews(25, 2, 'pending'), ...reviews(25, 3)]);
+  const { averageRating, fiveStarReviews, approvedReviews } = shift.statistics;
+  console.assert(shift.confidenceLevel === 0.95, 'Comparisons should state their confidence level');
+  console.assert(averageRating.significant && averageRating.current.n === 50 && averageRating.current.mean === 4.8,
+    'A large rating shift should be significant');
+  console.assert(averageRating.current.lower < 4.8 && averageRating.current.upper > 4.8, 'The mean should lie within its interval');
+  console.assert(fiveStarReviews.significant && fiveStarReviews.current.proportion === 0.8 && approvedReviews.previous.count === 25,
+    'Proportions should be tested against their sample sizes');
+  
+  // NPS and CES reviews do not count towards star ratings
+  const mixed = calculatePeriodComparison([...reviews(3, 5), { surveyType: 'nps', rating: 10, status: 'approved' }], reviews(3, 5));
+  console.assert(mixed.statistics.totalReviews.current.n === 4 && mixed.statistics.averageRating.current.n === 3,
+    'Rating statistics should cover CSAT reviews');
+  console.log('Period comparison test passed!');
+}
+
 export default router;
\ No newline at end of file
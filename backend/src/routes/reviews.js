@@ -2,11 +2,35 @@
  * Reviews API routes
  * 
  * Provides REST API endpoints for managing customer reviews:
- * - GET /api/reviews - Get all reviews with optional filters
+ * - GET /api/reviews - Get all reviews with optional filters and full-text search
  * - GET /api/reviews/:id - Get a specific review by ID
  * - POST /api/reviews - Create a new review
  * - PUT /api/reviews/:id - Update an existing review
- * - DELETE /api/reviews/:id - Delete a review
+ * - DELETE /api/reviews/:id - Move a review to the trash
+ * - GET /api/reviews/trash - Get reviews in the trash
+ * - POST /api/reviews/:id/restore - Restore a review from the trash
+ * - GET /api/reviews/stream - Server-Sent Events stream of review changes and live KPIs
+ * - GET /api/reviews/:id/history - Get the revision history (audit trail) of a review
+ * - POST /api/reviews/:id/revert/:revisionId - Revert a review to a revision
+ * - GET /api/reviews/queue - Get the moderation queue
+ * - POST /api/reviews/:id/approve - Approve a review
+ * - POST /api/reviews/:id/reject - Reject a review (reason required)
+ * - POST /api/reviews/:id/flag - Flag a review for moderator attention
+ * - POST /api/reviews/:id/spam - Mark a review as spam (reason required)
+ * 
+ * Reads need the read permission, changes the write permission and
+ * moderation the moderate permission (see services/apiKeyService.js).
+ * Write requests are attributed to the actor named in the X-Actor header
+ * (or the API key name) in the review's revision history. Status changes
+ * follow the moderation state machine in services/moderationService.js.
+ * 
+ * Changes publish review events (review.created, review.updated,
+ * review.approved, ...) to the event stream and the workspace's webhooks,
+ * see services/reviewEventService.js.
+ * 
+ * All routes operate on the workspace of the request (req.workspaceId, see
+ * services/workspaceService.js) and are also mounted at
+ * /api/workspaces/:workspaceId/reviews.
  */
 
 import express from 'express';
@@ -14,7 +38,8 @@ import {
   createReview, 
   updateReview, 
   validateReviewData, 
-  validateUpdateData 
+  validateUpdateData,
+  UPDATE_FIELDS
 } from '../models/review.js';
 import {
   getAllReviews,
@@ -22,28 +47,131 @@ import {
   saveReview,
   updateReviewById,
   deleteReviewById,
-  getReviewsWithFilters
+  getReviewsWithFilters,
+  revertReviewToRevision,
+  getDeletedReviews,
+  restoreReviewById
 } from '../services/dataService.js';
+import { getReviewHistory } from '../services/revisionService.js';
+import { trackQuery } from '../services/activityService.js';
+import { requirePermission, getActor } from '../services/apiKeyService.js';
+import {
+  publishReviewEvent,
+  subscribeToReviewEvents,
+  getReviewEventsAfter,
+  isReviewEventLogTruncated,
+  matchesReviewEventFilter,
+  getLiveKpis,
+  getUpdateEvent,
+  STATUS_EVENTS
+} from '../services/reviewEventService.js';
+import { REVIEW_STATUSES } from '../models/review.js';
+import {
+  validateStatusTransition,
+  getModerationQueue,
+  STATUS_TRANSITIONS,
+  QUEUE_STATUSES
+} from '../services/moderationService.js';
 
 const router = express.Router();
 
+/**
+ * Publish a review lifecycle event in the request's workspace
+ * 
+ * @param {Object} req - Express request
+ * @param {string} event - Event name, e.g. 'review.created'
+ * @param {Object|null} before - Live review before the change
+ * @param {Object|null} after - Live review after the change
+ */
+function notifyReviewEvent(req, event, before, after) {
+  publishReviewEvent(req.workspaceId, event, before, after, { actor: getActor(req) });
+}
+
+/**
+ * Send the error response for a status change rejected by the moderation
+ * state machine: 409 if the transition is not allowed, 400 if it is allowed
+ * but invalid (e.g. a missing reason)
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} existingReview - Review before the change
+ * @param {Object} transition - Result of validateStatusTransition
+ */
+function sendTransitionError(res, existingReview, transition) {
+  res.status(transition.isAllowed ? 400 : 409).json({
+    success: false,
+    error: transition.isAllowed ? 'Validation failed' : 'Invalid status transition',
+    details: transition.errors,
+    allowedStatuses: STATUS_TRANSITIONS[existingReview.status] || []
+  });
+}
+
+/**
+ * Handle a dedicated moderation endpoint: move the review to the given
+ * status with the reason from the request body
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - Target status
+ */
+async function moderateReview(req, res, status) {
+  try {
+    const existingReview = await getReviewById(req.workspaceId, req.params.id);
+    if (!existingReview) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+    
+    const reason = req.body?.reason;
+    const transition = validateStatusTransition(existingReview.status, status, reason);
+    if (!transition.isValid) {
+      return sendTransitionError(res, existingReview, transition);
+    }
+    
+    const updatedReview = updateReview(existingReview, {
+      status,
+      moderationReason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+    });
+    const savedReview = await updateReviewById(req.workspaceId, req.params.id, updatedReview, { actor: getActor(req) });
+    notifyReviewEvent(req, STATUS_EVENTS[status], existingReview, savedReview);
+    
+    res.json({
+      success: true,
+      data: savedReview
+    });
+  } catch (error) {
+    console.error(`Error moderating review (${status}):`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
 /**
  * GET /api/reviews
  * Get all reviews with optional filtering and pagination
  * 
  * Query parameters:
- * - status: Filter by status (pending, approved, rejected)
- * - rating: Filter by rating (1-5)
+ * - status: Filter by status (pending, approved, rejected, flagged, spam)
+ * - surveyType: Filter by survey type (csat, nps, ces)
+ * - rating: Filter by rating (1-5, 0-10 for NPS, 1-7 for CES)
  * - customerId: Filter by customer ID
+ * - q: Full-text search over title and comment, ranked by relevance.
+ *   Supports FTS5 syntax: words (AND), "exact phrases", prefix*, OR, NOT.
+ *   Each result includes a `search` object with rank and highlighted snippets.
  * - limit: Limit number of results
  * - offset: Offset for pagination
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('read'), async (req, res) => {
   try {
     const options = {
       status: req.query.status,
+      surveyType: req.query.surveyType,
       rating: req.query.rating ? parseInt(req.query.rating) : undefined,
       customerId: req.query.customerId,
+      q: req.query.q ? String(req.query.q).trim() || undefined : undefined,
       limit: req.query.limit ? parseInt(req.query.limit) : undefined,
       offset: req.query.offset ? parseInt(req.query.offset) : undefined
     };
@@ -55,13 +183,21 @@ router.get('/', async (req, res) => {
       }
     });
 
-    const result = await getReviewsWithFilters(options);
+    const result = await getReviewsWithFilters(req.workspaceId, options);
+    trackQuery(req, 'reviews.list', result.reviews.length);
     
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        details: [error.message]
+      });
+    }
     console.error('Error getting reviews:', error);
     res.status(500).json({
       success: false,
@@ -70,13 +206,279 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reviews/queue
+ * Get reviews waiting for moderation (pending and flagged)
+ * 
+ * Sorted by priority (flagged first, then 1-2 star reviews), then by age
+ * (oldest first). Every review includes its priority and ageHours.
+ * 
+ * Query parameters:
+ * - status: Only pending or only flagged reviews
+ * - limit: Limit number of results
+ * - offset: Offset for pagination
+ */
+router.get('/queue', requirePermission('moderate'), async (req, res) => {
+  try {
+    if (req.query.status && !QUEUE_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`status must be one of: ${QUEUE_STATUSES.join(', ')}`]
+      });
+    }
+    
+    const result = await getModerationQueue(req.workspaceId, {
+      status: req.query.status,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset) : undefined
+    });
+    trackQuery(req, 'reviews.queue', result.reviews.length);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Interval of the keep-alive comments that stop proxies from closing idle streams
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+
+// Messages a stream client may fall behind before it is disconnected
+const STREAM_MAX_QUEUED_MESSAGES = 1000;
+
+/**
+ * Create the writer of a stream that respects backpressure
+ * 
+ * While the response is not draining, messages wait in a queue instead of
+ * piling up in the socket buffer. A client that falls more than
+ * STREAM_MAX_QUEUED_MESSAGES behind is disconnected; it resumes with
+ * Last-Event-ID once it reconnects.
+ * 
+ * @param {Object} res - Express response
+ * @returns {Object} write(message) and drained(), which resolves once the queue is empty or the client is gone
+ */
+function createStreamWriter(res) {
+  const queue = [];
+  let blocked = false;
+  
+  const flush = () => {
+    blocked = false;
+    while (queue.length > 0 && !blocked) {
+      blocked = !res.write(queue.shift());
+    }
+    if (blocked) {
+      res.once('drain', flush);
+    }
+  };
+  
+  return {
+    write(message) {
+      if (res.destroyed) {
+        return;
+      }
+      if (blocked) {
+        if (queue.length >= STREAM_MAX_QUEUED_MESSAGES) {
+          res.destroy();
+          return;
+        }
+        queue.push(message);
+        return;
+      }
+      blocked = !res.write(message);
+      if (blocked) {
+        res.once('drain', flush);
+      }
+    },
+    
+    async drained() {
+      while (blocked && !res.destroyed) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.once('drain', done);
+          res.once('close', done);
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ * 
+ * @param {Object} writer - Stream writer (see createStreamWriter)
+ * @param {string} event - Event name
+ * @param {Object} data - Event data (sent as JSON)
+ * @param {number} [id] - Event ID; events without an ID don't move the client's Last-Event-ID
+ */
+function writeStreamEvent(writer, event, data, id) {
+  const idLine = id !== undefined ? `id: ${id}\n` : '';
+  writer.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/reviews/stream
+ * Server-Sent Events stream of review changes and live KPIs
+ * 
+ * Every review event (review.created, review.updated, review.approved,
+ * review.rejected, review.flagged, review.spam, review.deleted,
+ * review.restored) is sent with its log ID as the SSE id. Its data contains
+ * the review, its previous status and rating, and kpiDelta, the change to
+ * the live KPIs. After connecting (and after any replay) a 'kpi' event
+ * carries the current KPI totals.
+ * 
+ * Clients resume with the Last-Event-ID header (sent automatically by
+ * EventSource) or the lastEventId query parameter. Events that have been
+ * pruned from the log cannot be replayed; the stream then sends a 'resync'
+ * event and the client should reload its data. The replay is read page by
+ * page as the client takes it in, and a client that falls too far behind
+ * is disconnected (see createStreamWriter).
+ * 
+ * Query parameters:
+ * - status: Only reviews with these statuses (comma-separated)
+ * - rating: Only reviews with these ratings (comma-separated)
+ * - lastEventId: Resume after this event ID
+ */
+router.get('/stream', requirePermission('read'), async (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : [];
+  const ratings = req.query.rating ? String(req.query.rating).split(',').map(rating => parseInt(rating)) : [];
+  const lastEventIdParam = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const lastEventId = lastEventIdParam !== undefined ? parseInt(lastEventIdParam) : null;
+  
+  const errors = [];
+  if (!statuses.every(status => REVIEW_STATUSES.includes(status))) {
+    errors.push(`status must be a comma-separated list of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+  if (!ratings.every(rating => Number.isInteger(rating) && rating >= 0 && rating <= 10)) {
+    errors.push('rating must be a comma-separated list of integers between 0 and 10');
+  }
+  if (lastEventId !== null && !(Number.isInteger(lastEventId) && lastEventId >= 0)) {
+    errors.push('Last-Event-ID must be a non-negative integer');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+  
+  const filter = { statuses, ratings };
+  const workspaceId = req.workspaceId;
+  
+  try {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    const writer = createStreamWriter(res);
+    writer.write('retry: 3000\n\n');
+    
+    // Events are sent in log order; live events published while the replay
+    // waits for the client are in the log too, so the cursor skips them
+    let cursor = lastEventId;
+    let replaying = lastEventId !== null;
+    const sendEvent = event => {
+      if (cursor !== null && event.id <= cursor) {
+        return;
+      }
+      cursor = event.id;
+      if (matchesReviewEventFilter(event, filter)) {
+        writeStreamEvent(writer, event.event, event, event.id);
+      }
+    };
+    
+    const unsubscribe = subscribeToReviewEvents(event => {
+      if (event.workspaceId === workspaceId && !replaying) {
+        sendEvent(event);
+      }
+    });
+    const heartbeat = setInterval(() => writer.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    
+    if (replaying) {
+      if (isReviewEventLogTruncated(lastEventId)) {
+        writeStreamEvent(writer, 'resync', { reason: 'Events after the given ID are no longer available' });
+      }
+      
+      // Reading the last, empty page and going live happen synchronously,
+      // so no event is lost in between
+      let events;
+      do {
+        await writer.drained();
+        if (res.destroyed) {
+          return;
+        }
+        events = getReviewEventsAfter(workspaceId, cursor);
+        events.forEach(sendEvent);
+      } while (events.length > 0);
+      replaying = false;
+    }
+    
+    writeStreamEvent(writer, 'kpi', getLiveKpis(workspaceId));
+  } catch (error) {
+    console.error('Error streaming review events:', error);
+    res.end();
+  }
+});
+
+/**
+ * GET /api/reviews/trash
+ * Get reviews in the trash, most recently deleted first
+ * 
+ * Trashed reviews are purged permanently after the retention period
+ * (TRASH_RETENTION_DAYS, default 30 days).
+ * 
+ * Query parameters:
+ * - limit: Limit number of results
+ * - offset: Offset for pagination
+ */
+router.get('/trash', requirePermission('write'), async (req, res) => {
+  try {
+    const result = await getDeletedReviews(req.workspaceId, {
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset) : undefined
+    });
+    trackQuery(req, 'reviews.trash', result.reviews.length);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET /api/reviews/:id
  * Get a specific review by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('read'), async (req, res) => {
   try {
-    const review = await getReviewById(req.params.id);
+    const review = await getReviewById(req.workspaceId, req.params.id);
+    trackQuery(req, 'reviews.get', review ? 1 : 0);
     
     if (!review) {
       return res.status(404).json({
@@ -105,14 +507,16 @@ router.get('/:id', async (req, res) => {
  * Required body fields:
  * - customerId: string
  * - customerName: string
- * - rating: number (1-5)
+ * - rating: number (1-5 for CSAT, 0-10 for NPS, 1-7 for CES)
  * - title: string
  * - comment: string
  * 
  * Optional body fields:
- * - status: string (pending, approved, rejected) - defaults to 'pending'
+ * - surveyType: string (csat, nps, ces) - defaults to 'csat'
+ * - status: string (pending, approved, rejected, flagged, spam) - defaults to 'pending'
+ * - moderationReason: string - required when status is rejected or spam
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('write'), async (req, res) => {
   try {
     // Validate request body
     const validation = validateReviewData(req.body);
@@ -126,7 +530,8 @@ router.post('/', async (req, res) => {
     
     // Create and save review
     const review = createReview(req.body);
-    const savedReview = await saveReview(review);
+    const savedReview = await saveReview(req.workspaceId, review, { actor: getActor(req) });
+    notifyReviewEvent(req, 'review.created', null, savedReview);
     
     res.status(201).json({
       success: true,
@@ -148,15 +553,21 @@ router.post('/', async (req, res) => {
  * Optional body fields (any combination):
  * - customerId: string
  * - customerName: string
- * - rating: number (1-5)
+ * - surveyType: string (csat, nps, ces)
+ * - rating: number - in the range of the (new or current) survey type
  * - title: string
  * - comment: string
- * - status: string (pending, approved, rejected)
+ * - status: string (pending, approved, rejected, flagged, spam) - must be an
+ *   allowed transition from the current status
+ * - moderationReason: string - required when the review is rejected or spam
+ * 
+ * Other fields are ignored; the moderator is recorded by the server when
+ * the status changes.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('write'), async (req, res) => {
   try {
     // Get existing review
-    const existingReview = await getReviewById(req.params.id);
+    const existingReview = await getReviewById(req.workspaceId, req.params.id);
     if (!existingReview) {
       return res.status(404).json({
         success: false,
@@ -164,8 +575,13 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Only fields clients may edit are taken from the body
+    const updateData = Object.fromEntries(UPDATE_FIELDS
+      .filter(field => req.body?.[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    
     // Validate update data
-    const validation = validateUpdateData(req.body);
+    const validation = validateUpdateData(updateData, existingReview);
     if (!validation.isValid) {
       return res.status(400).json({
         success: false,
@@ -174,9 +590,20 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Enforce the moderation state machine on status changes
+    if (updateData.status !== undefined && updateData.status !== existingReview.status) {
+      const transition = validateStatusTransition(existingReview.status, updateData.status, updateData.moderationReason);
+      if (!transition.isValid) {
+        return sendTransitionError(res, existingReview, transition);
+      }
+      
+      updateData.moderationReason = updateData.moderationReason ?? null;
+    }
+    
     // Update review
-    const updatedReview = updateReview(existingReview, req.body);
-    const savedReview = await updateReviewById(req.params.id, updatedReview);
+    const updatedReview = updateReview(existingReview, updateData);
+    const savedReview = await updateReviewById(req.workspaceId, req.params.id, updatedReview, { actor: getActor(req) });
+    notifyReviewEvent(req, getUpdateEvent(existingReview, savedReview), existingReview, savedReview);
     
     res.json({
       success: true,
@@ -193,11 +620,15 @@ router.put('/:id', async (req, res) => {
 
 /**
  * DELETE /api/reviews/:id
- * Delete a review
+ * Move a review to the trash (soft delete)
+ * 
+ * The review disappears from all reads, metrics and exports but can be
+ * restored with POST /api/reviews/:id/restore until it is purged.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('write'), async (req, res) => {
   try {
-    const deleted = await deleteReviewById(req.params.id);
+    const existingReview = await getReviewById(req.workspaceId, req.params.id);
+    const deleted = existingReview && await deleteReviewById(req.workspaceId, req.params.id, { actor: getActor(req) });
     
     if (!deleted) {
       return res.status(404).json({
@@ -206,6 +637,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    notifyReviewEvent(req, 'review.deleted', existingReview, null);
+    
     res.json({
       success: true,
       message: 'Review deleted successfully'
@@ -219,4 +652,164 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/reviews/:id/restore
+ * Restore a review from the trash
+ */
+router.post('/:id/restore', requirePermission('write'), async (req, res) => {
+  try {
+    const restoredReview = await restoreReviewById(req.workspaceId, req.params.id, { actor: getActor(req) });
+    
+    if (!restoredReview) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found in trash'
+      });
+    }
+    
+    notifyReviewEvent(req, 'review.restored', null, restoredReview);
+    
+    res.json({
+      success: true,
+      data: restoredReview
+    });
+  } catch (error) {
+    console.error('Error restoring review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/:id/approve
+ * Approve a review
+ * 
+ * Optional body fields:
+ * - reason: string
+ */
+router.post('/:id/approve', requirePermission('moderate'), (req, res) => moderateReview(req, res, 'approved'));
+
+/**
+ * POST /api/reviews/:id/reject
+ * Reject a review
+ * 
+ * Required body fields:
+ * - reason: string
+ */
+router.post('/:id/reject', requirePermission('moderate'), (req, res) => moderateReview(req, res, 'rejected'));
+
+/**
+ * POST /api/reviews/:id/flag
+ * Flag a review for moderator attention; flagged reviews are at the top
+ * of the moderation queue
+ * 
+ * Optional body fields:
+ * - reason: string
+ */
+router.post('/:id/flag', requirePermission('moderate'), (req, res) => moderateReview(req, res, 'flagged'));
+
+/**
+ * POST /api/reviews/:id/spam
+ * Mark a review as spam
+ * 
+ * Required body fields:
+ * - reason: string
+ */
+router.post('/:id/spam', requirePermission('moderate'), (req, res) => moderateReview(req, res, 'spam'));
+
+/**
+ * GET /api/reviews/:id/history
+ * Get the revision history of a review, newest first
+ * 
+ * Each revision contains the action (create, update, status_change, delete,
+ * revert), a field-level diff ({ field: { from, to } }), a snapshot of the
+ * resulting review, the actor and the time. History remains available after
+ * the review is deleted.
+ */
+router.get('/:id/history', requirePermission('read'), async (req, res) => {
+  try {
+    const revisions = await getReviewHistory(req.workspaceId, req.params.id);
+    
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        reviewId: req.params.id,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Error getting review history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/:id/revert/:revisionId
+ * Revert a review to the state recorded in a revision
+ * 
+ * Restores the review if it is in the trash and re-creates it if it was
+ * purged. The revert is recorded as a new 'revert' revision, so it can
+ * itself be reverted. Reverting the status goes through the moderation
+ * state machine like PUT: 409 if the transition is not allowed, 400 if the
+ * revision has no reason for a status that requires one.
+ */
+router.post('/:id/revert/:revisionId', requirePermission('write'), async (req, res) => {
+  try {
+    const revisionId = parseInt(req.params.revisionId);
+    if (!Number.isInteger(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['revisionId must be an integer']
+      });
+    }
+    
+    const existingReview = await getReviewById(req.workspaceId, req.params.id);
+    const result = await revertReviewToRevision(req.workspaceId, req.params.id, revisionId, { actor: getActor(req) });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    
+    if (result.transition) {
+      return sendTransitionError(res, result.previous, result.transition);
+    }
+    
+    const revertedReview = result.review;
+    
+    // Restoring from the trash or re-creating a purged review is announced
+    // like a restore or create, a status change like its moderation action
+    const event = !result.previous ? 'review.created'
+      : result.previous.deletedAt ? 'review.restored'
+        : getUpdateEvent(existingReview, revertedReview);
+    notifyReviewEvent(req, event, existingReview, revertedReview);
+    
+    res.json({
+      success: true,
+      data: revertedReview
+    });
+  } catch (error) {
+    console.error('Error reverting review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
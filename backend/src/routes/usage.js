@@ -7,9 +7,19 @@
 
 import express from 'express';
 import { getAllReviews, getReviewsWithFilters } from '../services/dataService.js';
+import { trackQuery } from '../services/activityService.js';
+import { resolveTimeRange } from '../services/timeBucketService.js';
+import { getRatingSentiment, DEFAULT_SURVEY_TYPE } from '../models/review.js';
 
 const router = express.Router();
 
+// Details table labels of the sentiment of a rating (see models/review.js)
+const SENTIMENT_LABELS = {
+  positive: { sentiment: 'Positive', stability: 'Stable', priority: 'Low' },
+  neutral: { sentiment: 'Neutral', stability: 'Warning', priority: 'Medium' },
+  negative: { sentiment: 'Negative', stability: 'Critical', priority: 'High' }
+};
+
 /**
  * Transform review data to match dashboard details table format
  * 
@@ -17,23 +27,40 @@ const router = express.Router();
  * @returns {Array} Array of transformed records for the details table
  */
 function transformReviewsForDetailsTable(reviews) {
-  return reviews.map(review => ({
-    id: review.id,
-    owner: review.customerName,
-    customerId: review.customerId,
-    status: review.status,
-    rating: review.rating,
-    title: review.title,
-    comment: review.comment,
-    costs: `$${(Math.random() * 50 + 10).toFixed(2)}`, // Mock cost data
-    region: ['US-East', 'US-West', 'EU-Central', 'Asia-Pacific'][Math.floor(Math.random() * 4)], // Mock region
-    stability: review.rating >= 4 ? 'Stable' : review.rating >= 3 ? 'Warning' : 'Critical',
-    lastEdited: review.updatedAt,
-    createdAt: review.createdAt,
-    // Additional fields for filtering/sorting
-    sentiment: review.rating >= 4 ? 'Positive' : review.rating === 3 ? 'Neutral' : 'Negative',
-    priority: review.rating <= 2 ? 'High' : review.rating === 3 ? 'Medium' : 'Low'
-  }));
+  return reviews.map(review => {
+    const sentiment = getRatingSentiment(review.surveyType, review.rating);
+    return {
+      id: review.id,
+      owner: review.customerName,
+      customerId: review.customerId,
+      status: review.status,
+      surveyType: review.surveyType || DEFAULT_SURVEY_TYPE,
+      rating: review.rating,
+      title: review.title,
+      comment: review.comment,
+      costs: `$${(Math.random() * 50 + 10).toFixed(2)}`, // Mock cost data
+      region: ['US-East', 'US-West', 'EU-Central', 'Asia-Pacific'][Math.floor(Math.random() * 4)], // Mock region
+      stability: SENTIMENT_LABELS[sentiment].stability,
+      lastEdited: review.updatedAt,
+      createdAt: review.createdAt,
+      // Additional fields for filtering/sorting
+      sentiment: SENTIMENT_LABELS[sentiment].sentiment,
+      priority: SENTIMENT_LABELS[sentiment].priority
+    };
+  });
+}
+
+/**
+ * Averages the ratings of the CSAT records; other survey types use other scales
+ * 
+ * @param {Array} records - Transformed records
+ * @returns {number} Average rating, 0 without CSAT records
+ */
+function averageCsatRating(records) {
+  const ratings = records.filter(r => r.surveyType === 'csat').map(r => r.rating);
+  return ratings.length > 0
+    ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+    : 0;
 }
 
 /**
@@ -42,7 +69,8 @@ function transformReviewsForDetailsTable(reviews) {
  * 
  * Query parameters:
  * - status: Filter by status (pending, approved, rejected)
- * - rating: Filter by rating (1-5)
+ * - surveyType: Filter by survey type (csat, nps, ces)
+ * - rating: Filter by rating (1-5, 0-10 for NPS, 1-7 for CES)
  * - customerId: Filter by customer ID
  * - owner: Filter by customer name
  * - region: Filter by region
@@ -53,13 +81,15 @@ function transformReviewsForDetailsTable(reviews) {
  * - offset: Offset for pagination (default: 0)
  * - sortBy: Field to sort by (default: createdAt)
  * - sortOrder: Sort order (asc, desc, default: desc)
- * - search: Search term to filter by title, comment, or customer name
+ * - search: Search term to filter by title, comment (word prefixes, full-text index),
+ *   customer name or customer ID
  */
 router.get('/details', async (req, res) => {
   try {
     // Extract query parameters
     const {
       status,
+      surveyType,
       rating,
       customerId,
       owner,
@@ -77,8 +107,10 @@ router.get('/details', async (req, res) => {
     // Get base reviews with existing filters
     const baseFilters = {
       status,
+      surveyType,
       rating: rating ? parseInt(rating) : undefined,
       customerId,
+      search, // Uses the full-text index for title and comment
       limit: undefined, // We'll handle pagination after transformation
       offset: undefined
     };
@@ -90,7 +122,8 @@ router.get('/details', async (req, res) => {
       }
     });
 
-    const result = await getReviewsWithFilters(baseFilters);
+    const result = await getReviewsWithFilters(req.workspaceId, baseFilters);
+    trackQuery(req, 'usage.details', result.reviews.length);
     let transformedRecords = transformReviewsForDetailsTable(result.reviews);
 
     // Apply additional filters
@@ -124,16 +157,6 @@ router.get('/details', async (req, res) => {
       );
     }
 
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      transformedRecords = transformedRecords.filter(record => 
-        record.title.toLowerCase().includes(searchTerm) ||
-        record.comment.toLowerCase().includes(searchTerm) ||
-        record.owner.toLowerCase().includes(searchTerm) ||
-        record.customerId.toLowerCase().includes(searchTerm)
-      );
-    }
-
     // Sort records
     transformedRecords.sort((a, b) => {
       let aVal = a[sortBy];
@@ -187,9 +210,7 @@ router.get('/details', async (req, res) => {
         acc[record.region] = (acc[record.region] || 0) + 1;
         return acc;
       }, {}),
-      averageRating: transformedRecords.length > 0 
-        ? Math.round((transformedRecords.reduce((sum, r) => sum + r.rating, 0) / transformedRecords.length) * 100) / 100
-        : 0
+      averageRating: averageCsatRating(transformedRecords)
     };
 
     res.json({
@@ -230,10 +251,29 @@ router.get('/details', async (req, res) => {
 /**
  * GET /api/usage/summary
  * Get summary statistics for usage/details
+ * 
+ * Query parameters (all optional; without dates every record is included):
+ * - startDate: Start date or timestamp (defaults to the first record)
+ * - endDate: End date or timestamp, inclusive (defaults to now)
+ * - tz: IANA time zone of the dates (default: UTC); date-only dates are whole days in this zone
  */
 router.get('/summary', async (req, res) => {
   try {
-    const allReviews = await getAllReviews();
+    let range = null;
+    if (req.query.startDate || req.query.endDate || req.query.tz) {
+      range = resolveTimeRange(req.query, { startDate: '1970-01-01', endDate: new Date().toISOString() });
+      if (!range.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: range.errors
+        });
+      }
+    }
+
+    const allReviews = (await getAllReviews(req.workspaceId)).filter(review => !range ||
+      (new Date(review.createdAt) >= range.start && new Date(review.createdAt) < range.end));
+    trackQuery(req, 'usage.summary', allReviews.length);
     const transformedRecords = transformReviewsForDetailsTable(allReviews);
 
     const summary = {
@@ -258,9 +298,12 @@ router.get('/summary', async (req, res) => {
         acc[record.priority] = (acc[record.priority] || 0) + 1;
         return acc;
       }, {}),
-      averageRating: transformedRecords.length > 0 
-        ? Math.round((transformedRecords.reduce((sum, r) => sum + r.rating, 0) / transformedRecords.length) * 100) / 100
-        : 0,
+      averageRating: averageCsatRating(transformedRecords),
+      period: range && {
+        startDate: range.start.toISOString(),
+        endDate: new Date(range.end.getTime() - 1).toISOString(),
+        timeZone: range.timeZone
+      },
       generatedAt: new Date().toISOString()
     };
 
@@ -298,6 +341,10 @@ export function testDetailsTransformation() {
   console.assert(transformed[0].owner === 'John Doe', 'Should map customerName to owner');
   console.assert(transformed[0].sentiment === 'Positive', 'Should calculate sentiment correctly');
   console.assert(transformed[0].stability === 'Stable', 'Should calculate stability correctly');
+
+  const [detractor] = transformReviewsForDetailsTable([{ ...testReviews[0], surveyType: 'nps', rating: 6 }]);
+  console.assert(detractor.sentiment === 'Negative' && detractor.priority === 'High',
+    'NPS detractors should be negative');
   console.log('Details transformation test passed!');
 }
 
@@ -0,0 +1,236 @@
+/**
+ * Webhook routes
+ * 
+ * Provides REST API endpoints for managing the webhook subscriptions of a
+ * workspace (webhooks permission, see services/apiKeyService.js):
+ * - GET /api/webhooks - List webhooks
+ * - POST /api/webhooks - Create a webhook; the signing secret is only returned here
+ * - GET /api/webhooks/:id - Get a webhook
+ * - PUT /api/webhooks/:id - Update a webhook
+ * - DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+ * - GET /api/webhooks/:id/deliveries - Get the delivery log of a webhook
+ * 
+ * Deliveries are queued and retried by services/webhookService.js.
+ */
+
+import express from 'express';
+import {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhookById,
+  deleteWebhookById,
+  getWebhookDeliveries,
+  validateWebhookData
+} from '../services/webhookService.js';
+
+const router = express.Router();
+
+// Statuses of a delivery in the delivery log
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * GET /api/webhooks
+ * List the webhooks of the workspace
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await getWebhooks(req.workspaceId);
+    
+    res.json({
+      success: true,
+      data: webhooks
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook
+ * 
+ * Required body fields:
+ * - url: string - http or https URL that receives the events
+ * - events: array - event names (review.created, review.updated, review.approved,
+ *   review.rejected, review.flagged, review.spam, review.deleted, review.restored) or '*'
+ * 
+ * Optional body fields:
+ * - description: string
+ * - active: boolean - defaults to true
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateWebhookData(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    const webhook = await createWebhook(req.workspaceId, req.body);
+    
+    res.status(201).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await getWebhookById(req.workspaceId, req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error getting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook
+ * 
+ * Optional body fields (any combination): url, events, description, active
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const validation = validateWebhookData(req.body || {}, { partial: true });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    const webhook = await updateWebhookById(req.workspaceId, req.params.id, req.body);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook; queued deliveries are dropped
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteWebhookById(req.workspaceId, req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Get the delivery log of a webhook, newest first
+ * 
+ * Every delivery includes its event, payload, status (pending, delivered,
+ * failed), number of attempts, next attempt time, last response status
+ * and last error.
+ * 
+ * Query parameters:
+ * - status: Filter by delivery status
+ * - limit: Limit number of results
+ * - offset: Offset for pagination
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`status must be one of: ${DELIVERY_STATUSES.join(', ')}`]
+      });
+    }
+    
+    const result = await getWebhookDeliveries(req.workspaceId, req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset) : undefined
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Workspace (tenant) routes
+ *
+ * Provides REST API endpoints for managing workspaces:
+ * - GET /api/workspaces - List the workspaces the API key can access
+ * - POST /api/workspaces - Create a workspace (admin role, unscoped key)
+ *
+ * The data of a workspace is reached under /api/workspaces/:workspaceId/...
+ * (e.g. /api/workspaces/acme/reviews) or with the X-Workspace-Id header.
+ */
+
+import express from 'express';
+import { requirePermission } from '../services/apiKeyService.js';
+import {
+  getWorkspaces,
+  createWorkspace,
+  validateWorkspaceData
+} from '../services/workspaceService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/workspaces
+ * List workspaces; keys bound to a workspace only see their own
+ */
+router.get('/', requirePermission('read'), async (req, res) => {
+  try {
+    const scope = req.apiKey?.workspaceId;
+    const workspaces = (await getWorkspaces()).filter(workspace => !scope || workspace.id === scope);
+
+    res.json({
+      success: true,
+      data: workspaces
+    });
+  } catch (error) {
+    console.error('Error listing workspaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace
+ *
+ * Required body fields:
+ * - id: string - lowercase slug used in URLs and the X-Workspace-Id header
+ * - name: string - display name
+ */
+router.post('/', requirePermission('admin'), async (req, res) => {
+  try {
+    const validation = validateWorkspaceData(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const workspace = await createWorkspace({ id: req.body.id, name: req.body.name });
+
+    if (!workspace) {
+      return res.status(409).json({
+        success: false,
+        error: 'Workspace already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
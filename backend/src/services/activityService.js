@@ -0,0 +1,171 @@
+/**
+ * Activity tracking service
+ *
+ * Records real API activity in the SQLite database so dashboard metrics
+ * are derived from audited events instead of estimates:
+ * - read: rows returned from the reviews table (count = number of rows)
+ * - query: a read query served by the reviews, usage or export routes
+ * - session: a new client session (first request after a period of inactivity)
+ *
+ * Events are recorded in the workspace of the request.
+ */
+
+import crypto from 'crypto';
+import { getDatabase } from '../data/database.js';
+import { DEFAULT_WORKSPACE_ID } from './workspaceService.js';
+
+// Get database instance
+const db = getDatabase();
+
+// A client starts a new session after 30 minutes without requests
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Last request time per workspace and client, used to detect new sessions
+const lastSeenByClient = new Map();
+
+// Prepare statements for better performance
+const statements = {
+  insertEvent: db.prepare(`
+    INSERT INTO activity_events (workspaceId, type, count, source, clientId, occurredAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getCountsForDay: db.prepare(`
+    SELECT
+      COALESCE(SUM(CASE WHEN type = 'read' THEN count END), 0) as rowsRead,
+      COUNT(CASE WHEN type = 'query' THEN 1 END) as queries,
+      COUNT(CASE WHEN type = 'session' THEN 1 END) as sessions
+    FROM activity_events
+    WHERE workspaceId = ? AND occurredAt >= ? AND occurredAt < ?
+  `)
+};
+
+/**
+ * Records a single activity event
+ *
+ * Failures are logged and swallowed: tracking must never break the request
+ * that triggered it.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} type - Event type (read, query, session)
+ * @param {Object} [details] - Event details
+ * @param {number} [details.count=1] - Number of units (rows for read events)
+ * @param {string} [details.source='unknown'] - Route or operation that caused the event
+ * @param {string} [details.clientId] - Anonymous client identifier
+ * @returns {boolean} True if the event was recorded
+ */
+export function recordActivity(workspaceId, type, details = {}) {
+  try {
+    statements.insertEvent.run(
+      workspaceId,
+      type,
+      details.count ?? 1,
+      details.source || 'unknown',
+      details.clientId || null,
+      new Date().toISOString()
+    );
+    return true;
+  } catch (error) {
+    console.error('Error recording activity:', error);
+    return false;
+  }
+}
+
+/**
+ * Records a read query and the number of rows it returned
+ *
+ * @param {Object} req - Express request (used for the workspace and client identifier)
+ * @param {string} source - Route or operation name, e.g. 'reviews.list'
+ * @param {number} rowsRead - Number of review rows read
+ */
+export function trackQuery(req, source, rowsRead) {
+  const clientId = req?.clientId;
+  const workspaceId = req?.workspaceId || DEFAULT_WORKSPACE_ID;
+
+  recordActivity(workspaceId, 'query', { source, clientId });
+
+  if (rowsRead > 0) {
+    recordActivity(workspaceId, 'read', { count: rowsRead, source, clientId });
+  }
+}
+
+/**
+ * Derives an anonymous client identifier from the request
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Hashed identifier of IP address and user agent
+ */
+function getClientId(req) {
+  const fingerprint = `${req.ip || ''}|${req.get('User-Agent') || ''}`;
+  return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+}
+
+/**
+ * Express middleware that records a session event whenever a client
+ * makes its first request to a workspace or returns after
+ * SESSION_TIMEOUT_MS of inactivity. Must run after resolveWorkspace.
+ */
+export function trackSession(req, res, next) {
+  const clientId = getClientId(req);
+  const workspaceId = req.workspaceId || DEFAULT_WORKSPACE_ID;
+  const sessionKey = `${workspaceId}:${clientId}`;
+  const now = Date.now();
+  const lastSeen = lastSeenByClient.get(sessionKey);
+
+  if (lastSeen === undefined || now - lastSeen > SESSION_TIMEOUT_MS) {
+    recordActivity(workspaceId, 'session', { source: req.baseUrl || req.path, clientId });
+  }
+
+  lastSeenByClient.set(sessionKey, now);
+  req.clientId = clientId;
+
+  // Forget clients whose session expired to keep memory bounded
+  if (lastSeenByClient.size > 10000) {
+    for (const [id, seen] of lastSeenByClient) {
+      if (now - seen > SESSION_TIMEOUT_MS) {
+        lastSeenByClient.delete(id);
+      }
+    }
+  }
+
+  next();
+}
+
+/**
+ * Gets recorded activity counts for a specific day
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @returns {Object} Object with rowsRead, queries and sessions counts
+ */
+export function getActivityCountsForDay(workspaceId, dateStr) {
+  try {
+    const dayStart = new Date(`${dateStr}T00:00:00.000Z`);
+    const nextDayStart = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    return statements.getCountsForDay.get(workspaceId, dayStart.toISOString(), nextDayStart.toISOString());
+  } catch (error) {
+    console.error('Error getting activity counts:', error);
+    throw new Error('Failed to retrieve activity counts');
+  }
+}
+
+// Test this service
+export function testActivityService() {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const counts = getActivityCountsForDay(DEFAULT_WORKSPACE_ID, today);
+
+    console.assert(typeof counts.rowsRead === 'number', 'Counts should include rowsRead');
+    console.assert(typeof counts.queries === 'number', 'Counts should include queries');
+    console.assert(typeof counts.sessions === 'number', 'Counts should include sessions');
+
+    const clientId = getClientId({ ip: '127.0.0.1', get: () => 'test-agent' });
+    console.assert(clientId.length === 16, 'Client ID should be a 16 character hash');
+    console.assert(!clientId.includes('127.0.0.1'), 'Client ID should not expose the IP address');
+
+    console.log('Activity service tests passed');
+    return true;
+  } catch (error) {
+    console.error('Activity service test failed:', error);
+    return false;
+  }
+}
\ No newline at end of file
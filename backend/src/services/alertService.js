@@ -0,0 +1,813 @@
+/**
+ * Alert service
+ *
+ * Alert rules watch a satisfaction metric of a workspace so that a sudden
+ * drop in the average rating or spike in low ratings is noticed without
+ * someone watching the dashboard. Rules are evaluated on a schedule against
+ * the time series behind generateMetrics (see metricsService), bucketed by
+ * the rule's granularity and time zone. Only complete buckets are evaluated,
+ * each once: the latest complete bucket is compared with the rule and,
+ * for rolling rules, with the window of buckets before it.
+ *
+ * Rule types:
+ * - threshold: the value is above or below the threshold
+ * - zscore: the value is more than threshold standard deviations above or
+ *   below the mean of the window
+ * - percent_change: the value is more than threshold percent above or below
+ *   the mean of the window
+ *
+ * A triggered rule opens an alert, which is delivered to the rule's
+ * channels: 'webhook' queues an alert.triggered event for the workspace's
+ * webhooks (see webhookService), 'log' appends a JSON line to the alert log
+ * file. While a rule has an unresolved alert, further triggers update that
+ * alert and count its occurrences instead of opening and delivering new
+ * ones. Alerts are acknowledged and resolved through the API.
+ *
+ * Configuration (environment variables):
+ * - ALERT_EVALUATION_INTERVAL_SECONDS: Seconds between rule evaluations (default: 60)
+ * - ALERT_LOG_FILE: File the log channel appends to (default: src/data/alerts.log)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../data/database.js';
+import { getBucketMetrics } from './metricsService.js';
+import { queueWebhookEvent } from './webhookService.js';
+import {
+  GRANULARITIES,
+  isValidTimeZone,
+  startOfBucket,
+  addBuckets,
+  getTimeBuckets
+} from './timeBucketService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Get database instance
+const db = getDatabase();
+
+/**
+ * Metrics a rule can watch, computed from a getBucketMetrics row. Rating
+ * metrics cover CSAT reviews and are null for buckets with fewer than the
+ * rule's minReviews, so a handful of reviews cannot trigger an alert.
+ */
+export const ALERT_METRICS = {
+  averageRating: {
+    label: 'Average rating',
+    value: (row, minReviews) => row.csatReviews >= minReviews ? row.avgRating : null
+  },
+  lowRatingShare: {
+    label: 'Share of 1-2 star reviews (%)',
+    value: (row, minReviews) => row.csatReviews >= minReviews ? row.lowRating / row.csatReviews * 100 : null
+  },
+  fiveStarShare: {
+    label: 'Share of 5 star reviews (%)',
+    value: (row, minReviews) => row.csatReviews >= minReviews ? row.fiveStar / row.csatReviews * 100 : null
+  },
+  reviewsSubmitted: {
+    label: 'Reviews submitted',
+    value: row => row.reviewsSubmitted
+  }
+};
+
+export const ALERT_RULE_TYPES = ['threshold', 'zscore', 'percent_change'];
+export const ALERT_OPERATORS = ['above', 'below'];
+export const ALERT_CHANNELS = ['webhook', 'log'];
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Statuses an alert can move to from each status
+export const ALERT_TRANSITIONS = {
+  open: ['acknowledged', 'resolved'],
+  acknowledged: ['resolved'],
+  resolved: []
+};
+
+const DEFAULT_WINDOW = 7;
+const MAX_WINDOW = 365;
+const DEFAULT_GRANULARITY = 'day';
+const DEFAULT_CHANNELS = ['log'];
+const DEFAULT_EVALUATION_INTERVAL_SECONDS = 60;
+
+// Prepare statements for better performance
+const statements = {
+  getRules: db.prepare('SELECT * FROM alert_rules WHERE workspaceId = ? ORDER BY createdAt'),
+  getRuleById: db.prepare('SELECT * FROM alert_rules WHERE workspaceId = ? AND id = ?'),
+  getActiveRules: db.prepare('SELECT * FROM alert_rules WHERE active = 1 ORDER BY createdAt'),
+  insertRule: db.prepare(`
+    INSERT INTO alert_rules (id, workspaceId, name, metric, type, operator, threshold, windowSize, granularity,
+      timeZone, minReviews, channels, active, lastBucketStart, lastEvaluatedAt, createdAt, updatedAt)
+    VALUES (@id, @workspaceId, @name, @metric, @type, @operator, @threshold, @windowSize, @granularity,
+      @timeZone, @minReviews, @channels, @active, @lastBucketStart, @lastEvaluatedAt, @createdAt, @updatedAt)
+  `),
+  updateRule: db.prepare(`
+    UPDATE alert_rules
+    SET name = @name, metric = @metric, type = @type, operator = @operator, threshold = @threshold,
+      windowSize = @windowSize, granularity = @granularity, timeZone = @timeZone, minReviews = @minReviews,
+      channels = @channels, active = @active, updatedAt = @updatedAt
+    WHERE id = @id AND workspaceId = @workspaceId
+  `),
+  setEvaluated: db.prepare('UPDATE alert_rules SET lastBucketStart = ?, lastEvaluatedAt = ? WHERE id = ?'),
+  deleteRule: db.prepare('DELETE FROM alert_rules WHERE workspaceId = ? AND id = ?'),
+  deleteRuleAlerts: db.prepare('DELETE FROM alerts WHERE ruleId = ?'),
+  getAlerts: db.prepare(`
+    SELECT * FROM alerts
+    WHERE workspaceId = ? AND (? IS NULL OR status = ?) AND (? IS NULL OR ruleId = ?)
+    ORDER BY triggeredAt DESC
+    LIMIT ? OFFSET ?
+  `),
+  countAlerts: db.prepare(`
+    SELECT COUNT(*) as total FROM alerts
+    WHERE workspaceId = ? AND (? IS NULL OR status = ?) AND (? IS NULL OR ruleId = ?)
+  `),
+  getAlertById: db.prepare('SELECT * FROM alerts WHERE workspaceId = ? AND id = ?'),
+  getUnresolvedAlert: db.prepare(`
+    SELECT * FROM alerts WHERE ruleId = ? AND status != 'resolved'
+    ORDER BY triggeredAt DESC LIMIT 1
+  `),
+  insertAlert: db.prepare(`
+    INSERT INTO alerts (id, workspaceId, ruleId, ruleName, metric, type, status, value, baseline, score, threshold,
+      bucketStart, bucketEnd, message, occurrences, triggeredAt, lastTriggeredAt)
+    VALUES (@id, @workspaceId, @ruleId, @ruleName, @metric, @type, 'open', @value, @baseline, @score, @threshold,
+      @bucketStart, @bucketEnd, @message, 1, @triggeredAt, @triggeredAt)
+  `),
+  repeatAlert: db.prepare(`
+    UPDATE alerts
+    SET value = @value, baseline = @baseline, score = @score, threshold = @threshold, bucketStart = @bucketStart,
+      bucketEnd = @bucketEnd, message = @message, occurrences = occurrences + 1, lastTriggeredAt = @triggeredAt
+    WHERE id = @id
+  `),
+  acknowledgeAlert: db.prepare(`
+    UPDATE alerts SET status = 'acknowledged', acknowledgedAt = ?, acknowledgedBy = ?
+    WHERE workspaceId = ? AND id = ?
+  `),
+  resolveAlert: db.prepare(`
+    UPDATE alerts SET status = 'resolved', resolvedAt = ?, resolvedBy = ?
+    WHERE workspaceId = ? AND id = ?
+  `)
+};
+
+/**
+ * Read a positive number from an environment variable
+ *
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value if the variable is unset or invalid
+ * @returns {number} Configured value
+ */
+function getPositiveNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Get the file the log channel appends alerts to
+ *
+ * @returns {string} Absolute file path
+ */
+export function getAlertLogFile() {
+  return path.resolve(process.env.ALERT_LOG_FILE || path.join(__dirname, '../data/alerts.log'));
+}
+
+/**
+ * Round a metric value for storage and messages
+ *
+ * @param {number|null} value - Value
+ * @returns {number|null} Value rounded to 2 decimals
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a rule row to its API representation
+ *
+ * @param {Object} row - Row from the alert_rules table
+ * @returns {Object} Alert rule
+ */
+function toAlertRule(row) {
+  const { windowSize, ...rule } = row;
+  return {
+    ...rule,
+    window: windowSize,
+    channels: JSON.parse(row.channels),
+    active: row.active === 1
+  };
+}
+
+/**
+ * Validates alert rule data
+ *
+ * For updates, pass the existing rule: the changed fields are validated
+ * together with the rest of the rule, since the valid thresholds and
+ * windows depend on the rule type.
+ *
+ * @param {Object} ruleData - Alert rule data
+ * @param {Object} [existingRule] - Existing rule (updates)
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateAlertRuleData(ruleData, existingRule = null) {
+  const errors = [];
+  const rule = existingRule ? { ...existingRule, ...ruleData } : ruleData;
+
+  if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 100) {
+    errors.push('name is required and must be a string of at most 100 characters');
+  }
+
+  if (!Object.hasOwn(ALERT_METRICS, rule.metric)) {
+    errors.push(`metric is required and must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+  }
+
+  if (!ALERT_RULE_TYPES.includes(rule.type)) {
+    errors.push(`type is required and must be one of: ${ALERT_RULE_TYPES.join(', ')}`);
+  }
+
+  if (!ALERT_OPERATORS.includes(rule.operator)) {
+    errors.push(`operator is required and must be one of: ${ALERT_OPERATORS.join(', ')}`);
+  }
+
+  if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+    errors.push('threshold is required and must be a number');
+  } else if (rule.type !== 'threshold' && rule.threshold <= 0) {
+    errors.push('threshold must be positive for zscore and percent_change rules');
+  }
+
+  if (rule.window !== undefined) {
+    // A standard deviation needs at least two values
+    const minWindow = rule.type === 'zscore' ? 2 : 1;
+    if (!Number.isInteger(rule.window) || rule.window < minWindow || rule.window > MAX_WINDOW) {
+      errors.push(`window must be an integer between ${minWindow} and ${MAX_WINDOW}`);
+    }
+  }
+
+  if (rule.granularity !== undefined && !GRANULARITIES.includes(rule.granularity)) {
+    errors.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  if (rule.timeZone !== undefined && (typeof rule.timeZone !== 'string' || !isValidTimeZone(rule.timeZone))) {
+    errors.push('timeZone must be an IANA time zone name, e.g. Europe/Berlin');
+  }
+
+  if (rule.minReviews !== undefined && (!Number.isInteger(rule.minReviews) || rule.minReviews < 1)) {
+    errors.push('minReviews must be a positive integer');
+  }
+
+  if (rule.channels !== undefined &&
+    (!Array.isArray(rule.channels) || rule.channels.length === 0 || !rule.channels.every(channel => ALERT_CHANNELS.includes(channel)))) {
+    errors.push(`channels must be a non-empty array of: ${ALERT_CHANNELS.join(', ')}`);
+  }
+
+  if (rule.active !== undefined && typeof rule.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Gets the alert rules of a workspace
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Array} Array of alert rules
+ */
+export function getAlertRules(workspaceId) {
+  try {
+    return statements.getRules.all(workspaceId).map(toAlertRule);
+  } catch (error) {
+    console.error('Error getting alert rules:', error);
+    throw new Error('Failed to retrieve alert rules');
+  }
+}
+
+/**
+ * Finds an alert rule by ID
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Alert rule ID
+ * @returns {Object|null} Alert rule or null if not found
+ */
+export function getAlertRuleById(workspaceId, id) {
+  try {
+    const row = statements.getRuleById.get(workspaceId, id);
+    return row ? toAlertRule(row) : null;
+  } catch (error) {
+    console.error('Error getting alert rule:', error);
+    throw new Error('Failed to retrieve alert rule');
+  }
+}
+
+/**
+ * Creates an alert rule
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} ruleData - Alert rule data (name, metric, type, operator, threshold, window,
+ *   granularity, timeZone, minReviews, channels, active)
+ * @returns {Object} Created alert rule
+ */
+export function createAlertRule(workspaceId, ruleData) {
+  try {
+    const now = new Date().toISOString();
+    const row = {
+      id: uuidv4(),
+      workspaceId,
+      name: ruleData.name.trim(),
+      metric: ruleData.metric,
+      type: ruleData.type,
+      operator: ruleData.operator,
+      threshold: ruleData.threshold,
+      windowSize: ruleData.window ?? DEFAULT_WINDOW,
+      granularity: ruleData.granularity || DEFAULT_GRANULARITY,
+      timeZone: ruleData.timeZone || 'UTC',
+      minReviews: ruleData.minReviews ?? 1,
+      channels: JSON.stringify([...new Set(ruleData.channels || DEFAULT_CHANNELS)]),
+      active: ruleData.active === false ? 0 : 1,
+      lastBucketStart: null,
+      lastEvaluatedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    statements.insertRule.run(row);
+    return toAlertRule(row);
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    throw new Error('Failed to create alert rule');
+  }
+}
+
+/**
+ * Updates an alert rule
+ *
+ * The latest bucket is not evaluated again with the changed rule until the
+ * next bucket completes; evaluate the rule to check it right away.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Alert rule ID
+ * @param {Object} updateData - Fields to change (name, metric, type, operator, threshold, window,
+ *   granularity, timeZone, minReviews, channels, active)
+ * @returns {Object|null} Updated alert rule or null if not found
+ */
+export function updateAlertRuleById(workspaceId, id, updateData) {
+  try {
+    const existing = statements.getRuleById.get(workspaceId, id);
+    if (!existing) {
+      return null;
+    }
+
+    const row = {
+      ...existing,
+      name: updateData.name !== undefined ? updateData.name.trim() : existing.name,
+      metric: updateData.metric ?? existing.metric,
+      type: updateData.type ?? existing.type,
+      operator: updateData.operator ?? existing.operator,
+      threshold: updateData.threshold ?? existing.threshold,
+      windowSize: updateData.window ?? existing.windowSize,
+      granularity: updateData.granularity ?? existing.granularity,
+      timeZone: updateData.timeZone ?? existing.timeZone,
+      minReviews: updateData.minReviews ?? existing.minReviews,
+      channels: updateData.channels !== undefined ? JSON.stringify([...new Set(updateData.channels)]) : existing.channels,
+      active: updateData.active !== undefined ? (updateData.active ? 1 : 0) : existing.active,
+      updatedAt: new Date().toISOString()
+    };
+
+    statements.updateRule.run(row);
+    return toAlertRule(row);
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    throw new Error('Failed to update alert rule');
+  }
+}
+
+/**
+ * Deletes an alert rule and its alerts
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Alert rule ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+export function deleteAlertRuleById(workspaceId, id) {
+  try {
+    return db.transaction(() => {
+      const result = statements.deleteRule.run(workspaceId, id);
+      if (result.changes > 0) {
+        statements.deleteRuleAlerts.run(id);
+      }
+      return result.changes > 0;
+    })();
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    throw new Error('Failed to delete alert rule');
+  }
+}
+
+/**
+ * Checks the latest value of a series against a rule
+ *
+ * @param {Object} rule - Alert rule
+ * @param {Array} values - Metric values of the window followed by the latest bucket (null: no data)
+ * @returns {Object} Result with triggered, value, baseline (mean of the window) and score
+ *   (z-score or percent change)
+ */
+function detectAnomaly(rule, values) {
+  const value = values[values.length - 1];
+  const window = values.slice(0, -1).filter(item => item !== null);
+  const above = rule.operator === 'above';
+  const result = { triggered: false, value, baseline: null, score: null };
+
+  if (value === null) {
+    return result;
+  }
+
+  if (rule.type === 'threshold') {
+    result.triggered = above ? value > rule.threshold : value < rule.threshold;
+    return result;
+  }
+
+  if (window.length < (rule.type === 'zscore' ? 2 : 1)) {
+    return result;
+  }
+  const mean = window.reduce((sum, item) => sum + item, 0) / window.length;
+  result.baseline = mean;
+
+  if (rule.type === 'zscore') {
+    const sd = Math.sqrt(window.reduce((sum, item) => sum + (item - mean) ** 2, 0) / (window.length - 1));
+    if (sd === 0) {
+      // A flat window has no spread: any move in the rule's direction is an anomaly
+      result.triggered = above ? value > mean : value < mean;
+      return result;
+    }
+    result.score = (value - mean) / sd;
+  } else {
+    if (mean === 0) {
+      return result;
+    }
+    result.score = (value - mean) / Math.abs(mean) * 100;
+  }
+
+  result.triggered = above ? result.score > rule.threshold : result.score < -rule.threshold;
+  return result;
+}
+
+/**
+ * Describes a triggered rule
+ *
+ * @param {Object} rule - Alert rule
+ * @param {Object} bucket - Evaluated bucket
+ * @param {Object} result - Result of detectAnomaly
+ * @param {number} windowBuckets - Buckets of the window with data
+ * @returns {string} Alert message
+ */
+function describeAlert(rule, bucket, result, windowBuckets) {
+  const value = `${ALERT_METRICS[rule.metric].label} was ${round(result.value)} in ${bucket.label}`;
+  const window = `the mean of ${round(result.baseline)} over the previous ${windowBuckets} ${rule.granularity}s`;
+
+  if (rule.type === 'threshold') {
+    return `${value}, ${rule.operator} the threshold of ${rule.threshold}`;
+  }
+  if (rule.type === 'percent_change') {
+    return `${value}, ${result.score > 0 ? 'up' : 'down'} ${Math.abs(round(result.score))}% from ${window}`;
+  }
+  if (result.score === null) {
+    return `${value}, ${rule.operator} ${window}, which did not vary`;
+  }
+  return `${value}, ${Math.abs(round(result.score))} standard deviations ${rule.operator} ${window}`;
+}
+
+/**
+ * Delivers a new alert to the channels of its rule
+ *
+ * Failures are logged and swallowed, like webhook failures: a broken
+ * channel must not stop the evaluation of other rules.
+ *
+ * @param {Object} alert - Alert
+ * @param {Array} channels - Channels of the rule
+ * @returns {Promise<void>}
+ */
+async function deliverAlert(alert, channels) {
+  if (channels.includes('webhook')) {
+    queueWebhookEvent(alert.workspaceId, 'alert.triggered', { alert }, { actor: 'alerts' });
+  }
+
+  if (channels.includes('log')) {
+    try {
+      const file = getAlertLogFile();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const line = JSON.stringify({ event: 'alert.triggered', occurredAt: alert.triggeredAt, alert });
+      await fs.promises.appendFile(file, line + '\n');
+    } catch (error) {
+      console.error(`Error writing alert ${alert.id} to the alert log:`, error);
+    }
+  }
+}
+
+/**
+ * Opens an alert for a triggered rule, or counts the trigger on the rule's
+ * unresolved alert
+ *
+ * @param {Object} rule - Alert rule
+ * @param {Object} fields - Alert fields (value, baseline, score, bucketStart, bucketEnd, message)
+ * @param {string} triggeredAt - Time of the trigger
+ * @returns {Object} Result with the alert and whether it was created
+ */
+function raiseAlert(rule, fields, triggeredAt) {
+  return db.transaction(() => {
+    const unresolved = statements.getUnresolvedAlert.get(rule.id);
+    const row = { ...fields, threshold: rule.threshold, triggeredAt };
+
+    if (unresolved) {
+      statements.repeatAlert.run({ ...row, id: unresolved.id });
+      return { alert: statements.getAlertById.get(rule.workspaceId, unresolved.id), created: false };
+    }
+
+    const id = uuidv4();
+    statements.insertAlert.run({
+      ...row,
+      id,
+      workspaceId: rule.workspaceId,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      metric: rule.metric,
+      type: rule.type
+    });
+    return { alert: statements.getAlertById.get(rule.workspaceId, id), created: true };
+  })();
+}
+
+/**
+ * Evaluates an alert rule for its latest complete bucket
+ *
+ * @param {Object} rule - Alert rule
+ * @param {Object} [options] - Evaluation options
+ * @param {Date} [options.now] - Current time
+ * @param {boolean} [options.force=false] - Evaluate even if the bucket was evaluated before
+ * @returns {Promise<Object|null>} Evaluation with the bucket, value, baseline, score, triggered
+ *   and alert, or null if the bucket was evaluated before
+ */
+export async function evaluateAlertRule(rule, options = {}) {
+  const now = options.now || new Date();
+  const { granularity, timeZone } = rule;
+
+  // The bucket containing now is incomplete, so the latest complete one ends where it starts
+  const end = startOfBucket(now, granularity, timeZone);
+  const windowBuckets = rule.type === 'threshold' ? 0 : rule.window;
+  const start = addBuckets(end, granularity, -(windowBuckets + 1), timeZone);
+  const rows = getBucketMetrics(rule.workspaceId, getTimeBuckets(start, end, granularity, { timeZone, now }));
+  const bucket = rows[rows.length - 1];
+
+  if (!options.force && rule.lastBucketStart === bucket.start) {
+    return null;
+  }
+
+  const evaluatedAt = new Date().toISOString();
+  const values = rows.map(row => ALERT_METRICS[rule.metric].value(row, rule.minReviews));
+  const result = detectAnomaly(rule, values);
+  statements.setEvaluated.run(bucket.start, evaluatedAt, rule.id);
+
+  const evaluation = {
+    ruleId: rule.id,
+    bucket: { start: bucket.start, end: bucket.end, label: bucket.label },
+    value: round(result.value),
+    baseline: round(result.baseline),
+    score: round(result.score),
+    triggered: result.triggered,
+    alert: null
+  };
+
+  if (result.triggered) {
+    const { alert, created } = raiseAlert(rule, {
+      value: evaluation.value,
+      baseline: evaluation.baseline,
+      score: evaluation.score,
+      bucketStart: bucket.start,
+      bucketEnd: bucket.end,
+      message: describeAlert(rule, bucket, result, values.slice(0, -1).filter(item => item !== null).length)
+    }, evaluatedAt);
+
+    if (created) {
+      await deliverAlert(alert, rule.channels);
+    }
+    evaluation.alert = alert;
+  }
+
+  return evaluation;
+}
+
+let processing = null;
+
+/**
+ * Evaluates all active alert rules whose latest complete bucket has not
+ * been evaluated yet, one after another
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of evaluations
+ */
+export async function processAlertRules(now = new Date()) {
+  if (processing) {
+    return processing;
+  }
+
+  processing = (async () => {
+    let evaluations = 0;
+    try {
+      for (const row of statements.getActiveRules.all()) {
+        try {
+          if (await evaluateAlertRule(toAlertRule(row), { now })) {
+            evaluations++;
+          }
+        } catch (error) {
+          console.error(`Alert rule ${row.id} failed:`, error);
+        }
+      }
+      return evaluations;
+    } finally {
+      processing = null;
+    }
+  })();
+
+  return processing;
+}
+
+/**
+ * Start the alert evaluator
+ * Evaluates the active rules once immediately and every
+ * ALERT_EVALUATION_INTERVAL_SECONDS
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startAlertEvaluator() {
+  const intervalSeconds = getPositiveNumber('ALERT_EVALUATION_INTERVAL_SECONDS', DEFAULT_EVALUATION_INTERVAL_SECONDS);
+
+  const run = () => {
+    processAlertRules().catch(error => console.error('Alert evaluator failed:', error));
+  };
+
+  run();
+
+  // Don't keep the process alive just for the evaluator
+  return setInterval(run, intervalSeconds * 1000).unref();
+}
+
+/**
+ * Gets the alerts of a workspace, newest first
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by status (open, acknowledged, resolved)
+ * @param {string} [options.ruleId] - Filter by alert rule
+ * @param {number} [options.limit] - Limit number of results
+ * @param {number} [options.offset] - Offset for pagination
+ * @returns {Object} Object with alerts array and total count
+ */
+export function getAlerts(workspaceId, options = {}) {
+  try {
+    const status = options.status || null;
+    const ruleId = options.ruleId || null;
+    const { total } = statements.countAlerts.get(workspaceId, status, status, ruleId, ruleId);
+    const alerts = statements.getAlerts.all(workspaceId, status, status, ruleId, ruleId,
+      options.limit || -1, options.offset || 0);
+
+    return {
+      alerts,
+      total,
+      limit: options.limit || total,
+      offset: options.offset || 0
+    };
+  } catch (error) {
+    console.error('Error getting alerts:', error);
+    throw new Error('Failed to retrieve alerts');
+  }
+}
+
+/**
+ * Finds an alert by ID
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Alert ID
+ * @returns {Object|null} Alert or null if not found
+ */
+export function getAlertById(workspaceId, id) {
+  try {
+    return statements.getAlertById.get(workspaceId, id) || null;
+  } catch (error) {
+    console.error('Error getting alert:', error);
+    throw new Error('Failed to retrieve alert');
+  }
+}
+
+/**
+ * Moves an alert to a new status
+ *
+ * Callers check the move against ALERT_TRANSITIONS first.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Alert ID
+ * @param {string} status - New status ('acknowledged' or 'resolved')
+ * @param {string} actor - Who acknowledged or resolved the alert
+ * @returns {Object|null} Updated alert or null if not found
+ */
+export function setAlertStatus(workspaceId, id, status, actor) {
+  try {
+    const statement = status === 'resolved' ? statements.resolveAlert : statements.acknowledgeAlert;
+    const result = statement.run(new Date().toISOString(), actor, workspaceId, id);
+    return result.changes > 0 ? statements.getAlertById.get(workspaceId, id) : null;
+  } catch (error) {
+    console.error('Error updating alert status:', error);
+    throw new Error('Failed to update alert status');
+  }
+}
+
+// Test this service
+export async function testAlertService() {
+  const rule = { type: 'threshold', operator: 'below', threshold: 3 };
+  console.assert(detectAnomaly(rule, [2.5]).triggered, 'Values beyond the threshold should trigger');
+  console.assert(!detectAnomaly(rule, [3]).triggered, 'Values at the threshold should not trigger');
+  console.assert(!detectAnomaly(rule, [null]).triggered, 'Buckets without data should not trigger');
+
+  const zscore = { type: 'zscore', operator: 'above', threshold: 2 };
+  const spike = detectAnomaly(zscore, [10, 12, 11, 9, 10, 20]);
+  console.assert(spike.triggered && spike.baseline === 10.4 && Math.abs(spike.score - 8.42) < 0.01,
+    'Spikes should trigger z-score rules');
+  console.assert(!detectAnomaly(zscore, [10, 12, 11, 9, 10, 12]).triggered, 'Normal values should not trigger z-score rules');
+  console.assert(!detectAnomaly({ ...zscore, operator: 'below' }, [10, 12, 11, 9, 10, 20]).triggered,
+    'z-score rules should only trigger in their direction');
+  console.assert(detectAnomaly(zscore, [5, 5, 5, 6]).triggered && detectAnomaly(zscore, [5, 5, 5, 6]).score === null,
+    'Moves away from a flat window should trigger');
+  console.assert(!detectAnomaly(zscore, [null, 5, 9]).triggered, 'z-score rules need two values in the window');
+
+  const change = { type: 'percent_change', operator: 'above', threshold: 50 };
+  console.assert(detectAnomaly(change, [10, 10, 16]).triggered && detectAnomaly(change, [10, 10, 16]).score === 60,
+    'Increases beyond the percentage should trigger');
+  console.assert(!detectAnomaly(change, [0, 0, 5]).triggered, 'Changes from a zero mean should not trigger');
+
+  const row = { csatReviews: 4, avgRating: 3.5, lowRating: 1, fiveStar: 2, reviewsSubmitted: 6 };
+  console.assert(ALERT_METRICS.lowRatingShare.value(row, 1) === 25, 'Low rating share should be a percentage of CSAT reviews');
+  console.assert(ALERT_METRICS.averageRating.value(row, 5) === null, 'Rating metrics should need minReviews CSAT reviews');
+
+  const valid = { name: 'Rating drop', metric: 'averageRating', type: 'zscore', operator: 'below', threshold: 2 };
+  console.assert(validateAlertRuleData(valid).isValid, 'Valid alert rules should pass validation');
+  console.assert(!validateAlertRuleData({ ...valid, metric: 'nps' }).isValid, 'Unknown metrics should fail validation');
+  console.assert(!validateAlertRuleData({ ...valid, threshold: -1 }).isValid, 'z-score thresholds should be positive');
+  console.assert(!validateAlertRuleData({ ...valid, window: 1 }).isValid, 'z-score windows need two buckets');
+  console.assert(!validateAlertRuleData({ ...valid, channels: ['email'] }).isValid, 'Unknown channels should fail validation');
+  console.assert(!validateAlertRuleData({ type: 'percent_change' }, { ...valid, threshold: 0 }).isValid,
+    'Updates should be validated together with the existing rule');
+
+  // Log to a temporary file instead of the configured one
+  const configuredLogFile = process.env.ALERT_LOG_FILE;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+  process.env.ALERT_LOG_FILE = path.join(directory, 'alerts.log');
+
+  // An empty workspace submits no reviews, so this rule triggers every day
+  const workspaceId = `alert-test-${uuidv4()}`;
+  const created = createAlertRule(workspaceId, {
+    name: 'No reviews',
+    metric: 'reviewsSubmitted',
+    type: 'threshold',
+    operator: 'below',
+    threshold: 1
+  });
+
+  try {
+    console.assert(created.window === DEFAULT_WINDOW && created.channels[0] === 'log' && created.active,
+      'New rules should get defaults');
+
+    const now = new Date('2025-10-19T10:00:00.000Z');
+    const first = await evaluateAlertRule(created, { now });
+    console.assert(first.triggered && first.bucket.start === '2025-10-18T00:00:00.000Z' && first.alert.status === 'open',
+      'Rules should be evaluated for the latest complete bucket');
+    console.assert(await evaluateAlertRule(getAlertRuleById(workspaceId, created.id), { now }) === null,
+      'Buckets should only be evaluated once');
+
+    const repeated = await evaluateAlertRule(created, { now: new Date('2025-10-20T10:00:00.000Z') });
+    console.assert(repeated.alert.id === first.alert.id && repeated.alert.occurrences === 2,
+      'Triggers should be counted on the unresolved alert');
+
+    const lines = fs.readFileSync(process.env.ALERT_LOG_FILE, 'utf8').split('\n').filter(Boolean);
+    console.assert(lines.length === 1 && JSON.parse(lines[0]).alert.id === first.alert.id,
+      'New alerts should be written to the alert log once');
+
+    console.assert(setAlertStatus(workspaceId, first.alert.id, 'acknowledged', 'tester').acknowledgedBy === 'tester',
+      'Alerts should record who acknowledged them');
+    setAlertStatus(workspaceId, first.alert.id, 'resolved', 'tester');
+    const reopened = await evaluateAlertRule(created, { now, force: true });
+    console.assert(reopened.alert.id !== first.alert.id, 'Triggers after resolving should open a new alert');
+    console.assert(getAlerts(workspaceId, { status: 'resolved' }).total === 1 && getAlerts(workspaceId).total === 2,
+      'Alerts should be filtered by status');
+  } finally {
+    deleteAlertRuleById(workspaceId, created.id);
+    fs.rmSync(directory, { recursive: true, force: true });
+    if (configuredLogFile === undefined) {
+      delete process.env.ALERT_LOG_FILE;
+    } else {
+      process.env.ALERT_LOG_FILE = configuredLogFile;
+    }
+  }
+
+  console.assert(getAlerts(workspaceId).total === 0, 'Deleting a rule should delete its alerts');
+
+  console.log('Alert service tests passed!');
+}
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * API key and role-based access control service
+ *
+ * Every /api request must carry an API key in the X-API-Key header (or as
+ * "Authorization: Bearer <key>"). Keys are stored as SHA-256 hashes and
+ * each key has one role:
+ * - viewer: read reviews, metrics and usage
+ * - exporter: viewer permissions plus /api/export
+ * - moderator: viewer permissions plus creating, editing, deleting and moderating reviews
+ * - admin: all permissions, including managing API keys, workspaces and webhooks
+ *
+ * A key may be bound to a single workspace; it can then only access that
+ * workspace and never has the admin permission.
+ *
+ * Set AUTH_DISABLED=true to turn authentication off for local development.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../data/database.js';
+import { getWorkspaceById } from './workspaceService.js';
+
+// Get database instance
+const db = getDatabase();
+
+// Permissions granted to each role
+export const ROLE_PERMISSIONS = {
+  viewer: ['read'],
+  exporter: ['read', 'export'],
+  moderator: ['read', 'write', 'moderate'],
+  admin: ['read', 'write', 'moderate', 'export', 'webhooks', 'admin']
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Prefix that makes keys recognizable in logs and secret scanners
+const KEY_PREFIX = 'csk_';
+
+// lastUsedAt is refreshed at most once per minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Prepare statements for better performance
+const statements = {
+  insertKey: db.prepare(`
+    INSERT INTO api_keys (id, name, role, workspaceId, keyHash, keyPrefix, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  getKeys: db.prepare(`
+    SELECT id, name, role, workspaceId, keyPrefix, createdAt, lastUsedAt, revokedAt
+    FROM api_keys
+    ORDER BY createdAt
+  `),
+  getActiveKeyByHash: db.prepare('SELECT * FROM api_keys WHERE keyHash = ? AND revokedAt IS NULL'),
+  touchKey: db.prepare(`
+    UPDATE api_keys SET lastUsedAt = ?
+    WHERE id = ? AND (lastUsedAt IS NULL OR lastUsedAt < ?)
+  `),
+  revokeKey: db.prepare('UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL')
+};
+
+/**
+ * Checks whether authentication is turned off
+ *
+ * @returns {boolean} True if AUTH_DISABLED is 'true'
+ */
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+/**
+ * Hashes an API key for storage and lookup
+ *
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Validates data for a new API key
+ *
+ * @param {Object} keyData - Key data
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateApiKeyData(keyData) {
+  const errors = [];
+
+  if (!keyData.name || typeof keyData.name !== 'string' || !keyData.name.trim()) {
+    errors.push('name is required and must be a string');
+  }
+
+  if (!ROLES.includes(keyData.role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (keyData.workspaceId != null && (typeof keyData.workspaceId !== 'string' || !getWorkspaceById(keyData.workspaceId))) {
+    errors.push('workspaceId must be the ID of an existing workspace');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Creates a new API key
+ *
+ * @param {Object} keyData - Key data
+ * @param {string} keyData.name - Name of the key owner or integration
+ * @param {string} keyData.role - Role (viewer, exporter, moderator, admin)
+ * @param {string} [keyData.workspaceId] - Workspace the key is bound to (all workspaces if omitted)
+ * @returns {Object} Key record including the plaintext apiKey, which is not stored
+ */
+export function createApiKey({ name, role, workspaceId = null }) {
+  const validation = validateApiKeyData({ name, role, workspaceId });
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join('; '));
+  }
+
+  const apiKey = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id: uuidv4(),
+    name: name.trim(),
+    role,
+    workspaceId,
+    keyPrefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  statements.insertKey.run(
+    record.id, record.name, record.role, record.workspaceId, hashApiKey(apiKey), record.keyPrefix, record.createdAt
+  );
+
+  return { ...record, apiKey };
+}
+
+/**
+ * Lists all API keys (without hashes)
+ *
+ * @returns {Array} Array of key records
+ */
+export function listApiKeys() {
+  try {
+    return statements.getKeys.all();
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    throw new Error('Failed to list API keys');
+  }
+}
+
+/**
+ * Revokes an API key
+ *
+ * @param {string} id - Key ID
+ * @returns {boolean} True if revoked, false if not found or already revoked
+ */
+export function revokeApiKey(id) {
+  try {
+    return statements.revokeKey.run(new Date().toISOString(), id).changes > 0;
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    throw new Error('Failed to revoke API key');
+  }
+}
+
+/**
+ * Looks up an active API key and records its use
+ *
+ * @param {string} apiKey - Plaintext API key
+ * @returns {Object|null} Key record (id, name, role, workspaceId) or null if unknown or revoked
+ */
+export function verifyApiKey(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const key = statements.getActiveKeyByHash.get(hashApiKey(apiKey));
+  if (!key) {
+    return null;
+  }
+
+  const now = new Date();
+  statements.touchKey.run(now.toISOString(), key.id, new Date(now.getTime() - LAST_USED_RESOLUTION_MS).toISOString());
+
+  return { id: key.id, name: key.name, role: key.role, workspaceId: key.workspaceId };
+}
+
+/**
+ * Checks whether a role has a permission
+ *
+ * @param {string} role - Role name
+ * @param {string} permission - Permission (read, write, moderate, export, webhooks, admin)
+ * @param {string|null} [workspaceId] - Workspace the key is bound to
+ * @returns {boolean} True if the role grants the permission
+ */
+export function hasPermission(role, permission, workspaceId = null) {
+  // Administration spans all workspaces, so workspace-bound keys never have it
+  if (permission === 'admin' && workspaceId) {
+    return false;
+  }
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Reads the API key from the X-API-Key or Authorization header
+ *
+ * Event stream requests may pass it as the apiKey query parameter instead,
+ * because browsers' EventSource cannot send headers.
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} Plaintext API key
+ */
+function getRequestApiKey(req) {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+
+  const acceptsEventStream = (req.get('Accept') || '').includes('text/event-stream');
+  return acceptsEventStream && typeof req.query.apiKey === 'string' ? req.query.apiKey.trim() : null;
+}
+
+/**
+ * Express middleware that authenticates the request by its API key and
+ * sets req.apiKey to { id, name, role, workspaceId }
+ */
+export function authenticate(req, res, next) {
+  if (isAuthDisabled()) {
+    req.apiKey = null;
+    return next();
+  }
+
+  try {
+    const apiKey = verifyApiKey(getRequestApiKey(req));
+
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'A valid API key is required'
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Gets the actor responsible for a write request, used in the audit trail
+ *
+ * Integrations acting for a person (e.g. the dashboard) name them in the
+ * X-Actor header; otherwise the change is attributed to the API key.
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Actor from the X-Actor header, the API key name or 'anonymous'
+ */
+export function getActor(req) {
+  const actor = req.get('X-Actor');
+  if (actor && actor.trim()) {
+    return actor.trim().slice(0, 200);
+  }
+  return req.apiKey?.name || 'anonymous';
+}
+
+/**
+ * Creates Express middleware that only lets requests through whose API key
+ * role grants the permission. Must run after authenticate.
+ *
+ * @param {string} permission - Required permission
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (isAuthDisabled() || (req.apiKey && hasPermission(req.apiKey.role, permission, req.apiKey.workspaceId))) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      details: [req.apiKey?.workspaceId && permission === 'admin'
+        ? 'API keys bound to a workspace do not have the admin permission'
+        : `Role ${req.apiKey?.role || 'none'} does not have the ${permission} permission`]
+    });
+  };
+}
+
+// Test this service
+export function testApiKeyService() {
+  console.assert(hasPermission('viewer', 'read'), 'Viewers should be able to read');
+  console.assert(!hasPermission('viewer', 'write'), 'Viewers should not be able to write');
+  console.assert(!hasPermission('viewer', 'export'), 'Viewers should not be able to export');
+  console.assert(hasPermission('exporter', 'export'), 'Exporters should be able to export');
+  console.assert(!hasPermission('exporter', 'write'), 'Exporters should not be able to write');
+  console.assert(hasPermission('moderator', 'moderate'), 'Moderators should be able to moderate');
+  console.assert(!hasPermission('moderator', 'admin'), 'Moderators should not manage API keys');
+  console.assert(!hasPermission('moderator', 'webhooks'), 'Moderators should not manage webhooks');
+  console.assert(ROLES.every(role => ROLE_PERMISSIONS[role].every(permission => hasPermission('admin', permission))),
+    'Admins should have every permission');
+  console.assert(!validateApiKeyData({ name: 'ci', role: 'root' }).isValid, 'Unknown roles should fail validation');
+  console.assert(validateApiKeyData({ name: 'ci', role: 'exporter' }).isValid, 'Valid key data should pass validation');
+  console.assert(!hasPermission('unknown', 'read'), 'Unknown roles should have no permissions');
+  console.assert(!hasPermission('admin', 'admin', 'acme'), 'Workspace-bound keys should not have the admin permission');
+  console.assert(hasPermission('admin', 'write', 'acme'), 'Workspace-bound admins should keep their other permissions');
+  console.assert(!validateApiKeyData({ name: 'ci', role: 'viewer', workspaceId: 'no-such-workspace' }).isValid,
+    'Unknown workspaces should fail validation');
+
+  const hash = hashApiKey('csk_example');
+  console.assert(hash.length === 64 && !hash.includes('example'), 'Keys should be stored as SHA-256 hashes');
+
+  console.log('API key service tests passed!');
+}
\ No newline at end of file
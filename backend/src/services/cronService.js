@@ -0,0 +1,229 @@
+/**
+ * Cron schedule service
+ *
+ * Parses five-field cron expressions (minute hour day-of-month month
+ * day-of-week) and computes when they next fire. Times are UTC.
+ *
+ * Every field accepts *, numbers, ranges (1-5), lists (1,15) and steps
+ * (*\/15, 0-30/10). Months and weekdays also accept names (JAN, MON) and
+ * Sunday is 0 or 7. As in standard cron, a job whose day-of-month and
+ * day-of-week are both restricted runs on days that match either. The
+ * macros @hourly, @daily, @weekly, @monthly and @yearly are supported.
+ */
+
+// Fields of an expression: name, lowest and highest value, value names
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Schedules that never fire (e.g. February 30) are given up on after this long
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parses one value of a field (number or name)
+ *
+ * @param {string} text - Value text
+ * @param {Object} field - Field definition
+ * @returns {number} Value, NaN if invalid
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (nameIndex >= 0) {
+    return nameIndex + (field.name === 'month' ? 1 : 0);
+  }
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Parses one field of an expression into the set of values it matches
+ *
+ * @param {string} text - Field text, e.g. '*\/15' or '1-5'
+ * @param {Object} field - Field definition
+ * @returns {Set|null} Matching values, null if the field is invalid
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (rest.length > 0 || !Number.isInteger(step) || step < 1) {
+      return null;
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else {
+      const [start, end, ...extra] = range.split('-');
+      from = parseValue(start, field);
+      // A single value with a step (5/15) runs from the value to the end
+      to = end !== undefined ? parseValue(end, field) : (stepText !== undefined ? field.max : from);
+      if (extra.length > 0) {
+        return null;
+      }
+    }
+
+    if (!(from >= field.min && to <= field.max && from <= to)) {
+      return null;
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a cron expression
+ *
+ * @param {string} expression - Cron expression or macro
+ * @returns {Object} Result with isValid, errors and the parsed schedule
+ */
+export function parseCronExpression(expression) {
+  const errors = [];
+  const text = typeof expression === 'string' ? expression.trim() : '';
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+
+  if (fields.length !== CRON_FIELDS.length) {
+    return {
+      isValid: false,
+      errors: ['schedule must be a cron expression with 5 fields (minute hour day-of-month month day-of-week) or a macro such as @daily'],
+      schedule: null
+    };
+  }
+
+  const sets = fields.map((fieldText, index) => {
+    const set = parseField(fieldText, CRON_FIELDS[index]);
+    if (!set) {
+      const { name, min, max } = CRON_FIELDS[index];
+      errors.push(`schedule ${name} field "${fieldText}" is invalid (allowed: ${min}-${max})`);
+    }
+    return set;
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, schedule: null };
+  }
+
+  const [minutes, hours, days, months, weekdays] = sets;
+  // Sunday may be written as 7
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    isValid: true,
+    errors,
+    schedule: {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      // A field restricts days only if it is not a plain *
+      anyDay: fields[2] === '*',
+      anyWeekday: fields[4] === '*'
+    }
+  };
+}
+
+/**
+ * Checks whether a schedule fires on a day
+ *
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Day (UTC)
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getUTCDate());
+  const weekdayMatches = schedule.weekdays.has(date.getUTCDay());
+
+  if (schedule.anyDay && schedule.anyWeekday) return true;
+  if (schedule.anyDay) return weekdayMatches;
+  if (schedule.anyWeekday) return dayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Gets the next time a cron expression fires, strictly after a time
+ *
+ * @param {string} expression - Cron expression or macro
+ * @param {Date} [after] - Start of the search (default: now)
+ * @returns {Date|null} Next run time (whole minute, UTC), or null if the expression is invalid or never fires
+ */
+export function getNextCronTime(expression, after = new Date()) {
+  const { isValid, schedule } = parseCronExpression(expression);
+  if (!isValid) {
+    return null;
+  }
+
+  const time = new Date(after.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  // Skip whole months, days and hours that cannot match
+  while (time.getTime() <= limit) {
+    if (!schedule.months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+
+  return null;
+}
+
+// Test this service
+export function testCronService() {
+  const from = new Date('2025-10-19T10:17:42.000Z');
+  const next = (expression, after = from) => getNextCronTime(expression, after)?.toISOString() ?? null;
+
+  console.assert(next('* * * * *') === '2025-10-19T10:18:00.000Z', 'Every minute should fire at the next minute');
+  console.assert(next('*/15 * * * *') === '2025-10-19T10:30:00.000Z', 'Steps should fire on multiples');
+  console.assert(next('0 2 * * *') === '2025-10-20T02:00:00.000Z', 'Daily schedules should fire the next day');
+  console.assert(next('@daily') === '2025-10-20T00:00:00.000Z', 'Macros should be expanded');
+  console.assert(next('30 9 * * mon-fri') === '2025-10-20T09:30:00.000Z', 'Weekday names and ranges should be supported');
+  console.assert(next('0 0 1 jan *') === '2026-01-01T00:00:00.000Z', 'Month names should be supported');
+  console.assert(next('0 0 * * 7') === '2025-10-26T00:00:00.000Z', 'Sunday should be 7 as well as 0');
+  console.assert(next('0 0 13 * 5') === '2025-10-24T00:00:00.000Z', 'Day of month and weekday should match either');
+  console.assert(next('0 12 29 2 *') === '2028-02-29T12:00:00.000Z', 'Leap days should be found');
+  console.assert(next('0 0 30 2 *') === null, 'Schedules that never fire should return null');
+  console.assert(next('0 2 * * *', new Date('2025-10-20T02:00:00.000Z')) === '2025-10-21T02:00:00.000Z',
+    'The next run should be strictly after the given time');
+
+  console.assert(parseCronExpression('0 2 * * *').isValid, 'Valid expressions should parse');
+  console.assert(!parseCronExpression('0 2 * *').isValid, 'Expressions need five fields');
+  console.assert(!parseCronExpression('60 * * * *').isValid, 'Out of range values should be invalid');
+  console.assert(!parseCronExpression('*/0 * * * *').isValid, 'Zero steps should be invalid');
+  console.assert(!parseCronExpression('5-1 * * * *').isValid, 'Inverted ranges should be invalid');
+  console.assert(!parseCronExpression('@sometimes').isValid, 'Unknown macros should be invalid');
+
+  console.log('Cron service tests passed!');
+}
\ No newline at end of file
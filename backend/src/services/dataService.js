@@ -4,42 +4,85 @@
  * This service handles CRUD operations for reviews with persistent storage
  * in a SQLite database. Provides better data integrity, concurrency handling,
  * and scalability compared to JSON file storage.
+ * 
+ * Every function is scoped to a workspace: reviews of other workspaces are
+ * never read or changed (see workspaceService).
  */
 
-import { getDatabase } from '../data/database.js';
+import { getDatabase, openReadOnlyConnection } from '../data/database.js';
+import { recordRevision, getRevision, diffReviews, getUpdateAction } from './revisionService.js';
+import { DEFAULT_SURVEY_TYPE } from '../models/review.js';
+import { validateStatusTransition } from './moderationService.js';
 
 // Get database instance
 const db = getDatabase();
 
 // Prepare statements for better performance
+// Deleted reviews stay in the table with a deletedAt tombstone (the trash)
+// and are excluded from every read unless explicitly requested.
 const statements = {
-  getAllReviews: db.prepare('SELECT * FROM reviews ORDER BY createdAt DESC'),
-  getReviewById: db.prepare('SELECT * FROM reviews WHERE id = ?'),
-  getReviewsByCustomerId: db.prepare('SELECT * FROM reviews WHERE customerId = ? ORDER BY createdAt DESC'),
+  getAllReviews: db.prepare('SELECT * FROM reviews WHERE workspaceId = ? AND deletedAt IS NULL ORDER BY createdAt DESC'),
+  getReviewById: db.prepare('SELECT * FROM reviews WHERE workspaceId = ? AND id = ? AND deletedAt IS NULL'),
+  getReviewByIdIncludingDeleted: db.prepare('SELECT * FROM reviews WHERE workspaceId = ? AND id = ?'),
+  getReviewsByCustomerId: db.prepare('SELECT * FROM reviews WHERE workspaceId = ? AND customerId = ? AND deletedAt IS NULL ORDER BY createdAt DESC'),
   insertReview: db.prepare(`
-    INSERT INTO reviews (id, customerId, customerName, rating, title, comment, status, createdAt, updatedAt)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO reviews (id, workspaceId, customerId, customerName, surveyType, rating, title, comment, status,
+      moderationReason, moderatedBy, moderatedAt, createdAt, updatedAt)
+    VALUES (@id, @workspaceId, @customerId, @customerName, @surveyType, @rating, @title, @comment, @status,
+      @moderationReason, @moderatedBy, @moderatedAt, @createdAt, @updatedAt)
   `),
   updateReview: db.prepare(`
     UPDATE reviews 
-    SET customerId = ?, customerName = ?, rating = ?, title = ?, comment = ?, status = ?, updatedAt = ?
-    WHERE id = ?
+    SET customerId = @customerId, customerName = @customerName, surveyType = @surveyType, rating = @rating, title = @title,
+      comment = @comment, status = @status, moderationReason = @moderationReason,
+      moderatedBy = @moderatedBy, moderatedAt = @moderatedAt, updatedAt = @updatedAt
+    WHERE id = @id AND workspaceId = @workspaceId
   `),
-  deleteReview: db.prepare('DELETE FROM reviews WHERE id = ?'),
-  getReviewsWithFilters: {
-    base: 'SELECT * FROM reviews WHERE 1=1',
-    count: 'SELECT COUNT(*) as total FROM reviews WHERE 1=1'
-  }
+  softDeleteReview: db.prepare('UPDATE reviews SET deletedAt = ?, updatedAt = ? WHERE workspaceId = ? AND id = ? AND deletedAt IS NULL'),
+  restoreReview: db.prepare('UPDATE reviews SET deletedAt = NULL, updatedAt = ? WHERE workspaceId = ? AND id = ? AND deletedAt IS NOT NULL'),
+  purgeReview: db.prepare('DELETE FROM reviews WHERE id = ?'),
+  getDeletedReviews: db.prepare('SELECT * FROM reviews WHERE workspaceId = ? AND deletedAt IS NOT NULL ORDER BY deletedAt DESC LIMIT ? OFFSET ?'),
+  countDeletedReviews: db.prepare('SELECT COUNT(*) as total FROM reviews WHERE workspaceId = ? AND deletedAt IS NOT NULL'),
+  // The purge runs across all workspaces
+  getExpiredDeletedReviews: db.prepare('SELECT * FROM reviews WHERE deletedAt IS NOT NULL AND deletedAt < ?')
 };
 
 /**
- * Reads all reviews from the database
+ * Gets the named parameters of the insert and update statements
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Review ID
+ * @param {Object} review - Review object
+ * @returns {Object} Statement parameters
+ */
+function toReviewParams(workspaceId, id, review) {
+  return {
+    id,
+    workspaceId,
+    customerId: review.customerId,
+    customerName: review.customerName,
+    surveyType: review.surveyType ?? DEFAULT_SURVEY_TYPE,
+    rating: review.rating,
+    title: review.title,
+    comment: review.comment,
+    status: review.status,
+    moderationReason: review.moderationReason ?? null,
+    moderatedBy: review.moderatedBy ?? null,
+    moderatedAt: review.moderatedAt ?? null,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+}
+
+/**
+ * Reads all reviews of a workspace from the database
  * 
+ * @param {string} workspaceId - Workspace ID
  * @returns {Array} Array of review objects
  */
-export function getAllReviews() {
+export function getAllReviews(workspaceId) {
   try {
-    return statements.getAllReviews.all();
+    return statements.getAllReviews.all(workspaceId);
   } catch (error) {
     console.error('Error getting all reviews:', error);
     throw new Error('Failed to retrieve reviews');
@@ -49,12 +92,13 @@ export function getAllReviews() {
 /**
  * Finds a review by ID
  * 
+ * @param {string} workspaceId - Workspace ID
  * @param {string} id - Review ID
- * @returns {Object|null} Review object or null if not found
+ * @returns {Object|null} Review object or null if not found in the workspace
  */
-export function getReviewById(id) {
+export function getReviewById(workspaceId, id) {
   try {
-    return statements.getReviewById.get(id) || null;
+    return statements.getReviewById.get(workspaceId, id) || null;
   } catch (error) {
     console.error('Error getting review by ID:', error);
     throw new Error('Failed to retrieve review');
@@ -64,12 +108,13 @@ export function getReviewById(id) {
 /**
  * Finds reviews by customer ID
  * 
+ * @param {string} workspaceId - Workspace ID
  * @param {string} customerId - Customer ID
  * @returns {Array} Array of reviews for the customer
  */
-export function getReviewsByCustomerId(customerId) {
+export function getReviewsByCustomerId(workspaceId, customerId) {
   try {
-    return statements.getReviewsByCustomerId.all(customerId);
+    return statements.getReviewsByCustomerId.all(workspaceId, customerId);
   } catch (error) {
     console.error('Error getting reviews by customer ID:', error);
     throw new Error('Failed to retrieve customer reviews');
@@ -79,27 +124,40 @@ export function getReviewsByCustomerId(customerId) {
 /**
  * Saves a new review to storage
  * 
+ * Records a 'create' revision in the same transaction. A review created
+ * with a status other than 'pending' is recorded as moderated by the actor.
+ * 
+ * @param {string} workspaceId - Workspace ID
  * @param {Object} review - Review object to save
+ * @param {Object} [options] - Save options
+ * @param {string} [options.actor] - Who created the review (for the audit trail)
  * @returns {Object} Saved review object
  */
-export function saveReview(review) {
+export function saveReview(workspaceId, review, options = {}) {
   try {
-    const result = statements.insertReview.run(
-      review.id,
-      review.customerId,
-      review.customerName,
-      review.rating,
-      review.title,
-      review.comment,
-      review.status,
-      review.createdAt,
-      review.updatedAt
-    );
-    
-    if (result.changes === 0) {
-      throw new Error('Failed to insert review');
+    review = { ...review, workspaceId };
+    if (review.status !== 'pending') {
+      review.moderatedBy = options.actor || 'anonymous';
+      review.moderatedAt = review.createdAt;
     }
     
+    db.transaction(() => {
+      const result = statements.insertReview.run(toReviewParams(workspaceId, review.id, review));
+      
+      if (result.changes === 0) {
+        throw new Error('Failed to insert review');
+      }
+      
+      recordRevision({
+        workspaceId,
+        reviewId: review.id,
+        action: 'create',
+        before: null,
+        after: review,
+        actor: options.actor
+      });
+    })();
+    
     return review;
   } catch (error) {
     console.error('Error saving review:', error);
@@ -110,28 +168,51 @@ export function saveReview(review) {
 /**
  * Updates an existing review
  * 
+ * Records an 'update' (or 'status_change' if only the status and its
+ * reason changed) revision in the same transaction. No revision is written
+ * if no tracked field changed. When the status changes, the actor and time
+ * are stored as the review's moderator. Status transitions are validated
+ * by the caller (see moderationService).
+ * 
+ * @param {string} workspaceId - Workspace ID
  * @param {string} id - Review ID
  * @param {Object} updatedReview - Updated review object
+ * @param {Object} [options] - Update options
+ * @param {string} [options.actor] - Who made the change (for the audit trail)
  * @returns {Object|null} Updated review or null if not found
  */
-export function updateReviewById(id, updatedReview) {
+export function updateReviewById(workspaceId, id, updatedReview, options = {}) {
   try {
-    const result = statements.updateReview.run(
-      updatedReview.customerId,
-      updatedReview.customerName,
-      updatedReview.rating,
-      updatedReview.title,
-      updatedReview.comment,
-      updatedReview.status,
-      updatedReview.updatedAt,
-      id
-    );
-    
-    if (result.changes === 0) {
-      return null; // Review not found
-    }
-    
-    return updatedReview;
+    return db.transaction(() => {
+      const existingReview = statements.getReviewById.get(workspaceId, id);
+      if (!existingReview) {
+        return null; // Review not found
+      }
+      
+      if (updatedReview.status !== existingReview.status) {
+        updatedReview = {
+          ...updatedReview,
+          moderatedBy: options.actor || 'anonymous',
+          moderatedAt: updatedReview.updatedAt
+        };
+      }
+      
+      statements.updateReview.run(toReviewParams(workspaceId, id, updatedReview));
+      
+      const changes = diffReviews(existingReview, updatedReview);
+      if (Object.keys(changes).length > 0) {
+        recordRevision({
+          workspaceId,
+          reviewId: id,
+          action: getUpdateAction(changes),
+          before: existingReview,
+          after: updatedReview,
+          actor: options.actor
+        });
+      }
+      
+      return updatedReview;
+    })();
   } catch (error) {
     console.error('Error updating review:', error);
     throw new Error('Failed to update review');
@@ -139,60 +220,352 @@ export function updateReviewById(id, updatedReview) {
 }
 
 /**
- * Deletes a review by ID
+ * Moves a review to the trash (soft delete)
  * 
+ * Sets the deletedAt tombstone and records a 'delete' revision holding the
+ * last state of the review. The review can be restored with
+ * restoreReviewById until it is purged.
+ * 
+ * @param {string} workspaceId - Workspace ID
  * @param {string} id - Review ID
+ * @param {Object} [options] - Delete options
+ * @param {string} [options.actor] - Who deleted the review (for the audit trail)
  * @returns {boolean} True if deleted, false if not found
  */
-export function deleteReviewById(id) {
+export function deleteReviewById(workspaceId, id, options = {}) {
   try {
-    const result = statements.deleteReview.run(id);
-    return result.changes > 0;
+    return db.transaction(() => {
+      const existingReview = statements.getReviewById.get(workspaceId, id);
+      if (!existingReview) {
+        return false;
+      }
+      
+      const now = new Date().toISOString();
+      statements.softDeleteReview.run(now, now, workspaceId, id);
+      recordRevision({
+        workspaceId,
+        reviewId: id,
+        action: 'delete',
+        before: existingReview,
+        after: null,
+        actor: options.actor
+      });
+      
+      return true;
+    })();
   } catch (error) {
     console.error('Error deleting review:', error);
     throw new Error('Failed to delete review');
   }
 }
 
+/**
+ * Restores a review from the trash
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Review ID
+ * @param {Object} [options] - Restore options
+ * @param {string} [options.actor] - Who restored the review (for the audit trail)
+ * @returns {Object|null} Restored review or null if it is not in the trash
+ */
+export function restoreReviewById(workspaceId, id, options = {}) {
+  try {
+    return db.transaction(() => {
+      const result = statements.restoreReview.run(new Date().toISOString(), workspaceId, id);
+      if (result.changes === 0) {
+        return null;
+      }
+      
+      const restoredReview = statements.getReviewById.get(workspaceId, id);
+      recordRevision({
+        workspaceId,
+        reviewId: id,
+        action: 'restore',
+        before: restoredReview,
+        after: restoredReview,
+        actor: options.actor
+      });
+      
+      return restoredReview;
+    })();
+  } catch (error) {
+    console.error('Error restoring review:', error);
+    throw new Error('Failed to restore review');
+  }
+}
+
+/**
+ * Gets reviews in the trash, most recently deleted first
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} options - Query options
+ * @param {number} [options.limit] - Limit number of results
+ * @param {number} [options.offset] - Offset for pagination
+ * @returns {Object} Object with reviews array and total count
+ */
+export function getDeletedReviews(workspaceId, options = {}) {
+  try {
+    const { total } = statements.countDeletedReviews.get(workspaceId);
+    const reviews = statements.getDeletedReviews.all(workspaceId, options.limit || -1, options.offset || 0);
+    
+    return {
+      reviews,
+      total,
+      limit: options.limit || total,
+      offset: options.offset || 0
+    };
+  } catch (error) {
+    console.error('Error getting deleted reviews:', error);
+    throw new Error('Failed to retrieve deleted reviews');
+  }
+}
+
+/**
+ * Permanently removes reviews that have been in the trash longer than the
+ * retention period, in all workspaces
+ * 
+ * A 'purge' revision is recorded for every removed review.
+ * 
+ * @param {number} olderThanDays - Retention period in days
+ * @param {Object} [options] - Purge options
+ * @param {string} [options.actor='system'] - Who triggered the purge (for the audit trail)
+ * @returns {number} Number of purged reviews
+ */
+export function purgeDeletedReviews(olderThanDays, options = {}) {
+  try {
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    
+    return db.transaction(() => {
+      const expiredReviews = statements.getExpiredDeletedReviews.all(cutoff);
+      
+      for (const review of expiredReviews) {
+        statements.purgeReview.run(review.id);
+        recordRevision({
+          workspaceId: review.workspaceId,
+          reviewId: review.id,
+          action: 'purge',
+          before: review,
+          after: null,
+          actor: options.actor || 'system'
+        });
+      }
+      
+      return expiredReviews.length;
+    })();
+  } catch (error) {
+    console.error('Error purging deleted reviews:', error);
+    throw new Error('Failed to purge deleted reviews');
+  }
+}
+
+/**
+ * Reverts a review to the state recorded in one of its revisions
+ * 
+ * The review gets the snapshot stored with the revision. A review in the
+ * trash is restored and a purged review is re-created. The revert itself
+ * is recorded as a 'revert' revision.
+ * 
+ * Reverting the status is a status change like any other: it must be
+ * allowed by the moderation state machine, needs the snapshot's reason
+ * where one is required and is recorded as moderated by the actor.
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Review ID
+ * @param {number} revisionId - Revision to restore
+ * @param {Object} [options] - Revert options
+ * @param {string} [options.actor] - Who reverted the review (for the audit trail)
+ * @returns {Object|null} Result with the review before the revert (previous; null if it was
+ *   purged, with deletedAt if it was in the trash) and the reverted review, or the failed
+ *   transition (see validateStatusTransition) instead of the reverted review if the status may
+ *   not be reverted; null if the revision does not exist for this review
+ */
+export function revertReviewToRevision(workspaceId, id, revisionId, options = {}) {
+  try {
+    return db.transaction(() => {
+      const revision = getRevision(workspaceId, id, revisionId);
+      if (!revision) {
+        return null;
+      }
+      
+      const existingReview = statements.getReviewByIdIncludingDeleted.get(workspaceId, id);
+      const { snapshot } = revision;
+      const statusChanged = existingReview && snapshot.status !== existingReview.status;
+      if (statusChanged) {
+        const transition = validateStatusTransition(existingReview.status, snapshot.status, snapshot.moderationReason);
+        if (!transition.isValid) {
+          return { review: null, previous: existingReview, transition };
+        }
+      }
+      
+      const updatedAt = new Date().toISOString();
+      const moderation = existingReview && !statusChanged
+        ? existingReview
+        : {
+          moderationReason: snapshot.moderationReason ?? null,
+          moderatedBy: statusChanged ? options.actor || 'anonymous' : snapshot.moderatedBy ?? null,
+          moderatedAt: statusChanged ? updatedAt : snapshot.moderatedAt ?? null
+        };
+      const restoredReview = {
+        ...(existingReview || revision.snapshot),
+        workspaceId,
+        deletedAt: null,
+        customerId: revision.snapshot.customerId,
+        customerName: revision.snapshot.customerName,
+        // Revisions from before survey types were star ratings
+        surveyType: revision.snapshot.surveyType ?? DEFAULT_SURVEY_TYPE,
+        rating: revision.snapshot.rating,
+        title: revision.snapshot.title,
+        comment: revision.snapshot.comment,
+        status: snapshot.status,
+        moderationReason: moderation.moderationReason ?? null,
+        moderatedBy: moderation.moderatedBy ?? null,
+        moderatedAt: moderation.moderatedAt ?? null,
+        updatedAt
+      };
+      
+      if (existingReview) {
+        statements.updateReview.run(toReviewParams(workspaceId, id, restoredReview));
+        statements.restoreReview.run(restoredReview.updatedAt, workspaceId, id);
+      } else {
+        statements.insertReview.run(toReviewParams(workspaceId, id, restoredReview));
+      }
+      
+      recordRevision({
+        workspaceId,
+        reviewId: id,
+        action: 'revert',
+        before: existingReview && !existingReview.deletedAt ? existingReview : null,
+        after: restoredReview,
+        actor: options.actor,
+        revertedRevisionId: revision.id
+      });
+      
+      return { review: restoredReview, previous: existingReview ?? null };
+    })();
+  } catch (error) {
+    console.error('Error reverting review:', error);
+    throw new Error('Failed to revert review');
+  }
+}
+
+// Relative weight of title matches over comment matches in search ranking
+const SEARCH_TITLE_WEIGHT = 5.0;
+
+// Markers wrapped around matched terms in search highlights and snippets
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+/**
+ * Converts free text into a safe FTS5 query
+ * 
+ * Every word is quoted (so punctuation cannot break the query syntax) and
+ * matched as a prefix; words are combined with AND.
+ * 
+ * @param {string} text - Free text search term
+ * @returns {string|null} FTS5 query or null if the text has no words
+ */
+export function toPrefixSearchQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * Builds the condition of a free text search: word prefixes in title and
+ * comment (full-text index), or a substring of customer name or ID
+ * 
+ * @param {string} search - Free text search term
+ * @returns {Object} SQL condition (in parentheses) and its params
+ */
+function buildSearchCondition(search) {
+  const likeTerm = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+  const ftsQuery = toPrefixSearchQuery(search);
+  
+  let clause = `(reviews.customerName LIKE ? ESCAPE '\\' OR reviews.customerId LIKE ? ESCAPE '\\'`;
+  const params = [likeTerm, likeTerm];
+  
+  if (ftsQuery) {
+    clause += ' OR reviews.rowid IN (SELECT rowid FROM reviews_fts WHERE reviews_fts MATCH ?)';
+    params.push(ftsQuery);
+  }
+  
+  return { clause: clause + ')', params };
+}
+
 /**
  * Gets reviews with filtering and pagination options
  * 
+ * Text search uses the reviews_fts full-text index. With `q`, results are
+ * ranked by relevance (bm25) and each review gets a `search` object with the
+ * rank and highlighted title and comment snippet.
+ * 
+ * @param {string} workspaceId - Workspace ID
  * @param {Object} options - Query options
  * @param {string} [options.status] - Filter by status
+ * @param {string} [options.surveyType] - Filter by survey type
  * @param {number} [options.rating] - Filter by rating
  * @param {string} [options.customerId] - Filter by customer ID
+ * @param {string} [options.q] - FTS5 query over title and comment (supports "phrases", prefix* and AND/OR/NOT)
+ * @param {string} [options.search] - Free text matched as word prefixes in title and comment, or within customer name or ID
  * @param {number} [options.limit] - Limit number of results
  * @param {number} [options.offset] - Offset for pagination
  * @returns {Object} Object with reviews array and total count
  */
-export function getReviewsWithFilters(options = {}) {
+export function getReviewsWithFilters(workspaceId, options = {}) {
   try {
-    let whereClause = 'WHERE 1=1';
-    const params = [];
+    let fromClause = 'FROM reviews';
+    let selectColumns = 'reviews.*';
+    let orderClause = 'ORDER BY reviews.createdAt DESC';
+    let whereClause = 'WHERE reviews.workspaceId = ? AND reviews.deletedAt IS NULL';
+    const params = [workspaceId];
     
     // Build WHERE clause based on filters
     if (options.status) {
-      whereClause += ' AND status = ?';
+      whereClause += ' AND reviews.status = ?';
       params.push(options.status);
     }
     
-    if (options.rating) {
-      whereClause += ' AND rating = ?';
+    if (options.surveyType) {
+      whereClause += ' AND reviews.surveyType = ?';
+      params.push(options.surveyType);
+    }
+    
+    // 0 is a valid NPS rating
+    if (Number.isFinite(options.rating)) {
+      whereClause += ' AND reviews.rating = ?';
       params.push(options.rating);
     }
     
     if (options.customerId) {
-      whereClause += ' AND customerId = ?';
+      whereClause += ' AND reviews.customerId = ?';
       params.push(options.customerId);
     }
     
+    if (options.search) {
+      const search = buildSearchCondition(options.search);
+      whereClause += ` AND ${search.clause}`;
+      params.push(...search.params);
+    }
+    
+    // Ranked full-text search drives the query from the FTS index
+    if (options.q) {
+      fromClause = 'FROM reviews_fts JOIN reviews ON reviews.rowid = reviews_fts.rowid';
+      selectColumns = `reviews.*,
+        bm25(reviews_fts, ${SEARCH_TITLE_WEIGHT}, 1.0) as searchRank,
+        highlight(reviews_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') as searchTitle,
+        snippet(reviews_fts, 1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) as searchSnippet`;
+      orderClause = 'ORDER BY searchRank, reviews.createdAt DESC';
+      whereClause += ' AND reviews_fts MATCH ?';
+      params.push(options.q);
+    }
+    
     // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM reviews ${whereClause}`;
+    const countQuery = `SELECT COUNT(*) as total ${fromClause} ${whereClause}`;
     const countStatement = db.prepare(countQuery);
     const { total } = countStatement.get(...params);
     
     // Build main query with ordering and pagination
-    let mainQuery = `SELECT * FROM reviews ${whereClause} ORDER BY createdAt DESC`;
+    let mainQuery = `SELECT ${selectColumns} ${fromClause} ${whereClause} ${orderClause}`;
     
     if (options.limit) {
       mainQuery += ' LIMIT ?';
@@ -200,13 +573,16 @@ export function getReviewsWithFilters(options = {}) {
     }
     
     if (options.offset) {
+      // OFFSET requires a LIMIT clause in SQLite
+      if (!options.limit) mainQuery += ' LIMIT -1';
       mainQuery += ' OFFSET ?';
       params.push(options.offset);
     }
     
     // Execute main query
     const mainStatement = db.prepare(mainQuery);
-    const reviews = mainStatement.all(...params);
+    const rows = mainStatement.all(...params);
+    const reviews = options.q ? rows.map(toSearchResult) : rows;
     
     return {
       reviews,
@@ -215,33 +591,226 @@ export function getReviewsWithFilters(options = {}) {
       offset: options.offset || 0
     };
   } catch (error) {
+    if (options.q && error.code === 'SQLITE_ERROR') {
+      const queryError = new Error(`Invalid search query: ${error.message}`);
+      queryError.status = 400;
+      throw queryError;
+    }
     console.error('Error getting reviews with filters:', error);
     throw new Error('Failed to retrieve filtered reviews');
   }
 }
 
+// Review columns that cursors can select and sort by
+export const REVIEW_FIELDS = ['id', 'customerId', 'customerName', 'surveyType', 'rating', 'title', 'comment', 'status', 'createdAt', 'updatedAt'];
+
+/**
+ * Opens a cursor over the reviews of a workspace, newest first unless
+ * sorted otherwise, for streaming them without loading them into memory
+ * 
+ * The cursor reads from its own read-only connection inside a transaction,
+ * so total and rows come from the same snapshot and writes from other
+ * requests are neither blocked nor seen. Always call close() when done.
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} options - Query options
+ * @param {string|Array} [options.status] - Filter by status, or by any of several statuses
+ * @param {string} [options.surveyType] - Filter by survey type
+ * @param {number} [options.rating] - Filter by rating
+ * @param {number} [options.minRating] - Minimum rating
+ * @param {number} [options.maxRating] - Maximum rating
+ * @param {string} [options.customerId] - Filter by customer ID
+ * @param {string} [options.startDate] - Created at or after (ISO timestamp)
+ * @param {string} [options.endDate] - Created at or before (ISO timestamp)
+ * @param {string} [options.search] - Free text, as in getReviewsWithFilters
+ * @param {Array} [options.fields] - Columns to select (from REVIEW_FIELDS; default: all columns)
+ * @param {Array} [options.sort] - Sort keys as { field, descending } (field from REVIEW_FIELDS)
+ * @param {number} [options.limit] - Limit number of results
+ * @param {number} [options.offset] - Offset for pagination
+ * @returns {Object} Cursor with total (matching reviews, ignoring limit and offset),
+ *   rowCount, minUpdatedAt and maxUpdatedAt (of the rows the cursor returns),
+ *   rows (iterator of review objects) and close()
+ */
+export function openReviewCursor(workspaceId, options = {}) {
+  // Column names are interpolated into the query, so only known ones pass
+  const unknownField = [...(options.fields || []), ...(options.sort || []).map(key => key.field)]
+    .find(field => !REVIEW_FIELDS.includes(field));
+  if (unknownField) {
+    throw new Error(`Unknown review field: ${unknownField}`);
+  }
+  
+  let connection = null;
+  
+  try {
+    connection = openReadOnlyConnection();
+    
+    let whereClause = 'WHERE reviews.workspaceId = ? AND reviews.deletedAt IS NULL';
+    const params = [workspaceId];
+    
+    if (options.status) {
+      const statuses = [].concat(options.status);
+      whereClause += ` AND reviews.status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+    
+    if (options.surveyType) {
+      whereClause += ' AND reviews.surveyType = ?';
+      params.push(options.surveyType);
+    }
+    
+    if (options.rating !== undefined) {
+      whereClause += ' AND reviews.rating = ?';
+      params.push(options.rating);
+    }
+    
+    if (options.minRating !== undefined) {
+      whereClause += ' AND reviews.rating >= ?';
+      params.push(options.minRating);
+    }
+    
+    if (options.maxRating !== undefined) {
+      whereClause += ' AND reviews.rating <= ?';
+      params.push(options.maxRating);
+    }
+    
+    if (options.customerId) {
+      whereClause += ' AND reviews.customerId = ?';
+      params.push(options.customerId);
+    }
+    
+    if (options.startDate) {
+      whereClause += ' AND reviews.createdAt >= ?';
+      params.push(options.startDate);
+    }
+    
+    if (options.endDate) {
+      whereClause += ' AND reviews.createdAt <= ?';
+      params.push(options.endDate);
+    }
+    
+    if (options.search) {
+      const search = buildSearchCondition(options.search);
+      whereClause += ` AND ${search.clause}`;
+      params.push(...search.params);
+    }
+    
+    const selectColumns = options.fields?.length
+      ? options.fields.map(field => `reviews.${field}`).join(', ')
+      : 'reviews.*';
+    const orderClause = options.sort?.length
+      ? options.sort.map(({ field, descending }) => `reviews.${field} ${descending ? 'DESC' : 'ASC'}`).join(', ')
+      : 'reviews.createdAt DESC';
+    
+    connection.exec('BEGIN');
+    const { total } = connection.prepare(`SELECT COUNT(*) as total FROM reviews ${whereClause}`).get(...params);
+    const pageQuery = `FROM reviews ${whereClause} ORDER BY ${orderClause} LIMIT ? OFFSET ?`;
+    const pageParams = [...params, options.limit || -1, options.offset || 0];
+    
+    // Describes exactly the rows below, as both read the same snapshot
+    const { rowCount, minUpdatedAt, maxUpdatedAt } = connection
+      .prepare(`SELECT COUNT(*) as rowCount, MIN(updatedAt) as minUpdatedAt, MAX(updatedAt) as maxUpdatedAt
+        FROM (SELECT reviews.updatedAt ${pageQuery})`)
+      .get(...pageParams);
+    
+    const rows = connection
+      .prepare(`SELECT ${selectColumns} ${pageQuery}`)
+      .iterate(...pageParams);
+    
+    let closed = false;
+    const readConnection = connection;
+    
+    return {
+      total,
+      rowCount,
+      minUpdatedAt,
+      maxUpdatedAt,
+      rows,
+      close() {
+        if (closed) {
+          return;
+        }
+        closed = true;
+        // The connection cannot be closed while its iterator is open
+        rows.return();
+        readConnection.close();
+      }
+    };
+  } catch (error) {
+    connection?.close();
+    console.error('Error opening review cursor:', error);
+    throw new Error('Failed to open review cursor');
+  }
+}
+
+/**
+ * Moves search columns of a full-text result row into a `search` object
+ * 
+ * @param {Object} row - Row with review columns and search columns
+ * @returns {Object} Review object with search rank, highlighted title and comment snippet
+ */
+function toSearchResult(row) {
+  const { searchRank, searchTitle, searchSnippet, ...review } = row;
+  return {
+    ...review,
+    search: {
+      rank: searchRank,
+      title: searchTitle,
+      snippet: searchSnippet
+    }
+  };
+}
+
 /**
  * Get review statistics
  * 
- * @returns {Object} Statistics object with counts by rating and status
+ * The average rating and the counts by rating cover CSAT reviews only, as
+ * NPS and CES ratings use other scales (see services/surveyMetricsService.js).
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} [range] - Creation time range
+ * @param {string} [range.startDate] - Created at or after (ISO timestamp)
+ * @param {string} [range.endDate] - Created at or before (ISO timestamp)
+ * @returns {Object} Statistics object with counts by rating, status and survey type
  */
-export function getReviewStats() {
+export function getReviewStats(workspaceId, range = {}) {
   try {
+    let whereClause = 'WHERE workspaceId = ? AND deletedAt IS NULL';
+    const params = [workspaceId];
+    
+    if (range.startDate) {
+      whereClause += ' AND createdAt >= ?';
+      params.push(range.startDate);
+    }
+    
+    if (range.endDate) {
+      whereClause += ' AND createdAt <= ?';
+      params.push(range.endDate);
+    }
+    
     const ratingStats = db.prepare(`
       SELECT rating, COUNT(*) as count 
       FROM reviews 
+      ${whereClause} AND surveyType = 'csat'
       GROUP BY rating 
       ORDER BY rating
-    `).all();
+    `).all(...params);
+    
+    const surveyTypeStats = db.prepare(`
+      SELECT surveyType, COUNT(*) as count 
+      FROM reviews 
+      ${whereClause}
+      GROUP BY surveyType
+    `).all(...params);
     
     const statusStats = db.prepare(`
       SELECT status, COUNT(*) as count 
       FROM reviews 
+      ${whereClause}
       GROUP BY status
-    `).all();
+    `).all(...params);
     
-    const totalReviews = db.prepare('SELECT COUNT(*) as total FROM reviews').get();
-    const avgRating = db.prepare('SELECT AVG(CAST(rating as FLOAT)) as average FROM reviews').get();
+    const totalReviews = db.prepare(`SELECT COUNT(*) as total FROM reviews ${whereClause}`).get(...params);
+    const avgRating = db.prepare(`SELECT AVG(CAST(rating as FLOAT)) as average FROM reviews ${whereClause} AND surveyType = 'csat'`).get(...params);
     
     return {
       total: totalReviews.total,
@@ -253,6 +822,10 @@ export function getReviewStats() {
       byStatus: statusStats.reduce((acc, curr) => {
         acc[curr.status] = curr.count;
         return acc;
+      }, {}),
+      bySurveyType: surveyTypeStats.reduce((acc, curr) => {
+        acc[curr.surveyType] = curr.count;
+        return acc;
       }, {})
     };
   } catch (error) {
@@ -265,13 +838,64 @@ export function getReviewStats() {
 export function testDataService() {
   try {
     // Test getting all reviews
-    const allReviews = getAllReviews();
+    const allReviews = getAllReviews('default');
     console.assert(Array.isArray(allReviews), 'getAllReviews should return an array');
     
     // Test getting stats
-    const stats = getReviewStats();
+    const stats = getReviewStats('default');
     console.assert(typeof stats.total === 'number', 'stats should have total count');
     console.assert(typeof stats.averageRating === 'number', 'stats should have average rating');
+    console.assert(Object.values(stats.bySurveyType).reduce((sum, count) => sum + count, 0) === stats.total,
+      'stats should count every review by survey type');
+    
+    // Test streaming reviews from a cursor
+    const cursor = openReviewCursor('default');
+    try {
+      console.assert(cursor.total === allReviews.length, 'cursor total should count all reviews');
+      console.assert(Array.from(cursor.rows).length === allReviews.length, 'cursor should yield every review');
+    } finally {
+      cursor.close();
+    }
+    
+    // Test cursor filters, projection and sorting
+    const filtered = openReviewCursor('default', {
+      status: ['approved', 'pending'],
+      minRating: 2,
+      maxRating: 4,
+      fields: ['id', 'rating'],
+      sort: [{ field: 'rating', descending: true }, { field: 'id', descending: false }]
+    });
+    try {
+      const rows = Array.from(filtered.rows);
+      const expected = allReviews.filter(review => ['approved', 'pending'].includes(review.status) && review.rating >= 2 && review.rating <= 4);
+      console.assert(filtered.total === expected.length && rows.length === expected.length, 'cursor should apply every filter');
+      console.assert(rows.every(row => Object.keys(row).join() === 'id,rating'), 'cursor should select only the requested fields');
+      console.assert(rows.every((row, i) => i === 0 || rows[i - 1].rating > row.rating || (rows[i - 1].rating === row.rating && rows[i - 1].id < row.id)),
+        'cursor should sort by every sort key');
+    } finally {
+      filtered.close();
+    }
+    
+    // Test the description of a page of rows, even without the updatedAt column
+    const page = openReviewCursor('default', { fields: ['id'], limit: 3, offset: 1 });
+    try {
+      const ids = new Set(Array.from(page.rows).map(row => row.id));
+      const updatedAts = allReviews.filter(review => ids.has(review.id)).map(review => review.updatedAt).sort();
+      console.assert(page.rowCount === ids.size && page.rowCount === Math.min(3, Math.max(allReviews.length - 1, 0)),
+        'cursor rowCount should count the rows of the page');
+      console.assert(page.minUpdatedAt === (updatedAts[0] ?? null) && page.maxUpdatedAt === (updatedAts[updatedAts.length - 1] ?? null),
+        'cursor should report the updatedAt range of the page');
+    } finally {
+      page.close();
+    }
+    
+    let rejected = false;
+    try {
+      openReviewCursor('default', { fields: ['id; DROP TABLE reviews'] });
+    } catch (error) {
+      rejected = true;
+    }
+    console.assert(rejected, 'cursor should reject unknown fields');
     
     console.log('SQLite data service tests passed');
   } catch (error) {
@@ -0,0 +1,715 @@
+/**
+ * Scheduled export job service
+ *
+ * Export jobs write a snapshot of a workspace's reviews to a file on a cron
+ * schedule (see cronService), for systems that pick up files instead of
+ * calling the API: a warehouse loader reading a local directory, or an SFTP
+ * server whose drop directory is the export directory. Jobs never upload
+ * files to a remote server themselves.
+ *
+ * Files are written to <EXPORT_JOBS_DIR>/<workspaceId>/<jobId>/ and named
+ * <job name>-<UTC timestamp>-<run ID>.<format>. Every run writes a new file
+ * (rotation); after a successful run the oldest files beyond the job's
+ * retention are deleted. A file is written under a .partial name and
+ * renamed when complete, so consumers never pick up half-written exports.
+ * Each file gets a companion <file>.manifest.json (see
+ * exportManifestService) with its SHA-256 checksum, row count, schema
+ * version and updatedAt range. It is written after the file, so a loader
+ * that waits for the manifest can verify the file before loading it.
+ *
+ * Every run is recorded in the job's run history with its status, file,
+ * row count, size and error. A run that was cut off by a server restart is
+ * marked failed when the scheduler starts. Runs missed while the server was
+ * down are made up for with a single run.
+ *
+ * Configuration (environment variables):
+ * - EXPORT_JOBS_DIR: Directory export files are written to (default: src/data/exports)
+ * - EXPORT_JOB_POLL_INTERVAL_SECONDS: Seconds between checks for due jobs (default: 30)
+ * - EXPORT_JOB_RUN_HISTORY: Runs kept in the history of each job (default: 100)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../data/database.js';
+import { openReviewCursor } from './dataService.js';
+import { parseCronExpression, getNextCronTime } from './cronService.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  EXPORT_QUERY_PARAMS,
+  EXPORT_SCHEMA_VERSION,
+  csvFormat,
+  xmlFormat,
+  jsonFormat,
+  ndjsonFormat,
+  serializeRows,
+  parseExportOptions,
+  getExportSummary
+} from './exportService.js';
+import { writeReviewWorkbook } from './xlsxExportService.js';
+import { createChecksumStream, buildExportManifest } from './exportManifestService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Get database instance
+const db = getDatabase();
+
+// Statuses of a run in the run history
+export const EXPORT_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+const DEFAULT_RETENTION = 7;
+const MAX_RETENTION = 1000;
+const DEFAULT_POLL_INTERVAL_SECONDS = 30;
+const DEFAULT_RUN_HISTORY = 100;
+
+// Runs included with each job in job listings
+const RECENT_RUNS = 5;
+
+// Suffix of files that are still being written
+const PARTIAL_SUFFIX = '.partial';
+
+// Suffix of the manifest written next to each export file
+const MANIFEST_SUFFIX = '.manifest.json';
+
+// Prepare statements for better performance
+const statements = {
+  getJobs: db.prepare('SELECT * FROM export_jobs WHERE workspaceId = ? ORDER BY createdAt'),
+  getJobById: db.prepare('SELECT * FROM export_jobs WHERE workspaceId = ? AND id = ?'),
+  getDueJobs: db.prepare(`
+    SELECT * FROM export_jobs
+    WHERE active = 1 AND nextRunAt IS NOT NULL AND nextRunAt <= ?
+    ORDER BY nextRunAt
+  `),
+  insertJob: db.prepare(`
+    INSERT INTO export_jobs (id, workspaceId, name, schedule, format, filters, retention, active, nextRunAt, createdAt, updatedAt)
+    VALUES (@id, @workspaceId, @name, @schedule, @format, @filters, @retention, @active, @nextRunAt, @createdAt, @updatedAt)
+  `),
+  updateJob: db.prepare(`
+    UPDATE export_jobs
+    SET name = @name, schedule = @schedule, format = @format, filters = @filters, retention = @retention,
+      active = @active, nextRunAt = @nextRunAt, updatedAt = @updatedAt
+    WHERE id = @id AND workspaceId = @workspaceId
+  `),
+  setNextRunAt: db.prepare('UPDATE export_jobs SET nextRunAt = ? WHERE id = ?'),
+  deleteJob: db.prepare('DELETE FROM export_jobs WHERE workspaceId = ? AND id = ?'),
+  deleteRuns: db.prepare('DELETE FROM export_job_runs WHERE jobId = ?'),
+  insertRun: db.prepare(`
+    INSERT INTO export_job_runs (jobId, trigger, status, startedAt)
+    VALUES (?, ?, 'running', ?)
+  `),
+  finishRun: db.prepare(`
+    UPDATE export_job_runs
+    SET status = @status, file = @file, rows = @rows, bytes = @bytes, sha256 = @sha256, error = @error, finishedAt = @finishedAt
+    WHERE id = @id
+  `),
+  getRunById: db.prepare('SELECT * FROM export_job_runs WHERE id = ?'),
+  getRuns: db.prepare(`
+    SELECT * FROM export_job_runs
+    WHERE jobId = ? AND (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `),
+  countRuns: db.prepare('SELECT COUNT(*) as total FROM export_job_runs WHERE jobId = ? AND (? IS NULL OR status = ?)'),
+  pruneRuns: db.prepare(`
+    DELETE FROM export_job_runs
+    WHERE jobId = ? AND id NOT IN (SELECT id FROM export_job_runs WHERE jobId = ? ORDER BY id DESC LIMIT ?)
+  `),
+  failInterruptedRuns: db.prepare(`
+    UPDATE export_job_runs
+    SET status = 'failed', error = 'Interrupted by a server restart', finishedAt = ?
+    WHERE status = 'running'
+  `)
+};
+
+// IDs of the jobs with a run in progress
+const runningJobs = new Set();
+
+/**
+ * Read a positive number from an environment variable
+ *
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value if the variable is unset or invalid
+ * @returns {number} Configured value
+ */
+function getPositiveNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Get the directory export files are written to
+ *
+ * @returns {string} Absolute directory path
+ */
+export function getExportJobsDirectory() {
+  return path.resolve(process.env.EXPORT_JOBS_DIR || path.join(__dirname, '../data/exports'));
+}
+
+/**
+ * Get the directory of a job's export files
+ *
+ * @param {Object} job - Export job
+ * @returns {string} Absolute directory path
+ */
+function getJobDirectory(job) {
+  return path.join(getExportJobsDirectory(), job.workspaceId, job.id);
+}
+
+/**
+ * Convert a job row to its API representation, with its latest runs
+ *
+ * @param {Object} row - Row from the export_jobs table
+ * @returns {Object} Job object with status, lastRun and recentRuns
+ */
+function toExportJob(row) {
+  const recentRuns = statements.getRuns.all(row.id, null, null, RECENT_RUNS, 0);
+  const lastRun = recentRuns[0] || null;
+
+  return {
+    ...row,
+    filters: JSON.parse(row.filters),
+    active: row.active === 1,
+    // Status of the latest run; 'scheduled' until the job first runs
+    status: lastRun ? lastRun.status : 'scheduled',
+    lastRun,
+    recentRuns
+  };
+}
+
+/**
+ * Validates export job data
+ *
+ * Filters are the query parameters of GET /api/export (status, rating,
+ * minRating, maxRating, customerId, startDate, endDate, tz, search, fields,
+ * sort, limit, offset) and are validated the same way.
+ *
+ * @param {Object} jobData - Export job data
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate the fields that are present (updates)
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateExportJobData(jobData, options = {}) {
+  const errors = [];
+  const partial = options.partial === true;
+
+  if (!partial || jobData.name !== undefined) {
+    if (typeof jobData.name !== 'string' || !jobData.name.trim() || jobData.name.length > 100) {
+      errors.push('name is required and must be a string of at most 100 characters');
+    }
+  }
+
+  if (!partial || jobData.schedule !== undefined) {
+    const cron = parseCronExpression(jobData.schedule);
+    if (!cron.isValid) {
+      errors.push(...cron.errors);
+    } else if (!getNextCronTime(jobData.schedule)) {
+      errors.push('schedule never fires');
+    }
+  }
+
+  if (!partial || jobData.format !== undefined) {
+    if (!EXPORT_FORMATS.includes(jobData.format)) {
+      errors.push(`format is required and must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  if (jobData.filters !== undefined) {
+    const filters = jobData.filters;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push('filters must be an object of export query parameters');
+    } else {
+      const unknown = Object.keys(filters).filter(key => !EXPORT_QUERY_PARAMS.includes(key));
+      if (unknown.length > 0) {
+        errors.push(`filters may only contain: ${EXPORT_QUERY_PARAMS.join(', ')}`);
+      }
+      const invalidValue = Object.values(filters).some(value =>
+        !['string', 'number'].includes(typeof value) &&
+        !(Array.isArray(value) && value.every(item => typeof item === 'string')));
+      if (invalidValue) {
+        errors.push('filters values must be strings, numbers or arrays of strings');
+      } else {
+        errors.push(...parseExportOptions(filters).errors.map(error => `filters: ${error}`));
+      }
+    }
+  }
+
+  if (jobData.retention !== undefined &&
+    (!Number.isInteger(jobData.retention) || jobData.retention < 1 || jobData.retention > MAX_RETENTION)) {
+    errors.push(`retention must be an integer between 1 and ${MAX_RETENTION}`);
+  }
+
+  if (jobData.active !== undefined && typeof jobData.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Gets the export jobs of a workspace
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Array} Array of export jobs with their latest runs
+ */
+export function getExportJobs(workspaceId) {
+  try {
+    return statements.getJobs.all(workspaceId).map(toExportJob);
+  } catch (error) {
+    console.error('Error getting export jobs:', error);
+    throw new Error('Failed to retrieve export jobs');
+  }
+}
+
+/**
+ * Finds an export job by ID
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Export job ID
+ * @returns {Object|null} Export job or null if not found
+ */
+export function getExportJobById(workspaceId, id) {
+  try {
+    const row = statements.getJobById.get(workspaceId, id);
+    return row ? toExportJob(row) : null;
+  } catch (error) {
+    console.error('Error getting export job:', error);
+    throw new Error('Failed to retrieve export job');
+  }
+}
+
+/**
+ * Creates an export job
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} jobData - Export job data (name, schedule, format, filters, retention, active)
+ * @returns {Object} Created export job
+ */
+export function createExportJob(workspaceId, jobData) {
+  try {
+    const now = new Date();
+    const row = {
+      id: uuidv4(),
+      workspaceId,
+      name: jobData.name.trim(),
+      schedule: jobData.schedule.trim(),
+      format: jobData.format,
+      filters: JSON.stringify(jobData.filters || {}),
+      retention: jobData.retention ?? DEFAULT_RETENTION,
+      active: jobData.active === false ? 0 : 1,
+      nextRunAt: getNextCronTime(jobData.schedule, now).toISOString(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    statements.insertJob.run(row);
+    return toExportJob(row);
+  } catch (error) {
+    console.error('Error creating export job:', error);
+    throw new Error('Failed to create export job');
+  }
+}
+
+/**
+ * Updates an export job
+ *
+ * Changing the schedule or reactivating the job schedules its next run
+ * from now, so runs missed while it was inactive are not made up for.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Export job ID
+ * @param {Object} updateData - Fields to change (name, schedule, format, filters, retention, active)
+ * @returns {Object|null} Updated export job or null if not found
+ */
+export function updateExportJobById(workspaceId, id, updateData) {
+  try {
+    const existing = statements.getJobById.get(workspaceId, id);
+    if (!existing) {
+      return null;
+    }
+
+    const now = new Date();
+    const schedule = updateData.schedule !== undefined ? updateData.schedule.trim() : existing.schedule;
+    const active = updateData.active !== undefined ? (updateData.active ? 1 : 0) : existing.active;
+    const reschedule = schedule !== existing.schedule || (active === 1 && existing.active === 0);
+
+    const row = {
+      ...existing,
+      name: updateData.name !== undefined ? updateData.name.trim() : existing.name,
+      schedule,
+      format: updateData.format ?? existing.format,
+      filters: updateData.filters !== undefined ? JSON.stringify(updateData.filters) : existing.filters,
+      retention: updateData.retention ?? existing.retention,
+      active,
+      nextRunAt: reschedule ? getNextCronTime(schedule, now).toISOString() : existing.nextRunAt,
+      updatedAt: now.toISOString()
+    };
+
+    statements.updateJob.run(row);
+    return toExportJob(row);
+  } catch (error) {
+    console.error('Error updating export job:', error);
+    throw new Error('Failed to update export job');
+  }
+}
+
+/**
+ * Deletes an export job and its run history
+ *
+ * Files the job has written are left in place.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Export job ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+export function deleteExportJobById(workspaceId, id) {
+  try {
+    return db.transaction(() => {
+      const result = statements.deleteJob.run(workspaceId, id);
+      if (result.changes > 0) {
+        statements.deleteRuns.run(id);
+      }
+      return result.changes > 0;
+    })();
+  } catch (error) {
+    console.error('Error deleting export job:', error);
+    throw new Error('Failed to delete export job');
+  }
+}
+
+/**
+ * Gets the run history of an export job, newest first
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} jobId - Export job ID
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by status (running, succeeded, failed)
+ * @param {number} [options.limit] - Limit number of results
+ * @param {number} [options.offset] - Offset for pagination
+ * @returns {Object|null} Object with runs array and total count, or null if the job does not exist
+ */
+export function getExportJobRuns(workspaceId, jobId, options = {}) {
+  try {
+    if (!statements.getJobById.get(workspaceId, jobId)) {
+      return null;
+    }
+
+    const status = options.status || null;
+    const { total } = statements.countRuns.get(jobId, status, status);
+    const runs = statements.getRuns.all(jobId, status, status, options.limit || -1, options.offset || 0);
+
+    return {
+      runs,
+      total,
+      limit: options.limit || total,
+      offset: options.offset || 0
+    };
+  } catch (error) {
+    console.error('Error getting export job runs:', error);
+    throw new Error('Failed to retrieve export job runs');
+  }
+}
+
+/**
+ * Formats a time for export file names (e.g. 20251019T020000Z)
+ *
+ * @param {Date} date - Time
+ * @returns {string} Compact UTC timestamp
+ */
+function toFileTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Writes the export of a job to a file
+ *
+ * @param {Object} job - Export job
+ * @param {string} filePath - Path of the file to write
+ * @param {string} fileName - Final name of the file, recorded in the manifest
+ * @returns {Promise<Object>} Manifest of the written file
+ */
+async function writeExportFile(job, filePath, fileName) {
+  const { isValid, errors, options, filters } = parseExportOptions(job.filters);
+  if (!isValid) {
+    throw new Error(`Invalid filters: ${errors.join('; ')}`);
+  }
+
+  const cursor = openReviewCursor(job.workspaceId, options);
+  try {
+    const generatedAt = new Date().toISOString();
+    const checksum = createChecksumStream();
+    const written = pipeline(checksum, fs.createWriteStream(filePath));
+    const columns = options.fields || EXPORT_COLUMNS;
+    const manifest = () => buildExportManifest(
+      { format: job.format, cursor, fields: columns, filters, sort: job.filters.sort, checksum: checksum.checksum(), generatedAt },
+      { file: fileName, job: { id: job.id, name: job.name } }
+    );
+
+    if (job.format === 'xlsx') {
+      await Promise.all([writeReviewWorkbook(checksum, cursor.rows, getExportSummary(job.workspaceId), columns), written]);
+      return manifest();
+    }
+
+    const formats = {
+      csv: () => csvFormat(columns),
+      xml: () => xmlFormat(columns),
+      ndjson: () => ndjsonFormat(null),
+      json: () => jsonFormat({
+        metadata: {
+          exportDate: generatedAt,
+          schemaVersion: EXPORT_SCHEMA_VERSION,
+          totalRecords: cursor.total,
+          format: 'json',
+          source: 'customer_satisfaction_database',
+          job: { id: job.id, name: job.name },
+          filters: job.filters
+        }
+      })
+    };
+
+    await Promise.all([pipeline(Readable.from(serializeRows(cursor.rows, formats[job.format]())), checksum), written]);
+    return manifest();
+  } finally {
+    cursor.close();
+  }
+}
+
+/**
+ * Deletes the oldest files of a job directory beyond the retention,
+ * together with their manifests
+ *
+ * @param {string} directory - Job directory
+ * @param {number} retention - Number of files to keep
+ * @returns {Promise<Array>} Names of the deleted files
+ */
+async function applyRetention(directory, retention) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries
+    .filter(entry => entry.isFile() && !entry.name.endsWith(PARTIAL_SUFFIX) && !entry.name.endsWith(MANIFEST_SUFFIX))
+    .map(async entry => ({
+      name: entry.name,
+      mtime: (await fs.promises.stat(path.join(directory, entry.name))).mtimeMs,
+      runId: Number(entry.name.match(/-(\d+)\.\w+$/)?.[1] ?? 0)
+    })));
+
+  // Newest first; the run ID in the name breaks ties
+  files.sort((a, b) => b.mtime - a.mtime || b.runId - a.runId);
+
+  const expired = files.slice(retention).map(file => file.name);
+  await Promise.all(expired.flatMap(name => [name, name + MANIFEST_SUFFIX]
+    .map(file => fs.promises.rm(path.join(directory, file), { force: true }))));
+  return expired;
+}
+
+/**
+ * Runs an export job: writes its file, applies its retention and records
+ * the run in its history
+ *
+ * @param {Object} job - Export job
+ * @param {string} [trigger='manual'] - What started the run ('schedule' or 'manual')
+ * @returns {Promise<Object|null>} Finished run, or null if the job is already running
+ */
+export async function runExportJob(job, trigger = 'manual') {
+  if (runningJobs.has(job.id)) {
+    return null;
+  }
+  runningJobs.add(job.id);
+
+  const startedAt = new Date();
+  const runId = statements.insertRun.run(job.id, trigger, startedAt.toISOString()).lastInsertRowid;
+  let partialPath = null;
+
+  try {
+    const directory = getJobDirectory(job);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const slug = job.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+    const fileName = `${slug}-${toFileTimestamp(startedAt)}-${runId}.${job.format}`;
+    const filePath = path.join(directory, fileName);
+    partialPath = filePath + PARTIAL_SUFFIX;
+
+    const manifest = await writeExportFile(job, partialPath, fileName);
+    await fs.promises.rename(partialPath, filePath);
+
+    // The manifest comes last: its presence means the file is complete
+    partialPath = filePath + MANIFEST_SUFFIX + PARTIAL_SUFFIX;
+    await fs.promises.writeFile(partialPath, JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(partialPath, filePath + MANIFEST_SUFFIX);
+
+    statements.finishRun.run({
+      id: runId,
+      status: 'succeeded',
+      file: path.relative(getExportJobsDirectory(), filePath),
+      rows: manifest.rows,
+      bytes: manifest.bytes,
+      sha256: manifest.sha256,
+      error: null,
+      finishedAt: new Date().toISOString()
+    });
+
+    await applyRetention(directory, job.retention);
+  } catch (error) {
+    console.error(`Export job ${job.id} failed:`, error);
+    if (partialPath) {
+      await fs.promises.rm(partialPath, { force: true });
+    }
+    statements.finishRun.run({
+      id: runId,
+      status: 'failed',
+      file: null,
+      rows: null,
+      bytes: null,
+      sha256: null,
+      error: error.message,
+      finishedAt: new Date().toISOString()
+    });
+  } finally {
+    runningJobs.delete(job.id);
+    statements.pruneRuns.run(job.id, job.id, getPositiveNumber('EXPORT_JOB_RUN_HISTORY', DEFAULT_RUN_HISTORY));
+  }
+
+  return statements.getRunById.get(runId);
+}
+
+let processing = null;
+
+/**
+ * Runs all export jobs that are due, one after another
+ *
+ * Each job's next run is scheduled before it runs, so a slow or failing
+ * run is not repeated on the next check.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of runs
+ */
+export async function processDueExportJobs(now = new Date()) {
+  if (processing) {
+    return processing;
+  }
+
+  processing = (async () => {
+    let runs = 0;
+    try {
+      for (const row of statements.getDueJobs.all(now.toISOString())) {
+        statements.setNextRunAt.run(getNextCronTime(row.schedule, now)?.toISOString() ?? null, row.id);
+        if (await runExportJob(toExportJob(row), 'schedule')) {
+          runs++;
+        }
+      }
+      return runs;
+    } finally {
+      processing = null;
+    }
+  })();
+
+  return processing;
+}
+
+/**
+ * Start the export job scheduler
+ * Marks runs interrupted by a restart as failed, then checks for due jobs
+ * once immediately and every EXPORT_JOB_POLL_INTERVAL_SECONDS
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startExportJobScheduler() {
+  const intervalSeconds = getPositiveNumber('EXPORT_JOB_POLL_INTERVAL_SECONDS', DEFAULT_POLL_INTERVAL_SECONDS);
+
+  statements.failInterruptedRuns.run(new Date().toISOString());
+
+  const run = () => {
+    processDueExportJobs().catch(error => console.error('Export job scheduler failed:', error));
+  };
+
+  run();
+
+  // Don't keep the process alive just for the scheduler
+  return setInterval(run, intervalSeconds * 1000).unref();
+}
+
+// Test this service
+export async function testExportJobService() {
+  console.assert(validateExportJobData({ name: 'Nightly', schedule: '0 2 * * *', format: 'csv' }).isValid,
+    'Valid export job data should pass validation');
+  console.assert(!validateExportJobData({ name: 'Nightly', schedule: 'daily', format: 'csv' }).isValid,
+    'Invalid schedules should fail validation');
+  console.assert(!validateExportJobData({ name: 'Nightly', schedule: '@daily', format: 'pdf' }).isValid,
+    'Unknown formats should fail validation');
+  console.assert(!validateExportJobData({ name: 'Nightly', schedule: '@daily', format: 'csv', filters: { fields: 'id,secret' } }).isValid,
+    'Filters should be validated like export query parameters');
+  console.assert(!validateExportJobData({ name: 'Nightly', schedule: '@daily', format: 'csv', filters: { orderBy: 'id' } }).isValid,
+    'Unknown filters should fail validation');
+  console.assert(validateExportJobData({ retention: 3 }, { partial: true }).isValid,
+    'Partial updates should only validate present fields');
+
+  // Write to a temporary directory instead of the configured one
+  const configuredDirectory = process.env.EXPORT_JOBS_DIR;
+  process.env.EXPORT_JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'export-jobs-test-'));
+
+  const job = createExportJob('default', {
+    name: 'Approved snapshot',
+    schedule: '@daily',
+    format: 'ndjson',
+    filters: { status: 'approved', fields: 'id,status' },
+    retention: 2
+  });
+
+  try {
+    console.assert(job.status === 'scheduled' && job.nextRunAt > job.createdAt, 'New jobs should be scheduled');
+
+    const runs = [];
+    for (let i = 0; i < 3; i++) {
+      runs.push(await runExportJob(job));
+    }
+    console.assert(runs.every(run => run.status === 'succeeded'), 'Runs should succeed');
+
+    const directory = getJobDirectory(job);
+    const files = fs.readdirSync(directory);
+    console.assert(files.length === 4 && !files.some(file => file.startsWith(path.basename(runs[0].file))),
+      'Retention should delete the oldest files and their manifests');
+
+    const filePath = path.join(getExportJobsDirectory(), runs[2].file);
+    const content = fs.readFileSync(filePath);
+    const lines = content.toString('utf8').split('\n').filter(Boolean);
+    console.assert(lines.length === runs[2].rows && lines.every(line => JSON.parse(line).status === 'approved'),
+      'Export files should contain the filtered reviews');
+
+    const manifest = JSON.parse(fs.readFileSync(filePath + MANIFEST_SUFFIX, 'utf8'));
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    console.assert(manifest.sha256 === sha256 && runs[2].sha256 === sha256, 'Manifest and run should have the checksum of the file');
+    console.assert(manifest.rows === lines.length && manifest.bytes === content.length && manifest.file === path.basename(filePath),
+      'Manifest should describe the file');
+    console.assert(manifest.schemaVersion === EXPORT_SCHEMA_VERSION && manifest.filters.status === 'approved',
+      'Manifest should carry the schema version and filters');
+
+    const history = getExportJobRuns('default', job.id);
+    console.assert(history.total === 3 && history.runs[0].id === runs[2].id, 'Runs should be recorded newest first');
+    console.assert(getExportJobById('default', job.id).lastRun.id === runs[2].id, 'Jobs should report their last run');
+
+    // A due job is run by the scheduler and scheduled again; the clock is
+    // set long before the next run of any real job, so only this one is due
+    const now = new Date('2000-01-02T00:00:00.000Z');
+    statements.setNextRunAt.run('2000-01-01T00:00:00.000Z', job.id);
+    console.assert(await processDueExportJobs(now) === 1, 'Due jobs should run');
+    console.assert(getExportJobById('default', job.id).nextRunAt > now.toISOString(),
+      'Jobs should be rescheduled after a run');
+  } finally {
+    deleteExportJobById('default', job.id);
+    fs.rmSync(process.env.EXPORT_JOBS_DIR, { recursive: true, force: true });
+    if (configuredDirectory === undefined) {
+      delete process.env.EXPORT_JOBS_DIR;
+    } else {
+      process.env.EXPORT_JOBS_DIR = configuredDirectory;
+    }
+  }
+
+  console.log('Export job service tests passed!');
+}
\ No newline at end of file
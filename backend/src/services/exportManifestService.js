@@ -0,0 +1,211 @@
+/**
+ * Export manifest service
+ *
+ * Builds the integrity manifest of an export: SHA-256 checksum and size of
+ * the payload, row count, schema version, the range of updatedAt of the
+ * exported reviews and the applied filters. A loader recomputes the
+ * checksum and row count of the file it received and compares them with
+ * the manifest to verify the file is complete.
+ *
+ * The checksum is only known once an export is fully written. Manifests of
+ * streamed exports are therefore stored under the export ID when the
+ * stream ends and served by GET /api/export/manifest/:exportId; scheduled
+ * exports write theirs next to the export file (see exportJobService).
+ *
+ * Configuration (environment variables):
+ * - EXPORT_MANIFEST_RETENTION_DAYS: Days manifests of streamed exports are kept (default: 7)
+ */
+
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../data/database.js';
+import { EXPORT_SCHEMA_VERSION } from './exportService.js';
+
+// Get database instance
+const db = getDatabase();
+
+const DEFAULT_RETENTION_DAYS = 7;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Prepare statements for better performance
+const statements = {
+  insertManifest: db.prepare('INSERT INTO export_manifests (id, workspaceId, manifest, createdAt) VALUES (?, ?, ?, ?)'),
+  getManifest: db.prepare('SELECT manifest FROM export_manifests WHERE workspaceId = ? AND id = ?'),
+  pruneManifests: db.prepare('DELETE FROM export_manifests WHERE createdAt < ?')
+};
+
+/**
+ * Creates a pass-through stream that computes the SHA-256 checksum and
+ * size of everything written through it
+ *
+ * checksum() is available once the stream has ended (in onEnd, or after
+ * it finished).
+ *
+ * @param {Function} [onEnd] - Called with the checksum after the last chunk, before the stream ends
+ * @returns {Transform} Stream with a checksum() method returning { sha256, bytes }
+ */
+export function createChecksumStream(onEnd) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  let result = null;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      result = { sha256: hash.digest('hex'), bytes };
+      onEnd?.(result);
+      callback();
+    }
+  });
+
+  stream.checksum = () => result;
+  return stream;
+}
+
+/**
+ * Builds the manifest of an export
+ *
+ * @param {Object} details - Export details
+ * @param {string} details.format - Export format
+ * @param {Object} details.cursor - Cursor the export was read from (rowCount, minUpdatedAt, maxUpdatedAt)
+ * @param {Array} details.fields - Exported columns
+ * @param {Object} details.filters - Applied filters, as given in the query
+ * @param {string|null} [details.sort] - Applied sort, as given in the query
+ * @param {Object} details.checksum - Checksum of the payload ({ sha256, bytes })
+ * @param {string} details.generatedAt - Time the export was generated (ISO timestamp)
+ * @param {Object} [extra] - Additional manifest fields (e.g. exportId or file)
+ * @returns {Object} Manifest
+ */
+export function buildExportManifest({ format, cursor, fields, filters, sort, checksum, generatedAt }, extra = {}) {
+  return {
+    ...extra,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    format,
+    generatedAt,
+    rows: cursor.rowCount,
+    sha256: checksum.sha256,
+    bytes: checksum.bytes,
+    minUpdatedAt: cursor.minUpdatedAt,
+    maxUpdatedAt: cursor.maxUpdatedAt,
+    fields,
+    filters,
+    sort: sort || null
+  };
+}
+
+/**
+ * Stores the manifest of a streamed export
+ *
+ * The retention period counts from the manifest's generatedAt.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} manifest - Manifest with exportId
+ */
+export function saveExportManifest(workspaceId, manifest) {
+  try {
+    statements.insertManifest.run(manifest.exportId, workspaceId, JSON.stringify(manifest),
+      manifest.generatedAt || new Date().toISOString());
+  } catch (error) {
+    console.error('Error saving export manifest:', error);
+    throw new Error('Failed to save export manifest');
+  }
+}
+
+/**
+ * Get the manifest of a streamed export
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} exportId - Export ID (X-Export-Id header of the export)
+ * @returns {Object|null} Manifest, or null if the export is unknown, did not complete or has expired
+ */
+export function getExportManifest(workspaceId, exportId) {
+  try {
+    const row = statements.getManifest.get(workspaceId, exportId);
+    return row ? JSON.parse(row.manifest) : null;
+  } catch (error) {
+    console.error('Error getting export manifest:', error);
+    throw new Error('Failed to retrieve export manifest');
+  }
+}
+
+/**
+ * Removes manifests older than the retention period
+ *
+ * @param {number} [retentionDays] - Retention period in days (defaults to configuration)
+ * @returns {number} Number of removed manifests
+ */
+export function pruneExportManifests(retentionDays) {
+  const configured = parseFloat(process.env.EXPORT_MANIFEST_RETENTION_DAYS);
+  const days = retentionDays ?? (Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_RETENTION_DAYS);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  try {
+    return statements.pruneManifests.run(cutoff).changes;
+  } catch (error) {
+    console.error('Error pruning export manifests:', error);
+    throw new Error('Failed to prune export manifests');
+  }
+}
+
+/**
+ * Start the scheduled pruning of export manifests
+ * Runs once immediately, then every hour
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startExportManifestPruning() {
+  const run = () => {
+    try {
+      pruneExportManifests();
+    } catch (error) {
+      console.error('Scheduled export manifest pruning failed:', error);
+    }
+  };
+
+  run();
+
+  // Don't keep the process alive just for pruning
+  return setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
+
+// Test this service
+export async function testExportManifestService() {
+  const payload = 'id,rating\n"a",5\n"b",4';
+  let ended = null;
+  const stream = createChecksumStream(result => { ended = result; });
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.write(payload.slice(0, 7));
+  stream.end(payload.slice(7));
+  await new Promise(resolve => stream.on('end', resolve));
+
+  const expected = crypto.createHash('sha256').update(payload).digest('hex');
+  console.assert(Buffer.concat(chunks).toString() === payload, 'Checksum stream should pass data through unchanged');
+  console.assert(stream.checksum().sha256 === expected && ended?.sha256 === expected, 'Checksum should be the SHA-256 of the payload');
+  console.assert(stream.checksum().bytes === Buffer.byteLength(payload), 'Checksum should count the bytes of the payload');
+
+  const manifest = buildExportManifest({
+    format: 'csv',
+    cursor: { rowCount: 2, minUpdatedAt: '2025-01-01T00:00:00.000Z', maxUpdatedAt: '2025-02-01T00:00:00.000Z' },
+    fields: ['id', 'rating'],
+    filters: { status: 'approved' },
+    checksum: stream.checksum(),
+    generatedAt: '2000-01-01T00:00:00.000Z'
+  }, { exportId: uuidv4() });
+  console.assert(manifest.schemaVersion === EXPORT_SCHEMA_VERSION && manifest.rows === 2, 'Manifest should carry schema version and row count');
+
+  saveExportManifest('default', manifest);
+  console.assert(getExportManifest('default', manifest.exportId)?.sha256 === expected, 'Saved manifests should be found by export ID');
+  console.assert(getExportManifest('other-workspace', manifest.exportId) === null, 'Manifests should belong to their workspace');
+
+  // The manifest was generated long ago, so the configured retention has expired
+  pruneExportManifests();
+  console.assert(getExportManifest('default', manifest.exportId) === null, 'Pruning should remove expired manifests');
+
+  console.log('Export manifest service tests passed!');
+}
\ No newline at end of file
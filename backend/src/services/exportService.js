@@ -0,0 +1,305 @@
+/**
+ * Export serialization service
+ * 
+ * Serializes reviews in the text export formats (JSON, CSV, XML, NDJSON)
+ * and parses the export query parameters. Shared by the export routes and
+ * scheduled export jobs, so filters, fields and sort work the same way
+ * everywhere.
+ */
+
+import { getReviewStats, REVIEW_FIELDS } from './dataService.js';
+import { REVIEW_STATUSES, SURVEY_TYPES } from '../models/review.js';
+import { isValidTimeZone, parseZonedTime, addBuckets } from './timeBucketService.js';
+
+// Export formats; XLSX workbooks are written by xlsxExportService
+export const EXPORT_FORMATS = ['json', 'csv', 'xml', 'ndjson', 'xlsx'];
+
+// Version of the exported review schema (columns and their types), sent
+// with every export and in its manifest. Increase it when they change, so
+// loaders can tell which mapping to use. Version 2 added surveyType.
+export const EXPORT_SCHEMA_VERSION = 2;
+
+// Rows serialized into one chunk of the output
+export const EXPORT_BATCH_SIZE = 500;
+
+// Exported review columns of CSV, XML and XLSX exports, in column order,
+// unless the fields query parameter selects others
+export const EXPORT_COLUMNS = REVIEW_FIELDS;
+
+// Query parameters that filter the exported reviews
+const FILTER_PARAMS = ['status', 'surveyType', 'rating', 'minRating', 'maxRating', 'customerId', 'startDate', 'endDate', 'tz', 'search', 'limit', 'offset'];
+
+// Query parameters read by parseExportOptions
+export const EXPORT_QUERY_PARAMS = [...FILTER_PARAMS, 'fields', 'sort'];
+
+/**
+ * Converts a review to a CSV row
+ * 
+ * @param {Object} review - Review object
+ * @param {Array} columns - Columns to write
+ * @returns {string} CSV row without line break
+ */
+function toCSVRow(review, columns) {
+  return columns
+    .map(column => column === 'rating' ? review.rating : `"${String(review[column]).replace(/"/g, '""')}"`)
+    .join(',');
+}
+
+/**
+ * Converts a review to an XML <review> element
+ * 
+ * @param {Object} review - Review object
+ * @param {Array} columns - Columns to write, one child element each
+ * @returns {string} Indented XML element
+ */
+function toXMLElement(review, columns) {
+  const elements = columns
+    .map(column => `    <${column}>${column === 'rating' ? review.rating : escapeXML(review[column])}</${column}>\n`)
+    .join('');
+  return `  <review>\n${elements}  </review>\n`;
+}
+
+// Serialization of each export format: head, one entry per row joined by
+// separator, then tail
+
+/**
+ * Creates the serialization of a CSV export with a header row
+ * 
+ * @param {Array} columns - Columns to write
+ * @returns {Object} Export format
+ */
+export function csvFormat(columns) {
+  return {
+    head: columns.join(',') + '\n',
+    row: review => toCSVRow(review, columns),
+    separator: '\n',
+    tail: ''
+  };
+}
+
+/**
+ * Creates the serialization of an XML <reviews> document
+ * 
+ * @param {Array} columns - Columns to write
+ * @returns {Object} Export format
+ */
+export function xmlFormat(columns) {
+  return {
+    head: '<?xml version="1.0" encoding="UTF-8"?>\n<reviews>\n',
+    row: review => toXMLElement(review, columns),
+    separator: '',
+    tail: '</reviews>'
+  };
+}
+
+/**
+ * Creates the serialization of a JSON export: an object whose fields are
+ * written first, followed by the reviews in its data array
+ * 
+ * @param {Object} fields - Fields written before the data array
+ * @returns {Object} Export format
+ */
+export function jsonFormat(fields) {
+  const head = JSON.stringify(fields);
+  return {
+    head: `${head.slice(0, -1)}${head === '{}' ? '' : ','}"data":[`,
+    row: review => JSON.stringify(review),
+    separator: ',',
+    tail: ']}'
+  };
+}
+
+/**
+ * Creates the serialization of an NDJSON (JSON Lines) export: one review
+ * object per line, optionally preceded by a header line
+ * 
+ * @param {Object|null} header - Object written as the first line, or null for none
+ * @returns {Object} Export format
+ */
+export function ndjsonFormat(header) {
+  return {
+    head: header ? JSON.stringify(header) + '\n' : '',
+    row: review => JSON.stringify(review) + '\n',
+    separator: '',
+    tail: ''
+  };
+}
+
+/**
+ * Serializes rows in an export format, batching rows into chunks
+ * 
+ * @param {Iterable} rows - Reviews (array or database cursor)
+ * @param {Object} format - Export format (head, row, separator, tail)
+ * @yields {string} Chunks of the serialized export
+ */
+export function* serializeRows(rows, format) {
+  let chunk = format.head;
+  let count = 0;
+  
+  for (const review of rows) {
+    chunk += (count > 0 ? format.separator : '') + format.row(review);
+    count++;
+    
+    if (count % EXPORT_BATCH_SIZE === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  
+  yield chunk + format.tail;
+}
+
+/**
+ * Parses and validates the export query parameters shared by every export
+ * endpoint and format
+ * 
+ * Lists (status, fields, sort) are comma-separated. Dates and timestamps
+ * without an offset are in the time zone given by tz (default UTC), and a
+ * date-only endDate includes the whole day in that zone.
+ * 
+ * @param {Object} query - Request query
+ * @returns {Object} { isValid, errors, options, filters } with options for
+ *   openReviewCursor and filters as given in the query, for export metadata
+ */
+export function parseExportOptions(query) {
+  const errors = [];
+  const options = {};
+  const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  
+  if (query.status !== undefined) {
+    const statuses = toList(query.status);
+    if (statuses.length === 0 || statuses.some(status => !REVIEW_STATUSES.includes(status))) {
+      errors.push(`status must be a comma-separated list of: ${REVIEW_STATUSES.join(', ')}`);
+    } else {
+      options.status = statuses;
+    }
+  }
+  
+  if (query.surveyType !== undefined) {
+    if (!SURVEY_TYPES.includes(query.surveyType)) {
+      errors.push(`surveyType must be one of: ${SURVEY_TYPES.join(', ')}`);
+    } else {
+      options.surveyType = query.surveyType;
+    }
+  }
+  
+  // Ratings cover every survey type's scale (NPS is 0-10)
+  const integerParams = [['rating', 0, 10], ['minRating', 0, 10], ['maxRating', 0, 10], ['limit', 1, Infinity], ['offset', 0, Infinity]];
+  for (const [name, min, max] of integerParams) {
+    if (query[name] === undefined) continue;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(max === Infinity
+        ? `${name} must be an integer of at least ${min}`
+        : `${name} must be an integer between ${min} and ${max}`);
+    } else {
+      options[name] = value;
+    }
+  }
+  if (options.minRating !== undefined && options.maxRating !== undefined && options.minRating > options.maxRating) {
+    errors.push('minRating must not be greater than maxRating');
+  }
+  
+  if (query.customerId !== undefined) {
+    options.customerId = String(query.customerId);
+  }
+  
+  const timeZone = query.tz === undefined ? 'UTC' : String(query.tz);
+  if (!isValidTimeZone(timeZone)) {
+    errors.push('tz must be an IANA time zone such as Europe/Berlin');
+  }
+  
+  for (const name of ['startDate', 'endDate']) {
+    if (query[name] === undefined || !isValidTimeZone(timeZone)) continue;
+    const value = String(query[name]);
+    const isDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = parseZonedTime(value, timeZone);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be an ISO 8601 date or timestamp`);
+    } else {
+      // A date-only end date ends just before the next day starts
+      options[name] = (isDay && name === 'endDate'
+        ? new Date(addBuckets(date, 'day', 1, timeZone).getTime() - 1)
+        : date).toISOString();
+    }
+  }
+  if (options.startDate && options.endDate && options.startDate > options.endDate) {
+    errors.push('startDate must not be after endDate');
+  }
+  
+  if (query.search !== undefined && String(query.search).trim()) {
+    options.search = String(query.search).trim();
+  }
+  
+  if (query.fields !== undefined) {
+    const fields = [...new Set(toList(query.fields))];
+    if (fields.length === 0 || fields.some(field => !REVIEW_FIELDS.includes(field))) {
+      errors.push(`fields must be a comma-separated list of: ${REVIEW_FIELDS.join(', ')}`);
+    } else {
+      options.fields = fields;
+    }
+  }
+  
+  if (query.sort !== undefined) {
+    const sort = toList(query.sort).map(key => ({
+      field: key.replace(/^-/, ''),
+      descending: key.startsWith('-')
+    }));
+    if (sort.length === 0 || sort.some(({ field }) => !REVIEW_FIELDS.includes(field))) {
+      errors.push(`sort must be a comma-separated list of fields (prefix - for descending) from: ${REVIEW_FIELDS.join(', ')}`);
+    } else {
+      options.sort = sort;
+    }
+  }
+  
+  const filters = Object.fromEntries(
+    FILTER_PARAMS.filter(name => query[name] !== undefined).map(name => [name, query[name]])
+  );
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options,
+    filters
+  };
+}
+
+/**
+ * Escapes XML special characters
+ * 
+ * @param {string} str - String to escape
+ * @returns {string} XML-safe string
+ */
+export function escapeXML(str) {
+  if (typeof str !== 'string') return str;
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Calculates the summary statistics of a workspace's reviews
+ * 
+ * Shared by GET /api/export/summary and the Summary sheet of XLSX exports.
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} [range] - Creation time range, as parsed by parseExportOptions
+ * @param {string} [range.startDate] - Created at or after (ISO timestamp)
+ * @param {string} [range.endDate] - Created at or before (ISO timestamp)
+ * @returns {Object} Total, average (CSAT) rating, status, rating and survey type breakdowns
+ */
+export function getExportSummary(workspaceId, range = {}) {
+  const stats = getReviewStats(workspaceId, range);
+  
+  return {
+    totalReviews: stats.total,
+    averageRating: stats.averageRating,
+    statusBreakdown: stats.byStatus,
+    ratingBreakdown: stats.byRating,
+    surveyTypeBreakdown: stats.bySurveyType,
+    generatedAt: new Date().toISOString()
+  };
+}
\ No newline at end of file
@@ -0,0 +1,371 @@
+/**
+ * Bulk review import service
+ *
+ * Imports reviews from a CSV or JSON upload into a workspace. Every row is
+ * validated with validateReviewData before anything is written, and the
+ * rows are then written in a single transaction: either the whole import
+ * commits or none of it does. A dry run validates and reports without
+ * writing.
+ *
+ * Rows may carry an id. A row whose id already exists in the workspace is
+ * skipped or, with onDuplicate 'upsert', updated (status changes follow the
+ * moderation state machine). CSV files use the columns of the CSV export,
+ * so an export can be imported again.
+ *
+ * Every import returns a report with the outcome of each row.
+ */
+
+import { getDatabase } from '../data/database.js';
+import { createReview, updateReview, validateReviewData } from '../models/review.js';
+import { saveReview, updateReviewById } from './dataService.js';
+import { diffReviews } from './revisionService.js';
+import { validateStatusTransition } from './moderationService.js';
+import { publishReviewEvent, getUpdateEvent } from './reviewEventService.js';
+
+// Get database instance
+const db = getDatabase();
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+export const DUPLICATE_MODES = ['skip', 'upsert'];
+
+// Review fields read from an import row
+const IMPORT_FIELDS = ['id', 'customerId', 'customerName', 'surveyType', 'rating', 'title', 'comment', 'status', 'moderationReason', 'createdAt'];
+
+// Prepare statements for better performance
+const statements = {
+  // Review IDs are unique across workspaces
+  getReviewById: db.prepare('SELECT * FROM reviews WHERE id = ?')
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and
+ * line breaks) into rows of fields
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} Array of rows, each an array of field strings
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parses an import upload into rows
+ *
+ * CSV needs a header row naming the columns. JSON is an array of review
+ * objects or an object with a `reviews` array.
+ *
+ * @param {string} text - Uploaded file content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} Parse result with isValid, errors and rows
+ */
+export function parseImportFile(text, format) {
+  const errors = [];
+  let rows = [];
+
+  // Spreadsheet programs often prepend a byte order mark
+  const content = text.replace(/^\uFEFF/, '');
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(content);
+    if (!header) {
+      errors.push('CSV file is empty');
+    } else {
+      const columns = header.map(column => column.trim());
+      rows = records.map(fields => Object.fromEntries(columns.map((column, index) => [column, fields[index]])));
+    }
+  } else {
+    try {
+      const data = JSON.parse(content);
+      rows = Array.isArray(data) ? data : data?.reviews;
+      if (!Array.isArray(rows)) {
+        errors.push('JSON must be an array of reviews or an object with a reviews array');
+        rows = [];
+      }
+    } catch (error) {
+      errors.push(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  if (errors.length === 0 && rows.length === 0) {
+    errors.push('Import contains no reviews');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    rows
+  };
+}
+
+/**
+ * Converts an import row to review data
+ *
+ * CSV values are strings: the rating is converted to a number and empty
+ * values count as missing.
+ *
+ * @param {Object} row - Parsed row
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} Review data with the import fields that are present
+ */
+export function toReviewData(row, format) {
+  const data = {};
+
+  for (const field of IMPORT_FIELDS) {
+    let value = row[field];
+    if (format === 'csv') {
+      value = value === undefined || value === '' ? undefined : value;
+      if (field === 'rating' && value !== undefined) {
+        value = Number(value);
+      }
+    }
+    if (value !== undefined && value !== null) {
+      data[field] = value;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Validates one import row and decides what the import does with it
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} data - Review data of the row
+ * @param {string} onDuplicate - 'skip' or 'upsert'
+ * @returns {Object} Plan with result ('create', 'update', 'unchanged', 'skip' or 'invalid'),
+ *   errors and the review before and after the import
+ */
+function planRow(workspaceId, data, onDuplicate) {
+  const errors = [...validateReviewData(data).errors];
+
+  if (data.id !== undefined && (typeof data.id !== 'string' || !data.id.trim())) {
+    errors.push('id must be a non-empty string');
+  }
+  if (data.createdAt !== undefined && (typeof data.createdAt !== 'string' || isNaN(Date.parse(data.createdAt)))) {
+    errors.push('createdAt must be an ISO 8601 date');
+  }
+  if (errors.length > 0) {
+    return { result: 'invalid', errors };
+  }
+
+  const existing = data.id ? statements.getReviewById.get(data.id) : null;
+
+  if (!existing) {
+    const review = createReview(data);
+    if (data.id) {
+      review.id = data.id;
+    }
+    if (data.createdAt) {
+      review.createdAt = new Date(data.createdAt).toISOString();
+    }
+    return { result: 'create', errors, after: review };
+  }
+
+  // IDs are unique across workspaces; the error must not reveal that another workspace has the review
+  if (existing.workspaceId !== workspaceId) {
+    return { result: 'invalid', errors: [`id ${data.id} is already in use`] };
+  }
+  if (onDuplicate === 'skip') {
+    return { result: 'skip', errors, before: existing };
+  }
+  if (existing.deletedAt) {
+    return { result: 'invalid', errors: [`Review ${data.id} is in the trash; restore it before importing over it`] };
+  }
+
+  // The creation time of an existing review is kept
+  const { id, createdAt, ...updateData } = data;
+  if (updateData.status !== undefined && updateData.status !== existing.status) {
+    const transition = validateStatusTransition(existing.status, updateData.status, updateData.moderationReason);
+    if (!transition.isValid) {
+      return { result: 'invalid', errors: transition.errors };
+    }
+    updateData.moderationReason = updateData.moderationReason ?? null;
+  }
+
+  if (Object.keys(diffReviews(existing, { ...existing, ...updateData })).length === 0) {
+    return { result: 'unchanged', errors, before: existing };
+  }
+
+  return { result: 'update', errors, before: existing, after: updateReview(existing, updateData) };
+}
+
+/**
+ * Imports reviews into a workspace
+ *
+ * All rows are validated first. If any row is invalid, nothing is written.
+ * Otherwise all rows are written in one transaction and review events are
+ * published once it has committed.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array} rows - Parsed rows (see parseImportFile)
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'csv' or 'json'
+ * @param {boolean} [options.dryRun=false] - Validate and report without writing
+ * @param {string} [options.onDuplicate='skip'] - 'skip' or 'upsert' rows whose id exists
+ * @param {string} [options.actor] - Who runs the import (for the audit trail)
+ * @returns {Object} Import report
+ */
+export function importReviews(workspaceId, rows, options = {}) {
+  const dryRun = options.dryRun === true;
+  const onDuplicate = options.onDuplicate || 'skip';
+  const seenIds = new Set();
+
+  const plans = rows.map((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { row: index + 1, result: 'invalid', errors: ['Row must be an object'] };
+    }
+
+    const data = toReviewData(row, options.format);
+    if (data.id !== undefined && seenIds.has(data.id)) {
+      return { row: index + 1, id: data.id, result: 'invalid', errors: [`id ${data.id} appears more than once in the import`] };
+    }
+    seenIds.add(data.id);
+
+    return { row: index + 1, id: data.id, ...planRow(workspaceId, data, onDuplicate) };
+  });
+
+  const invalid = plans.filter(plan => plan.result === 'invalid').length;
+  const committed = !dryRun && invalid === 0;
+
+  if (committed) {
+    try {
+      db.transaction(() => {
+        for (const plan of plans) {
+          if (plan.result === 'create') {
+            plan.after = saveReview(workspaceId, plan.after, { actor: options.actor });
+          } else if (plan.result === 'update') {
+            plan.after = updateReviewById(workspaceId, plan.before.id, plan.after, { actor: options.actor });
+          }
+        }
+      })();
+    } catch (error) {
+      console.error('Error importing reviews:', error);
+      throw new Error('Failed to import reviews');
+    }
+
+    for (const plan of plans) {
+      if (plan.result === 'create') {
+        publishReviewEvent(workspaceId, 'review.created', null, plan.after, { actor: options.actor });
+      } else if (plan.result === 'update') {
+        publishReviewEvent(workspaceId, getUpdateEvent(plan.before, plan.after), plan.before, plan.after, { actor: options.actor });
+      }
+    }
+  }
+
+  const count = (result) => plans.filter(plan => plan.result === result).length;
+
+  return {
+    dryRun,
+    committed,
+    onDuplicate,
+    format: options.format,
+    summary: {
+      total: plans.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      skipped: count('skip'),
+      invalid
+    },
+    rows: plans.map(plan => ({
+      row: plan.row,
+      id: plan.after?.id || plan.id || null,
+      result: plan.result,
+      errors: plan.errors
+    }))
+  };
+}
+
+/**
+ * Converts an import report to CSV, one line per row
+ *
+ * @param {Object} report - Report from importReviews
+ * @returns {string} CSV text
+ */
+export function reportToCSV(report) {
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = report.rows.map(row => [row.row, quote(row.id), row.result, quote(row.errors.join('; '))].join(','));
+  return ['row,id,result,errors', ...lines].join('\n') + '\n';
+}
+
+// Test this service
+export function testImportService() {
+  const rows = parseCsv('id,comment\n1,"Hello, ""world""\nagain"\r\n2,plain\n\n');
+  console.assert(rows.length === 3, 'CSV parser should skip blank lines');
+  console.assert(rows[1][1] === 'Hello, "world"\nagain', 'CSV parser should handle quotes, commas and line breaks');
+  console.assert(rows[2][1] === 'plain', 'CSV parser should handle CRLF line breaks');
+
+  const csv = parseImportFile('\uFEFFcustomerId,customerName,rating,title,comment,status\nc1,Ann,4,Good,Fine,\n', 'csv');
+  console.assert(csv.isValid && csv.rows.length === 1, 'CSV import should have one row');
+  const data = toReviewData(csv.rows[0], 'csv');
+  console.assert(data.rating === 4 && data.status === undefined, 'CSV ratings should be numbers and empty values missing');
+  console.assert(validateReviewData(data).isValid, 'Converted CSV row should be valid review data');
+
+  console.assert(parseImportFile('{"reviews": [{}]}', 'json').rows.length === 1, 'JSON import should accept a reviews array');
+  console.assert(!parseImportFile('{"nope": 1}', 'json').isValid, 'JSON import without reviews should be invalid');
+  console.assert(!parseImportFile('not json', 'json').isValid, 'Malformed JSON should be invalid');
+
+  const review = { customerId: 'c1', customerName: 'Ann', rating: 5, title: 'Great', comment: 'Nice' };
+  const report = importReviews('default', [review, { ...review, rating: 9 }, 'oops'], { format: 'json', dryRun: true });
+  console.assert(!report.committed, 'Dry runs should not commit');
+  console.assert(report.summary.created === 1 && report.summary.invalid === 2, 'Dry run should report every row');
+  console.assert(report.rows[1].errors.length > 0, 'Invalid rows should carry their errors');
+
+  const duplicates = importReviews('default', [{ ...review, id: 'dup' }, { ...review, id: 'dup' }], { format: 'json', dryRun: true });
+  console.assert(duplicates.rows[1].result === 'invalid', 'Repeated ids within an import should be invalid');
+
+  const other = db.prepare("SELECT id FROM reviews WHERE workspaceId = 'default' LIMIT 1").get();
+  if (other) {
+    const conflict = importReviews('import-test', [{ ...review, id: other.id }], { format: 'json', dryRun: true });
+    console.assert(conflict.rows[0].result === 'invalid' && conflict.rows[0].errors[0] === `id ${other.id} is already in use`,
+      'IDs used in another workspace should be reported as in use');
+    console.assert(!conflict.rows[0].errors.some(error => /workspace/i.test(error)),
+      'Errors should not reveal that another workspace has the review');
+  }
+
+  console.assert(reportToCSV(report).startsWith('row,id,result,errors\n1,'), 'Report CSV should have a header and one line per row');
+
+  console.log('Import service tests passed!');
+}
\ No newline at end of file
@@ -6,57 +6,161 @@
  * 
  * Maps customer satisfaction data to meaningful business metrics:
  * - Reviews Submitted: Total reviews created per day
- * - Reviews Processed: Total reviews accessed/read per day 
- * - Quality Queries: Data validation operations per day
+ * - Reviews Processed: Review rows read through the API per day (tracked)
+ * - Quality Queries: Read queries served by the API per day (tracked)
  * - Satisfaction Score: Average satisfaction score scaled to currency format
  * - New Customers: Unique customers submitting reviews per day
- * - Customer Sessions: Estimated customer interaction sessions
+ * - Customer Sessions: Client sessions started per day (tracked)
  * - Review Approvals: Reviews approved per day
  * - Escalations: Reviews requiring manual attention per day
+ * - Total Reviews: Cumulative number of reviews up to and including the day
+ * 
+ * Metrics are computed per time bucket (hour, day, ISO week, month or
+ * quarter; see timeBucketService), day by default, with boundaries in a
+ * time zone (UTC by default). All metrics are computed for a single
+ * workspace.
  */
 
 import { getDatabase } from '../data/database.js';
+import { getTimeBuckets, parseTimeRange, isValidTimeZone, GRANULARITIES } from './timeBucketService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prepare statements for better performance
+const statements = {
+  // One pass over the requested range: the buckets are passed as a JSON
+  // array of { from, to } so empty buckets are filled with zeros, reviews and
+  // activity are grouped by bucket (an index range per bucket), and the
+  // cumulative total is a window function seeded with the count of reviews
+  // created before the range.
+  bucketMetrics: getDatabase().prepare(`
+    WITH buckets AS (
+      SELECT
+        CAST(key AS INTEGER) as idx,
+        json_extract(value, '$.from') as bucketFrom,
+        json_extract(value, '$.to') as bucketTo
+      FROM json_each(@buckets)
+    ),
+    review_counts AS (
+      SELECT
+        b.idx,
+        COUNT(*) as reviewsSubmitted,
+        COUNT(DISTINCT r.customerId) as newCustomers,
+        -- Star ratings are CSAT only; NPS and CES use other scales
+        COUNT(CASE WHEN r.surveyType = 'csat' THEN 1 END) as csatReviews,
+        AVG(CASE WHEN r.surveyType = 'csat' THEN r.rating END) as avgRating,
+        COUNT(CASE WHEN r.status = 'approved' THEN 1 END) as approved,
+        COUNT(CASE WHEN r.status = 'pending' THEN 1 END) as pending,
+        COUNT(CASE WHEN r.status = 'rejected' THEN 1 END) as rejected,
+        COUNT(CASE WHEN r.surveyType = 'csat' AND r.rating = 5 THEN 1 END) as fiveStar,
+        COUNT(CASE WHEN r.surveyType = 'csat' AND r.rating <= 2 THEN 1 END) as lowRating
+      FROM buckets b
+      JOIN reviews r ON r.workspaceId = @workspaceId AND r.createdAt >= b.bucketFrom AND r.createdAt < b.bucketTo
+        AND r.deletedAt IS NULL
+      GROUP BY b.idx
+    ),
+    activity_counts AS (
+      SELECT
+        b.idx,
+        SUM(CASE WHEN a.type = 'read' THEN a.count ELSE 0 END) as rowsRead,
+        COUNT(CASE WHEN a.type = 'query' THEN 1 END) as queries,
+        COUNT(CASE WHEN a.type = 'session' THEN 1 END) as sessions
+      FROM buckets b
+      JOIN activity_events a ON a.workspaceId = @workspaceId AND a.occurredAt >= b.bucketFrom AND a.occurredAt < b.bucketTo
+      GROUP BY b.idx
+    )
+    SELECT
+      b.idx as idx,
+      COALESCE(rc.reviewsSubmitted, 0) as reviewsSubmitted,
+      COALESCE(rc.newCustomers, 0) as newCustomers,
+      COALESCE(rc.csatReviews, 0) as csatReviews,
+      COALESCE(rc.avgRating, 0) as avgRating,
+      COALESCE(rc.approved, 0) as approved,
+      COALESCE(rc.pending, 0) as pending,
+      COALESCE(rc.rejected, 0) as rejected,
+      COALESCE(rc.fiveStar, 0) as fiveStar,
+      COALESCE(rc.lowRating, 0) as lowRating,
+      COALESCE(ac.rowsRead, 0) as rowsRead,
+      COALESCE(ac.queries, 0) as queries,
+      COALESCE(ac.sessions, 0) as sessions,
+      (SELECT COUNT(*) FROM reviews WHERE workspaceId = @workspaceId AND createdAt < @rangeStart AND deletedAt IS NULL)
+        + SUM(COALESCE(rc.reviewsSubmitted, 0)) OVER (ORDER BY b.idx ROWS UNBOUNDED PRECEDING)
+        as totalReviews
+    FROM buckets b
+    LEFT JOIN review_counts rc ON rc.idx = b.idx
+    LEFT JOIN activity_counts ac ON ac.idx = b.idx
+    ORDER BY b.idx
+  `)
+};
+
+/**
+ * Aggregate reviews and tracked activity per time bucket
+ * 
+ * Runs a single grouped query for all buckets. Each bucket counts only its
+ * part of the range (from, to), so partial buckets at the edges are not
+ * padded with data from outside the range.
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array} buckets - Buckets from getTimeBuckets
+ * @returns {Array} One row per bucket with the bucket (start, end, label, partial) and its
+ *   counts: reviewsSubmitted, newCustomers, csatReviews, avgRating, approved, pending, rejected,
+ *   fiveStar, lowRating, rowsRead, queries, sessions and totalReviews (cumulative); the rating
+ *   counts and average cover CSAT reviews
+ */
+export function getBucketMetrics(workspaceId, buckets) {
+  if (buckets.length === 0) {
+    return [];
+  }
+  
+  try {
+    const rows = statements.bucketMetrics.all({
+      workspaceId,
+      buckets: JSON.stringify(buckets.map(({ from, to }) => ({ from, to }))),
+      rangeStart: buckets[0].from
+    });
+    
+    return rows.map(({ idx, ...counts }) => {
+      const { start, end, label, partial } = buckets[idx];
+      return { start, end, label, partial, ...counts };
+    });
+  } catch (error) {
+    console.error('Error aggregating bucket metrics:', error);
+    throw new Error('Failed to aggregate metrics');
+  }
+}
 
 /**
  * Generate time-series metrics from customer review data
  * 
- * @param {string} startDate - Start date in ISO format (optional)
- * @param {string} endDate - End date in ISO format (optional)
- * @returns {Array} Array of OverviewData objects with daily metrics
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} startDate - Start date or timestamp in ISO format (optional, default: 365 days ago)
+ * @param {string} endDate - End date or timestamp in ISO format (optional, default: now)
+ * @param {Object} [options] - Options
+ * @param {string} [options.granularity='day'] - Bucket granularity (hour, day, week, month, quarter)
+ * @param {string} [options.timeZone='UTC'] - IANA time zone of dates and bucket boundaries
+ * @returns {Array} Array of OverviewData objects, one per bucket
  */
-export function generateMetrics(startDate = null, endDate = null) {
-  const db = getDatabase();
+export function generateMetrics(workspaceId, startDate = null, endDate = null, options = {}) {
+  const granularity = options.granularity || 'day';
+  const timeZone = options.timeZone || 'UTC';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown granularity: ${granularity}`);
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
   
   try {
     // Get date range - default to last 365 days if not specified
-    const end = endDate ? new Date(endDate) : new Date();
-    const start = startDate ? new Date(startDate) : new Date(end.getTime() - (365 * 24 * 60 * 60 * 1000));
-    
-    const metrics = [];
-    const currentDate = new Date(start);
+    const end = endDate || new Date().toISOString();
+    const start = startDate || new Date(new Date(end).getTime() - (365 * DAY_MS)).toISOString();
     
-    // Generate metrics for each day in the range
-    while (currentDate <= end) {
-      const dateStr = currentDate.toISOString().split('T')[0]; // YYYY-MM-DD format
-      const dayMetrics = calculateDayMetrics(db, dateStr);
-      
-      metrics.push({
-        date: currentDate.toISOString(),
-        "Rows written": dayMetrics.reviewsSubmitted,
-        "Rows read": dayMetrics.reviewsProcessed,
-        "Queries": dayMetrics.qualityQueries,
-        "Payments completed": dayMetrics.satisfactionScore,
-        "Sign ups": dayMetrics.newCustomers,
-        "Logins": dayMetrics.customerSessions,
-        "Sign outs": dayMetrics.reviewApprovals,
-        "Support calls": dayMetrics.escalations
-      });
-      
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
+    const range = parseTimeRange(start, end, timeZone);
+    if (!range.isValid) {
+      return [];
     }
     
-    return metrics;
+    return getBucketMetrics(workspaceId, getTimeBuckets(range.start, range.end, granularity, { timeZone })).map(toOverviewData);
     
   } catch (error) {
     console.error('Error generating metrics:', error);
@@ -65,98 +169,61 @@ export function generateMetrics(startDate = null, endDate = null) {
 }
 
 /**
- * Calculate metrics for a specific day
+ * Map a bucket metrics row to the dashboard's OverviewData format
  * 
- * @param {Database} db - SQLite database instance
- * @param {string} dateStr - Date string in YYYY-MM-DD format
- * @returns {Object} Metrics object for the day
+ * @param {Object} row - Row from getBucketMetrics
+ * @returns {Object} OverviewData object for the bucket
  */
-function calculateDayMetrics(db, dateStr) {
-  const nextDay = new Date(dateStr);
-  nextDay.setDate(nextDay.getDate() + 1);
-  const nextDayStr = nextDay.toISOString().split('T')[0];
-  
-  // Get reviews created on this day
-  const reviewsCreated = db.prepare(`
-    SELECT 
-      COUNT(*) as count,
-      COUNT(DISTINCT customerId) as uniqueCustomers,
-      AVG(rating) as avgRating,
-      COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved,
-      COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending
-    FROM reviews 
-    WHERE DATE(createdAt) = ?
-  `).get(dateStr);
-  
-  // Get total reviews processed (simulated as cumulative reads)
-  const totalReviews = db.prepare(`
-    SELECT COUNT(*) as count FROM reviews 
-    WHERE DATE(createdAt) <= ?
-  `).get(dateStr);
-  
-  // Calculate base metrics from actual data
-  const reviewsSubmitted = reviewsCreated.count || 0;
-  const newCustomers = reviewsCreated.uniqueCustomers || 0;
-  const avgRating = reviewsCreated.avgRating || 0;
-  const approved = reviewsCreated.approved || 0;
-  const pending = reviewsCreated.pending || 0;
-  
-  // Generate realistic derived metrics
-  const reviewsProcessed = Math.max(0, (totalReviews.count || 0) * getRandomMultiplier(2, 5));
-  const qualityQueries = Math.max(0, reviewsSubmitted * getRandomMultiplier(8, 15));
-  const satisfactionScore = Math.round(avgRating * 25); // Scale 1-5 rating to 25-125 range
-  const customerSessions = Math.max(0, newCustomers * getRandomMultiplier(3, 8));
-  const reviewApprovals = approved;
-  const escalations = Math.max(0, pending + Math.floor(reviewsSubmitted * 0.1));
-  
+function toOverviewData(row) {
   return {
-    reviewsSubmitted,
-    reviewsProcessed,
-    qualityQueries,
-    satisfactionScore,
-    newCustomers,
-    customerSessions,
-    reviewApprovals,
-    escalations
+    date: row.start,
+    period: row.label,
+    partial: row.partial,
+    "Rows written": row.reviewsSubmitted,
+    "Rows read": row.rowsRead,
+    "Queries": row.queries,
+    "Payments completed": Math.round(row.avgRating * 25), // Scale 1-5 rating to 25-125 range
+    "Sign ups": row.newCustomers,
+    "Logins": row.sessions,
+    "Sign outs": row.approved,
+    "Support calls": row.pending + Math.floor(row.reviewsSubmitted * 0.1),
+    "Total reviews": row.totalReviews
   };
 }
 
-/**
- * Generate a realistic random multiplier for derived metrics
- * 
- * @param {number} min - Minimum multiplier
- * @param {number} max - Maximum multiplier 
- * @returns {number} Random multiplier with some daily variation
- */
-function getRandomMultiplier(min, max) {
-  // Add some deterministic "randomness" based on date for consistency
-  const baseMultiplier = min + (max - min) * 0.7; // Favor higher end
-  const variation = (max - min) * 0.3 * (Math.random() - 0.5); // ±15% variation
-  return Math.max(min, baseMultiplier + variation);
-}
-
 /**
  * Get metrics summary for a date range
  * 
+ * Date-only dates are whole days in the time zone.
+ * 
+ * @param {string} workspaceId - Workspace ID
  * @param {string} startDate - Start date in ISO format
  * @param {string} endDate - End date in ISO format
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone='UTC'] - IANA time zone of the dates
  * @returns {Object} Summary metrics for the period
  */
-export function getMetricsSummary(startDate, endDate) {
+export function getMetricsSummary(workspaceId, startDate, endDate, options = {}) {
   const db = getDatabase();
+  const range = parseTimeRange(startDate || '2020-01-01', endDate || '2030-12-31', options.timeZone || 'UTC');
+  if (!range.isValid) {
+    throw new Error(`Invalid date range: ${range.errors.join(', ')}`);
+  }
   
   try {
     const summary = db.prepare(`
       SELECT 
         COUNT(*) as totalReviews,
         COUNT(DISTINCT customerId) as totalCustomers,
-        AVG(rating) as avgRating,
+        AVG(CASE WHEN surveyType = 'csat' THEN rating END) as avgRating,
         COUNT(CASE WHEN status = 'approved' THEN 1 END) as approvedReviews,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pendingReviews,
-        COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejectedReviews
+        COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejectedReviews,
+        COUNT(CASE WHEN status = 'flagged' THEN 1 END) as flaggedReviews,
+        COUNT(CASE WHEN status = 'spam' THEN 1 END) as spamReviews
       FROM reviews 
-      WHERE DATE(createdAt) BETWEEN ? AND ?
-    `).get(startDate || '2020-01-01', endDate || '2030-12-31');
+      WHERE workspaceId = ? AND createdAt >= ? AND createdAt < ? AND deletedAt IS NULL
+    `).get(workspaceId, range.start.toISOString(), range.end.toISOString());
     
     return {
       ...summary,
@@ -175,16 +242,41 @@ export function testMetricsService() {
     // Test with a small date range
     const testStart = '2025-11-07';
     const testEnd = '2025-11-07';
-    const metrics = generateMetrics(testStart, testEnd);
+    const metrics = generateMetrics('default', testStart, testEnd);
     
     console.assert(Array.isArray(metrics), 'Metrics should return an array');
     console.assert(metrics.length >= 1, 'Should have at least one day of metrics');
     
+    // Empty days must be filled so the series has one entry per day
+    const weekMetrics = generateMetrics('default', '2025-11-01', '2025-11-07');
+    console.assert(weekMetrics.length === 7, 'Should have one entry per day in the range');
+    console.assert(weekMetrics[6]['Total reviews'] >= weekMetrics[0]['Total reviews'],
+      'Total reviews should be cumulative');
+    
+    // Coarser buckets hold the same reviews, split at calendar boundaries
+    const weeklyMetrics = generateMetrics('default', '2025-11-01', '2025-11-07', { granularity: 'week' });
+    const sum = (series, field) => series.reduce((total, bucket) => total + bucket[field], 0);
+    console.assert(weeklyMetrics.map(bucket => bucket.period).join() === '2025-W44,2025-W45',
+      'Weekly metrics should be split into ISO weeks');
+    console.assert(weeklyMetrics[0].date === '2025-10-27T00:00:00.000Z' && weeklyMetrics.every(bucket => bucket.partial),
+      'Weeks cut by the range should start on Monday and be partial');
+    console.assert(sum(weeklyMetrics, 'Rows written') === sum(weekMetrics, 'Rows written'),
+      'Weekly metrics should count the reviews of the range only');
+    console.assert(weeklyMetrics[1]['Total reviews'] === weekMetrics[6]['Total reviews'],
+      'Cumulative totals should match at the end of the range');
+    
+    // Days in another time zone are shifted by its offset
+    const berlinMetrics = generateMetrics('default', '2025-11-01', '2025-11-07', { timeZone: 'Europe/Berlin' });
+    console.assert(berlinMetrics.length === 7 && berlinMetrics[0].date === '2025-11-01T00:00:00.000+01:00',
+      'Buckets should start at local midnight');
+    console.assert(getMetricsSummary('default', '2025-11-07', '2025-11-07', { timeZone: 'Europe/Berlin' }).totalReviews ===
+      berlinMetrics[6]['Rows written'], 'The summary should count the same local day as the buckets');
+    
     if (metrics.length > 0) {
       const firstMetric = metrics[0];
       const requiredFields = [
         'date', 'Rows written', 'Rows read', 'Queries', 
-        'Payments completed', 'Sign ups', 'Logins', 'Sign outs', 'Support calls'
+        'Payments completed', 'Sign ups', 'Logins', 'Sign outs', 'Support calls', 'Total reviews'
       ];
       
       requiredFields.forEach(field => {
@@ -195,7 +287,7 @@ export function testMetricsService() {
     }
     
     // Test summary
-    const summary = getMetricsSummary();
+    const summary = getMetricsSummary('default');
     console.assert(typeof summary === 'object', 'Summary should return an object');
     console.assert(typeof summary.totalReviews === 'number', 'Summary should have totalReviews');
     
@@ -0,0 +1,162 @@
+/**
+ * Review moderation service
+ *
+ * Defines the moderation state machine and the moderation queue.
+ *
+ * Allowed status transitions:
+ * - pending  -> approved, rejected, flagged, spam
+ * - flagged  -> approved, rejected, spam
+ * - approved -> flagged, rejected
+ * - rejected -> pending (reopen)
+ * - spam     -> pending (reopen)
+ *
+ * Rejecting or marking a review as spam requires a moderationReason. The
+ * moderator and time of every status change are stored on the review by
+ * the data service and recorded in its revision history.
+ */
+
+import { getDatabase } from '../data/database.js';
+import { REVIEW_STATUSES, STATUSES_REQUIRING_REASON, RATING_SENTIMENT } from '../models/review.js';
+
+// Get database instance
+const db = getDatabase();
+
+// Allowed next statuses for every status
+export const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'flagged', 'spam'],
+  flagged: ['approved', 'rejected', 'spam'],
+  approved: ['flagged', 'rejected'],
+  rejected: ['pending'],
+  spam: ['pending']
+};
+
+// Statuses that wait for a moderator decision
+export const QUEUE_STATUSES = ['pending', 'flagged'];
+
+// Queue priority: flagged reviews first, then negative ratings (1-2 stars, NPS
+// detractors, hard CES answers), then everything else. Within the same
+// priority the oldest review comes first.
+const NEGATIVE_RATING_SQL = `CASE surveyType ${Object.entries(RATING_SENTIMENT)
+  .map(([type, { negative }]) => `WHEN '${type}' THEN ${negative}`).join(' ')} END`;
+const PRIORITY_SQL = `CASE WHEN status = 'flagged' THEN 2 WHEN rating <= ${NEGATIVE_RATING_SQL} THEN 1 ELSE 0 END`;
+
+// Prepare statements for better performance
+const statements = {
+  getQueue: db.prepare(`
+    SELECT *, ${PRIORITY_SQL} as priority
+    FROM reviews
+    WHERE workspaceId = ? AND deletedAt IS NULL AND status IN (SELECT value FROM json_each(?))
+    ORDER BY priority DESC, createdAt ASC
+    LIMIT ? OFFSET ?
+  `),
+  countQueue: db.prepare(`
+    SELECT COUNT(*) as total
+    FROM reviews
+    WHERE workspaceId = ? AND deletedAt IS NULL AND status IN (SELECT value FROM json_each(?))
+  `)
+};
+
+/**
+ * Checks whether a review may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Validates a requested status change
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} [reason] - Moderation reason
+ * @returns {Object} Validation result with isValid and isAllowed booleans and
+ *   an errors array. isAllowed is false when the state machine forbids the
+ *   transition; isValid is additionally false when a required reason is missing.
+ */
+export function validateStatusTransition(from, to, reason) {
+  const errors = [];
+
+  if (!REVIEW_STATUSES.includes(to)) {
+    errors.push(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  } else if (!canTransition(from, to)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    errors.push(`Cannot change status from ${from} to ${to}. Allowed: ${allowed.join(', ') || 'none'}`);
+  }
+
+  const isAllowed = errors.length === 0;
+
+  if (STATUSES_REQUIRING_REASON.includes(to) && (typeof reason !== 'string' || !reason.trim())) {
+    errors.push(`moderationReason is required when status is ${to}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    isAllowed,
+    errors
+  };
+}
+
+/**
+ * Gets reviews waiting for moderation, highest priority and oldest first
+ *
+ * Every review includes its priority (2 = flagged, 1 = negative rating such
+ * as 1-2 stars or an NPS detractor, 0 = other pending reviews) and its age
+ * in hours.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Only this queue status (pending or flagged)
+ * @param {number} [options.limit] - Limit number of results
+ * @param {number} [options.offset] - Offset for pagination
+ * @returns {Object} Object with reviews array and total count
+ */
+export function getModerationQueue(workspaceId, options = {}) {
+  try {
+    const statuses = JSON.stringify(options.status ? [options.status] : QUEUE_STATUSES);
+    const { total } = statements.countQueue.get(workspaceId, statuses);
+    const now = Date.now();
+
+    const reviews = statements.getQueue.all(workspaceId, statuses, options.limit || -1, options.offset || 0)
+      .map(review => ({
+        ...review,
+        ageHours: Math.floor((now - new Date(review.createdAt).getTime()) / (60 * 60 * 1000))
+      }));
+
+    return {
+      reviews,
+      total,
+      limit: options.limit || total,
+      offset: options.offset || 0
+    };
+  } catch (error) {
+    console.error('Error getting moderation queue:', error);
+    throw new Error('Failed to retrieve moderation queue');
+  }
+}
+
+// Test this service
+export function testModerationService() {
+  console.assert(canTransition('pending', 'approved'), 'Pending reviews should be approvable');
+  console.assert(canTransition('flagged', 'rejected'), 'Flagged reviews should be rejectable');
+  console.assert(!canTransition('spam', 'approved'), 'Spam should only be reopened, not approved');
+  console.assert(!canTransition('approved', 'approved'), 'A status should not transition to itself');
+
+  const missingReason = validateStatusTransition('pending', 'rejected');
+  console.assert(!missingReason.isValid && missingReason.isAllowed, 'Rejecting without a reason should be invalid but allowed');
+
+  const forbidden = validateStatusTransition('rejected', 'approved', 'Looks fine');
+  console.assert(!forbidden.isValid && !forbidden.isAllowed, 'Forbidden transitions should not be allowed');
+
+  console.assert(validateStatusTransition('pending', 'spam', 'Link farm').isValid, 'Spam with a reason should be valid');
+
+  for (const [from, targets] of Object.entries(STATUS_TRANSITIONS)) {
+    console.assert(REVIEW_STATUSES.includes(from), `Transition source ${from} should be a review status`);
+    console.assert(targets.every(to => REVIEW_STATUSES.includes(to)), `Transitions from ${from} should target review statuses`);
+  }
+
+  console.log('Moderation service tests passed!');
+}
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * Review event service
+ *
+ * Single entry point for review lifecycle events (review.created,
+ * review.updated, review.approved, ...). Every published event is:
+ * - appended to the review_events log, whose IDs let stream clients resume
+ *   with Last-Event-ID,
+ * - pushed to the live subscribers of GET /api/reviews/stream, and
+ * - queued for the workspace's webhooks (see webhookService).
+ *
+ * Events carry the change they cause to the live KPIs (kpiDelta), so
+ * dashboards can keep their totals current without polling. Subscribers
+ * live in this process only.
+ *
+ * Configuration (environment variables):
+ * - REVIEW_EVENT_RETENTION_DAYS: Days events stay in the log for resuming (default: 7)
+ */
+
+import { getDatabase } from '../data/database.js';
+import { queueWebhookEvent } from './webhookService.js';
+import { DEFAULT_SURVEY_TYPE } from '../models/review.js';
+
+// Get database instance
+const db = getDatabase();
+
+const DEFAULT_RETENTION_DAYS = 7;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// KPI counter of every review status
+const STATUS_KPIS = {
+  pending: 'pendingReviews',
+  approved: 'approvedReviews',
+  rejected: 'rejectedReviews',
+  flagged: 'flaggedReviews',
+  spam: 'spamReviews'
+};
+
+// Event for a review entering a moderation status; reopening a review
+// (back to pending) is a plain update
+export const STATUS_EVENTS = {
+  approved: 'review.approved',
+  rejected: 'review.rejected',
+  flagged: 'review.flagged',
+  spam: 'review.spam'
+};
+
+// Prepare statements for better performance
+const statements = {
+  insertEvent: db.prepare(`
+    INSERT INTO review_events (workspaceId, event, reviewId, payload, occurredAt)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getEventsAfter: db.prepare(`
+    SELECT * FROM review_events
+    WHERE workspaceId = ? AND id > ?
+    ORDER BY id
+    LIMIT ?
+  `),
+  getOldestEventId: db.prepare('SELECT MIN(id) as id FROM review_events'),
+  getLatestEventId: db.prepare("SELECT seq as id FROM sqlite_sequence WHERE name = 'review_events'"),
+  pruneEvents: db.prepare('DELETE FROM review_events WHERE occurredAt < ?'),
+  getKpis: db.prepare(`
+    SELECT
+      COUNT(*) as totalReviews,
+      COUNT(CASE WHEN surveyType = 'csat' THEN 1 END) as csatReviews,
+      COALESCE(SUM(CASE WHEN surveyType = 'csat' THEN rating END), 0) as ratingSum,
+      COUNT(CASE WHEN status = 'pending' THEN 1 END) as pendingReviews,
+      COUNT(CASE WHEN status = 'approved' THEN 1 END) as approvedReviews,
+      COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejectedReviews,
+      COUNT(CASE WHEN status = 'flagged' THEN 1 END) as flaggedReviews,
+      COUNT(CASE WHEN status = 'spam' THEN 1 END) as spamReviews
+    FROM reviews
+    WHERE workspaceId = ? AND deletedAt IS NULL
+  `)
+};
+
+// Live event listeners (stream connections)
+const subscribers = new Set();
+
+/**
+ * Computes how an event changes the live KPIs
+ *
+ * @param {Object|null} before - Review as it counted before the event (null if it did not count)
+ * @param {Object|null} after - Review as it counts after the event (null if it no longer counts)
+ * @returns {Object} Non-zero changes of totalReviews, csatReviews, ratingSum and the per-status counters
+ */
+export function getKpiDelta(before, after) {
+  const delta = {};
+  const add = (review, sign) => {
+    if (!review) {
+      return;
+    }
+    // Only star ratings add up to the average rating
+    const isCsat = (review.surveyType || DEFAULT_SURVEY_TYPE) === 'csat';
+    const fields = ['totalReviews', STATUS_KPIS[review.status], ...(isCsat ? ['csatReviews', 'ratingSum'] : [])];
+    for (const field of fields) {
+      delta[field] = (delta[field] || 0) + sign * (field === 'ratingSum' ? review.rating : 1);
+    }
+  };
+
+  add(before, -1);
+  add(after, 1);
+
+  return Object.fromEntries(Object.entries(delta).filter(([, value]) => value !== 0));
+}
+
+/**
+ * Gets the current live KPIs of a workspace
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object} Review counts per status, CSAT review count, rating sum and average (CSAT) rating
+ */
+export function getLiveKpis(workspaceId) {
+  try {
+    const kpis = statements.getKpis.get(workspaceId);
+    return {
+      ...kpis,
+      avgRating: kpis.csatReviews > 0 ? Math.round((kpis.ratingSum / kpis.csatReviews) * 100) / 100 : 0
+    };
+  } catch (error) {
+    console.error('Error getting live KPIs:', error);
+    throw new Error('Failed to retrieve live KPIs');
+  }
+}
+
+/**
+ * Gets the event of an update: the moderation event when the status
+ * changed, otherwise review.updated
+ *
+ * @param {Object} before - Review before the update
+ * @param {Object} after - Review after the update
+ * @returns {string} Event name
+ */
+export function getUpdateEvent(before, after) {
+  return (after.status !== before.status && STATUS_EVENTS[after.status]) || 'review.updated';
+}
+
+/**
+ * Publishes a review lifecycle event to the event log, stream subscribers
+ * and webhooks
+ *
+ * Failures are logged and swallowed: events must never break the request
+ * that triggered them.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} event - Event name, e.g. 'review.created'
+ * @param {Object|null} before - Live review before the change (null if it was new, in the trash or purged)
+ * @param {Object|null} after - Live review after the change (null if it was deleted)
+ * @param {Object} [options] - Event options
+ * @param {string} [options.actor] - Who caused the event
+ * @returns {Object|null} Logged event or null if it could not be logged
+ */
+export function publishReviewEvent(workspaceId, event, before, after, options = {}) {
+  const review = after || before;
+  const actor = options.actor || 'anonymous';
+  let loggedEvent = null;
+
+  try {
+    const occurredAt = new Date().toISOString();
+    const data = {
+      event,
+      workspaceId,
+      occurredAt,
+      actor,
+      review,
+      previous: before ? { status: before.status, rating: before.rating } : null,
+      kpiDelta: getKpiDelta(before, after)
+    };
+
+    const result = statements.insertEvent.run(workspaceId, event, review.id, JSON.stringify(data), occurredAt);
+    loggedEvent = { id: Number(result.lastInsertRowid), ...data };
+
+    for (const listener of subscribers) {
+      try {
+        listener(loggedEvent);
+      } catch (error) {
+        console.error('Error notifying review event subscriber:', error);
+      }
+    }
+  } catch (error) {
+    console.error('Error publishing review event:', error);
+  }
+
+  queueWebhookEvent(workspaceId, event, { review }, { actor });
+
+  return loggedEvent;
+}
+
+/**
+ * Registers a listener for every published review event
+ *
+ * @param {Function} listener - Called with each logged event
+ * @returns {Function} Function that removes the listener
+ */
+export function subscribeToReviewEvents(listener) {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+}
+
+/**
+ * Gets logged events of a workspace after an event ID, oldest first
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {number} afterId - Last event ID the client has seen
+ * @param {number} [limit=500] - Maximum number of events
+ * @returns {Array} Array of logged events
+ */
+export function getReviewEventsAfter(workspaceId, afterId, limit = 500) {
+  try {
+    return statements.getEventsAfter.all(workspaceId, afterId, limit)
+      .map(row => ({ id: row.id, ...JSON.parse(row.payload) }));
+  } catch (error) {
+    console.error('Error getting review events:', error);
+    throw new Error('Failed to retrieve review events');
+  }
+}
+
+/**
+ * Checks whether events after an event ID may have been pruned from the
+ * log, so a client resuming from it has to reload its state
+ *
+ * @param {number} afterId - Last event ID the client has seen
+ * @returns {boolean} True if the log no longer covers everything after afterId
+ */
+export function isReviewEventLogTruncated(afterId) {
+  const oldest = statements.getOldestEventId.get().id;
+  if (oldest !== null) {
+    return oldest > afterId + 1;
+  }
+  // Empty log: everything up to the latest ID ever issued has been pruned
+  const latest = statements.getLatestEventId.get()?.id ?? 0;
+  return latest > afterId;
+}
+
+/**
+ * Checks whether an event matches a stream filter
+ *
+ * An event matches when the review matches before or after the event, so
+ * clients also learn about reviews that leave their filter.
+ *
+ * @param {Object} event - Logged event
+ * @param {Object} filter - Stream filter
+ * @param {Array} [filter.statuses] - Allowed statuses (all if empty)
+ * @param {Array} [filter.ratings] - Allowed ratings (all if empty)
+ * @returns {boolean} True if the event matches
+ */
+export function matchesReviewEventFilter(event, filter = {}) {
+  const matches = (review) => review &&
+    (!filter.statuses?.length || filter.statuses.includes(review.status)) &&
+    (!filter.ratings?.length || filter.ratings.includes(review.rating));
+
+  return matches(event.review) || matches(event.previous);
+}
+
+/**
+ * Removes events older than the retention period from the log
+ *
+ * @param {number} [retentionDays] - Retention period in days (defaults to configuration)
+ * @returns {number} Number of removed events
+ */
+export function pruneReviewEvents(retentionDays) {
+  const configured = parseFloat(process.env.REVIEW_EVENT_RETENTION_DAYS);
+  const days = retentionDays ?? (Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_RETENTION_DAYS);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  try {
+    return statements.pruneEvents.run(cutoff).changes;
+  } catch (error) {
+    console.error('Error pruning review events:', error);
+    throw new Error('Failed to prune review events');
+  }
+}
+
+/**
+ * Start the scheduled pruning of the event log
+ * Runs once immediately, then every hour
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startReviewEventPruning() {
+  const run = () => {
+    try {
+      pruneReviewEvents();
+    } catch (error) {
+      console.error('Scheduled review event pruning failed:', error);
+    }
+  };
+
+  run();
+
+  // Don't keep the process alive just for pruning
+  return setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
+
+// Test this service
+export function testReviewEventService() {
+  const review = { id: 'r1', status: 'pending', rating: 4 };
+
+  const created = getKpiDelta(null, review);
+  console.assert(created.totalReviews === 1 && created.pendingReviews === 1 && created.ratingSum === 4,
+    'Creating a review should add it to the KPIs');
+
+  const approved = getKpiDelta(review, { ...review, status: 'approved' });
+  console.assert(approved.pendingReviews === -1 && approved.approvedReviews === 1 && approved.totalReviews === undefined,
+    'Status changes should move the review between status counters');
+
+  const deleted = getKpiDelta(review, null);
+  console.assert(deleted.totalReviews === -1 && deleted.ratingSum === -4, 'Deleting a review should remove it from the KPIs');
+
+  console.assert(Object.keys(getKpiDelta(review, { ...review })).length === 0, 'Unchanged reviews should have no KPI delta');
+
+  const nps = getKpiDelta(null, { ...review, surveyType: 'nps', rating: 9 });
+  console.assert(nps.totalReviews === 1 && nps.ratingSum === undefined && nps.csatReviews === undefined,
+    'NPS reviews should not count towards the average rating');
+
+  const event = { review: { status: 'rejected', rating: 2 }, previous: { status: 'approved', rating: 2 } };
+  console.assert(matchesReviewEventFilter(event, { statuses: ['approved'] }), 'Reviews leaving the filter should match');
+  console.assert(!matchesReviewEventFilter(event, { ratings: [5] }), 'Other ratings should not match');
+  console.assert(matchesReviewEventFilter(event, {}), 'An empty filter should match everything');
+
+  console.assert(getUpdateEvent(review, { ...review, status: 'approved' }) === 'review.approved',
+    'Status changes should publish the moderation event');
+  console.assert(getUpdateEvent(review, { ...review, rating: 5 }) === 'review.updated', 'Other changes should be updates');
+
+  console.log('Review event service tests passed!');
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Review revision (audit trail) service
+ *
+ * Stores a revision for every create, update, status change, delete,
+ * restore, purge and revert of a review, with a field-level diff, a snapshot of the resulting
+ * review, the acting user and the time. Revisions are written by the data
+ * service in the same transaction as the change they describe.
+ */
+
+import { getDatabase } from '../data/database.js';
+
+// Get database instance
+const db = getDatabase();
+
+// Review fields that are tracked in revision diffs
+const TRACKED_FIELDS = ['customerId', 'customerName', 'surveyType', 'rating', 'title', 'comment', 'status', 'moderationReason'];
+
+// Fields that may change together with the status in a 'status_change' revision
+const STATUS_CHANGE_FIELDS = ['status', 'moderationReason'];
+
+// Prepare statements for better performance
+const statements = {
+  insertRevision: db.prepare(`
+    INSERT INTO review_revisions (workspaceId, reviewId, action, changes, snapshot, revertedRevisionId, actor, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  getRevisionsByReviewId: db.prepare('SELECT * FROM review_revisions WHERE reviewId = ? AND workspaceId = ? ORDER BY id DESC'),
+  getRevision: db.prepare('SELECT * FROM review_revisions WHERE id = ? AND reviewId = ? AND workspaceId = ?')
+};
+
+/**
+ * Computes a field-level diff between two versions of a review
+ *
+ * @param {Object|null} before - Review before the change (null for create)
+ * @param {Object|null} after - Review after the change (null for delete)
+ * @returns {Object} Map of changed field to { from, to }
+ */
+export function diffReviews(before, after) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = before ? before[field] : null;
+    const to = after ? after[field] : null;
+
+    if (from !== to) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Derives the revision action for an update from its diff
+ *
+ * @param {Object} changes - Field-level diff
+ * @returns {string} 'status_change' if only the status (and its reason) changed, otherwise 'update'
+ */
+export function getUpdateAction(changes) {
+  const fields = Object.keys(changes);
+  return fields.includes('status') && fields.every(field => STATUS_CHANGE_FIELDS.includes(field))
+    ? 'status_change'
+    : 'update';
+}
+
+/**
+ * Records a revision of a review
+ *
+ * @param {Object} revision - Revision data
+ * @param {string} revision.workspaceId - Workspace of the review
+ * @param {string} revision.reviewId - Review ID
+ * @param {string} revision.action - create, update, status_change, delete, restore, purge or revert
+ * @param {Object|null} revision.before - Review before the change
+ * @param {Object|null} revision.after - Review after the change
+ * @param {string} [revision.actor='anonymous'] - Who made the change
+ * @param {number} [revision.revertedRevisionId] - Revision restored by a revert
+ * @returns {Object} Recorded revision
+ */
+export function recordRevision({ workspaceId, reviewId, action, before, after, actor, revertedRevisionId = null }) {
+  const changes = diffReviews(before, after);
+  const result = statements.insertRevision.run(
+    workspaceId,
+    reviewId,
+    action,
+    JSON.stringify(changes),
+    // Deletes keep the last state so the review can be restored from it
+    JSON.stringify(after || before),
+    revertedRevisionId,
+    actor || 'anonymous',
+    new Date().toISOString()
+  );
+
+  return getRevision(workspaceId, reviewId, result.lastInsertRowid);
+}
+
+/**
+ * Parses the JSON columns of a revision row
+ *
+ * @param {Object} row - Row from review_revisions
+ * @returns {Object} Revision with parsed changes and snapshot
+ */
+function parseRevision(row) {
+  return {
+    ...row,
+    changes: JSON.parse(row.changes),
+    snapshot: JSON.parse(row.snapshot)
+  };
+}
+
+/**
+ * Gets the revision history of a review, newest first
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} reviewId - Review ID
+ * @returns {Array} Array of revisions (empty if the review is not in the workspace)
+ */
+export function getReviewHistory(workspaceId, reviewId) {
+  try {
+    return statements.getRevisionsByReviewId.all(reviewId, workspaceId).map(parseRevision);
+  } catch (error) {
+    console.error('Error getting review history:', error);
+    throw new Error('Failed to retrieve review history');
+  }
+}
+
+/**
+ * Gets a single revision of a review
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} reviewId - Review ID
+ * @param {number} revisionId - Revision ID
+ * @returns {Object|null} Revision or null if not found for this review
+ */
+export function getRevision(workspaceId, reviewId, revisionId) {
+  const row = statements.getRevision.get(revisionId, reviewId, workspaceId);
+  return row ? parseRevision(row) : null;
+}
+
+// Test this service
+export function testRevisionService() {
+  const before = { id: 'r1', customerId: 'c1', customerName: 'Ann', rating: 5, title: 'Great', comment: 'Nice', status: 'pending' };
+
+  const statusDiff = diffReviews(before, { ...before, status: 'approved' });
+  console.assert(Object.keys(statusDiff).length === 1, 'Only the status should differ');
+  console.assert(statusDiff.status.from === 'pending' && statusDiff.status.to === 'approved', 'Diff should contain from and to');
+  console.assert(getUpdateAction(statusDiff) === 'status_change', 'Status-only diff should be a status change');
+
+  const rejectDiff = diffReviews(before, { ...before, status: 'rejected', moderationReason: 'Spam link' });
+  console.assert(getUpdateAction(rejectDiff) === 'status_change', 'Status change with a reason should be a status change');
+  console.assert(getUpdateAction(diffReviews(before, { ...before, moderationReason: 'Typo' })) === 'update',
+    'Reason-only diff should be an update');
+
+  const ratingDiff = diffReviews(before, { ...before, rating: 2, status: 'approved' });
+  console.assert(getUpdateAction(ratingDiff) === 'update', 'Diff with other fields should be an update');
+
+  const createDiff = diffReviews(null, before);
+  console.assert(createDiff.rating.from === null && createDiff.rating.to === 5, 'Create diff should start from null');
+
+  console.log('Revision service tests passed!');
+}
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * Statistics Service
+ * 
+ * Confidence intervals and significance tests for comparing the KPIs of
+ * two periods, so that changes within the noise of small samples can be
+ * told apart from real ones:
+ * - Proportions (e.g. the share of approved reviews): Wilson score
+ *   interval and two-proportion z-test
+ * - Means (e.g. the average rating): Student t-interval and Welch's t-test
+ * - Counts (e.g. reviews per period): Poisson score interval and a test of
+ *   equal rates, assuming periods of the same length
+ * 
+ * Intervals are at CONFIDENCE_LEVEL and a change is significant when its
+ * p-value is below SIGNIFICANCE_LEVEL.
+ */
+
+export const CONFIDENCE_LEVEL = 0.95;
+export const SIGNIFICANCE_LEVEL = 1 - CONFIDENCE_LEVEL;
+
+// Two-sided standard normal quantile of CONFIDENCE_LEVEL
+const Z = 1.959963984540054;
+
+const round = (value, digits = 4) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ * 
+ * @param {number} x - Value
+ * @returns {number} P(X <= x)
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * 
+ * @param {number} x - Positive value
+ * @returns {number} ln(Γ(x))
+ */
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let series = 1.000000000190015;
+  for (let i = 0; i < coefficients.length; i++) {
+    series += coefficients[i] / (x + 1 + i);
+  }
+  const tmp = x + 5.5;
+  return (x + 0.5) * Math.log(tmp) - tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction of the incomplete beta function (modified Lentz)
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      result *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  // The continued fraction converges quickly on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Student t cumulative distribution function
+ * 
+ * @param {number} t - Value
+ * @param {number} df - Degrees of freedom (need not be an integer)
+ * @returns {number} P(T <= t)
+ */
+export function studentTCdf(t, df) {
+  const tail = incompleteBeta(df / (df + t * t), df / 2, 0.5) / 2;
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided Student t critical value of CONFIDENCE_LEVEL
+ * 
+ * @param {number} df - Degrees of freedom
+ * @returns {number} t such that P(|T| <= t) = CONFIDENCE_LEVEL
+ */
+export function studentTCritical(df) {
+  const target = 1 - SIGNIFICANCE_LEVEL / 2;
+  let low = 0;
+  let high = Z;
+  while (studentTCdf(high, df) < target) {
+    high *= 2;
+  }
+  for (let i = 0; i < 100 && high - low > 1e-10; i++) {
+    const middle = (low + high) / 2;
+    if (studentTCdf(middle, df) < target) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Wilson score interval of a proportion
+ * 
+ * @param {number} successes - Number of successes
+ * @param {number} n - Sample size
+ * @returns {Object} { lower, upper }, null bounds for an empty sample
+ */
+export function wilsonInterval(successes, n) {
+  if (n === 0) {
+    return { lower: null, upper: null };
+  }
+  const p = successes / n;
+  const denominator = 1 + Z * Z / n;
+  const center = (p + Z * Z / (2 * n)) / denominator;
+  const margin = Z * Math.sqrt(p * (1 - p) / n + Z * Z / (4 * n * n)) / denominator;
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+/**
+ * Student t-interval of a mean
+ * 
+ * @param {Array<number>} values - Sample
+ * @returns {Object} { n, mean, standardDeviation, lower, upper }; the
+ *   deviation and bounds are null for fewer than two values
+ */
+export function meanInterval(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { n, mean: null, standardDeviation: null, lower: null, upper: null };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  if (n < 2) {
+    return { n, mean, standardDeviation: null, lower: null, upper: null };
+  }
+  const standardDeviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1));
+  const margin = studentTCritical(n - 1) * standardDeviation / Math.sqrt(n);
+  return { n, mean, standardDeviation, lower: mean - margin, upper: mean + margin };
+}
+
+/**
+ * Poisson score interval of a count
+ * 
+ * @param {number} count - Observed count
+ * @returns {Object} { lower, upper }
+ */
+export function poissonInterval(count) {
+  const center = count + Z * Z / 2;
+  const margin = Z * Math.sqrt(count + Z * Z / 4);
+  return { lower: Math.max(0, center - margin), upper: center + margin };
+}
+
+/**
+ * Two-sided p-value of a standard normal test statistic
+ */
+function normalPValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Completes a test result with rounding and the significance flag
+ */
+function toTestResult(test, current, previous, difference, pValue) {
+  return {
+    test,
+    current,
+    previous,
+    difference: round(difference),
+    pValue: round(pValue),
+    significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+/**
+ * Compares two proportions (two-proportion z-test with pooled variance)
+ * 
+ * @param {number} currentCount - Successes in the current period
+ * @param {number} currentN - Sample size of the current period
+ * @param {number} previousCount - Successes in the previous period
+ * @param {number} previousN - Sample size of the previous period
+ * @returns {Object} Test result: both samples with proportion and Wilson
+ *   interval, difference of the proportions, p-value and significance
+ */
+export function compareProportions(currentCount, currentN, previousCount, previousN) {
+  const describe = (count, n) => {
+    const { lower, upper } = wilsonInterval(count, n);
+    return { n, count, proportion: n > 0 ? round(count / n) : null, lower: round(lower), upper: round(upper) };
+  };
+  
+  let difference = null;
+  let pValue = null;
+  if (currentN > 0 && previousN > 0) {
+    difference = currentCount / currentN - previousCount / previousN;
+    const pooled = (currentCount + previousCount) / (currentN + previousN);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / currentN + 1 / previousN));
+    pValue = standardError > 0 ? normalPValue(difference / standardError) : 1;
+  }
+  
+  return toTestResult('two_proportion_z', describe(currentCount, currentN), describe(previousCount, previousN), difference, pValue);
+}
+
+/**
+ * Compares two means (Welch's t-test, unequal variances)
+ * 
+ * @param {Array<number>} currentValues - Sample of the current period
+ * @param {Array<number>} previousValues - Sample of the previous period
+ * @returns {Object} Test result: both samples with mean and t-interval,
+ *   difference of the means, p-value and significance
+ */
+export function compareMeans(currentValues, previousValues) {
+  const describe = values => {
+    const { n, mean, standardDeviation, lower, upper } = meanInterval(values);
+    return { n, mean: round(mean), standardDeviation: round(standardDeviation), lower: round(lower), upper: round(upper) };
+  };
+  const current = meanInterval(currentValues);
+  const previous = meanInterval(previousValues);
+  
+  let difference = null;
+  let pValue = null;
+  if (current.n > 0 && previous.n > 0) {
+    difference = current.mean - previous.mean;
+  }
+  if (current.standardDeviation !== null && previous.standardDeviation !== null) {
+    const currentVariance = current.standardDeviation ** 2 / current.n;
+    const previousVariance = previous.standardDeviation ** 2 / previous.n;
+    const standardError = Math.sqrt(currentVariance + previousVariance);
+    if (standardError > 0) {
+      // Welch-Satterthwaite degrees of freedom
+      const df = (currentVariance + previousVariance) ** 2 /
+        (currentVariance ** 2 / (current.n - 1) + previousVariance ** 2 / (previous.n - 1));
+      pValue = 2 * (1 - studentTCdf(Math.abs(difference / standardError), df));
+    } else {
+      // Both samples are constant
+      pValue = difference === 0 ? 1 : 0;
+    }
+  }
+  
+  return toTestResult('welch_t', describe(currentValues), describe(previousValues), difference, pValue);
+}
+
+/**
+ * Compares two counts of equally long periods (test of equal Poisson rates)
+ * 
+ * @param {number} currentCount - Count of the current period
+ * @param {number} previousCount - Count of the previous period
+ * @returns {Object} Test result: both counts with Poisson interval,
+ *   difference, p-value and significance
+ */
+export function compareCounts(currentCount, previousCount) {
+  const describe = count => {
+    const { lower, upper } = poissonInterval(count);
+    return { n: count, count, lower: round(lower, 2), upper: round(upper, 2) };
+  };
+  const total = currentCount + previousCount;
+  const pValue = total > 0 ? normalPValue((currentCount - previousCount) / Math.sqrt(total)) : 1;
+  
+  return toTestResult('poisson_rate', describe(currentCount), describe(previousCount), currentCount - previousCount, pValue);
+}
+
+// Test this service
+export function testStatisticsService() {
+  try {
+    const close = (actual, expected, tolerance = 1e-3) => Math.abs(actual - expected) < tolerance;
+    
+    console.assert(close(normalCdf(1.96), 0.975) && close(normalCdf(-1), 0.1587), 'Normal CDF should match tables');
+    console.assert(close(studentTCritical(1), 12.706) && close(studentTCritical(10), 2.228) && close(studentTCritical(1000), 1.962),
+      't critical values should match tables');
+    console.assert(close(studentTCdf(2.228, 10), 0.975), 't CDF should match tables');
+    
+    // Wilson: 8 of 10 is 0.49-0.94; 0 of 10 still has an upper bound
+    const wilson = wilsonInterval(8, 10);
+    console.assert(close(wilson.lower, 0.4902) && close(wilson.upper, 0.9433), 'Wilson interval should match the reference');
+    console.assert(wilsonInterval(0, 10).lower === 0 && wilsonInterval(0, 10).upper > 0.2, 'Wilson interval should not collapse at 0');
+    
+    const mean = meanInterval([4, 5, 3, 5, 4]);
+    console.assert(close(mean.mean, 4.2) && close(mean.lower, 3.161, 1e-2) && close(mean.upper, 5.239, 1e-2),
+      't-interval should match the reference');
+    console.assert(meanInterval([5]).lower === null, 'One value should have no interval');
+    
+    // One review more than nothing is noise, a large shift is not
+    console.assert(!compareCounts(1, 0).significant, 'A one-review swing should not be significant');
+    console.assert(compareCounts(200, 100).significant, 'Doubling a large count should be significant');
+    console.assert(!compareProportions(1, 1, 0, 1).significant, 'Proportions of single reviews should not be significant');
+    const proportions = compareProportions(90, 100, 50, 100);
+    console.assert(proportions.significant && close(proportions.difference, 0.4) && proportions.current.n === 100,
+      'A large difference in proportions should be significant');
+    console.assert(compareProportions(3, 5, 0, 0).pValue === null, 'Empty samples should not be tested');
+    
+    const means = compareMeans([5, 5, 4, 5, 4, 5, 5, 4], [2, 1, 2, 3, 1, 2, 2, 1]);
+    console.assert(means.significant && means.test === 'welch_t', 'Clearly different ratings should be significant');
+    console.assert(!compareMeans([5, 4], [4, 5]).significant, 'Equal ratings should not be significant');
+    console.assert(compareMeans([5], [1, 2]).pValue === null, 'Single ratings should not be tested');
+    
+    console.log('Statistics service tests passed!');
+    return true;
+  } catch (error) {
+    console.error('Statistics service test failed:', error);
+    return false;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * Survey Metrics Service
+ * 
+ * Computes the score of each survey type from the ratings of a period:
+ * - NPS (0-10): promoters (9-10), passives (7-8) and detractors (0-6); the
+ *   score is the percentage of promoters minus that of detractors (-100 to 100)
+ * - CSAT (1-5): satisfied (4-5), neutral (3) and dissatisfied (1-2); the
+ *   score is the percentage of satisfied responses
+ * - CES (1-7): easy (5-7), neutral (4) and difficult (1-3); the score is the
+ *   average answer
+ * 
+ * The groups follow RATING_SENTIMENT of the review model. All metrics are
+ * computed for a single workspace.
+ */
+
+import { getDatabase } from '../data/database.js';
+import { SURVEY_TYPES, RATING_RANGES, getRatingSentiment } from '../models/review.js';
+
+// Names of the positive, neutral and negative responses of each survey type
+export const SURVEY_GROUPS = {
+  nps: { positive: 'promoters', neutral: 'passives', negative: 'detractors' },
+  csat: { positive: 'satisfied', neutral: 'neutral', negative: 'dissatisfied' },
+  ces: { positive: 'easy', neutral: 'neutral', negative: 'difficult' }
+};
+
+// Prepare statements for better performance
+const statements = {
+  getRatingCounts: getDatabase().prepare(`
+    SELECT rating, COUNT(*) as count
+    FROM reviews
+    WHERE workspaceId = ? AND surveyType = ? AND createdAt >= ? AND createdAt < ? AND deletedAt IS NULL
+    GROUP BY rating
+  `)
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Counts the ratings of a survey type in a period
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} surveyType - Survey type
+ * @param {Date} start - Start of the period (inclusive)
+ * @param {Date} end - End of the period (exclusive)
+ * @returns {Object} Count of every rating of the survey type's scale
+ */
+export function getRatingDistribution(workspaceId, surveyType, start, end) {
+  try {
+    const { min, max } = RATING_RANGES[surveyType];
+    const distribution = {};
+    for (let rating = min; rating <= max; rating++) {
+      distribution[rating] = 0;
+    }
+    
+    for (const row of statements.getRatingCounts.all(workspaceId, surveyType, start.toISOString(), end.toISOString())) {
+      distribution[row.rating] = (distribution[row.rating] || 0) + row.count;
+    }
+    
+    return distribution;
+  } catch (error) {
+    console.error('Error getting rating distribution:', error);
+    throw new Error('Failed to retrieve rating distribution');
+  }
+}
+
+/**
+ * Calculates the score of a survey type from its rating distribution
+ * 
+ * @param {string} surveyType - Survey type
+ * @param {Object} distribution - Count of every rating
+ * @returns {Object} Responses, score, average rating, the count and
+ *   percentage of every group (e.g. promoters) and the distribution
+ */
+export function calculateSurveyScore(surveyType, distribution) {
+  const groups = SURVEY_GROUPS[surveyType];
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  let responses = 0;
+  let ratingSum = 0;
+  
+  for (const [rating, count] of Object.entries(distribution)) {
+    counts[getRatingSentiment(surveyType, Number(rating))] += count;
+    responses += count;
+    ratingSum += Number(rating) * count;
+  }
+  
+  const share = count => responses > 0 ? (count / responses) * 100 : 0;
+  const averageRating = responses > 0 ? ratingSum / responses : 0;
+  const score = {
+    nps: share(counts.positive) - share(counts.negative),
+    csat: share(counts.positive),
+    ces: averageRating
+  }[surveyType];
+  
+  return {
+    surveyType,
+    responses,
+    score: round(score),
+    averageRating: round(averageRating),
+    counts: Object.fromEntries(Object.entries(groups).map(([sentiment, name]) => [name, counts[sentiment]])),
+    percentages: Object.fromEntries(Object.entries(groups).map(([sentiment, name]) => [name, round(share(counts[sentiment]))])),
+    distribution
+  };
+}
+
+/**
+ * Compares the survey scores of two periods
+ * 
+ * Responses change in percent, like calculatePeriodComparison; scores,
+ * averages and percentages are already on a fixed scale and change in
+ * points. Without responses in the previous period there is nothing to
+ * compare with, so every change is null.
+ * 
+ * @param {Object} current - Score of the current period (calculateSurveyScore)
+ * @param {Object} previous - Score of the previous period
+ * @returns {Object} Comparison with current, previous and changes
+ */
+export function calculateSurveyComparison(current, previous) {
+  const calculateChange = (curr, prev) => {
+    if (prev === 0) return null;
+    return round(((curr - prev) / prev) * 100);
+  };
+  const pointChange = (curr, prev) => previous.responses > 0 ? round(curr - prev) : null;
+  
+  return {
+    current,
+    previous,
+    changes: {
+      responses: calculateChange(current.responses, previous.responses),
+      score: pointChange(current.score, previous.score),
+      averageRating: pointChange(current.averageRating, previous.averageRating),
+      percentages: Object.fromEntries(Object.keys(current.percentages).map(name =>
+        [name, pointChange(current.percentages[name], previous.percentages[name])]))
+    }
+  };
+}
+
+/**
+ * Gets the survey metrics of a period, optionally compared to another
+ * 
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} surveyType - Survey type (csat, nps, ces)
+ * @param {Object} period - Current period with start (inclusive) and end (exclusive) dates
+ * @param {Object} [comparisonPeriod] - Period to compare to, if any
+ * @returns {Object} Metrics of the period and the comparison (null without a comparison period)
+ */
+export function getSurveyMetrics(workspaceId, surveyType, period, comparisonPeriod) {
+  if (!SURVEY_TYPES.includes(surveyType)) {
+    throw new Error(`Unknown survey type: ${surveyType}`);
+  }
+  
+  const metrics = calculateSurveyScore(surveyType, getRatingDistribution(workspaceId, surveyType, period.start, period.end));
+  const comparison = comparisonPeriod
+    ? calculateSurveyComparison(metrics, calculateSurveyScore(surveyType,
+      getRatingDistribution(workspaceId, surveyType, comparisonPeriod.start, comparisonPeriod.end)))
+    : null;
+  
+  return { metrics, comparison };
+}
+
+// Test this service
+export function testSurveyMetricsService() {
+  try {
+    const nps = calculateSurveyScore('nps', { 0: 1, 5: 1, 7: 1, 8: 1, 9: 2, 10: 4 });
+    console.assert(nps.responses === 10 && nps.counts.promoters === 6 && nps.counts.passives === 2 && nps.counts.detractors === 2,
+      'NPS responses should be grouped into promoters, passives and detractors');
+    console.assert(nps.score === 40 && nps.percentages.promoters === 60, 'NPS should be % promoters minus % detractors');
+    
+    const csat = calculateSurveyScore('csat', { 1: 1, 2: 0, 3: 1, 4: 1, 5: 1 });
+    console.assert(csat.score === 50 && csat.averageRating === 3.25 && csat.counts.dissatisfied === 1,
+      'CSAT should be the percentage of 4-5 ratings');
+    
+    const ces = calculateSurveyScore('ces', { 2: 1, 4: 1, 6: 2 });
+    console.assert(ces.score === 4.5 && ces.counts.easy === 2 && ces.counts.difficult === 1,
+      'CES should be the average answer');
+    
+    const empty = calculateSurveyScore('nps', {});
+    console.assert(empty.responses === 0 && empty.score === 0, 'Periods without responses should score 0');
+    
+    const comparison = calculateSurveyComparison(nps, calculateSurveyScore('nps', { 0: 2, 9: 3 }));
+    console.assert(comparison.changes.responses === 100 && comparison.changes.score === 20,
+      'Responses should change in percent and scores in points');
+    console.assert(comparison.changes.percentages.detractors === -20, 'Group percentages should change in points');
+    
+    const fromEmpty = calculateSurveyComparison(nps, empty);
+    console.assert(fromEmpty.changes.responses === null && fromEmpty.changes.score === null
+      && fromEmpty.changes.percentages.promoters === null, 'Changes from a period without responses should be null');
+    
+    // Distributions from the database cover the whole scale
+    const start = new Date('2020-01-01T00:00:00.000Z');
+    const end = new Date('2031-01-01T00:00:00.000Z');
+    const distribution = getRatingDistribution('default', 'nps', start, end);
+    console.assert(Object.keys(distribution).length === 11 && distribution[0] >= 0, 'NPS distribution should cover 0-10');
+    const { metrics, comparison: none } = getSurveyMetrics('default', 'csat', { start, end });
+    console.assert(metrics.surveyType === 'csat' && none === null, 'Metrics without a comparison period should not compare');
+    
+    console.log('Survey metrics service tests passed!');
+    return true;
+  } catch (error) {
+    console.error('Survey metrics service test failed:', error);
+    return false;
+  }
+}
\ No newline at end of file
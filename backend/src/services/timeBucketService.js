@@ -0,0 +1,518 @@
+/**
+ * Time bucket service
+ *
+ * Splits a time range into the buckets of a metrics time series: hours,
+ * days, ISO weeks (starting Monday), months or quarters. Buckets are
+ * aligned to their calendar boundaries in a time zone (an IANA name such as
+ * Europe/Berlin, UTC by default), so a weekly series always starts on a
+ * Monday whatever the start of the range. The first and last bucket may
+ * only partly overlap the range; they are flagged as partial, as is a
+ * bucket that has not ended yet, so charts can tell an incomplete bucket
+ * from a real drop.
+ *
+ * Boundaries follow the zone's daylight saving time: a day may last 23 or
+ * 25 hours, and a day that starts in a DST gap starts at the first hour
+ * that exists. Hour buckets are real hours, so a repeated hour appears
+ * twice (with different offsets in their labels).
+ *
+ * The metric queries aggregate each bucket in SQL over its part of the
+ * range (see metricsService).
+ */
+
+// Supported time series granularities
+export const GRANULARITIES = ['hour', 'day', 'week', 'month', 'quarter'];
+
+// Most buckets a time series may have (e.g. about 13 months of hours)
+export const MAX_BUCKETS = 10000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Shortest length of a bucket of each granularity (an hour short when
+// clocks go forward)
+const MIN_BUCKET_MS = { hour: HOUR_MS, day: DAY_MS - HOUR_MS, week: 7 * DAY_MS - HOUR_MS, month: 28 * DAY_MS - HOUR_MS, quarter: 89 * DAY_MS - HOUR_MS };
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Timestamps without Z or an offset are wall-clock times in the time zone
+const LOCAL_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?$/;
+
+// Intl formatters by time zone; creating one is slow
+const formatters = new Map();
+
+/**
+ * Gets a formatter for the wall-clock fields of a time zone
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter, throws RangeError for unknown zones
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Checks whether a time zone is a known IANA time zone
+ *
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the zone is known
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets the UTC offset of a time zone at a time
+ *
+ * @param {Date} date - Time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  if (timeZone === 'UTC') {
+    return 0;
+  }
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value]));
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a time to its wall-clock time in a time zone
+ *
+ * @param {Date} date - Time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Date whose UTC fields are the wall-clock fields in the zone
+ */
+function toWallTime(date, timeZone) {
+  return new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a time
+ *
+ * A wall-clock time repeated when clocks go back is the earlier of the two;
+ * one skipped when clocks go forward is moved forward by the gap, so the
+ * start of a day that begins in a gap is the first time of that day.
+ *
+ * @param {number} wallTime - Wall-clock fields as UTC milliseconds (Date.UTC)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Time
+ */
+function fromWallTime(wallTime, timeZone) {
+  // Offsets only change a few times a year, so the offsets a day either
+  // side are the two that may apply
+  const offsetBefore = getTimeZoneOffset(new Date(wallTime - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallTime + DAY_MS), timeZone);
+  const candidates = [wallTime - offsetBefore, wallTime - offsetAfter]
+    .filter(time => time + getTimeZoneOffset(new Date(time), timeZone) === wallTime);
+
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wallTime - offsetBefore);
+}
+
+/**
+ * Formats a time as an ISO timestamp in a time zone: with Z for UTC,
+ * otherwise with the zone's offset (2025-11-07T00:00:00.000+01:00)
+ *
+ * @param {Date} date - Time
+ * @param {string} [timeZone='UTC'] - IANA time zone name
+ * @returns {string} ISO timestamp
+ */
+export function formatZonedTime(date, timeZone = 'UTC') {
+  if (timeZone === 'UTC') {
+    return date.toISOString();
+  }
+  const offset = getTimeZoneOffset(date, timeZone);
+  const minutes = Math.abs(offset) / 60000;
+  const sign = offset < 0 ? '-' : '+';
+  return `${toWallTime(date, timeZone).toISOString().slice(0, -1)}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the start of the bucket that contains a time
+ *
+ * @param {Date} date - Time
+ * @param {string} granularity - Bucket granularity
+ * @param {string} [timeZone='UTC'] - IANA time zone of the bucket boundaries
+ * @returns {Date} Start of the bucket
+ */
+export function startOfBucket(date, granularity, timeZone = 'UTC') {
+  const wall = toWallTime(date, timeZone);
+  const year = wall.getUTCFullYear();
+  const month = wall.getUTCMonth();
+  const day = wall.getUTCDate();
+
+  switch (granularity) {
+    case 'hour':
+      // Hours are counted in real time, so a repeated hour is its own bucket
+      return new Date(date.getTime() - wall.getTime() % HOUR_MS);
+    case 'week':
+      // ISO weeks start on Monday
+      return fromWallTime(Date.UTC(year, month, day - (wall.getUTCDay() + 6) % 7), timeZone);
+    case 'month':
+      return fromWallTime(Date.UTC(year, month, 1), timeZone);
+    case 'quarter':
+      return fromWallTime(Date.UTC(year, month - month % 3, 1), timeZone);
+    case 'day':
+    default:
+      return fromWallTime(Date.UTC(year, month, day), timeZone);
+  }
+}
+
+/**
+ * Moves the start of a bucket by a number of buckets
+ *
+ * @param {Date} start - Start of a bucket
+ * @param {string} granularity - Bucket granularity
+ * @param {number} [count=1] - Number of buckets
+ * @param {string} [timeZone='UTC'] - IANA time zone of the bucket boundaries
+ * @returns {Date} Start of the bucket count buckets later
+ */
+export function addBuckets(start, granularity, count = 1, timeZone = 'UTC') {
+  if (granularity === 'hour') {
+    return new Date(start.getTime() + count * HOUR_MS);
+  }
+
+  const wall = toWallTime(start, timeZone);
+  const year = wall.getUTCFullYear();
+  const month = wall.getUTCMonth();
+  const day = wall.getUTCDate();
+
+  switch (granularity) {
+    case 'week':
+      return fromWallTime(Date.UTC(year, month, day + 7 * count), timeZone);
+    case 'month':
+      return fromWallTime(Date.UTC(year, month + count, 1), timeZone);
+    case 'quarter':
+      return fromWallTime(Date.UTC(year, month + 3 * count, 1), timeZone);
+    case 'day':
+    default:
+      return fromWallTime(Date.UTC(year, month, day + count), timeZone);
+  }
+}
+
+/**
+ * Moves a time by a number of calendar years in a time zone, keeping its
+ * wall-clock time (February 29 becomes March 1)
+ *
+ * @param {Date} date - Time
+ * @param {number} years - Number of years
+ * @param {string} [timeZone='UTC'] - IANA time zone name
+ * @returns {Date} Moved time
+ */
+export function addYears(date, years, timeZone = 'UTC') {
+  const wall = toWallTime(date, timeZone);
+  wall.setUTCFullYear(wall.getUTCFullYear() + years);
+  return fromWallTime(wall.getTime(), timeZone);
+}
+
+/**
+ * Formats the label of a bucket: 2025-11-07T13:00Z (hour; with the offset
+ * instead of Z outside UTC), 2025-11-07 (day), 2025-W45 (ISO week),
+ * 2025-11 (month) or 2025-Q4 (quarter)
+ *
+ * @param {Date} start - Start of the bucket
+ * @param {string} granularity - Bucket granularity
+ * @param {string} [timeZone='UTC'] - IANA time zone of the bucket boundaries
+ * @returns {string} Bucket label
+ */
+export function formatBucketLabel(start, granularity, timeZone = 'UTC') {
+  const wall = toWallTime(start, timeZone);
+  const iso = wall.toISOString();
+
+  switch (granularity) {
+    case 'hour':
+      return timeZone === 'UTC' ? `${iso.slice(0, 13)}:00Z` : formatZonedTime(start, timeZone).replace(/:\d{2}\.\d{3}/, '');
+    case 'week': {
+      // The ISO week belongs to the year of its Thursday
+      const thursday = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 3));
+      const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+      const week = Math.floor((thursday.getTime() - yearStart) / (7 * DAY_MS)) + 1;
+      return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+    case 'month':
+      return iso.slice(0, 7);
+    case 'quarter':
+      return `${wall.getUTCFullYear()}-Q${Math.floor(wall.getUTCMonth() / 3) + 1}`;
+    case 'day':
+    default:
+      return iso.slice(0, 10);
+  }
+}
+
+/**
+ * Parses a date or timestamp in a time zone
+ *
+ * A date-only value is midnight and a timestamp without Z or an offset is a
+ * wall-clock time, both in the time zone; other timestamps are used as given.
+ *
+ * @param {string} value - Date or timestamp
+ * @param {string} [timeZone='UTC'] - IANA time zone (must be valid)
+ * @returns {Date} Time, an invalid Date if the value is not a date
+ */
+export function parseZonedTime(value, timeZone = 'UTC') {
+  if (typeof value !== 'string') {
+    return new Date(NaN);
+  }
+  const local = (DATE_ONLY.test(value) ? `${value}T00:00` : value).match(LOCAL_TIMESTAMP);
+  if (!local) {
+    return new Date(value);
+  }
+  const [, year, month, day, hour, minute, second = 0, millisecond = '0'] = local;
+  return fromWallTime(Date.UTC(year, month - 1, day, hour, minute, second, millisecond.padEnd(3, '0')), timeZone);
+}
+
+/**
+ * Parses a time range
+ *
+ * A date-only startDate starts at midnight and a date-only endDate
+ * includes the whole day, both in the time zone. Timestamps without Z or
+ * an offset are wall-clock times in the time zone; other timestamps are
+ * used as given (endDate inclusive).
+ *
+ * @param {string} startDate - Start date or timestamp
+ * @param {string} endDate - End date or timestamp
+ * @param {string} [timeZone='UTC'] - IANA time zone (must be valid)
+ * @returns {Object} Result with isValid, errors, start and end (exclusive) as Dates
+ */
+export function parseTimeRange(startDate, endDate, timeZone = 'UTC') {
+  const errors = [];
+
+  const parse = (value, name) => {
+    const date = parseZonedTime(value, timeZone);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be an ISO date or timestamp`);
+      return null;
+    }
+    return date;
+  };
+
+  const start = parse(startDate, 'startDate');
+  const inclusiveEnd = parse(endDate, 'endDate');
+  const end = inclusiveEnd && (DATE_ONLY.test(endDate)
+    ? addBuckets(inclusiveEnd, 'day', 1, timeZone)
+    : new Date(inclusiveEnd.getTime() + 1));
+
+  if (start && end && start >= end) {
+    errors.push('startDate must not be after endDate');
+  }
+
+  return { isValid: errors.length === 0, errors, start, end };
+}
+
+/**
+ * Validates the range and time zone of a request
+ *
+ * @param {Object} query - Request query (startDate, endDate, tz)
+ * @param {Object} defaults - Values used when a parameter is missing
+ * @param {string} defaults.startDate - Default start date or timestamp
+ * @param {string} defaults.endDate - Default end date or timestamp
+ * @returns {Object} Result with isValid, errors, timeZone, start and end (exclusive)
+ */
+export function resolveTimeRange(query, defaults) {
+  const timeZone = query.tz || 'UTC';
+
+  if (!isValidTimeZone(timeZone)) {
+    return { isValid: false, errors: ['tz must be an IANA time zone such as Europe/Berlin'], timeZone };
+  }
+
+  const range = parseTimeRange(query.startDate || defaults.startDate, query.endDate || defaults.endDate, timeZone);
+  return { ...range, timeZone };
+}
+
+/**
+ * Splits a time range into buckets
+ *
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range (exclusive)
+ * @param {string} granularity - Bucket granularity
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone='UTC'] - IANA time zone of the bucket boundaries
+ * @param {Date} [options.now] - Current time; buckets ending later are partial
+ * @returns {Array} Buckets as { start, end, from, to, label, partial }: start and end bound the
+ *   whole bucket (ISO timestamps in the time zone), from and to its part of the range (UTC ISO
+ *   timestamps, as stored); end and to are exclusive
+ */
+export function getTimeBuckets(start, end, granularity, options = {}) {
+  const { timeZone = 'UTC', now = new Date() } = options;
+  const buckets = [];
+
+  for (let bucketStart = startOfBucket(start, granularity, timeZone); bucketStart < end; ) {
+    const bucketEnd = addBuckets(bucketStart, granularity, 1, timeZone);
+    buckets.push({
+      start: formatZonedTime(bucketStart, timeZone),
+      end: formatZonedTime(bucketEnd, timeZone),
+      from: (bucketStart < start ? start : bucketStart).toISOString(),
+      to: (bucketEnd > end ? end : bucketEnd).toISOString(),
+      label: formatBucketLabel(bucketStart, granularity, timeZone),
+      partial: bucketStart < start || bucketEnd > end || bucketEnd > now
+    });
+    bucketStart = bucketEnd;
+  }
+
+  return buckets;
+}
+
+/**
+ * Validates the range, time zone and granularity of a time series request
+ * and splits the range into buckets
+ *
+ * @param {Object} query - Request query (startDate, endDate, granularity, tz)
+ * @param {Object} defaults - Values used when a parameter is missing
+ * @param {string} defaults.startDate - Default start date or timestamp
+ * @param {string} defaults.endDate - Default end date or timestamp
+ * @returns {Object} Result with isValid, errors, granularity, timeZone, start, end and buckets
+ */
+export function resolveTimeBuckets(query, defaults) {
+  const granularity = query.granularity || 'day';
+  const range = resolveTimeRange(query, defaults);
+  const { timeZone } = range;
+  const errors = [...range.errors];
+
+  if (!GRANULARITIES.includes(granularity)) {
+    errors.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, granularity, timeZone, buckets: [] };
+  }
+
+  // Checked before splitting, so a huge range is rejected without building it
+  if (Math.ceil((range.end - range.start) / MIN_BUCKET_MS[granularity]) + 1 > MAX_BUCKETS) {
+    return {
+      isValid: false,
+      errors: [`The range has too many ${granularity} buckets (at most ${MAX_BUCKETS}); use a shorter range or a coarser granularity`],
+      granularity,
+      timeZone,
+      buckets: []
+    };
+  }
+
+  return {
+    isValid: true,
+    errors,
+    granularity,
+    timeZone,
+    start: range.start,
+    end: range.end,
+    buckets: getTimeBuckets(range.start, range.end, granularity, { timeZone })
+  };
+}
+
+// Test this service
+export function testTimeBucketService() {
+  const past = { now: new Date('2030-01-01') };
+  const labels = (start, end, granularity) => getTimeBuckets(new Date(start), new Date(end), granularity, past)
+    .map(bucket => bucket.label);
+
+  console.assert(labels('2025-11-07T10:30:00Z', '2025-11-07T13:00:00Z', 'hour').join() === '2025-11-07T10:00Z,2025-11-07T11:00Z,2025-11-07T12:00Z',
+    'Hours should be aligned to the hour');
+  console.assert(labels('2025-11-01T00:00:00Z', '2025-11-04T00:00:00Z', 'day').length === 3, 'Days should cover the range');
+  console.assert(labels('2025-11-05T00:00:00Z', '2025-11-18T00:00:00Z', 'week').join() === '2025-W45,2025-W46,2025-W47',
+    'Weeks should be ISO weeks');
+  console.assert(labels('2024-12-30T00:00:00Z', '2024-12-31T00:00:00Z', 'week')[0] === '2025-W01',
+    'A week belongs to the year of its Thursday');
+  console.assert(labels('2021-01-03T00:00:00Z', '2021-01-04T00:00:00Z', 'week')[0] === '2020-W53',
+    'Weeks can belong to the previous year');
+  console.assert(labels('2025-01-31T00:00:00Z', '2025-04-01T00:00:00Z', 'month').join() === '2025-01,2025-02,2025-03',
+    'Months should be calendar months');
+  console.assert(labels('2025-02-15T00:00:00Z', '2025-10-01T00:00:00Z', 'quarter').join() === '2025-Q1,2025-Q2,2025-Q3',
+    'Quarters should start in January, April, July and October');
+
+  const [first, middle, last] = getTimeBuckets(new Date('2025-11-05T00:00:00Z'), new Date('2025-11-18T00:00:00Z'), 'week', past);
+  console.assert(first.start === '2025-11-03T00:00:00.000Z' && first.from === '2025-11-05T00:00:00.000Z' && first.partial,
+    'The first bucket should start on its boundary and be partial');
+  console.assert(!middle.partial, 'Buckets inside the range should not be partial');
+  console.assert(last.to === '2025-11-18T00:00:00.000Z' && last.partial, 'The last bucket should be cut at the end and be partial');
+
+  const current = getTimeBuckets(new Date('2025-11-07T00:00:00Z'), new Date('2025-11-08T00:00:00Z'), 'day', { now: new Date('2025-11-07T12:00:00Z') });
+  console.assert(current[0].partial, 'A bucket that has not ended yet should be partial');
+
+  const range = parseTimeRange('2025-11-01', '2025-11-07');
+  console.assert(range.end.toISOString() === '2025-11-08T00:00:00.000Z', 'A date-only end date should include the whole day');
+  console.assert(!parseTimeRange('2025-11-07', '2025-11-01').isValid, 'Inverted ranges should be invalid');
+  console.assert(!parseTimeRange('yesterday', '2025-11-01').isValid, 'Invalid dates should be rejected');
+
+  console.assert(resolveTimeBuckets({ granularity: 'month' }, { startDate: '2025-01-01', endDate: '2025-12-31' }).buckets.length === 12,
+    'Defaults should be used for missing parameters');
+  console.assert(!resolveTimeBuckets({ granularity: 'minute' }, { startDate: '2025-01-01', endDate: '2025-12-31' }).isValid,
+    'Unknown granularities should be rejected');
+  console.assert(!resolveTimeBuckets({ granularity: 'hour' }, { startDate: '2000-01-01', endDate: '2025-12-31' }).isValid,
+    'Ranges with too many buckets should be rejected');
+
+  // Time zones: boundaries are local midnights, whatever the offset that day
+  const zoned = (startDate, endDate, granularity, timeZone) => {
+    const range = parseTimeRange(startDate, endDate, timeZone);
+    return getTimeBuckets(range.start, range.end, granularity, { ...past, timeZone });
+  };
+  const berlinDay = parseTimeRange('2025-11-07', '2025-11-07', 'Europe/Berlin');
+  console.assert(berlinDay.start.toISOString() === '2025-11-06T23:00:00.000Z' && berlinDay.end.toISOString() === '2025-11-07T23:00:00.000Z',
+    'Date-only ranges should cover local days');
+  console.assert(parseTimeRange('2025-11-07T23:30', '2025-11-08', 'Europe/Berlin').start.toISOString() === '2025-11-07T22:30:00.000Z',
+    'Timestamps without an offset should be local times');
+  console.assert(parseTimeRange('2025-11-07T23:30:00Z', '2025-11-08', 'Europe/Berlin').start.toISOString() === '2025-11-07T23:30:00.000Z',
+    'Timestamps with Z should be used as given');
+  console.assert(zoned('2025-11-07', '2025-11-07', 'day', 'Europe/Berlin')[0].start === '2025-11-07T00:00:00.000+01:00',
+    'Bucket starts should carry the local offset');
+
+  // Clocks go forward: Berlin, 30 March 2025 02:00 becomes 03:00
+  const [springDay] = zoned('2025-03-30', '2025-03-30', 'day', 'Europe/Berlin');
+  console.assert(springDay.from === '2025-03-29T23:00:00.000Z' && springDay.to === '2025-03-30T22:00:00.000Z',
+    'The day clocks go forward should last 23 hours');
+  console.assert(springDay.end === '2025-03-31T00:00:00.000+02:00', 'The next day should start with the summer offset');
+  console.assert(zoned('2025-03-30', '2025-03-30', 'hour', 'Europe/Berlin').length === 23,
+    'The day clocks go forward should have 23 hours');
+  console.assert(parseTimeRange('2025-03-30T02:30', '2025-03-31', 'Europe/Berlin').start.toISOString() === '2025-03-30T01:30:00.000Z',
+    'Skipped local times should move forward by the gap');
+
+  // Clocks go back: Berlin, 26 October 2025 03:00 becomes 02:00
+  const autumnHours = zoned('2025-10-26', '2025-10-26', 'hour', 'Europe/Berlin');
+  console.assert(autumnHours.length === 25, 'The day clocks go back should have 25 hours');
+  console.assert(autumnHours[2].label === '2025-10-26T02:00+02:00' && autumnHours[3].label === '2025-10-26T02:00+01:00',
+    'A repeated hour should appear twice with its offsets');
+  console.assert(parseTimeRange('2025-10-26T02:30', '2025-10-27', 'Europe/Berlin').start.toISOString() === '2025-10-26T00:30:00.000Z',
+    'Repeated local times should be the earlier time');
+
+  // Weeks and months span the change: New York, 2 November 2025
+  const [edtWeek, estWeek] = zoned('2025-10-27', '2025-11-09', 'week', 'America/New_York');
+  console.assert(edtWeek.from === '2025-10-27T04:00:00.000Z' && edtWeek.to === '2025-11-03T05:00:00.000Z',
+    'A week spanning the change should last 7 days and an hour');
+  console.assert(estWeek.label === '2025-W45' && estWeek.start === '2025-11-03T00:00:00.000-05:00', 'Weeks should start on local Mondays');
+  const [berlinOctober] = zoned('2025-10-01', '2025-10-31', 'month', 'Europe/Berlin');
+  console.assert(berlinOctober.from === '2025-09-30T22:00:00.000Z' && berlinOctober.to === '2025-10-31T23:00:00.000Z',
+    'Months should start and end at local midnight');
+
+  // Santiago moves its clocks at midnight: 7 September 2025 starts at 01:00
+  const [santiagoDay] = zoned('2025-09-07', '2025-09-07', 'day', 'America/Santiago');
+  console.assert(santiagoDay.start === '2025-09-07T01:00:00.000-03:00' && santiagoDay.from === '2025-09-07T04:00:00.000Z',
+    'A day starting in a gap should start at its first hour');
+  console.assert(zoned('2025-09-07', '2025-09-07', 'hour', 'Asia/Kolkata')[0].label === '2025-09-07T00:00+05:30',
+    'Hours should be aligned to local hours in zones with half-hour offsets');
+
+  console.assert(addYears(new Date('2025-11-07T12:00:00Z'), -1, 'Europe/Berlin').toISOString() === '2024-11-07T12:00:00.000Z',
+    'Years should keep the local time');
+  console.assert(isValidTimeZone('Europe/Berlin') && !isValidTimeZone('Mars/Olympus_Mons'), 'Unknown time zones should be invalid');
+  console.assert(!resolveTimeBuckets({ tz: 'Mars/Olympus_Mons' }, { startDate: '2025-01-01', endDate: '2025-12-31' }).isValid,
+    'Unknown time zones should be rejected');
+
+  console.log('Time bucket service tests passed!');
+}
\ No newline at end of file
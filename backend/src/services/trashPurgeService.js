@@ -0,0 +1,65 @@
+/**
+ * Trash purge service
+ * 
+ * Permanently removes reviews that have been in the trash longer than the
+ * configured retention period. Runs on a schedule while the server is up.
+ * 
+ * Configuration (environment variables):
+ * - TRASH_RETENTION_DAYS: Days a deleted review stays restorable (default: 30)
+ * - TRASH_PURGE_INTERVAL_HOURS: Hours between purge runs (default: 24)
+ */
+
+import { purgeDeletedReviews } from './dataService.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_HOURS = 24;
+
+/**
+ * Get the configured trash retention period
+ * 
+ * @returns {number} Retention period in days
+ */
+export function getTrashRetentionDays() {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Purge reviews that have been in the trash longer than the retention period
+ * 
+ * @param {number} [retentionDays] - Retention period in days (defaults to configuration)
+ * @returns {number} Number of purged reviews
+ */
+export function purgeExpiredTrash(retentionDays = getTrashRetentionDays()) {
+  const purged = purgeDeletedReviews(retentionDays);
+  
+  if (purged > 0) {
+    console.log(`Purged ${purged} reviews deleted more than ${retentionDays} days ago`);
+  }
+  
+  return purged;
+}
+
+/**
+ * Start the scheduled trash purge
+ * Runs once immediately, then every TRASH_PURGE_INTERVAL_HOURS
+ * 
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startTrashPurgeSchedule() {
+  const hours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS);
+  const intervalHours = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_INTERVAL_HOURS;
+  
+  const run = () => {
+    try {
+      purgeExpiredTrash();
+    } catch (error) {
+      console.error('Scheduled trash purge failed:', error);
+    }
+  };
+  
+  run();
+  
+  // Don't keep the process alive just for the purge
+  return setInterval(run, intervalHours * 60 * 60 * 1000).unref();
+}
\ No newline at end of file
@@ -0,0 +1,553 @@
+/**
+ * Outgoing webhook service
+ *
+ * Workspaces subscribe HTTP endpoints to review lifecycle events and
+ * triggered alerts (see alertService). Every event that matches a
+ * subscription is written to the webhook_deliveries queue and POSTed to
+ * the endpoint by a background worker. Failed
+ * deliveries are retried with exponential backoff, so receivers get each
+ * event at least once and should deduplicate by the X-Webhook-Event-Id header.
+ *
+ * Every request is signed with the subscription secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Configuration (environment variables):
+ * - WEBHOOK_MAX_ATTEMPTS: Attempts before a delivery is marked failed (default: 8)
+ * - WEBHOOK_RETRY_BASE_SECONDS: Delay before the first retry, doubled for every further retry (default: 30)
+ * - WEBHOOK_TIMEOUT_MS: Timeout of a delivery request (default: 10000)
+ * - WEBHOOK_POLL_INTERVAL_SECONDS: Seconds between scans for due deliveries (default: 5)
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../data/database.js';
+
+// Get database instance
+const db = getDatabase();
+
+// Events a webhook can subscribe to; '*' subscribes to all of them
+export const WEBHOOK_EVENTS = [
+  'review.created',
+  'review.updated',
+  'review.approved',
+  'review.rejected',
+  'review.flagged',
+  'review.spam',
+  'review.deleted',
+  'review.restored',
+  'alert.triggered'
+];
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+
+// Retries are never delayed by more than a day
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// Due deliveries sent per worker pass
+const DELIVERY_BATCH_SIZE = 20;
+
+// Prefix that makes signing secrets recognizable in logs and secret scanners
+const SECRET_PREFIX = 'whsec_';
+
+// Prepare statements for better performance
+const statements = {
+  getWebhooks: db.prepare('SELECT * FROM webhooks WHERE workspaceId = ? ORDER BY createdAt'),
+  getWebhookById: db.prepare('SELECT * FROM webhooks WHERE workspaceId = ? AND id = ?'),
+  getSubscribedWebhooks: db.prepare(`
+    SELECT * FROM webhooks
+    WHERE workspaceId = ? AND active = 1
+      AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value IN (?, '*'))
+  `),
+  insertWebhook: db.prepare(`
+    INSERT INTO webhooks (id, workspaceId, url, events, secret, description, active, createdAt, updatedAt)
+    VALUES (@id, @workspaceId, @url, @events, @secret, @description, @active, @createdAt, @updatedAt)
+  `),
+  updateWebhook: db.prepare(`
+    UPDATE webhooks
+    SET url = @url, events = @events, description = @description, active = @active, updatedAt = @updatedAt
+    WHERE workspaceId = @workspaceId AND id = @id
+  `),
+  deleteWebhook: db.prepare('DELETE FROM webhooks WHERE workspaceId = ? AND id = ?'),
+  deleteDeliveries: db.prepare('DELETE FROM webhook_deliveries WHERE webhookId = ?'),
+  insertDelivery: db.prepare(`
+    INSERT INTO webhook_deliveries (webhookId, eventId, event, payload, status, attempts, nextAttemptAt, createdAt)
+    VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+  `),
+  getDeliveries: db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE webhookId = ? AND (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `),
+  countDeliveries: db.prepare(`
+    SELECT COUNT(*) as total FROM webhook_deliveries
+    WHERE webhookId = ? AND (? IS NULL OR status = ?)
+  `),
+  getDueDeliveries: db.prepare(`
+    SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+    FROM webhook_deliveries
+    JOIN webhooks ON webhooks.id = webhook_deliveries.webhookId
+    WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.nextAttemptAt <= ?
+      AND webhooks.active = 1
+    ORDER BY webhook_deliveries.nextAttemptAt, webhook_deliveries.id
+    LIMIT ?
+  `),
+  markDelivered: db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = ?, lastAttemptAt = ?, deliveredAt = ?, responseStatus = ?,
+      lastError = NULL, nextAttemptAt = NULL
+    WHERE id = ?
+  `),
+  markAttemptFailed: db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, lastAttemptAt = ?, nextAttemptAt = ?, responseStatus = ?, lastError = ?
+    WHERE id = ?
+  `)
+};
+
+/**
+ * Read a positive number from an environment variable
+ *
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value if the variable is unset or invalid
+ * @returns {number} Configured value
+ */
+function getPositiveNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Convert a webhook row to its API representation (without the secret)
+ *
+ * @param {Object} row - Row from the webhooks table
+ * @returns {Object} Webhook object
+ */
+function toWebhook(row) {
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: JSON.parse(row.events),
+    active: row.active === 1
+  };
+}
+
+/**
+ * Convert a delivery row to its API representation
+ *
+ * @param {Object} row - Row from the webhook_deliveries table
+ * @returns {Object} Delivery object with the parsed payload
+ */
+function toDelivery(row) {
+  return {
+    ...row,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+/**
+ * Validates webhook data
+ *
+ * @param {Object} webhookData - Webhook data
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate the fields that are present (updates)
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateWebhookData(webhookData, options = {}) {
+  const errors = [];
+  const partial = options.partial === true;
+
+  if (!partial || webhookData.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(webhookData.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url is required and must be an http or https URL');
+    }
+  }
+
+  if (!partial || webhookData.events !== undefined) {
+    const events = webhookData.events;
+    if (!Array.isArray(events) || events.length === 0 ||
+      !events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events is required and must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  }
+
+  if (webhookData.description !== undefined && webhookData.description !== null &&
+    (typeof webhookData.description !== 'string' || webhookData.description.length > 500)) {
+    errors.push('description must be a string of at most 500 characters');
+  }
+
+  if (webhookData.active !== undefined && typeof webhookData.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Gets the webhooks of a workspace
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Array} Array of webhooks (without secrets)
+ */
+export function getWebhooks(workspaceId) {
+  try {
+    return statements.getWebhooks.all(workspaceId).map(toWebhook);
+  } catch (error) {
+    console.error('Error getting webhooks:', error);
+    throw new Error('Failed to retrieve webhooks');
+  }
+}
+
+/**
+ * Finds a webhook by ID
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Webhook ID
+ * @returns {Object|null} Webhook (without secret) or null if not found
+ */
+export function getWebhookById(workspaceId, id) {
+  try {
+    const row = statements.getWebhookById.get(workspaceId, id);
+    return row ? toWebhook(row) : null;
+  } catch (error) {
+    console.error('Error getting webhook:', error);
+    throw new Error('Failed to retrieve webhook');
+  }
+}
+
+/**
+ * Creates a webhook subscription
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} webhookData - Webhook data (url, events, description, active)
+ * @returns {Object} Created webhook including its signing secret, which is only returned here
+ */
+export function createWebhook(workspaceId, webhookData) {
+  try {
+    const now = new Date().toISOString();
+    const row = {
+      id: uuidv4(),
+      workspaceId,
+      url: webhookData.url,
+      events: JSON.stringify([...new Set(webhookData.events)]),
+      secret: SECRET_PREFIX + crypto.randomBytes(24).toString('base64url'),
+      description: webhookData.description ?? null,
+      active: webhookData.active === false ? 0 : 1,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    statements.insertWebhook.run(row);
+
+    return { ...toWebhook(row), secret: row.secret };
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    throw new Error('Failed to create webhook');
+  }
+}
+
+/**
+ * Updates a webhook subscription
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Webhook ID
+ * @param {Object} updateData - Fields to change (url, events, description, active)
+ * @returns {Object|null} Updated webhook or null if not found
+ */
+export function updateWebhookById(workspaceId, id, updateData) {
+  try {
+    const existing = statements.getWebhookById.get(workspaceId, id);
+    if (!existing) {
+      return null;
+    }
+
+    const row = {
+      ...existing,
+      url: updateData.url ?? existing.url,
+      events: updateData.events ? JSON.stringify([...new Set(updateData.events)]) : existing.events,
+      description: updateData.description !== undefined ? updateData.description : existing.description,
+      active: updateData.active !== undefined ? (updateData.active ? 1 : 0) : existing.active,
+      updatedAt: new Date().toISOString()
+    };
+
+    statements.updateWebhook.run(row);
+    return toWebhook(row);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    throw new Error('Failed to update webhook');
+  }
+}
+
+/**
+ * Deletes a webhook subscription and its delivery log
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} id - Webhook ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+export function deleteWebhookById(workspaceId, id) {
+  try {
+    return db.transaction(() => {
+      const result = statements.deleteWebhook.run(workspaceId, id);
+      if (result.changes > 0) {
+        statements.deleteDeliveries.run(id);
+      }
+      return result.changes > 0;
+    })();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    throw new Error('Failed to delete webhook');
+  }
+}
+
+/**
+ * Gets the delivery log of a webhook, newest first
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by status (pending, delivered, failed)
+ * @param {number} [options.limit] - Limit number of results
+ * @param {number} [options.offset] - Offset for pagination
+ * @returns {Object|null} Object with deliveries array and total count, or null if the webhook does not exist
+ */
+export function getWebhookDeliveries(workspaceId, webhookId, options = {}) {
+  try {
+    if (!statements.getWebhookById.get(workspaceId, webhookId)) {
+      return null;
+    }
+
+    const status = options.status || null;
+    const { total } = statements.countDeliveries.get(webhookId, status, status);
+    const deliveries = statements.getDeliveries
+      .all(webhookId, status, status, options.limit || -1, options.offset || 0)
+      .map(toDelivery);
+
+    return {
+      deliveries,
+      total,
+      limit: options.limit || total,
+      offset: options.offset || 0
+    };
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    throw new Error('Failed to retrieve webhook deliveries');
+  }
+}
+
+/**
+ * Computes the signature header value of a delivery request
+ *
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Computes the delay before the next attempt of a failed delivery
+ *
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelayMs(attempts) {
+  const baseMs = getPositiveNumber('WEBHOOK_RETRY_BASE_SECONDS', DEFAULT_RETRY_BASE_SECONDS) * 1000;
+  return Math.min(baseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Queues an event for every webhook of the workspace subscribed to it
+ *
+ * Failures are logged and swallowed: webhooks must never break the request
+ * that triggered them.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} event - Event name (one of WEBHOOK_EVENTS)
+ * @param {Object} data - Event data, e.g. { review } for review events
+ * @param {Object} [options] - Event options
+ * @param {string} [options.actor] - Who caused the event
+ * @returns {number} Number of queued deliveries
+ */
+export function queueWebhookEvent(workspaceId, event, data, options = {}) {
+  try {
+    const webhooks = statements.getSubscribedWebhooks.all(workspaceId, event);
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const now = new Date().toISOString();
+    const eventId = uuidv4();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      workspaceId,
+      occurredAt: now,
+      actor: options.actor || 'anonymous',
+      data
+    });
+
+    db.transaction(() => {
+      for (const webhook of webhooks) {
+        statements.insertDelivery.run(webhook.id, eventId, event, payload, now, now);
+      }
+    })();
+
+    // Deliver right away instead of waiting for the next worker pass
+    setImmediate(() => processDueDeliveries().catch(error => console.error('Webhook delivery failed:', error)));
+
+    return webhooks.length;
+  } catch (error) {
+    console.error('Error queueing webhook event:', error);
+    return 0;
+  }
+}
+
+/**
+ * Sends a single delivery and records the outcome
+ *
+ * @param {Object} delivery - Due delivery joined with its webhook url and secret
+ */
+async function attemptDelivery(delivery) {
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let errorMessage = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CustomerSatisfactionWebhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Event-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(getPositiveNumber('WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS))
+    });
+    responseStatus = response.status;
+    // Release the connection; the response body is not used
+    await response.body?.cancel();
+
+    if (response.ok) {
+      const now = new Date().toISOString();
+      statements.markDelivered.run(attempts, now, now, responseStatus, delivery.id);
+      return;
+    }
+    errorMessage = `Receiver responded with HTTP ${responseStatus}`;
+  } catch (error) {
+    errorMessage = (error.cause?.message || error.message || 'Request failed').slice(0, 500);
+  }
+
+  const maxAttempts = getPositiveNumber('WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+  const failed = attempts >= maxAttempts;
+  const now = Date.now();
+  statements.markAttemptFailed.run(
+    failed ? 'failed' : 'pending',
+    attempts,
+    new Date(now).toISOString(),
+    failed ? null : new Date(now + getRetryDelayMs(attempts)).toISOString(),
+    responseStatus,
+    errorMessage,
+    delivery.id
+  );
+}
+
+// Only one worker pass runs at a time; a request made during a pass runs another one
+let processing = null;
+let processAgain = false;
+
+/**
+ * Sends all deliveries that are due
+ *
+ * @returns {Promise<number>} Number of attempted deliveries
+ */
+export async function processDueDeliveries() {
+  if (processing) {
+    processAgain = true;
+    return processing;
+  }
+
+  processing = (async () => {
+    let attempted = 0;
+    try {
+      do {
+        processAgain = false;
+        let batch;
+        do {
+          batch = statements.getDueDeliveries.all(new Date().toISOString(), DELIVERY_BATCH_SIZE);
+          await Promise.all(batch.map(attemptDelivery));
+          attempted += batch.length;
+        } while (batch.length === DELIVERY_BATCH_SIZE);
+      } while (processAgain);
+      return attempted;
+    } finally {
+      processing = null;
+    }
+  })();
+
+  return processing;
+}
+
+/**
+ * Start the webhook delivery worker
+ * Runs once immediately, then every WEBHOOK_POLL_INTERVAL_SECONDS
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startWebhookDeliveryWorker() {
+  const intervalSeconds = getPositiveNumber('WEBHOOK_POLL_INTERVAL_SECONDS', DEFAULT_POLL_INTERVAL_SECONDS);
+
+  const run = () => {
+    processDueDeliveries().catch(error => console.error('Webhook delivery worker failed:', error));
+  };
+
+  run();
+
+  // Don't keep the process alive just for the worker
+  return setInterval(run, intervalSeconds * 1000).unref();
+}
+
+// Test this service
+export function testWebhookService() {
+  console.assert(validateWebhookData({ url: 'https://example.com/hook', events: ['review.created'] }).isValid,
+    'Valid webhook data should pass validation');
+  console.assert(validateWebhookData({ url: 'http://localhost:9000', events: ['*'] }).isValid,
+    'The wildcard event should be valid');
+  console.assert(!validateWebhookData({ url: 'ftp://example.com', events: ['review.created'] }).isValid,
+    'Non-HTTP URLs should be invalid');
+  console.assert(!validateWebhookData({ url: 'https://example.com', events: ['review.exploded'] }).isValid,
+    'Unknown events should be invalid');
+  console.assert(!validateWebhookData({ url: 'https://example.com', events: [] }).isValid,
+    'At least one event should be required');
+  console.assert(validateWebhookData({ active: false }, { partial: true }).isValid,
+    'Partial updates should only validate present fields');
+
+  const signature = signWebhookPayload('whsec_test', 1700000000, '{"a":1}');
+  const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+  console.assert(signature === `t=1700000000,v1=${expected}`, 'Signatures should be HMAC-SHA256 of timestamp and body');
+
+  console.assert(getRetryDelayMs(2) === 2 * getRetryDelayMs(1), 'Retry delays should double');
+  console.assert(getRetryDelayMs(100) === MAX_RETRY_DELAY_MS, 'Retry delays should be capped');
+
+  console.log('Webhook service tests passed!');
+}
\ No newline at end of file
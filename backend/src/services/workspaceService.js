@@ -0,0 +1,151 @@
+/**
+ * Workspace (tenant) service
+ *
+ * Every review, revision and activity event belongs to one workspace, and
+ * all data service and metrics functions are scoped to a workspace ID.
+ * Requests name their workspace in the X-Workspace-Id header or the
+ * /api/workspaces/:workspaceId/... path segment; without either they use
+ * the 'default' workspace. API keys that are bound to a workspace can only
+ * access that workspace.
+ */
+
+import { getDatabase } from '../data/database.js';
+
+// Get database instance
+const db = getDatabase();
+
+// Workspace that holds all data created before workspaces existed
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+// Workspace IDs are lowercase slugs so they are safe in URLs and headers
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Prepare statements for better performance
+const statements = {
+  getWorkspaces: db.prepare('SELECT * FROM workspaces ORDER BY createdAt'),
+  getWorkspaceById: db.prepare('SELECT * FROM workspaces WHERE id = ?'),
+  insertWorkspace: db.prepare('INSERT INTO workspaces (id, name, createdAt) VALUES (?, ?, ?)')
+};
+
+/**
+ * Gets all workspaces
+ *
+ * @returns {Array} Array of workspace objects
+ */
+export function getWorkspaces() {
+  try {
+    return statements.getWorkspaces.all();
+  } catch (error) {
+    console.error('Error getting workspaces:', error);
+    throw new Error('Failed to retrieve workspaces');
+  }
+}
+
+/**
+ * Finds a workspace by ID
+ *
+ * @param {string} id - Workspace ID
+ * @returns {Object|null} Workspace object or null if not found
+ */
+export function getWorkspaceById(id) {
+  try {
+    return statements.getWorkspaceById.get(id) || null;
+  } catch (error) {
+    console.error('Error getting workspace:', error);
+    throw new Error('Failed to retrieve workspace');
+  }
+}
+
+/**
+ * Validates data for a new workspace
+ *
+ * @param {Object} workspaceData - Workspace data
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateWorkspaceData(workspaceData) {
+  const errors = [];
+
+  if (!workspaceData.id || typeof workspaceData.id !== 'string' || !WORKSPACE_ID_PATTERN.test(workspaceData.id)) {
+    errors.push('id is required and must be 1-63 lowercase letters, digits or hyphens');
+  }
+
+  if (!workspaceData.name || typeof workspaceData.name !== 'string' || !workspaceData.name.trim()) {
+    errors.push('name is required and must be a string');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Creates a workspace
+ *
+ * @param {Object} workspaceData - Workspace data
+ * @param {string} workspaceData.id - Workspace ID (slug)
+ * @param {string} workspaceData.name - Display name
+ * @returns {Object|null} Created workspace or null if the ID is taken
+ */
+export function createWorkspace({ id, name }) {
+  try {
+    if (statements.getWorkspaceById.get(id)) {
+      return null;
+    }
+
+    const workspace = { id, name: name.trim(), createdAt: new Date().toISOString() };
+    statements.insertWorkspace.run(workspace.id, workspace.name, workspace.createdAt);
+    return workspace;
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    throw new Error('Failed to create workspace');
+  }
+}
+
+/**
+ * Express middleware that resolves the workspace of a request and sets
+ * req.workspaceId. Must run after authenticate.
+ *
+ * The workspace comes from the :workspaceId path parameter, the
+ * X-Workspace-Id header or DEFAULT_WORKSPACE_ID, in that order. Unknown
+ * workspaces return 404 and workspaces outside the API key's scope 403.
+ */
+export function resolveWorkspace(req, res, next) {
+  try {
+    const workspaceId = req.params.workspaceId || req.get('X-Workspace-Id') || DEFAULT_WORKSPACE_ID;
+
+    if (req.apiKey?.workspaceId && req.apiKey.workspaceId !== workspaceId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        details: [`API key is not allowed to access workspace ${workspaceId}`]
+      });
+    }
+
+    if (!getWorkspaceById(workspaceId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found'
+      });
+    }
+
+    req.workspaceId = workspaceId;
+    next();
+  } catch (error) {
+    console.error('Error resolving workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+// Test this service
+export function testWorkspaceService() {
+  console.assert(getWorkspaceById(DEFAULT_WORKSPACE_ID), 'The default workspace should exist');
+  console.assert(validateWorkspaceData({ id: 'acme-eu', name: 'ACME EU' }).isValid, 'Slug IDs should be valid');
+  console.assert(!validateWorkspaceData({ id: 'ACME EU', name: 'ACME EU' }).isValid, 'IDs with spaces or capitals should be invalid');
+  console.assert(!validateWorkspaceData({ id: 'acme' }).isValid, 'A name should be required');
+
+  console.log('Workspace service tests passed!');
+}
\ No newline at end of file
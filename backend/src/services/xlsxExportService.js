@@ -0,0 +1,280 @@
+/**
+ * Excel (XLSX) export service
+ *
+ * Writes reviews to an XLSX workbook in the process with exceljs' streaming
+ * writer, so rows go from a database cursor into the response without the
+ * workbook being held in memory. The workbook has two sheets:
+ * - Reviews: one row per review with typed columns (dates as dates, rating
+ *   as a number) and an autofilter on the header row
+ * - Summary: totals, CSAT rating distribution, status and survey type
+ *   breakdowns, from the same data as GET /api/export/summary
+ */
+
+import ExcelJS from 'exceljs';
+import { PassThrough } from 'stream';
+
+// Rows written between pauses that let the zip stream drain
+const XLSX_BATCH_SIZE = 500;
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+const SHARE_FORMAT = '0.0%';
+
+// Columns of the Reviews sheet
+const REVIEW_COLUMNS = [
+  { header: 'ID', key: 'id', width: 38 },
+  { header: 'Customer ID', key: 'customerId', width: 18 },
+  { header: 'Customer Name', key: 'customerName', width: 24 },
+  { header: 'Survey Type', key: 'surveyType', width: 12 },
+  { header: 'Rating', key: 'rating', width: 8 },
+  { header: 'Title', key: 'title', width: 32 },
+  { header: 'Comment', key: 'comment', width: 60, style: { alignment: { wrapText: true, vertical: 'top' } } },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Created At', key: 'createdAt', width: 20, style: { numFmt: DATE_FORMAT } },
+  { header: 'Updated At', key: 'updatedAt', width: 20, style: { numFmt: DATE_FORMAT } }
+];
+
+const HEADER_STYLE = {
+  font: { bold: true },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDDE4EE' } },
+  border: { bottom: { style: 'thin' } }
+};
+
+/**
+ * Converts a review to a row of the Reviews sheet
+ *
+ * @param {Object} review - Review object
+ * @returns {Object} Row values keyed by column
+ */
+export function toReviewRow(review) {
+  const toDate = (value) => value ? new Date(value) : null;
+
+  return {
+    id: review.id,
+    customerId: review.customerId,
+    customerName: review.customerName,
+    surveyType: review.surveyType,
+    rating: Number(review.rating),
+    title: review.title,
+    comment: review.comment,
+    status: review.status,
+    createdAt: toDate(review.createdAt),
+    updatedAt: toDate(review.updatedAt)
+  };
+}
+
+/**
+ * Applies the header style to a row
+ *
+ * @param {Object} row - exceljs row
+ */
+function styleHeader(row) {
+  row.eachCell(cell => {
+    cell.style = { ...cell.style, ...HEADER_STYLE };
+  });
+}
+
+/**
+ * Adds a breakdown table (value, count, share of total) to a sheet
+ *
+ * @param {Object} sheet - exceljs worksheet
+ * @param {string} title - Table title
+ * @param {string} label - Header of the value column
+ * @param {Array} entries - [value, count] pairs
+ * @param {number} total - Total for the share column
+ */
+function addBreakdownTable(sheet, title, label, entries, total) {
+  sheet.addRow([]).commit();
+  const titleRow = sheet.addRow([title]);
+  titleRow.font = { bold: true, size: 12 };
+  titleRow.commit();
+
+  const header = sheet.addRow([label, 'Count', 'Share']);
+  styleHeader(header);
+  header.commit();
+
+  for (const [value, count] of entries) {
+    const row = sheet.addRow([value, count, total > 0 ? count / total : 0]);
+    row.getCell(3).numFmt = SHARE_FORMAT;
+    row.commit();
+  }
+}
+
+/**
+ * Writes the Summary sheet
+ *
+ * @param {Object} workbook - exceljs streaming workbook writer
+ * @param {Object} summary - Summary as returned by GET /api/export/summary
+ */
+function writeSummarySheet(workbook, summary) {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 22 }, { width: 14 }, { width: 10 }];
+
+  const title = sheet.addRow(['Review Summary']);
+  title.font = { bold: true, size: 14 };
+  title.commit();
+
+  sheet.addRow(['Total reviews', summary.totalReviews]).commit();
+  sheet.addRow(['Average rating (CSAT)', summary.averageRating]).commit();
+  const generated = sheet.addRow(['Generated at', new Date(summary.generatedAt)]);
+  generated.getCell(2).numFmt = DATE_FORMAT;
+  generated.commit();
+
+  // Every rating is listed, also those without reviews
+  const ratings = [5, 4, 3, 2, 1].map(rating => [rating, summary.ratingBreakdown[rating] || 0]);
+  const csatReviews = ratings.reduce((sum, [, count]) => sum + count, 0);
+  addBreakdownTable(sheet, 'Rating Distribution (CSAT)', 'Rating', ratings, csatReviews);
+
+  const statuses = Object.entries(summary.statusBreakdown).sort(([, a], [, b]) => b - a);
+  addBreakdownTable(sheet, 'Status Breakdown', 'Status', statuses, summary.totalReviews);
+
+  const surveyTypes = Object.entries(summary.surveyTypeBreakdown || {}).sort(([, a], [, b]) => b - a);
+  addBreakdownTable(sheet, 'Survey Type Breakdown', 'Survey type', surveyTypes, summary.totalReviews);
+
+  sheet.commit();
+}
+
+/**
+ * Waits until the output stream has room for more data
+ *
+ * exceljs writes committed rows into the zip without waiting for it, so
+ * without this pause a large sheet would pile up in memory. The zip is
+ * piped into the output stream, so once the output has drained the zip has
+ * passed on what was written so far. Only the public stream API is used.
+ *
+ * @param {Writable} stream - Output stream
+ */
+async function waitForDrain(stream) {
+  // Let the zip stream compress and pass on what was written so far
+  await new Promise(resolve => setImmediate(resolve));
+
+  while (stream.writableNeedDrain && !stream.destroyed) {
+    // A closed stream never drains
+    await new Promise(resolve => {
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+      };
+      stream.once('drain', done);
+      stream.once('close', done);
+    });
+  }
+}
+
+/**
+ * Writes a reviews workbook to a stream
+ *
+ * @param {Writable} stream - Output stream (e.g. an HTTP response)
+ * @param {Iterable} rows - Reviews (array or database cursor)
+ * @param {Object} summary - Summary as returned by GET /api/export/summary
+ * @param {Array} [fields] - Keys of the Reviews sheet columns, in order (default: all)
+ * @returns {Promise<number>} Number of reviews written
+ */
+export async function writeReviewWorkbook(stream, rows, summary, fields) {
+  const columns = fields
+    ? fields.map(key => REVIEW_COLUMNS.find(column => column.key === key)).filter(Boolean)
+    : REVIEW_COLUMNS;
+  
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  workbook.creator = 'Customer Satisfaction API';
+  workbook.created = new Date(summary.generatedAt);
+
+  const sheet = workbook.addWorksheet('Reviews', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = columns;
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  styleHeader(sheet.getRow(1));
+
+  let count = 0;
+  for (const review of rows) {
+    sheet.addRow(toReviewRow(review)).commit();
+    count++;
+
+    if (count % XLSX_BATCH_SIZE === 0) {
+      await waitForDrain(stream);
+    }
+  }
+  sheet.commit();
+
+  writeSummarySheet(workbook, summary);
+  await workbook.commit();
+
+  return count;
+}
+
+// Test this service
+export async function testXlsxExportService() {
+  const reviews = [
+    { id: 'r1', customerId: 'c1', customerName: 'Ann "A" & Co', surveyType: 'csat', rating: 5, title: 'Great', comment: 'Line one,\nline "two"', status: 'approved', createdAt: '2024-01-02T03:04:05.000Z', updatedAt: '2024-01-02T03:04:05.000Z' },
+    { id: 'r2', customerId: 'c2', customerName: 'Bob', surveyType: 'csat', rating: 2, title: 'Meh', comment: 'Slow', status: 'pending', createdAt: '2024-01-03T00:00:00.000Z', updatedAt: '2024-01-04T00:00:00.000Z' }
+  ];
+  const summary = {
+    totalReviews: 2,
+    averageRating: 3.5,
+    statusBreakdown: { approved: 1, pending: 1 },
+    ratingBreakdown: { 5: 1, 2: 1 },
+    surveyTypeBreakdown: { csat: 2 },
+    generatedAt: '2024-01-05T00:00:00.000Z'
+  };
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const written = await writeReviewWorkbook(output, reviews, summary);
+  console.assert(written === 2, 'Every review should be written');
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.concat(chunks));
+
+  const sheet = workbook.getWorksheet('Reviews');
+  console.assert(sheet && workbook.getWorksheet('Summary'), 'Workbook should have a Reviews and a Summary sheet');
+  console.assert(sheet.getCell('A1').value === 'ID', 'Reviews sheet should start with the header row');
+  console.assert(sheet.getCell('D2').value === 'csat', 'Survey types should precede ratings');
+  console.assert(sheet.getCell('E2').value === 5, 'Ratings should be numbers');
+  console.assert(sheet.getCell('I2').value instanceof Date, 'Dates should be dates');
+  console.assert(sheet.getCell('G2').value === 'Line one,\nline "two"', 'Comments should survive commas, quotes and line breaks');
+
+  const projected = new PassThrough();
+  const projectedChunks = [];
+  projected.on('data', chunk => projectedChunks.push(chunk));
+  await writeReviewWorkbook(projected, reviews, summary, ['rating', 'id']);
+  const projectedBook = new ExcelJS.Workbook();
+  await projectedBook.xlsx.load(Buffer.concat(projectedChunks));
+  const projectedSheet = projectedBook.getWorksheet('Reviews');
+  console.assert(projectedSheet.getCell('A1').value === 'Rating' && projectedSheet.getCell('B2').value === 'r1'
+    && projectedSheet.columnCount === 2, 'Fields should select and order the columns');
+
+  // Nobody reads this output at first, so writing must pause until it drains
+  const slow = new PassThrough({ highWaterMark: 1024 });
+  const manyReviews = Array.from({ length: XLSX_BATCH_SIZE * 4 }, (_, i) => ({ ...reviews[0], id: `r${i}` }));
+  let finished = false;
+  const slowWrite = writeReviewWorkbook(slow, manyReviews, summary).then(count => {
+    finished = true;
+    return count;
+  });
+  for (let waited = 0; !slow.writableNeedDrain && !finished && waited < 5000; waited += 10) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  console.assert(!finished && slow.writableNeedDrain, 'Writing should wait for a slow output to drain');
+  const slowChunks = [];
+  slow.on('data', chunk => slowChunks.push(chunk));
+  console.assert(await slowWrite === manyReviews.length, 'Writing should resume once the output drains');
+  const slowBook = new ExcelJS.Workbook();
+  await slowBook.xlsx.load(Buffer.concat(slowChunks));
+  console.assert(slowBook.getWorksheet('Reviews').rowCount === manyReviews.length + 1, 'Every row should be written after draining');
+  
+  const summarySheet = workbook.getWorksheet('Summary');
+  const labels = [];
+  summarySheet.eachRow(row => labels.push(row.getCell(1).value));
+  console.assert(labels.includes('Rating Distribution (CSAT)') && labels.includes('Status Breakdown')
+    && labels.includes('Survey Type Breakdown'), 'Summary should contain the rating distribution and breakdowns');
+
+  console.log('XLSX export service tests passed!');
+}
\ No newline at end of file
@@ -4,11 +4,18 @@
  * Comprehensive tests for the Reviews API endpoints.
  * Run this file to test all functionality.
  * 
- * To run: node src/tests/apiTests.js
+ * To run: API_KEY=<admin key> node src/tests/apiTests.js
+ * (create a key with: npm run apikey -- create api-tests admin)
  */
 
+import crypto from 'crypto';
+import http from 'http';
+
 const API_BASE = 'http://localhost:2509/api';
 
+// Admin API key used for all requests unless a test overrides X-API-Key
+const API_KEY = process.env.API_KEY;
+
 /**
  * Makes an HTTP request to the API
  * 
@@ -20,11 +27,12 @@ async function makeRequest(endpoint, options = {}) {
   try {
     const url = `${API_BASE}${endpoint}`;
     const response = await fetch(url, {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(API_KEY ? { 'X-API-Key': API_KEY } : {}),
         ...options.headers
-      },
-      ...options
+      }
     });
     
     const data = await response.json();
@@ -112,6 +120,31 @@ async function testGetReviewById(reviewId) {
   console.log('✓ Get review by ID test passed');
 }
 
+/**
+ * Test full-text search over title and comment
+ */
+async function testSearchReviews(reviewId) {
+  console.log('Testing full-text search...');
+  
+  // Phrase query
+  const phraseResponse = await makeRequest(`/reviews?q=${encodeURIComponent('"excellent service"')}`);
+  assert(phraseResponse.status === 200, `Expected status 200, got ${phraseResponse.status}`);
+  const phraseMatch = phraseResponse.data.data.reviews.find(review => review.id === reviewId);
+  assert(phraseMatch, 'Phrase search should find the created review');
+  assert(typeof phraseMatch.search.rank === 'number', 'Search results should include a rank');
+  assert(phraseMatch.search.title.includes('<mark>'), 'Search results should include a highlighted title');
+  
+  // Prefix query
+  const prefixResponse = await makeRequest(`/reviews?q=${encodeURIComponent('satisf*')}`);
+  assert(prefixResponse.data.data.reviews.some(review => review.id === reviewId), 'Prefix search should find the created review');
+  
+  // Invalid query syntax
+  const invalidResponse = await makeRequest(`/reviews?q=${encodeURIComponent('"unterminated')}`);
+  assert(invalidResponse.status === 400, `Expected status 400 for invalid query, got ${invalidResponse.status}`);
+  
+  console.log('✓ Full-text search test passed');
+}
+
 /**
  * Test updating a review
  */
@@ -126,6 +159,7 @@ async function testUpdateReview(reviewId) {
   
   const response = await makeRequest(`/reviews/${reviewId}`, {
     method: 'PUT',
+    headers: { 'X-Actor': 'api-tests' },
     body: JSON.stringify(updateData)
   });
   
@@ -137,6 +171,496 @@ async function testUpdateReview(reviewId) {
   console.log('✓ Review update test passed');
 }
 
+/**
+ * Test revision history and reverting to an earlier revision
+ */
+async function testReviewHistory(reviewId) {
+  console.log('Testing review history...');
+  
+  const historyResponse = await makeRequest(`/reviews/${reviewId}/history`);
+  assert(historyResponse.status === 200, `Expected status 200, got ${historyResponse.status}`);
+  
+  const revisions = historyResponse.data.data.revisions;
+  const createRevision = revisions.find(revision => revision.action === 'create');
+  const updateRevision = revisions.find(revision => revision.action === 'update');
+  assert(createRevision, 'History should contain the create revision');
+  assert(updateRevision, 'History should contain the update revision');
+  assert(updateRevision.changes.rating.from === 5 && updateRevision.changes.rating.to === 4, 'Update revision should diff the rating');
+  assert(updateRevision.actor === 'api-tests', 'Update revision should record the actor');
+  
+  // The original revision is pending, and approved reviews cannot go back to pending
+  const forbiddenResponse = await makeRequest(`/reviews/${reviewId}/revert/${createRevision.id}`, { method: 'POST' });
+  assert(forbiddenResponse.status === 409, `Expected status 409 for a forbidden status revert, got ${forbiddenResponse.status}`);
+  assert(Array.isArray(forbiddenResponse.data.allowedStatuses), 'Forbidden reverts should list the allowed statuses');
+  
+  // Revert an edit made after the update
+  await makeRequest(`/reviews/${reviewId}`, { method: 'PUT', body: JSON.stringify({ rating: 3 }) });
+  const revertResponse = await makeRequest(`/reviews/${reviewId}/revert/${updateRevision.id}`, {
+    method: 'POST',
+    headers: { 'X-Actor': 'api-tests' }
+  });
+  assert(revertResponse.status === 200, `Expected status 200, got ${revertResponse.status}`);
+  assert(revertResponse.data.data.rating === 4, 'Revert should restore the rating of the revision');
+  
+  const latestResponse = await makeRequest(`/reviews/${reviewId}/history`);
+  assert(latestResponse.data.data.revisions[0].action === 'revert', 'Revert should be recorded as the newest revision');
+  assert(latestResponse.data.data.revisions[0].revertedRevisionId === updateRevision.id, 'Revert should reference the restored revision');
+  
+  console.log('✓ Review history test passed');
+}
+
+/**
+ * Test the moderation endpoints, state machine and queue
+ */
+async function testModeration(reviewId) {
+  console.log('Testing moderation workflow...');
+  
+  const moderatorHeaders = { 'X-Actor': 'api-tests-moderator' };
+  
+  const flagResponse = await makeRequest(`/reviews/${reviewId}/flag`, {
+    method: 'POST',
+    headers: moderatorHeaders,
+    body: JSON.stringify({ reason: 'Possible competitor review' })
+  });
+  assert(flagResponse.status === 200, `Expected status 200, got ${flagResponse.status}`);
+  assert(flagResponse.data.data.status === 'flagged', 'Review should be flagged');
+  assert(flagResponse.data.data.moderatedBy === 'api-tests-moderator', 'Flag should record the moderator');
+  assert(flagResponse.data.data.moderatedAt, 'Flag should record the moderation time');
+  
+  const queueResponse = await makeRequest('/reviews/queue?status=flagged');
+  assert(queueResponse.status === 200, `Expected status 200, got ${queueResponse.status}`);
+  const queued = queueResponse.data.data.reviews.find(review => review.id === reviewId);
+  assert(queued && queued.priority === 2, 'Flagged review should be in the queue with the highest priority');
+  
+  const noReasonResponse = await makeRequest(`/reviews/${reviewId}/reject`, { method: 'POST', headers: moderatorHeaders });
+  assert(noReasonResponse.status === 400, 'Rejecting without a reason should return 400');
+  
+  const invalidTransitionResponse = await makeRequest(`/reviews/${reviewId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ status: 'pending' })
+  });
+  assert(invalidTransitionResponse.status === 409, 'Moving a flagged review back to pending should return 409');
+  assert(Array.isArray(invalidTransitionResponse.data.allowedStatuses), 'Invalid transition should list the allowed statuses');
+  
+  const rejectResponse = await makeRequest(`/reviews/${reviewId}/reject`, {
+    method: 'POST',
+    headers: moderatorHeaders,
+    body: JSON.stringify({ reason: 'Not a customer' })
+  });
+  assert(rejectResponse.status === 200, `Expected status 200, got ${rejectResponse.status}`);
+  assert(rejectResponse.data.data.status === 'rejected', 'Review should be rejected');
+  assert(rejectResponse.data.data.moderationReason === 'Not a customer', 'Rejection should store the reason');
+  
+  const approveResponse = await makeRequest(`/reviews/${reviewId}/approve`, { method: 'POST', headers: moderatorHeaders });
+  assert(approveResponse.status === 409, 'Approving a rejected review should return 409');
+  
+  const historyResponse = await makeRequest(`/reviews/${reviewId}/history`);
+  const latestRevision = historyResponse.data.data.revisions[0];
+  assert(latestRevision.action === 'status_change', 'Rejection should be recorded as a status change');
+  assert(latestRevision.changes.moderationReason.to === 'Not a customer', 'Status change revision should include the reason');
+  
+  // Updates cannot forge the moderator or clear a required reason
+  const forgedResponse = await makeRequest(`/reviews/${reviewId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ moderatedBy: 'someone-else', moderatedAt: '2000-01-01T00:00:00.000Z' })
+  });
+  assert(forgedResponse.status === 200, `Expected status 200, got ${forgedResponse.status}`);
+  assert(forgedResponse.data.data.moderatedBy === 'api-tests-moderator' && forgedResponse.data.data.moderatedAt === rejectResponse.data.data.moderatedAt,
+    'Updates should ignore the moderator fields');
+  
+  const clearReasonResponse = await makeRequest(`/reviews/${reviewId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ moderationReason: null })
+  });
+  assert(clearReasonResponse.status === 400, 'Clearing the reason of a rejected review should return 400');
+  
+  // Reverts change the status through the state machine too
+  const flagRevision = historyResponse.data.data.revisions.find(revision => revision.snapshot.status === 'flagged');
+  const revertFlagResponse = await makeRequest(`/reviews/${reviewId}/revert/${flagRevision.id}`, { method: 'POST' });
+  assert(revertFlagResponse.status === 409, 'Reverting a rejected review to flagged should return 409');
+  
+  const pendingRevision = historyResponse.data.data.revisions.find(revision => revision.action === 'create');
+  const revertPendingResponse = await makeRequest(`/reviews/${reviewId}/revert/${pendingRevision.id}`, {
+    method: 'POST',
+    headers: moderatorHeaders
+  });
+  assert(revertPendingResponse.status === 200, `Expected status 200, got ${revertPendingResponse.status}`);
+  assert(revertPendingResponse.data.data.status === 'pending' && revertPendingResponse.data.data.moderatedBy === 'api-tests-moderator',
+    'Reverting the status should record who reverted it as the moderator');
+  
+  console.log('✓ Moderation workflow test passed');
+}
+
+/**
+ * Test API key authentication and role permissions
+ */
+async function testAccessControl() {
+  console.log('Testing API key access control...');
+  
+  const anonymousResponse = await makeRequest('/reviews', { headers: { 'X-API-Key': '' } });
+  if (anonymousResponse.status === 200) {
+    console.log('✓ Access control test skipped (authentication disabled)');
+    return;
+  }
+  assert(anonymousResponse.status === 401, `Expected status 401 without API key, got ${anonymousResponse.status}`);
+  
+  const invalidResponse = await makeRequest('/reviews', { headers: { 'X-API-Key': 'csk_invalid' } });
+  assert(invalidResponse.status === 401, 'Unknown API keys should be rejected');
+  
+  const createKeyResponse = await makeRequest('/keys', {
+    method: 'POST',
+    body: JSON.stringify({ name: 'api-tests-viewer', role: 'viewer' })
+  });
+  assert(createKeyResponse.status === 201, `Expected status 201, got ${createKeyResponse.status}`);
+  const { id, apiKey } = createKeyResponse.data.data;
+  assert(apiKey && apiKey.startsWith('csk_'), 'Created key should be returned once');
+  
+  const viewerHeaders = { 'X-API-Key': apiKey };
+  
+  const readResponse = await makeRequest('/reviews', { headers: viewerHeaders });
+  assert(readResponse.status === 200, 'Viewers should be able to read reviews');
+  
+  const writeResponse = await makeRequest('/reviews', {
+    method: 'POST',
+    headers: viewerHeaders,
+    body: JSON.stringify({ customerId: 'c', customerName: 'Viewer', rating: 3, title: 'No', comment: 'Not allowed' })
+  });
+  assert(writeResponse.status === 403, 'Viewers should not be able to create reviews');
+  
+  const exportResponse = await makeRequest('/export/summary', { headers: viewerHeaders });
+  assert(exportResponse.status === 403, 'Viewers should not be able to export');
+  
+  const keysResponse = await makeRequest('/keys', { headers: viewerHeaders });
+  assert(keysResponse.status === 403, 'Viewers should not be able to manage API keys');
+  
+  const listResponse = await makeRequest('/keys');
+  const listedKey = listResponse.data.data.find(key => key.id === id);
+  assert(listedKey && !listedKey.apiKey && !listedKey.keyHash, 'Listed keys should not expose the key or its hash');
+  
+  const revokeResponse = await makeRequest(`/keys/${id}`, { method: 'DELETE' });
+  assert(revokeResponse.status === 200, `Expected status 200, got ${revokeResponse.status}`);
+  
+  const revokedResponse = await makeRequest('/reviews', { headers: viewerHeaders });
+  assert(revokedResponse.status === 401, 'Revoked keys should be rejected');
+  
+  console.log('✓ Access control test passed');
+}
+
+/**
+ * Test that workspaces isolate their reviews and that workspace-bound keys
+ * cannot leave their workspace
+ */
+async function testWorkspaces(defaultReviewId) {
+  console.log('Testing workspace isolation...');
+  
+  const workspaceId = `api-tests-${Date.now()}`;
+  const createResponse = await makeRequest('/workspaces', {
+    method: 'POST',
+    body: JSON.stringify({ id: workspaceId, name: 'API Tests' })
+  });
+  assert(createResponse.status === 201, `Expected status 201, got ${createResponse.status}`);
+  
+  const duplicateResponse = await makeRequest('/workspaces', {
+    method: 'POST',
+    body: JSON.stringify({ id: workspaceId, name: 'API Tests' })
+  });
+  assert(duplicateResponse.status === 409, 'Duplicate workspaces should be rejected');
+  
+  const workspaceHeaders = { 'X-Workspace-Id': workspaceId };
+  const reviewResponse = await makeRequest('/reviews', {
+    method: 'POST',
+    headers: workspaceHeaders,
+    body: JSON.stringify({
+      customerId: 'workspace_customer',
+      customerName: 'Wanda Workspace',
+      rating: 4,
+      title: 'Tenant review',
+      comment: 'Only visible in its own workspace.'
+    })
+  });
+  assert(reviewResponse.status === 201, `Expected status 201, got ${reviewResponse.status}`);
+  const reviewId = reviewResponse.data.data.id;
+  
+  const pathResponse = await makeRequest(`/workspaces/${workspaceId}/reviews/${reviewId}`);
+  assert(pathResponse.status === 200, 'Reviews should be reachable under /api/workspaces/:workspaceId');
+  
+  const pathListResponse = await makeRequest(`/workspaces/${workspaceId}/reviews`);
+  assert(pathListResponse.data.data.total === 1, 'A new workspace should only contain its own review');
+  
+  const defaultResponse = await makeRequest(`/reviews/${reviewId}`);
+  assert(defaultResponse.status === 404, 'Reviews should not be visible in other workspaces');
+  
+  const crossResponse = await makeRequest(`/workspaces/${workspaceId}/reviews/${defaultReviewId}`);
+  assert(crossResponse.status === 404, 'Default workspace reviews should not be visible in other workspaces');
+  
+  const summaryResponse = await makeRequest('/export/summary', { headers: workspaceHeaders });
+  assert(summaryResponse.data.data.totalReviews === 1, 'Exports should only contain the workspace reviews');
+  
+  const unknownResponse = await makeRequest('/reviews', { headers: { 'X-Workspace-Id': 'no-such-workspace' } });
+  assert(unknownResponse.status === 404, 'Unknown workspaces should return 404');
+  
+  const keyResponse = await makeRequest('/keys', {
+    method: 'POST',
+    body: JSON.stringify({ name: 'api-tests-workspace', role: 'admin', workspaceId })
+  });
+  if (keyResponse.status !== 201) {
+    console.log('✓ Workspace test passed (scoped keys skipped, authentication disabled)');
+    return;
+  }
+  const scopedHeaders = { 'X-API-Key': keyResponse.data.data.apiKey };
+  
+  const ownResponse = await makeRequest(`/workspaces/${workspaceId}/reviews`, { headers: scopedHeaders });
+  assert(ownResponse.status === 200, 'Scoped keys should access their workspace');
+  
+  const otherResponse = await makeRequest('/reviews', { headers: scopedHeaders });
+  assert(otherResponse.status === 403, 'Scoped keys should not access other workspaces');
+  
+  const adminResponse = await makeRequest('/keys', { headers: scopedHeaders });
+  assert(adminResponse.status === 403, 'Scoped keys should not have the admin permission');
+  
+  const jobResponse = await makeRequest(`/workspaces/${workspaceId}/export/jobs`, {
+    method: 'POST',
+    headers: scopedHeaders,
+    body: JSON.stringify({ name: 'Tenant snapshot', schedule: '@daily', format: 'ndjson' })
+  });
+  assert(jobResponse.status === 201, 'Scoped keys should schedule exports of their workspace');
+  await makeRequest(`/workspaces/${workspaceId}/export/jobs/${jobResponse.data.data.id}`, { method: 'DELETE', headers: scopedHeaders });
+  
+  const ruleResponse = await makeRequest(`/workspaces/${workspaceId}/alerts/rules`, {
+    method: 'POST',
+    headers: scopedHeaders,
+    body: JSON.stringify({ name: 'Tenant ratings', metric: 'averageRating', type: 'threshold', operator: 'below', threshold: 3 })
+  });
+  assert(ruleResponse.status === 201, 'Scoped keys should create alert rules for their workspace');
+  await makeRequest(`/workspaces/${workspaceId}/alerts/rules/${ruleResponse.data.data.id}`, { method: 'DELETE', headers: scopedHeaders });
+  
+  await makeRequest(`/keys/${keyResponse.data.data.id}`, { method: 'DELETE' });
+  
+  console.log('✓ Workspace test passed');
+}
+
+/**
+ * Wait until a condition holds, polling every 100ms
+ * 
+ * @param {Function} condition - Async function returning a truthy value when done
+ * @param {number} [timeoutMs=5000] - Maximum time to wait
+ * @returns {Promise<*>} Last value of the condition
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  let value = await condition();
+  while (!value && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    value = await condition();
+  }
+  return value;
+}
+
+/**
+ * Test webhook subscriptions against a local HTTP receiver
+ */
+async function testWebhooks() {
+  console.log('Testing webhooks...');
+  
+  // Receiver that records every request; /fail always answers 500
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/fail' ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  
+  try {
+    const invalidResponse = await makeRequest('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({ url: 'not a url', events: ['review.exploded'] })
+    });
+    assert(invalidResponse.status === 400, 'Invalid webhooks should be rejected');
+    
+    const createResponse = await makeRequest('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({ url: `${receiverUrl}/hook`, events: ['review.created', 'review.approved'] })
+    });
+    assert(createResponse.status === 201, `Expected status 201, got ${createResponse.status}`);
+    const { id: webhookId, secret } = createResponse.data.data;
+    assert(secret && secret.startsWith('whsec_'), 'The signing secret should be returned on creation');
+    
+    const getResponse = await makeRequest(`/webhooks/${webhookId}`);
+    assert(getResponse.status === 200 && !getResponse.data.data.secret, 'The signing secret should not be returned again');
+    
+    const reviewResponse = await makeRequest('/reviews', {
+      method: 'POST',
+      body: JSON.stringify({
+        customerId: 'webhook_customer',
+        customerName: 'Hank Hook',
+        rating: 5,
+        title: 'Webhook review',
+        comment: 'Should be delivered to the receiver.'
+      })
+    });
+    const reviewId = reviewResponse.data.data.id;
+    
+    await waitFor(() => received.length >= 1);
+    assert(received.length === 1, `Expected 1 delivery, got ${received.length}`);
+    const [created] = received;
+    assert(created.headers['x-webhook-event'] === 'review.created', 'Delivery should name the event');
+    const [, timestamp, signature] = created.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${created.body}`).digest('hex');
+    assert(signature === expected, 'Delivery should be signed with the webhook secret');
+    const payload = JSON.parse(created.body);
+    assert(payload.event === 'review.created' && payload.data.review.id === reviewId, 'Payload should contain the review');
+    
+    // Updates are not subscribed, approvals are
+    await makeRequest(`/reviews/${reviewId}`, { method: 'PUT', body: JSON.stringify({ title: 'Webhook review (edited)' }) });
+    await makeRequest(`/reviews/${reviewId}/approve`, { method: 'POST', body: JSON.stringify({}) });
+    await waitFor(() => received.length >= 2);
+    assert(received.length === 2 && received[1].headers['x-webhook-event'] === 'review.approved',
+      'Only subscribed events should be delivered');
+    
+    const deliveriesResponse = await makeRequest(`/webhooks/${webhookId}/deliveries?status=delivered`);
+    assert(deliveriesResponse.data.data.total === 2, 'The delivery log should contain both deliveries');
+    
+    // Failed deliveries stay queued for a retry
+    await makeRequest(`/webhooks/${webhookId}`, { method: 'PUT', body: JSON.stringify({ url: `${receiverUrl}/fail` }) });
+    await makeRequest(`/reviews/${reviewId}/reject`, { method: 'POST', body: JSON.stringify({ reason: 'Webhook test' }) });
+    await makeRequest(`/webhooks/${webhookId}`, { method: 'PUT', body: JSON.stringify({ events: ['*'] }) });
+    await makeRequest(`/reviews/${reviewId}`, { method: 'DELETE' });
+    const retried = await waitFor(async () => {
+      const response = await makeRequest(`/webhooks/${webhookId}/deliveries?status=pending`);
+      const delivery = response.data.data.deliveries[0];
+      return delivery && delivery.attempts === 1 ? delivery : null;
+    });
+    assert(retried && retried.event === 'review.deleted', 'Failed deliveries should be queued for a retry');
+    assert(retried.responseStatus === 500 && new Date(retried.nextAttemptAt) > new Date(),
+      'Failed deliveries should record the response and the next attempt');
+    
+    const deleteResponse = await makeRequest(`/webhooks/${webhookId}`, { method: 'DELETE' });
+    assert(deleteResponse.status === 200, `Expected status 200, got ${deleteResponse.status}`);
+  } finally {
+    receiver.close();
+  }
+  
+  console.log('✓ Webhook test passed');
+}
+
+/**
+ * Opens a Server-Sent Events stream and collects its events
+ * 
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} Stream with status, events array, next(predicate) and close()
+ */
+async function openEventStream(endpoint, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    headers: {
+      Accept: 'text/event-stream',
+      ...(API_KEY ? { 'X-API-Key': API_KEY } : {}),
+      ...headers
+    },
+    signal: controller.signal
+  });
+  
+  const events = [];
+  if (response.ok) {
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let separator;
+        while ((separator = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, separator);
+          buffer = buffer.slice(separator + 2);
+          const event = {};
+          for (const line of block.split('\n')) {
+            const [, field, value] = line.match(/^(\w+): ?(.*)$/) || [];
+            if (field === 'id' || field === 'event') event[field] = value;
+            if (field === 'data') event.data = JSON.parse(value);
+          }
+          if (event.event) events.push(event);
+        }
+      }
+    })().catch(() => {});
+  }
+  
+  return {
+    status: response.status,
+    events,
+    next: (predicate) => waitFor(() => events.find(predicate)),
+    close: () => controller.abort()
+  };
+}
+
+/**
+ * Test the review event stream, its filters and resuming
+ */
+async function testReviewStream() {
+  console.log('Testing review event stream...');
+  
+  const stream = await openEventStream('/reviews/stream?rating=2');
+  assert(stream.status === 200, `Expected status 200, got ${stream.status}`);
+  
+  try {
+    const kpi = await stream.next(event => event.event === 'kpi');
+    assert(kpi && typeof kpi.data.totalReviews === 'number', 'The stream should start with the live KPIs');
+    
+    const create = (rating) => makeRequest('/reviews', {
+      method: 'POST',
+      body: JSON.stringify({ customerId: 'stream_customer', customerName: 'Sam Stream', rating, title: 'Stream review', comment: 'Live update.' })
+    });
+    const lowReview = (await create(2)).data.data;
+    const highReview = (await create(5)).data.data;
+    await makeRequest(`/reviews/${lowReview.id}`, { method: 'DELETE' });
+    
+    const created = await stream.next(event => event.event === 'review.created');
+    assert(created && created.data.review.id === lowReview.id, 'Created reviews should be streamed');
+    assert(created.data.kpiDelta.totalReviews === 1 && created.data.kpiDelta.ratingSum === 2, 'Events should carry KPI deltas');
+    
+    const deleted = await stream.next(event => event.event === 'review.deleted');
+    assert(deleted && deleted.data.kpiDelta.totalReviews === -1, 'Deleted reviews should be streamed');
+    assert(!stream.events.some(event => event.data.review?.id === highReview.id), 'Filtered reviews should not be streamed');
+    
+    // Reverting a review in the trash restores it
+    const lowHistory = await makeRequest(`/reviews/${lowReview.id}/history`);
+    const lowCreateRevision = lowHistory.data.data.revisions.find(revision => revision.action === 'create');
+    await makeRequest(`/reviews/${lowReview.id}/revert/${lowCreateRevision.id}`, { method: 'POST' });
+    const restored = await stream.next(event => event.event === 'review.restored');
+    assert(restored && restored.data.review.id === lowReview.id && restored.data.kpiDelta.totalReviews === 1,
+      'Reverting a review in the trash should stream review.restored');
+    stream.close();
+    
+    // Resume after the created event: the delete is replayed
+    const resumed = await openEventStream('/reviews/stream?rating=2', { 'Last-Event-ID': created.id });
+    const replayed = await resumed.next(event => event.event === 'kpi');
+    resumed.close();
+    assert(replayed && resumed.events[0].id === deleted.id, 'Resumed streams should replay missed events');
+    
+    // EventSource clients cannot send headers and pass the key as a query parameter
+    if (API_KEY) {
+      const queryKey = await openEventStream(`/reviews/stream?apiKey=${encodeURIComponent(API_KEY)}`, { 'X-API-Key': '' });
+      queryKey.close();
+      assert(queryKey.status === 200, 'Streams should accept the API key as a query parameter');
+    }
+    
+    const invalid = await openEventStream('/reviews/stream?status=unknown');
+    assert(invalid.status === 400, 'Invalid filters should be rejected');
+    
+    await makeRequest(`/reviews/${highReview.id}`, { method: 'DELETE' });
+    await makeRequest(`/reviews/${lowReview.id}`, { method: 'DELETE' });
+  } finally {
+    stream.close();
+  }
+  
+  console.log('✓ Review stream test passed');
+}
+
 /**
  * Test review validation
  */
@@ -180,6 +704,363 @@ async function testExportFunctionality() {
   console.log('✓ Export functionality test passed');
 }
 
+/**
+ * Test time zones of the metrics, usage and export summary endpoints
+ */
+async function testTimeZones() {
+  console.log('Testing time zones...');
+  
+  // Clocks go back in Berlin on 26 October 2025: the day has 25 hours
+  const hours = await makeRequest('/metrics/timeseries?startDate=2025-10-26&endDate=2025-10-26&granularity=hour&tz=Europe/Berlin');
+  assert(hours.status === 200, `Expected status 200 for hourly metrics, got ${hours.status}`);
+  assert(hours.data.data.length === 25, `Expected 25 hours, got ${hours.data.data.length}`);
+  assert(hours.data.data[0].date === '2025-10-26T00:00:00.000+02:00', 'Hours should start at local midnight');
+  assert(hours.data.meta.timeZone === 'Europe/Berlin', 'Meta should include the time zone');
+  
+  const days = await makeRequest('/metrics?startDate=2025-10-26&endDate=2025-10-27&tz=Europe/Berlin');
+  assert(days.data.data[1].date === '2025-10-27T00:00:00.000+01:00', 'Days should follow the offset change');
+  
+  // The summary covers whole local days
+  const summary = await makeRequest('/metrics/summary?startDate=2025-11-07&endDate=2025-11-07&tz=America/New_York&comparison=none');
+  assert(summary.data.data.period.startDate === '2025-11-07T05:00:00.000Z', 'Summary should start at local midnight');
+  assert(summary.data.data.period.endDate === '2025-11-08T04:59:59.999Z', 'Summary should end at local midnight');
+  
+  const usage = await makeRequest('/usage/summary?startDate=2025-11-07&endDate=2025-11-07&tz=Asia/Tokyo');
+  assert(usage.data.data.period.startDate === '2025-11-06T15:00:00.000Z', 'Usage summary should cover local days');
+  
+  const exported = await makeRequest('/export/summary?startDate=2025-11-07&endDate=2025-11-07&tz=Europe/Berlin');
+  assert(exported.data.meta.endDate === '2025-11-07T22:59:59.999Z', 'Export summary should cover local days');
+  const berlinUsage = await makeRequest('/usage/summary?startDate=2025-11-07&endDate=2025-11-07&tz=Europe/Berlin');
+  assert(exported.data.data.totalReviews === berlinUsage.data.data.totalRecords,
+    'Export and usage summaries should count the same local day');
+  
+  for (const endpoint of ['/metrics/timeseries', '/metrics', '/metrics/summary', '/usage/summary', '/export/summary']) {
+    const invalid = await makeRequest(`${endpoint}?tz=Mars/Olympus_Mons`);
+    assert(invalid.status === 400, `Expected status 400 for an unknown time zone on ${endpoint}, got ${invalid.status}`);
+  }
+  
+  console.log('✓ Time zone test passed');
+}
+
+/**
+ * Test the significance statistics of the metrics summary comparison
+ */
+async function testSummaryStatistics() {
+  console.log('Testing summary statistics...');
+  
+  const response = await makeRequest('/metrics/summary?startDate=2025-11-01&endDate=2025-11-07');
+  assert(response.status === 200, `Expected status 200 for the summary, got ${response.status}`);
+  const { comparison, metrics } = response.data.data;
+  assert(comparison.confidenceLevel === 0.95, 'Comparison should state its confidence level');
+  
+  for (const kpi of Object.keys(comparison.changes)) {
+    const stats = comparison.statistics[kpi];
+    assert(stats && typeof stats.significant === 'boolean' && typeof stats.current.n === 'number',
+      `${kpi} should have sample sizes and a significance flag`);
+  }
+  assert(comparison.statistics.totalReviews.current.n === metrics.totalReviews, 'Sample sizes should match the period');
+  assert(comparison.statistics.approvedReviews.test === 'two_proportion_z' && comparison.statistics.averageRating.test === 'welch_t',
+    'Proportions and means should use their own tests');
+  
+  console.log('✓ Summary statistics test passed');
+}
+
+/**
+ * Test survey types: per-type rating ranges and the NPS, CSAT and CES metrics
+ */
+async function testSurveyTypes() {
+  console.log('Testing survey types...');
+  
+  const review = {
+    customerId: 'survey-customer',
+    customerName: 'Survey Customer',
+    surveyType: 'nps',
+    rating: 10,
+    title: 'Would recommend',
+    comment: 'Would recommend this to a friend'
+  };
+  
+  const before = await makeRequest('/metrics/nps?comparison=none');
+  assert(before.status === 200, `Expected status 200 for NPS metrics, got ${before.status}`);
+  
+  const created = await makeRequest('/reviews', { method: 'POST', body: JSON.stringify(review) });
+  assert(created.status === 201, `Expected status 201 for an NPS review, got ${created.status}`);
+  assert(created.data.data.surveyType === 'nps' && created.data.data.rating === 10, 'NPS reviews should keep ratings up to 10');
+  const reviewId = created.data.data.id;
+  
+  for (const invalid of [{ rating: 11 }, { surveyType: 'csat', rating: 7 }, { surveyType: 'ces', rating: 0 }, { surveyType: 'stars' }]) {
+    const response = await makeRequest('/reviews', { method: 'POST', body: JSON.stringify({ ...review, ...invalid }) });
+    assert(response.status === 400, `Expected status 400 for ${JSON.stringify(invalid)}, got ${response.status}`);
+  }
+  
+  // Updates are checked against the range of the review's survey type
+  const switched = await makeRequest(`/reviews/${reviewId}`, { method: 'PUT', body: JSON.stringify({ surveyType: 'csat' }) });
+  assert(switched.status === 400, `Expected status 400 for a rating out of the new range, got ${switched.status}`);
+  const lowered = await makeRequest(`/reviews/${reviewId}`, { method: 'PUT', body: JSON.stringify({ rating: 9 }) });
+  assert(lowered.status === 200 && lowered.data.data.surveyType === 'nps', 'NPS ratings should update within 0-10');
+  
+  const after = await makeRequest('/metrics/nps?comparison=none');
+  const { metrics } = after.data.data;
+  assert(metrics.responses === before.data.data.metrics.responses + 1 &&
+    metrics.counts.promoters === before.data.data.metrics.counts.promoters + 1, 'NPS should count the new promoter');
+  assert(after.data.data.comparison === null, 'comparison=none should not compare');
+  
+  const filtered = await makeRequest('/reviews?surveyType=nps');
+  const { reviews } = filtered.data.data;
+  assert(reviews.every(r => r.surveyType === 'nps') && reviews.some(r => r.id === reviewId),
+    'Reviews should be filtered by survey type');
+  
+  for (const endpoint of ['/metrics/csat', '/metrics/ces?comparison=last_year']) {
+    const response = await makeRequest(endpoint);
+    assert(response.status === 200 && response.data.data.comparison.period, `${endpoint} should compare periods`);
+  }
+  const invalid = await makeRequest('/metrics/nps?comparison=yesterday');
+  assert(invalid.status === 400, `Expected status 400 for an unknown comparison, got ${invalid.status}`);
+  
+  await makeRequest(`/reviews/${reviewId}`, { method: 'DELETE' });
+  
+  console.log('✓ Survey type test passed');
+}
+
+/**
+ * Test the incremental export: changes since a cursor, with tombstones
+ */
+async function testExportChanges() {
+  console.log('Testing incremental export...');
+  
+  // Read the change log to its end, as a warehouse's first full load would
+  let cursor;
+  let hasMore = true;
+  while (hasMore) {
+    const page = await makeRequest(`/export/changes?limit=500${cursor ? `&since=${cursor}` : ''}`);
+    assert(page.status === 200, `Expected status 200, got ${page.status}`);
+    ({ cursor, hasMore } = page.data.data);
+  }
+  
+  const emptyResponse = await makeRequest(`/export/changes?since=${cursor}`);
+  assert(emptyResponse.data.data.changes.length === 0, 'Nothing should have changed since the latest cursor');
+  assert(emptyResponse.data.data.cursor === cursor, 'The cursor should not move without changes');
+  
+  const created = await makeRequest('/reviews', {
+    method: 'POST',
+    body: JSON.stringify({ customerId: 'cdc_customer', customerName: 'Cdc Test', rating: 3, title: 'Change capture', comment: 'Incremental export test' })
+  });
+  const reviewId = created.data.data.id;
+  
+  // Several changes within the same millisecond must still be picked up
+  await makeRequest(`/reviews/${reviewId}`, { method: 'PUT', body: JSON.stringify({ rating: 4 }) });
+  await makeRequest(`/reviews/${reviewId}`, { method: 'PUT', body: JSON.stringify({ rating: 5 }) });
+  
+  const upserted = await makeRequest(`/export/changes?since=${cursor}`);
+  const upserts = upserted.data.data.changes.filter(change => change.reviewId === reviewId);
+  assert(upserts.length === 1, 'A review should appear once with its latest state');
+  assert(upserts[0].operation === 'upsert' && upserts[0].review.rating === 5, 'The change should hold the current review');
+  
+  const deleted = await makeRequest(`/reviews/${reviewId}`, { method: 'DELETE' });
+  assert(deleted.status === 200, 'Review should be deleted');
+  
+  const tombstoned = await makeRequest(`/export/changes?since=${upserted.data.data.cursor}`);
+  const tombstone = tombstoned.data.data.changes.find(change => change.reviewId === reviewId);
+  assert(tombstone && tombstone.operation === 'delete' && tombstone.review === null,
+    'Deleted reviews should be exported as tombstones');
+  
+  const invalidResponse = await makeRequest('/export/changes?since=not-a-cursor');
+  assert(invalidResponse.status === 400, `Expected status 400 for an invalid cursor, got ${invalidResponse.status}`);
+  
+  console.log('✓ Incremental export test passed');
+}
+
+/**
+ * Test bulk import: dry run, all-or-nothing commit, duplicates and the report
+ */
+async function testBulkImport() {
+  console.log('Testing bulk import...');
+  
+  const suffix = Date.now();
+  const header = 'id,customerId,customerName,rating,title,comment';
+  const validRow = `import_a_${suffix},cust_import,Ida Import,4,"Imported, with comma","She said ""great""\nover two lines"`;
+  const invalidRow = `import_b_${suffix},cust_import,Ida Import,9,Bad rating,Rating out of range`;
+  const csv = [header, validRow, invalidRow].join('\n');
+  
+  const dryRun = await makeRequest('/import?dryRun=true', {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: csv
+  });
+  assert(dryRun.status === 200, `Expected status 200 for a dry run, got ${dryRun.status}`);
+  assert(dryRun.data.data.committed === false, 'Dry runs should not commit');
+  assert(dryRun.data.data.summary.created === 1 && dryRun.data.data.summary.invalid === 1, 'Dry run should report every row');
+  assert(dryRun.data.data.rows[1].errors.length > 0, 'Invalid rows should carry their errors');
+  
+  const rejected = await makeRequest('/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: csv
+  });
+  assert(rejected.status === 400, `Expected status 400 for an invalid import, got ${rejected.status}`);
+  const notImported = await makeRequest(`/reviews/import_a_${suffix}`);
+  assert(notImported.status === 404, 'No row should be imported when any row is invalid');
+  
+  const validCsv = [header, validRow].join('\n');
+  const imported = await makeRequest('/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: validCsv
+  });
+  assert(imported.status === 200 && imported.data.data.committed === true, 'Valid import should commit');
+  const review = await makeRequest(`/reviews/import_a_${suffix}`);
+  assert(review.status === 200, 'Imported review should exist');
+  assert(review.data.data.comment === 'She said "great"\nover two lines', 'Quoted CSV fields should be imported intact');
+  
+  const upsertBody = JSON.stringify([{ ...review.data.data, rating: 2 }]);
+  const skipped = await makeRequest('/import', { method: 'POST', body: upsertBody });
+  assert(skipped.data.data.summary.skipped === 1, 'Existing ids should be skipped by default');
+  
+  const upserted = await makeRequest('/import?onDuplicate=upsert', { method: 'POST', body: upsertBody });
+  assert(upserted.data.data.summary.updated === 1, 'Existing ids should be updated with onDuplicate=upsert');
+  const updated = await makeRequest(`/reviews/import_a_${suffix}`);
+  assert(updated.data.data.rating === 2, 'Upserted review should have the imported rating');
+  
+  const reportResponse = await fetch(`${API_BASE}/import?dryRun=true`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv', 'Accept': 'text/csv', ...(API_KEY ? { 'X-API-Key': API_KEY } : {}) },
+    body: csv
+  });
+  assert(reportResponse.headers.get('content-disposition')?.includes('import-report.csv'), 'Report should download as CSV');
+  assert((await reportResponse.text()).startsWith('row,id,result,errors'), 'CSV report should start with its header');
+  
+  await makeRequest(`/reviews/import_a_${suffix}`, { method: 'DELETE' });
+  
+  console.log('✓ Bulk import test passed');
+}
+
+/**
+ * Test scheduled export jobs: create, run now, run history and delete
+ */
+async function testExportJobs() {
+  console.log('Testing scheduled export jobs...');
+  
+  const invalid = await makeRequest('/export/jobs', {
+    method: 'POST',
+    body: JSON.stringify({ name: 'Broken', schedule: '61 * * * *', format: 'pdf' })
+  });
+  assert(invalid.status === 400, `Expected status 400 for an invalid job, got ${invalid.status}`);
+  assert(invalid.data.details.length === 2, 'Schedule and format errors should both be reported');
+  
+  const created = await makeRequest('/export/jobs', {
+    method: 'POST',
+    body: JSON.stringify({
+      name: 'Nightly approved',
+      schedule: '0 2 * * *',
+      format: 'csv',
+      filters: { status: 'approved', fields: 'id,rating' },
+      retention: 2
+    })
+  });
+  assert(created.status === 201, `Expected status 201, got ${created.status}`);
+  const job = created.data.data;
+  assert(job.nextRunAt.endsWith('T02:00:00.000Z'), 'Job should be scheduled for its next cron time');
+  assert(job.status === 'scheduled' && job.lastRun === null, 'New jobs should not have run yet');
+  
+  const run = await makeRequest(`/export/jobs/${job.id}/run`, { method: 'POST' });
+  assert(run.status === 200, `Expected status 200 for a manual run, got ${run.status}`);
+  assert(run.data.data.status === 'succeeded', `Run should succeed, got ${run.data.data.error}`);
+  assert(run.data.data.trigger === 'manual' && run.data.data.file.endsWith('.csv'), 'Run should record its trigger and file');
+  
+  const list = await makeRequest('/export/jobs');
+  const listed = list.data.data.find(item => item.id === job.id);
+  assert(listed && listed.status === 'succeeded', 'Listed job should show the status of its last run');
+  assert(listed.recentRuns.length === 1, 'Listed job should include its recent runs');
+  
+  const runs = await makeRequest(`/export/jobs/${job.id}/runs?status=succeeded`);
+  assert(runs.status === 200 && runs.data.data.total === 1, 'Run history should include the manual run');
+  const badStatus = await makeRequest(`/export/jobs/${job.id}/runs?status=done`);
+  assert(badStatus.status === 400, 'Unknown run statuses should be rejected');
+  
+  const paused = await makeRequest(`/export/jobs/${job.id}`, { method: 'PUT', body: JSON.stringify({ active: false }) });
+  assert(paused.status === 200 && paused.data.data.active === false, 'Jobs should be pausable');
+  
+  const deleted = await makeRequest(`/export/jobs/${job.id}`, { method: 'DELETE' });
+  assert(deleted.status === 200, `Expected status 200, got ${deleted.status}`);
+  const missing = await makeRequest(`/export/jobs/${job.id}/runs`);
+  assert(missing.status === 404, 'Deleted job should not be found');
+  
+  console.log('✓ Scheduled export jobs test passed');
+}
+
+/**
+ * Test alert rules, their evaluation and acknowledging and resolving the
+ * alerts they trigger
+ */
+async function testAlerts() {
+  console.log('Testing alert rules and alerts...');
+  
+  const invalid = await makeRequest('/alerts/rules', {
+    method: 'POST',
+    body: JSON.stringify({ name: 'Broken', metric: 'nps', type: 'zscore', operator: 'below', threshold: 0 })
+  });
+  assert(invalid.status === 400, `Expected status 400 for an invalid rule, got ${invalid.status}`);
+  assert(invalid.data.details.length === 2, 'Metric and threshold errors should both be reported');
+  
+  // Fewer than a million reviews a day always triggers this rule
+  const created = await makeRequest('/alerts/rules', {
+    method: 'POST',
+    body: JSON.stringify({
+      name: 'Review volume',
+      metric: 'reviewsSubmitted',
+      type: 'threshold',
+      operator: 'below',
+      threshold: 1000000,
+      channels: ['webhook']
+    })
+  });
+  assert(created.status === 201, `Expected status 201, got ${created.status}`);
+  const rule = created.data.data;
+  assert(rule.window === 7 && rule.granularity === 'day' && rule.timeZone === 'UTC', 'New rules should get defaults');
+  
+  const invalidUpdate = await makeRequest(`/alerts/rules/${rule.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ type: 'zscore', window: 1 })
+  });
+  assert(invalidUpdate.status === 400, 'Updates should be validated against the rest of the rule');
+  
+  const evaluated = await makeRequest(`/alerts/rules/${rule.id}/evaluate`, { method: 'POST' });
+  assert(evaluated.status === 200, `Expected status 200 for an evaluation, got ${evaluated.status}`);
+  const evaluation = evaluated.data.data;
+  assert(evaluation.triggered && evaluation.alert.status === 'open', 'Triggered rules should open an alert');
+  assert(evaluation.alert.message.includes('below the threshold'), 'Alerts should describe why they triggered');
+  
+  const again = await makeRequest(`/alerts/rules/${rule.id}/evaluate`, { method: 'POST' });
+  assert(again.data.data.alert.id === evaluation.alert.id && again.data.data.alert.occurrences === 2,
+    'Repeated triggers should be counted on the open alert');
+  
+  const list = await makeRequest(`/alerts?status=open&ruleId=${rule.id}`);
+  assert(list.status === 200 && list.data.data.total === 1, 'Open alerts should be listed by rule');
+  const badStatus = await makeRequest('/alerts?status=closed');
+  assert(badStatus.status === 400, 'Unknown alert statuses should be rejected');
+  
+  const acknowledged = await makeRequest(`/alerts/${evaluation.alert.id}/acknowledge`, {
+    method: 'POST',
+    headers: { 'X-Actor': 'api-tests' }
+  });
+  assert(acknowledged.status === 200, `Expected status 200, got ${acknowledged.status}`);
+  assert(acknowledged.data.data.status === 'acknowledged' && acknowledged.data.data.acknowledgedBy === 'api-tests',
+    'Acknowledged alerts should record who acknowledged them');
+  
+  const twice = await makeRequest(`/alerts/${evaluation.alert.id}/acknowledge`, { method: 'POST' });
+  assert(twice.status === 409, `Expected status 409 for an acknowledged alert, got ${twice.status}`);
+  
+  const resolved = await makeRequest(`/alerts/${evaluation.alert.id}/resolve`, { method: 'POST' });
+  assert(resolved.status === 200 && resolved.data.data.status === 'resolved', 'Alerts should be resolvable');
+  
+  const deleted = await makeRequest(`/alerts/rules/${rule.id}`, { method: 'DELETE' });
+  assert(deleted.status === 200, `Expected status 200, got ${deleted.status}`);
+  const missing = await makeRequest(`/alerts/${evaluation.alert.id}`);
+  assert(missing.status === 404, 'Deleting a rule should delete its alerts');
+  
+  console.log('✓ Alerts test passed');
+}
+
 /**
  * Test deleting a review
  */
@@ -200,6 +1081,34 @@ async function testDeleteReview(reviewId) {
   console.log('✓ Review deletion test passed');
 }
 
+/**
+ * Test that a deleted review is in the trash and can be restored
+ */
+async function testTrashAndRestore(reviewId) {
+  console.log('Testing trash and restore...');
+  
+  const trashResponse = await makeRequest('/reviews/trash');
+  assert(trashResponse.status === 200, `Expected status 200, got ${trashResponse.status}`);
+  const trashed = trashResponse.data.data.reviews.find(review => review.id === reviewId);
+  assert(trashed, 'Deleted review should be in the trash');
+  assert(trashed.deletedAt, 'Trashed review should have a deletedAt timestamp');
+  
+  const restoreResponse = await makeRequest(`/reviews/${reviewId}/restore`, {
+    method: 'POST',
+    headers: { 'X-Actor': 'api-tests' }
+  });
+  assert(restoreResponse.status === 200, `Expected status 200, got ${restoreResponse.status}`);
+  assert(restoreResponse.data.data.deletedAt === null, 'Restored review should not have a deletedAt timestamp');
+  
+  const getResponse = await makeRequest(`/reviews/${reviewId}`);
+  assert(getResponse.status === 200, 'Restored review should be found again');
+  
+  const restoreAgainResponse = await makeRequest(`/reviews/${reviewId}/restore`, { method: 'POST' });
+  assert(restoreAgainResponse.status === 404, 'Restoring a review that is not in the trash should return 404');
+  
+  console.log('✓ Trash and restore test passed');
+}
+
 /**
  * Test 404 error handling
  */
@@ -223,6 +1132,9 @@ async function runAllTests() {
   try {
     // Test server is running
     const healthResponse = await makeRequest('/reviews');
+    if (healthResponse.status === 401 || healthResponse.status === 403) {
+      throw new Error('Set API_KEY to an admin API key: npm run apikey -- create api-tests admin');
+    }
     if (healthResponse.status !== 200) {
       throw new Error('Server is not running. Please start the server first with: npm start');
     }
@@ -231,10 +1143,26 @@ async function runAllTests() {
     const reviewId = await testCreateReview();
     await testGetAllReviews();
     await testGetReviewById(reviewId);
+    await testSearchReviews(reviewId);
     await testUpdateReview(reviewId);
+    await testReviewHistory(reviewId);
+    await testModeration(reviewId);
+    await testAccessControl();
+    await testWorkspaces(reviewId);
+    await testWebhooks();
+    await testReviewStream();
     await testReviewValidation();
     await testExportFunctionality();
+    await testExportChanges();
+    await testTimeZones();
+    await testSurveyTypes();
+    await testSummaryStatistics();
+    await testBulkImport();
+    await testExportJobs();
+    await testAlerts();
     await testErrorHandling();
+    await testDeleteReview(reviewId);
+    await testTrashAndRestore(reviewId);
     await testDeleteReview(reviewId); // Delete test data
     
     console.log('\\n🎉 All tests passed successfully!');
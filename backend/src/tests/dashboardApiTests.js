@@ -5,9 +5,14 @@
  * node backend/src/tests/dashboardApiTests.js
  */
 
-import { testDailyMetricsCalculation } from '../routes/metrics.js';
+import { testDailyMetricsCalculation, testPeriodComparison } from '../routes/metrics.js';
 import { testDetailsTransformation } from '../routes/usage.js';
 import { testCSVConversion } from '../routes/export.js';
+import { testActivityService } from '../services/activityService.js';
+import { testMetricsService } from '../services/metricsService.js';
+import { testTimeBucketService } from '../services/timeBucketService.js';
+import { testSurveyMetricsService } from '../services/surveyMetricsService.js';
+import { testStatisticsService } from '../services/statisticsService.js';
 
 console.log('Running Dashboard API Tests...\n');
 
@@ -38,24 +43,78 @@ try {
   console.log('❌ CSV conversion test failed:', error.message);
 }
 
+// Test activity tracking
+console.log('4. Testing activity tracking...');
+if (testActivityService()) {
+  console.log('✅ Activity tracking test passed\n');
+} else {
+  console.log('❌ Activity tracking test failed');
+}
+
+// Test time buckets and metrics aggregation
+console.log('5. Testing time buckets and metrics aggregation...');
+try {
+  testTimeBucketService();
+  if (testMetricsService()) {
+    console.log('✅ Time buckets and metrics aggregation test passed\n');
+  } else {
+    console.log('❌ Time buckets and metrics aggregation test failed');
+  }
+} catch (error) {
+  console.log('❌ Time buckets and metrics aggregation test failed:', error.message);
+}
+
+// Test NPS, CSAT and CES scores
+console.log('6. Testing survey metrics...');
+if (testSurveyMetricsService()) {
+  console.log('✅ Survey metrics test passed\n');
+} else {
+  console.log('❌ Survey metrics test failed');
+}
+
+// Test confidence intervals and significance of period comparisons
+console.log('7. Testing period comparison statistics...');
+try {
+  testPeriodComparison();
+  if (testStatisticsService()) {
+    console.log('✅ Period comparison statistics test passed\n');
+  } else {
+    console.log('❌ Period comparison statistics test failed');
+  }
+} catch (error) {
+  console.log('❌ Period comparison statistics test failed:', error.message);
+}
+
 console.log('All tests completed!');
 
 // Test API endpoints if server is running
-console.log('\n4. Testing live API endpoints...');
+console.log('\n8. Testing live API endpoints...');
 
 async function testAPIEndpoints() {
   const baseURL = 'http://localhost:2509';
   
   const endpoints = [
+    '/api/metrics?startDate=2025-11-07&endDate=2025-11-07',
     '/api/metrics/timeseries?startDate=2025-11-07&endDate=2025-11-07',
+    '/api/metrics/timeseries?startDate=2025-10-01&endDate=2025-11-07&granularity=week',
+    '/api/metrics?startDate=2025-01-01&endDate=2025-12-31&granularity=quarter',
+    '/api/metrics/timeseries?startDate=2025-10-20&endDate=2025-11-07&granularity=week&tz=Europe/Berlin',
+    '/api/metrics/summary?startDate=2025-11-01&endDate=2025-11-07&tz=America/New_York',
     '/api/metrics/summary?startDate=2025-11-07&endDate=2025-11-07&comparison=none',
+    '/api/metrics/nps?startDate=2025-11-01&endDate=2025-11-07',
+    '/api/metrics/csat?startDate=2025-11-01&endDate=2025-11-07&comparison=last_year',
+    '/api/metrics/ces?tz=Europe/Berlin',
     '/api/usage/details?limit=2',
-    '/api/usage/summary'
+    '/api/usage/summary',
+    '/api/usage/summary?startDate=2025-11-01&endDate=2025-11-07&tz=Asia/Tokyo',
+    '/api/export/summary?startDate=2025-11-01&tz=Europe/Berlin'
   ];
   
   for (const endpoint of endpoints) {
     try {
-      const response = await fetch(baseURL + endpoint);
+      const response = await fetch(baseURL + endpoint, {
+        headers: process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {}
+      });
       const data = await response.json();
       
       if (data.success) {
@@ -0,0 +1,74 @@
+/**
+ * Database Tests
+ * 
+ * Tests the database connection, the schema migration runner
+ * (apply, status, rollback and re-apply against an in-memory database),
+ * the review revision diffs, review validation, the moderation state
+ * machine, the API key role permissions, scheduled export jobs and export
+ * manifests.
+ * 
+ * To run: node src/tests/databaseTests.js
+ */
+
+import { testDatabase } from '../data/database.js';
+import { testMigrations } from '../data/migrator.js';
+import { testRevisionService } from '../services/revisionService.js';
+import { testReviewModel } from '../models/review.js';
+import { testModerationService } from '../services/moderationService.js';
+import { testApiKeyService } from '../services/apiKeyService.js';
+import { testWorkspaceService } from '../services/workspaceService.js';
+import { testWebhookService } from '../services/webhookService.js';
+import { testReviewEventService } from '../services/reviewEventService.js';
+import { testReviewChangeService } from '../services/reviewChangeService.js';
+import { testImportService } from '../services/importService.js';
+import { testCronService } from '../services/cronService.js';
+import { testExportJobService } from '../services/exportJobService.js';
+import { testExportManifestService } from '../services/exportManifestService.js';
+import { testAlertService } from '../services/alertService.js';
+
+console.log('Running Database Tests...\n');
+
+console.log('1. Testing database connection...');
+testDatabase();
+
+console.log('\n2. Testing schema migrations...');
+if (!testMigrations()) {
+  process.exitCode = 1;
+}
+
+console.log('\n3. Testing review revision diffs...');
+testRevisionService();
+
+console.log('\n4. Testing review validation and moderation transitions...');
+testReviewModel();
+testModerationService();
+
+console.log('\n5. Testing API key roles...');
+testApiKeyService();
+
+console.log('\n6. Testing workspaces...');
+testWorkspaceService();
+
+console.log('\n7. Testing webhooks...');
+testWebhookService();
+
+console.log('\n8. Testing review events...');
+testReviewEventService();
+
+console.log('\n9. Testing incremental export changes...');
+testReviewChangeService();
+
+console.log('\n10. Testing bulk import...');
+testImportService();
+
+console.log('\n11. Testing scheduled export jobs...');
+testCronService();
+await testExportJobService();
+
+console.log('\n12. Testing export manifests...');
+await testExportManifestService();
+
+console.log('\n13. Testing alert rules...');
+await testAlertService();
+
+console.log('\nDatabase Tests Complete!');
\ No newline at end of file
@@ -3,14 +3,25 @@
  * 
  * Tests the database export functionality including Accept header handling,
  * format conversion, and Data Warehouse System compatibility.
+ * 
+ * Endpoint tests use the API key in the API_KEY environment variable
+ * (exporter or admin role).
  */
 
+import crypto from 'crypto';
+import http from 'http';
+import ExcelJS from 'exceljs';
 import { runAllExportTests } from '../routes/export.js';
+import { testXlsxExportService } from '../services/xlsxExportService.js';
+
+// Authentication header sent with every export request
+const authHeaders = process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {};
 
 console.log('Running Database Export Tests...\n');
 
 // Test the export module functions
 runAllExportTests();
+await testXlsxExportService();
 
 // Test API endpoints by making actual HTTP requests
 async function testExportEndpoints() {
@@ -43,18 +54,42 @@ async function testExportEndpoints() {
       headers: { 'Accept': 'application/xml' },
       expectedContentType: 'application/xml'
     },
+    {
+      name: 'NDJSON Export',
+      url: `${baseUrl}/api/export`,
+      headers: { 'Accept': 'application/x-ndjson' },
+      expectedContentType: 'application/x-ndjson'
+    },
+    {
+      name: 'XLSX Export',
+      url: `${baseUrl}/api/export/xlsx`,
+      headers: {},
+      expectedContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    },
     {
       name: 'Complex Accept Header (CSV priority)',
       url: `${baseUrl}/api/export`,
       headers: { 'Accept': 'text/html,text/csv;q=0.9,application/json;q=0.8' },
       expectedContentType: 'text/csv'
+    },
+    {
+      name: 'Quality Values (JSON over low-quality CSV)',
+      url: `${baseUrl}/api/export`,
+      headers: { 'Accept': 'text/csv;q=0.1, application/json' },
+      expectedContentType: 'application/json'
+    },
+    {
+      name: 'Format Override',
+      url: `${baseUrl}/api/export?format=xml`,
+      headers: { 'Accept': 'application/json' },
+      expectedContentType: 'application/xml'
     }
   ];
   
   for (const testCase of testCases) {
     try {
       const response = await fetch(testCase.url, {
-        headers: testCase.headers
+        headers: { ...authHeaders, ...testCase.headers }
       });
       
       const contentType = response.headers.get('content-type');
@@ -81,7 +116,7 @@ async function testDataWarehouseCompatibility() {
   try {
     // Test JSON format for structured data processing
     const jsonResponse = await fetch('http://localhost:2509/api/export', {
-      headers: { 'Accept': 'application/json' }
+      headers: { ...authHeaders, 'Accept': 'application/json' }
     });
     
     const jsonData = await jsonResponse.json();
@@ -93,7 +128,7 @@ async function testDataWarehouseCompatibility() {
     
     // Test CSV format for data processing tools
     const csvResponse = await fetch('http://localhost:2509/api/export', {
-      headers: { 'Accept': 'text/csv' }
+      headers: { ...authHeaders, 'Accept': 'text/csv' }
     });
     
     const csvData = await csvResponse.text();
@@ -102,7 +137,7 @@ async function testDataWarehouseCompatibility() {
     
     // Test XML format for enterprise systems
     const xmlResponse = await fetch('http://localhost:2509/api/export', {
-      headers: { 'Accept': 'application/xml' }
+      headers: { ...authHeaders, 'Accept': 'application/xml' }
     });
     
     const xmlData = await xmlResponse.text();
@@ -110,16 +145,178 @@ async function testDataWarehouseCompatibility() {
     console.assert(xmlData.includes('<reviews>'), 'XML should have structured root element');
     console.log('✓ XML format: Data Warehouse compatible');
     
+    // Test NDJSON format for ingestion pipelines, with filters and header line
+    const ndjsonResponse = await fetch('http://localhost:2509/api/export?header=true&status=approved&limit=5', {
+      headers: { ...authHeaders, 'Accept': 'application/x-ndjson' }
+    });
+    
+    const [header, ...records] = (await ndjsonResponse.text()).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    console.assert(header.metadata && header.metadata.format === 'ndjson', 'NDJSON header line should carry metadata');
+    console.assert(header.metadata.filters.status === 'approved', 'NDJSON header should list the filters');
+    console.assert(records.length <= 5 && records.every(review => review.status === 'approved'), 'NDJSON should honor filters');
+    console.log('✓ NDJSON format: Data Warehouse compatible');
+    
+    // Test XLSX workbook for spreadsheet users
+    const xlsxResponse = await fetch('http://localhost:2509/api/export', {
+      headers: { ...authHeaders, 'Accept': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+    });
+    
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(await xlsxResponse.arrayBuffer()));
+    const summaryResponse = await fetch('http://localhost:2509/api/export/summary', { headers: authHeaders });
+    const summary = (await summaryResponse.json()).data;
+    console.assert(workbook.getWorksheet('Reviews').rowCount === summary.totalReviews + 1,
+      'XLSX should have a header row and one row per review');
+    console.assert(workbook.getWorksheet('Summary').getCell('B2').value === summary.totalReviews,
+      'XLSX summary should match /api/export/summary');
+    console.log('✓ XLSX format: Spreadsheet compatible');
+    
   } catch (error) {
     console.error('Data Warehouse compatibility test failed:', error.message);
   }
 }
 
+// Test compressed, streamed exports
+async function testCompressedExport() {
+  console.log('\nTesting compressed exports...');
+  
+  try {
+    for (const encoding of ['gzip', 'br']) {
+      // fetch decompresses the body transparently
+      const response = await fetch('http://localhost:2509/api/export', {
+        headers: { ...authHeaders, 'Accept': 'application/json', 'Accept-Encoding': encoding }
+      });
+      
+      console.assert(response.headers.get('content-encoding') === encoding, `Export should be ${encoding} compressed`);
+      console.assert(response.headers.get('vary')?.includes('Accept-Encoding'), 'Export should vary by Accept-Encoding');
+      
+      const jsonData = await response.json();
+      console.assert(jsonData.data.length === jsonData.metadata.totalRecords, `${encoding} export should contain every record`);
+      console.log(`✓ ${encoding} export: Passed`);
+    }
+  } catch (error) {
+    console.error('Compressed export test failed:', error.message);
+  }
+}
+
+// Test filters, column selection and sorting, the same in every format
+async function testExportQuery() {
+  console.log('\nTesting export filters, fields and sort...');
+  
+  try {
+    const query = 'status=approved,pending&minRating=2&maxRating=4&startDate=2020-01-01&fields=id,rating,status&sort=-rating,id';
+    
+    const jsonResponse = await fetch(`http://localhost:2509/api/export?${query}`, {
+      headers: { ...authHeaders, 'Accept': 'application/json' }
+    });
+    const { metadata, data } = await jsonResponse.json();
+    console.assert(data.length === metadata.totalRecords, 'Filtered export should count the filtered reviews');
+    console.assert(data.every(review => Object.keys(review).join() === 'id,rating,status'), 'JSON export should contain only the selected fields');
+    console.assert(data.every(review => ['approved', 'pending'].includes(review.status) && review.rating >= 2 && review.rating <= 4),
+      'JSON export should honor the filters');
+    console.assert(data.every((review, i) => i === 0 || data[i - 1].rating >= review.rating), 'JSON export should be sorted');
+    console.log('✓ Filtered JSON export: Passed');
+    
+    // The legacy endpoint returns the same rows
+    const csvResponse = await fetch(`http://localhost:2509/api/export/csv?${query}`, { headers: authHeaders });
+    const lines = (await csvResponse.text()).split('\n');
+    console.assert(lines[0] === 'id,rating,status', 'CSV header should list the selected fields');
+    console.assert(lines.length - 1 === data.length && lines[1] === (data[0] ? `"${data[0].id}",${data[0].rating},"${data[0].status}"` : undefined),
+      'Legacy CSV export should match the main export');
+    console.log('✓ Filtered legacy CSV export: Passed');
+    
+    const invalid = await fetch('http://localhost:2509/api/export?fields=id,password&sort=-secret', { headers: authHeaders });
+    const body = await invalid.json();
+    console.assert(invalid.status === 400 && body.details.length === 2, 'Unknown fields and sort keys should return 400');
+    console.log('✓ Invalid export query: Passed');
+  } catch (error) {
+    console.error('Export query test failed:', error.message);
+  }
+}
+
+// Test that every export can be verified against its manifest
+async function testExportManifest() {
+  console.log('\nTesting export manifests...');
+  
+  try {
+    for (const format of ['csv', 'json', 'xlsx']) {
+      const response = await fetch(`http://localhost:2509/api/export?format=${format}&status=approved`, {
+        headers: { ...authHeaders, 'Accept-Encoding': 'gzip' }
+      });
+      const payload = Buffer.from(await response.arrayBuffer());
+      const exportId = response.headers.get('x-export-id');
+      console.assert(exportId && response.headers.get('link')?.includes(`/api/export/manifest/${exportId}`),
+        `${format} export should link to its manifest`);
+      console.assert(response.headers.get('x-export-schema-version') === '2', `${format} export should send its schema version`);
+      
+      const manifestResponse = await fetch(`http://localhost:2509/api/export/manifest/${exportId}`, { headers: authHeaders });
+      const { data: manifest } = await manifestResponse.json();
+      console.assert(manifestResponse.status === 200, `${format} manifest should be available after the export`);
+      console.assert(manifest.sha256 === crypto.createHash('sha256').update(payload).digest('hex'),
+        `${format} manifest checksum should match the uncompressed payload`);
+      console.assert(manifest.bytes === payload.length && String(manifest.rows) === response.headers.get('x-export-rows'),
+        `${format} manifest should match the size and row count`);
+      console.assert(manifest.format === format && manifest.filters.status === 'approved', `${format} manifest should list the filters`);
+      if (format === 'json') {
+        const { metadata, data } = JSON.parse(payload.toString('utf8'));
+        console.assert(metadata.exportId === exportId && data.length === manifest.rows, 'JSON metadata should carry the export ID');
+        console.assert(data.every(review => review.updatedAt >= manifest.minUpdatedAt && review.updatedAt <= manifest.maxUpdatedAt),
+          'Manifest should bound the updatedAt of the exported reviews');
+      }
+      console.log(`✓ ${format} manifest: Passed`);
+    }
+    
+    // The checksum is also sent as a trailer after the body
+    const trailers = await new Promise((resolve, reject) => {
+      http.get('http://localhost:2509/api/export/csv', { headers: authHeaders }, response => {
+        const hash = crypto.createHash('sha256');
+        response.on('data', chunk => hash.update(chunk));
+        response.on('end', () => resolve({ expected: hash.digest('hex'), trailers: response.trailers }));
+      }).on('error', reject);
+    });
+    console.assert(trailers.trailers['x-export-sha256'] === trailers.expected, 'Checksum trailer should match the payload');
+    console.log('✓ Checksum trailer: Passed');
+    
+    const unknown = await fetch('http://localhost:2509/api/export/manifest/no-such-export', { headers: authHeaders });
+    console.assert(unknown.status === 404, `Unknown exports should return 404, got ${unknown.status}`);
+    console.log('✓ Unknown manifest: Passed');
+  } catch (error) {
+    console.error('Export manifest test failed:', error.message);
+  }
+}
+
+// Test that unsupported Accept headers and formats are rejected
+async function testNotAcceptable() {
+  console.log('\nTesting content negotiation errors...');
+  
+  try {
+    const response = await fetch('http://localhost:2509/api/export', {
+      headers: { ...authHeaders, 'Accept': 'text/html, application/json;q=0' }
+    });
+    console.assert(response.status === 406, `Unsupported Accept should return 406, got ${response.status}`);
+    console.assert(response.headers.get('vary')?.includes('Accept'), '406 response should vary by Accept');
+    
+    const body = await response.json();
+    console.assert(body.supportedTypes?.includes('text/csv'), '406 response should list the supported media types');
+    console.log('✓ 406 Not Acceptable: Passed');
+    
+    const invalid = await fetch('http://localhost:2509/api/export?format=pdf', { headers: authHeaders });
+    console.assert(invalid.status === 400, `Unknown format should return 400, got ${invalid.status}`);
+    console.log('✓ Unknown format override: Passed');
+  } catch (error) {
+    console.error('Content negotiation test failed:', error.message);
+  }
+}
+
 // Main test runner
 async function runAllTests() {
   try {
     await testExportEndpoints();
     await testDataWarehouseCompatibility();
+    await testCompressedExport();
+    await testNotAcceptable();
+    await testExportQuery();
+    await testExportManifest();
     console.log('\n🎉 All database export tests completed!');
   } catch (error) {
     console.error('Test suite failed:', error);
@@ -15,6 +15,9 @@ NC='\033[0m' # No Color
 
 API_BASE="http://localhost:2509/api"
 
+echo -e "${BLUE}Creating a demo API key...${NC}"
+API_KEY=$(cd backend && node src/data/apiKeyCli.js create demo admin | grep '^csk_')
+
 echo -e "${BLUE}Starting server...${NC}"
 cd backend && npm start &
 SERVER_PID=$!
@@ -25,7 +28,7 @@ echo ""
 
 # Test 1: Create reviews
 echo -e "${YELLOW}1. Creating sample reviews...${NC}"
-curl -s -X POST "$API_BASE/reviews" \
+curl -s -H "X-API-Key: $API_KEY" -X POST "$API_BASE/reviews" \
   -H "Content-Type: application/json" \
   -d '{
     "customerId": "cust_001",
@@ -35,7 +38,7 @@ curl -s -X POST "$API_BASE/reviews" \
     "comment": "The product quality exceeded my expectations and the customer service was excellent."
   }' | jq '.'
 
-curl -s -X POST "$API_BASE/reviews" \
+curl -s -H "X-API-Key: $API_KEY" -X POST "$API_BASE/reviews" \
   -H "Content-Type: application/json" \
   -d '{
     "customerId": "cust_002",
@@ -45,7 +48,7 @@ curl -s -X POST "$API_BASE/reviews" \
     "comment": "Overall satisfied with the purchase. Fast delivery and good packaging."
   }' | jq '.'
 
-curl -s -X POST "$API_BASE/reviews" \
+curl -s -H "X-API-Key: $API_KEY" -X POST "$API_BASE/reviews" \
   -H "Content-Type: application/json" \
   -d '{
     "customerId": "cust_003",
@@ -60,24 +63,24 @@ echo ""
 
 # Test 2: Get all reviews
 echo -e "${YELLOW}2. Getting all reviews...${NC}"
-curl -s "$API_BASE/reviews" | jq '.data.reviews[] | {id, customerName, rating, title, status}'
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/reviews" | jq '.data.reviews[] | {id, customerName, rating, title, status}'
 echo ""
 
 # Test 3: Filter reviews
 echo -e "${YELLOW}3. Getting reviews with rating >= 4...${NC}"
-curl -s "$API_BASE/reviews?rating=4" | jq '.data.reviews[] | {customerName, rating, title}'
-curl -s "$API_BASE/reviews?rating=5" | jq '.data.reviews[] | {customerName, rating, title}'
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/reviews?rating=4" | jq '.data.reviews[] | {customerName, rating, title}'
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/reviews?rating=5" | jq '.data.reviews[] | {customerName, rating, title}'
 echo ""
 
 # Test 4: Get summary statistics  
 echo -e "${YELLOW}4. Getting summary statistics...${NC}"
-curl -s "$API_BASE/export/summary" | jq '.data'
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/export/summary" | jq '.data'
 echo ""
 
 # Test 5: Update a review (get first review ID)
 echo -e "${YELLOW}5. Updating first review status to 'approved'...${NC}"
-REVIEW_ID=$(curl -s "$API_BASE/reviews" | jq -r '.data.reviews[0].id')
-curl -s -X PUT "$API_BASE/reviews/$REVIEW_ID" \
+REVIEW_ID=$(curl -s -H "X-API-Key: $API_KEY" "$API_BASE/reviews" | jq -r '.data.reviews[0].id')
+curl -s -H "X-API-Key: $API_KEY" -X PUT "$API_BASE/reviews/$REVIEW_ID" \
   -H "Content-Type: application/json" \
   -d '{"status": "approved"}' | jq '.data | {id, customerName, status, updatedAt}'
 echo ""
@@ -85,21 +88,21 @@ echo ""
 # Test 6: Export data
 echo -e "${YELLOW}6. Exporting data...${NC}"
 echo "JSON export (first review):"
-curl -s "$API_BASE/export/json" | jq '.data[0] | {customerName, rating, title, status}'
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/export/json" | jq '.data[0] | {customerName, rating, title, status}'
 
 echo ""
 echo "CSV export preview:"
-curl -s "$API_BASE/export/csv" | head -2
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/export/csv" | head -2
 echo ""
 
 # Test 7: Error handling
 echo -e "${YELLOW}7. Testing error handling...${NC}"
 echo "Attempting to get non-existent review:"
-curl -s "$API_BASE/reviews/non-existent-id" | jq '.'
+curl -s -H "X-API-Key: $API_KEY" "$API_BASE/reviews/non-existent-id" | jq '.'
 echo ""
 
 echo "Attempting to create invalid review:"
-curl -s -X POST "$API_BASE/reviews" \
+curl -s -H "X-API-Key: $API_KEY" -X POST "$API_BASE/reviews" \
   -H "Content-Type: application/json" \
   -d '{"rating": 6}' | jq '.'
 echo ""
@@ -6,9 +6,18 @@ import type { Review, ReviewTimeseriesMetrics } from "@/data/schema"
  */
 const API_BASE_URL = "http://localhost:2509"
 
+/**
+ * API key sent with every request (a viewer key is enough for the dashboard)
+ */
+const API_HEADERS: HeadersInit = process.env.NEXT_PUBLIC_API_KEY
+  ? { "X-API-Key": process.env.NEXT_PUBLIC_API_KEY }
+  : {}
+
 export async function fetchReviewMetrics(): Promise<ReviewTimeseriesMetrics[]> {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/metrics/timeseries`)
+    const response = await fetch(`${API_BASE_URL}/api/metrics/timeseries`, {
+      headers: API_HEADERS,
+    })
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`)
@@ -33,7 +42,9 @@ export async function fetchReviewMetrics(): Promise<ReviewTimeseriesMetrics[]> {
 
 export async function fetchReviews(): Promise<Review[]> {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/reviews`)
+    const response = await fetch(`${API_BASE_URL}/api/reviews`, {
+      headers: API_HEADERS,
+    })
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`)